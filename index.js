@@ -11,6 +11,25 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import PromoPilotAgent from './src/promopilot-agent.js';
+import { AGENT_CONFIG } from './src/config/agent-config.js';
+import { resolveProviderName, ProviderNames } from './src/providers/provider-factory.js';
+import { rankPromotions } from './src/analysis/promotion-scorer.js';
+import { match_incentive_eligibility } from './tools/eligibility-matcher.js';
+import { calculate_best_deal } from './tools/deal-calculator.js';
+import { calculate_payments } from './tools/payment-calculator.js';
+import { ingest_inventory_data } from './tools/inventory-ingestor.js';
+import { loadMappingProfiles } from './src/ingestion/mapping-profiles.js';
+import { snapshotSource, diffInventorySince } from './src/inventory/snapshot-store.js';
+import { loadDealerRegistry, selectDealers } from './src/dealers/dealer-registry.js';
+import { analyzeDealerGroup } from './src/dealers/group-analysis.js';
+import { startServer } from './src/server/http-server.js';
+import { createUser, issueApiKey, listUsers, setUserRole, revokeApiKey, rotateApiKey, resolveApiKey } from './src/auth/user-store.js';
+import { Permissions, UserContext, validateRole, requirePermission, runWithUserContext, getCurrentUserContext, auditLog } from './src/utils/access-control.js';
+import { verifyAuditTrail, queryAuditTrail } from './src/audit/audit-trail.js';
+import { withUsageRun, getRunUsage, summarizeSpend } from './src/usage/spend-ledger.js';
+import { withCacheBypass, clearCache, describeCache } from './src/cache/result-cache.js';
+import { parseOptions } from './src/utils/cli-options.js';
+import { getSummary, getRunSummary, resetMetrics, formatPrometheus, loadMetricsSnapshot, saveMetricsSnapshot } from './src/utils/metrics.js';
 import logger from './src/utils/logger.js';
 import { AppError, ErrorTypes, ErrorSeverity } from './src/utils/error-handler.js';
 
@@ -20,6 +39,31 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config();
 
+// Permission each command needs; any other first word starts a free-text query
+const COMMAND_PERMISSIONS = {
+  analyze: Permissions.GENERATE_REPORTS,
+  inventory: Permissions.READ_INVENTORY,
+  incentives: Permissions.READ_INCENTIVES,
+  rank: Permissions.READ_INVENTORY,
+  eligibility: Permissions.READ_INCENTIVES,
+  deal: Permissions.READ_INCENTIVES,
+  payments: Permissions.READ_INCENTIVES,
+  profiles: Permissions.READ_INVENTORY,
+  validate: Permissions.READ_INVENTORY,
+  'inventory-diff': Permissions.READ_INVENTORY,
+  group: Permissions.READ_INVENTORY,
+  status: Permissions.VIEW_REPORTS,
+  serve: Permissions.MANAGE_CONFIG,
+  audit: Permissions.VIEW_LOGS,
+  metrics: Permissions.VIEW_LOGS,
+  usage: Permissions.VIEW_LOGS,
+  cache: Permissions.VIEW_LOGS,
+  users: null, // checked in manageUsers, which stays open until the first user exists
+  whoami: null,
+  help: null
+};
+const QUERY_PERMISSION = Permissions.READ_INVENTORY;
+
 async function main() {
   logger.info('PromoPilot AI - Automotive Marketing Agent');
   logger.info('================================================');
@@ -31,8 +75,133 @@ async function main() {
     logger.info('Created output directory');
   }
 
-  // Check for required environment variables
-  if (!process.env.OPENAI_API_KEY) {
+  // Get command line arguments
+  const args = process.argv.slice(2);
+  const options = parseOptions(args.slice(1));
+
+  // Every command runs as a user, and the agent and tools check that user's permissions
+  let user;
+  let command;
+  try {
+    user = await resolveCliUser(options);
+    // With no command, run the full analysis, or the offline ranking for a user who may not generate reports
+    command = args[0] || (user.hasPermission(Permissions.GENERATE_REPORTS) ? 'analyze' : 'rank');
+    const permission = command in COMMAND_PERMISSIONS ? COMMAND_PERMISSIONS[command] : QUERY_PERMISSION;
+    if (permission) requirePermission(permission)(user);
+  } catch (error) {
+    logger.error(`${error.message}${error.details?.reason ? ` (${error.details.reason})` : ''}`);
+    if (user && !user.keyId) logger.info(`Running as ${user.role} without an API key; pass --api-key or set PROMOPILOT_API_KEY`);
+    process.exit(1);
+  }
+
+  // A broken trail is reported by `audit verify`; it should not stop the command that would show it
+  const action = command in COMMAND_PERMISSIONS ? `cli ${command}` : 'cli query';
+  const redacted = args.map((arg, i) => (args[i - 1] === '--api-key' ? '[redacted]' : arg.replace(/^--api-key=.*/, '--api-key=[redacted]')));
+  await auditLog(user, action, { args: action === 'cli query' ? redacted : redacted.slice(1) })
+    .catch(error => logger.error(`Could not write the audit trail: ${error.message}`));
+
+  // Metrics carry over between runs through the snapshot file
+  if (AGENT_CONFIG.metrics.persist) {
+    await loadMetricsSnapshot()
+      .catch(error => logger.warn(`Could not load the metrics snapshot, starting fresh: ${error.message}`));
+  }
+
+  // LLM calls are charged to this user and command, and share the per-run budget
+  const run = () => withUsageRun(action, async () => {
+    await runCommand(command, args);
+    // The server reports when it is stopped
+    if (command !== 'serve') showRunSummary();
+  });
+  // --no-cache re-reads every file and calls the LLM even when a cached result would do
+  await runWithUserContext(user, () => (options['no-cache'] ? withCacheBypass(run) : run()));
+  await persistMetrics();
+}
+
+async function persistMetrics() {
+  if (!AGENT_CONFIG.metrics.persist) return;
+  await saveMetricsSnapshot()
+    .catch(error => logger.error(`Could not save the metrics snapshot: ${error.message}`));
+}
+
+// The owner of --api-key / PROMOPILOT_API_KEY, or a local user with access_control.cli_role
+async function resolveCliUser(options) {
+  const apiKey = typeof options['api-key'] === 'string' ? options['api-key'] : process.env.PROMOPILOT_API_KEY;
+  if (apiKey) return resolveApiKey(apiKey);
+
+  const role = AGENT_CONFIG.access_control.cli_role;
+  if (!role) {
+    throw new AppError('An API key is required: pass --api-key or set PROMOPILOT_API_KEY', ErrorTypes.VALIDATION, ErrorSeverity.HIGH);
+  }
+  return new UserContext('local-cli', validateRole(role));
+}
+
+async function runCommand(command, args) {
+  // Commands that run entirely offline and never touch OpenAI
+  switch (command) {
+    case 'rank':
+      await showPromotionRankings(parseOptions(args.slice(1)));
+      return;
+
+    case 'eligibility':
+      await showEligibility(parseOptions(args.slice(1)));
+      return;
+
+    case 'deal':
+      await showBestDeal(parseOptions(args.slice(1)));
+      return;
+
+    case 'payments':
+      await showPayments(parseOptions(args.slice(1)));
+      return;
+
+    case 'profiles':
+      await showMappingProfiles(parseOptions(args.slice(1)));
+      return;
+
+    case 'validate':
+      await showValidationIssues(parseOptions(args.slice(1)));
+      return;
+
+    case 'inventory-diff':
+      await showInventoryDiff(parseOptions(args.slice(1)));
+      return;
+
+    case 'group':
+      await showDealerGroup(parseOptions(args.slice(1)));
+      return;
+
+    case 'users':
+      await manageUsers(parseOptions(args.slice(1)));
+      return;
+
+    case 'whoami':
+      showCurrentUser();
+      return;
+
+    case 'audit':
+      await showAuditTrail(parseOptions(args.slice(1)));
+      return;
+
+    case 'metrics':
+      showMetrics(parseOptions(args.slice(1)));
+      return;
+
+    case 'usage':
+      await showSpend(parseOptions(args.slice(1)));
+      return;
+
+    case 'cache':
+      await manageCache(parseOptions(args.slice(1)));
+      return;
+
+    case 'help':
+      showHelp();
+      return;
+  }
+
+  // Only the OpenAI provider needs an API key; LLM_PROVIDER=mock runs fully offline
+  const providerName = resolveProviderName(AGENT_CONFIG);
+  if (providerName === ProviderNames.OPENAI && !process.env.OPENAI_API_KEY) {
     const error = new AppError(
       'OPENAI_API_KEY environment variable is required',
       ErrorTypes.CONFIGURATION,
@@ -41,6 +210,7 @@ async function main() {
     logger.error(error.message);
     logger.info('Please set your OpenAI API key in a .env file or environment variable');
     logger.info('Copy .env.example to .env and add your API key');
+    logger.info('Or set LLM_PROVIDER=mock to replay the scripted offline provider');
     process.exit(1);
   }
 
@@ -54,13 +224,9 @@ async function main() {
       process.exit(1);
     }
 
-    // Get command line arguments
-    const args = process.argv.slice(2);
-    const command = args[0] || 'analyze';
-
     switch (command) {
       case 'analyze':
-        await runFullAnalysis(agent);
+        await runFullAnalysis(agent, parseOptions(args.slice(1)));
         break;
       
       case 'inventory':
@@ -74,14 +240,15 @@ async function main() {
       case 'status':
         showAgentStatus(agent);
         break;
-      
-      case 'help':
-        showHelp();
+
+      case 'serve':
+        await serveApi(agent, parseOptions(args.slice(1)));
         break;
       
       default:
         if (command) {
-          await runCustomQuery(agent, args.join(' '));
+          // Only the bare words are the question; flags (--api-key in either form among them) stay out of the prompt
+          await runCustomQuery(agent, parseOptions(args)._.join(' '));
         } else {
           await runFullAnalysis(agent);
         }
@@ -93,21 +260,48 @@ async function main() {
   }
 }
 
-async function runFullAnalysis(agent) {
+async function runFullAnalysis(agent, options = { _: [] }) {
   logger.info('Running full promotional analysis...');
-  
-  const result = await agent.analyzeAndRecommend({
-    inventoryPath: './data/sample-inventory.csv',
-    incentivesPath: './data/sample-incentives.json',
-    outputFormat: 'json'
-  });
+
+  const analysisOptions = {
+    outputFormat: options.format || 'json',
+    asOfDate: options['as-of'] || null
+  };
+  if (options.dealer) {
+    const dealer = await findDealer(options.dealer);
+    if (!dealer) return;
+    analysisOptions.dealer = dealer;
+  } else {
+    analysisOptions.inventoryPath = './data/sample-inventory.csv';
+    analysisOptions.incentivesPath = './data/sample-incentives.json';
+  }
+
+  const result = await agent.analyzeAndRecommend(analysisOptions);
 
   if (result.success) {
     logger.info('Analysis completed successfully!');
-    logger.info('Check the ./output directory for detailed reports');
-    
-    if (result.analysis_result?.choices?.[0]) {
-      logger.info('Agent Response:', { response: result.analysis_result.choices[0] });
+    logger.info(`Report saved to ${result.report.file_path}`);
+
+    result.recommendations.forEach(rec => {
+      const m = rec.key_metrics;
+      console.log(`\n${rec.rank}. ${rec.vehicle_line}`);
+      console.log(`   Units: ${m.inventory_count}, Avg days on lot: ${m.avg_days_on_lot}, Best incentive value: $${m.best_incentive_value.toLocaleString()}`);
+      console.log(`   Incentives: ${rec.incentive_ids.length > 0 ? rec.incentive_ids.join(', ') : 'none'}`);
+      console.log(`   Rationale: ${rec.rationale}`);
+      console.log(`   Approach: ${rec.promotional_approach}`);
+    });
+
+    const v = result.verification.summary;
+    console.log(`\nClaim verification: ${v.verified} verified, ${v.corrected} corrected, ${v.unverified} unverified (of ${v.total_claims})`);
+    result.verification.claims
+      .filter(claim => claim.status !== 'verified')
+      .forEach(claim => console.log(`  ! ${claim.vehicle_line} ${claim.field}: ${claim.stated} (${claim.status}) - ${claim.note}`));
+
+    if (result.validation_attempts > 1) {
+      logger.warn(`Recommendations passed validation after ${result.validation_attempts} attempts`);
+    }
+    if (result.fallback) {
+      logger.warn(`LLM unavailable (${result.fallback.reason}); recommendations come from the deterministic promotion scores`);
     }
   } else {
     logger.error('Analysis failed:', result.error);
@@ -120,6 +314,9 @@ async function showInventorySummary(agent) {
   
   const result = await agent.getInventorySummary();
   
+  if (result.fallback) {
+    logger.warn(`LLM unavailable (${result.fallback.reason}); summary read directly from the inventory file`);
+  }
   if (result.success) {
     logger.info(`Total Vehicles: ${result.summary.total_vehicles}`);
     logger.info(`Average Days on Lot: ${result.summary.average_days_on_lot}`);
@@ -145,6 +342,9 @@ async function showIncentiveSummary(agent) {
   
   const result = await agent.getIncentiveSummary();
   
+  if (result.fallback) {
+    logger.warn(`LLM unavailable (${result.fallback.reason}); summary read directly from the incentive file`);
+  }
   if (result.success) {
     console.log(`Total Active Incentives: ${result.summary.total_incentives}`);
     console.log(`Average Incentive Value: $${result.summary.average_value}`);
@@ -156,14 +356,14 @@ async function showIncentiveSummary(agent) {
     });
     
     if (result.summary.high_value_incentives.length > 0) {
-      console.log('\nHigh-Value Incentives (>$2000):');
+      console.log(`\nHigh-Value Incentives (>$${result.summary.thresholds.high_value}):`);
       result.summary.high_value_incentives.forEach(incentive => {
         console.log(`  ${incentive.vehicle_line}: $${incentive.value} (${incentive.type})`);
       });
     }
     
     if (result.summary.expiring_soon.length > 0) {
-      console.log('\nExpiring Soon (within 30 days):');
+      console.log(`\nExpiring Soon (within ${result.summary.thresholds.expiring_soon_days} days):`);
       result.summary.expiring_soon.forEach(incentive => {
         console.log(`  ${incentive.vehicle_line}: ${incentive.days_remaining} days remaining`);
       });
@@ -173,17 +373,634 @@ async function showIncentiveSummary(agent) {
   }
 }
 
+// Runs until the process is stopped; metrics are saved on the way out
+async function serveApi(agent, options) {
+  const serverOptions = { agent };
+  if (options.port) serverOptions.port = parseInt(options.port, 10);
+  if (options.host) serverOptions.host = options.host;
+
+  await startServer(serverOptions);
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    showRunSummary();
+    await persistMetrics();
+    process.exit(0);
+  }));
+  logger.info(AGENT_CONFIG.server.auth === 'headers'
+    ? 'Auth: X-User-Id / X-User-Role headers (trusted proxy)'
+    : `Auth: API keys from ${AGENT_CONFIG.auth.users_file} (node index.js users)`);
+  logger.info('Routes: GET /api/status, POST /api/analysis, GET|POST /api/inventory/summary, ' +
+    'GET|POST /api/incentives/summary, POST /api/query, GET /api/reports, GET /api/reports/<file>, GET /metrics');
+}
+
 function showAgentStatus(agent) {
   logger.info('Agent Status');
   logger.info('===============');
   
   const status = agent.getStatus();
   logger.info(`Initialized: ${status.initialized ? 'Yes' : 'No'}`);
+  logger.info(`Provider: ${status.provider}`);
   logger.info(`Model: ${status.model}`);
   logger.info(`Tools Loaded: ${status.tools_loaded ? 'Yes' : 'No'}`);
+  if (status.circuit) {
+    logger.info(`LLM Circuit: ${status.circuit.state} (${status.circuit.consecutive_failures} consecutive failures)`);
+  }
   logger.info(`Last Updated: ${status.last_updated}`);
 }
 
+async function showPromotionRankings(options) {
+  logger.info('Promotion Rankings (deterministic, offline)');
+  logger.info('============================================');
+
+  const rankOptions = {
+    asOfDate: options['as-of'] || null,
+    limit: options.limit ? parseInt(options.limit, 10) : null
+  };
+  if (options.dealer) {
+    rankOptions.dealer = await findDealer(options.dealer);
+    if (!rankOptions.dealer) return;
+  }
+
+  const result = await rankPromotions(rankOptions);
+
+  if (!result.success) {
+    logger.error('Failed to rank vehicle lines:', { error: result.error });
+    return;
+  }
+
+  console.log(`As of: ${result.as_of_date} (${result.total_lines} vehicle lines scored)${result.dealer ? ` - ${result.dealer.name}` : ''}`);
+
+  result.rankings.forEach(entry => {
+    const m = entry.metrics;
+    console.log(`\n${entry.rank}. ${entry.vehicle_line} - score ${entry.score}/100`);
+    console.log(`   Units: ${m.inventory_count}, Avg days on lot: ${m.avg_days_on_lot}, Avg MSRP: $${m.avg_msrp.toLocaleString()}`);
+    console.log(`   Best incentive value: $${m.best_incentive_value.toLocaleString()} (${m.incentive_count} programs)`);
+    if (m.sales_per_day !== null) {
+      const projection = Object.entries(m.aging_projection)
+        .map(([bucket, p]) => `${p.units} units to ${bucket}${p.first_date ? ` from ${p.first_date}` : ''}`);
+      console.log(`   Sales: ${m.units_sold} sold (${m.sales_per_day}/day), days supply: ${m.days_supply ?? 'no recent sales'}, turn rate: ${m.turn_rate}/yr`);
+      console.log(`   Aging projection: ${projection.join(', ')}`);
+    }
+    if (entry.best_offer) {
+      console.log(`   Best offer (stock ${entry.best_offer.stock_number}): ${entry.best_offer.summary}`);
+    }
+    Object.entries(entry.breakdown).forEach(([factor, detail]) => {
+      console.log(`   - ${factor}: ${detail.contribution} pts (normalized ${detail.normalized}, weight ${detail.weight})`);
+    });
+  });
+}
+
+async function showMappingProfiles(options) {
+  const filePath = options._[0];
+
+  logger.info('Inventory Column Mapping Profiles');
+  logger.info('=================================');
+
+  const profiles = await loadMappingProfiles();
+  profiles.forEach(profile => {
+    const required = Object.entries(profile.fields).filter(([, spec]) => spec.required).map(([field]) => field);
+    console.log(`\n${profile.name}: ${profile.description || ''}`);
+    console.log(`   Fields: ${Object.keys(profile.fields).join(', ')}`);
+    console.log(`   Required: ${required.join(', ') || 'none'}`);
+  });
+
+  if (!filePath) return;
+
+  const params = { file_path: filePath };
+  if (options['as-of']) params.as_of_date = options['as-of'];
+  if (options.profile) params.profile = options.profile;
+  const result = await ingest_inventory_data(params);
+
+  if (!result.success) {
+    logger.error(`Could not map ${filePath}:`, { error: result.error });
+    return;
+  }
+
+  console.log(`\n${filePath} -> ${result.mapping_profile} (${result.total_vehicles} vehicles ingested)`);
+}
+
+async function showValidationIssues(options) {
+  const filePath = options._[0] || AGENT_CONFIG.data_sources.inventory_file;
+
+  logger.info(`Inventory Validation: ${filePath}`);
+  logger.info('================================');
+
+  const params = { file_path: filePath };
+  if (options['as-of']) params.as_of_date = options['as-of'];
+  if (options.profile) params.profile = options.profile;
+  if (options.mode) params.validation_mode = options.mode;
+  const result = await ingest_inventory_data(params, { rejectsPath: options.rejects || undefined });
+
+  if (!result.success) {
+    logger.error('Inventory ingestion failed:', { error: result.error });
+    return;
+  }
+
+  const report = result.ingestion_report;
+  console.log(`Profile ${result.mapping_profile}, ${report.mode} mode: ${report.rows_accepted} of ${report.rows_read} rows accepted, ` +
+    `${report.rows_rejected} rejected, ${report.rows_coerced} coerced`);
+
+  if (result.row_issues.length > 0) {
+    console.log('\nRow issues:');
+    result.row_issues.forEach(issue => {
+      console.log(`  line ${issue.line} ${issue.stock_number || ''} ${issue.field || 'row'}="${issue.raw_value}": [${issue.action}] ${issue.reason}`);
+    });
+  }
+
+  if (result.validation_issues.length > 0) {
+    console.log('\nVIN issues:');
+    result.validation_issues.forEach(issue => {
+      console.log(`  line ${issue.line} ${issue.stock_number || ''} ${issue.vin}: [${issue.severity}] ${issue.code} - ${issue.message}`);
+    });
+  }
+
+  if (report.rejects_file) {
+    console.log(`\nRow issues written to ${report.rejects_file}`);
+  }
+}
+
+async function showInventoryDiff(options) {
+  const filePath = options.file || AGENT_CONFIG.data_sources.inventory_file;
+  const asOfDate = options['as-of'] || new Date().toISOString().slice(0, 10);
+
+  logger.info(`Inventory Changes: ${filePath}`);
+  logger.info('================================');
+
+  // Ingesting saves today's snapshot, so the diff always includes the current file; an earlier
+  // --as-of only compares the snapshots already stored, since today's file is not that day's inventory
+  const params = { file_path: filePath, as_of_date: asOfDate };
+  if (options.profile) params.profile = options.profile;
+  const ingestion = await ingest_inventory_data(params, { saveSnapshot: asOfDate === new Date().toISOString().slice(0, 10) });
+  if (!ingestion.success) {
+    logger.error('Inventory ingestion failed:', { error: ingestion.error });
+    return;
+  }
+
+  let diff;
+  try {
+    diff = await diffInventorySince(snapshotSource(filePath), { since: options.since || null, until: asOfDate });
+  } catch (error) {
+    logger.error(error.message);
+    return;
+  }
+
+  const s = diff.summary;
+  console.log(`${diff.from} -> ${diff.to}: ${s.arrivals} arrivals, ${s.departures} gone (presumed sold), ` +
+    `${s.price_changes} price changes, ${s.status_changes} status changes`);
+
+  const unit = (u) => `${u.stock_number || '-'} ${u.vin} (${u.vehicle_line})`;
+  if (diff.arrivals.length > 0) {
+    console.log('\nNew arrivals:');
+    diff.arrivals.forEach(u => console.log(`  + ${unit(u)}`));
+  }
+  if (diff.departures.length > 0) {
+    console.log('\nGone (presumed sold):');
+    diff.departures.forEach(u => console.log(`  - ${unit(u)}`));
+  }
+  if (diff.price_changes.length > 0) {
+    console.log('\nPrice changes:');
+    diff.price_changes.forEach(c => console.log(`  ${unit(c)} ${c.field}: $${c.from.toLocaleString()} -> $${c.to.toLocaleString()} (${c.change > 0 ? '+' : ''}${c.change.toLocaleString()})`));
+  }
+  if (diff.status_changes.length > 0) {
+    console.log('\nStatus changes:');
+    diff.status_changes.forEach(c => console.log(`  ${unit(c)}: ${c.from} -> ${c.to}`));
+  }
+}
+
+async function showDealerGroup(options) {
+  logger.info('Dealer Group Analysis');
+  logger.info('========================');
+
+  const result = await analyzeDealerGroup({
+    dealerIds: typeof options.dealer === 'string' ? options.dealer : null,
+    asOfDate: options['as-of'] || null
+  });
+
+  if (!result.success) {
+    logger.error('Dealer group analysis failed:', { error: result.error });
+    return;
+  }
+
+  const money = (value) => `$${value.toLocaleString()}`;
+  console.log(`As of: ${result.as_of_date}`);
+
+  result.dealers.forEach(store => {
+    console.log(`\n${store.name} [${store.id}] - ${store.region}${store.zip ? ` ${store.zip}` : ''}`);
+    console.log(`   Units: ${store.total_vehicles}, Avg days on lot: ${store.average_days_on_lot}, MSRP: ${money(store.total_msrp_value)}`);
+    console.log(`   Aging: ${Object.entries(store.by_aging).map(([bucket, count]) => `${bucket} ${count}`).join(', ')}`);
+    Object.entries(store.by_location).forEach(([location, data]) => {
+      console.log(`   ${location}: ${data.count} units, avg ${data.avg_days} days, ${money(data.total_value)}`);
+    });
+    console.log(`   Top lines: ${store.top_lines.map(line => `${line.vehicle_line} (${line.score})`).join(', ')}`);
+  });
+
+  const group = result.group;
+  console.log(`\nGroup: ${group.dealer_count} dealers, ${group.total_vehicles} units, avg ${group.average_days_on_lot} days on lot, MSRP ${money(group.total_msrp_value)}`);
+  console.log(`   Aging: ${Object.entries(group.by_aging).map(([bucket, count]) => `${bucket} ${count}`).join(', ')}`);
+  console.log(`   Top lines: ${group.top_lines.map(line => `${line.vehicle_line} @ ${line.dealer_id} (${line.score})`).join(', ')}`);
+
+  if (result.transfers.length === 0) {
+    console.log('\nNo transfer suggestions');
+    return;
+  }
+
+  console.log('\nTransfer suggestions:');
+  result.transfers.forEach(t => {
+    console.log(`  ${t.stock_number} ${t.vehicle_line} (${t.days_on_lot} days, ${t.aging_category}): ${t.from_dealer} -> ${t.to_dealer}`);
+    console.log(`     ${t.reason}; expected to sell in ~${t.to_expected_days_to_sell} days`);
+  });
+}
+
+// Look up a registry dealer for --dealer; logs and returns null when it does not exist
+async function findDealer(id) {
+  try {
+    const [dealer] = selectDealers(await loadDealerRegistry(), id);
+    return dealer;
+  } catch (error) {
+    logger.error(error.message);
+    return null;
+  }
+}
+
+// Needs manage:users once the store has a user; the first one can be added by anyone to bootstrap it
+async function manageUsers(options) {
+  const [action, target, value] = options._;
+  const label = typeof options.label === 'string' ? options.label : null;
+  const showKey = ({ key_id, api_key }) => {
+    console.log(`API key ${key_id}: ${api_key}`);
+    console.log('Store it now - only its hash is kept and it cannot be shown again.');
+  };
+
+  try {
+    if ((await listUsers()).length > 0) {
+      requirePermission(Permissions.MANAGE_USERS)(getCurrentUserContext());
+    }
+
+    switch (action) {
+      case 'add': {
+        const { user, ...issued } = await createUser(target, options.role || 'viewer', { label });
+        console.log(`Added ${user.user_id} (${user.role})`);
+        showKey(issued);
+        return;
+      }
+
+      case 'key':
+        showKey(await issueApiKey(target, { label }));
+        return;
+
+      case 'role': {
+        const user = await setUserRole(target, value);
+        console.log(`${user.user_id} is now ${user.role}`);
+        return;
+      }
+
+      case 'revoke': {
+        const revoked = await revokeApiKey(target);
+        console.log(`Revoked key ${revoked.key_id} of ${revoked.user_id}`);
+        return;
+      }
+
+      case 'rotate': {
+        const rotated = await rotateApiKey(target);
+        console.log(`Revoked key ${rotated.replaced} of ${rotated.user_id}`);
+        showKey(rotated);
+        return;
+      }
+
+      case 'list':
+      case undefined: {
+        const users = await listUsers();
+        if (users.length === 0) {
+          console.log(`No users in ${AGENT_CONFIG.auth.users_file}. Add one with: node index.js users add <user-id> --role admin`);
+          return;
+        }
+        users.forEach(user => {
+          console.log(`${user.user_id} (${user.role})`);
+          user.keys.forEach(key => {
+            const state = key.active ? 'active' : `revoked ${key.revoked_at.slice(0, 10)}`;
+            console.log(`   ${key.key_id}${key.label ? ` [${key.label}]` : ''} created ${key.created_at.slice(0, 10)}, ${state}`);
+          });
+        });
+        return;
+      }
+
+      default:
+        logger.error(`Unknown users action: ${action} (add, key, role, revoke, rotate, list)`);
+    }
+  } catch (error) {
+    logger.error(error.message);
+  }
+}
+
+async function showAuditTrail(options) {
+  const [action = 'query'] = options._;
+
+  if (action === 'verify') {
+    const result = await verifyAuditTrail();
+    if (result.valid) {
+      console.log(`Audit trail intact: ${result.entries} entries in ${AGENT_CONFIG.audit.file}`);
+      console.log(`Last hash: ${result.last_hash} (compare with the one from the previous review to catch removed entries)`);
+    } else {
+      const { line, seq, reason } = result.error;
+      logger.error(`Audit trail tampered at line ${line}${seq ? ` (seq ${seq})` : ''}: ${reason}`);
+      console.log(`${result.entries} entries verified before it; last good hash ${result.last_hash}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (action !== 'query') {
+    logger.error(`Unknown audit action: ${action} (verify, query)`);
+    return;
+  }
+
+  const text = (value) => (typeof value === 'string' ? value : null);
+  const entries = await queryAuditTrail({
+    user: text(options.user),
+    action: text(options.action),
+    since: text(options.since),
+    until: text(options.until)
+  });
+
+  if (entries.length === 0) {
+    console.log('No matching audit entries');
+    return;
+  }
+
+  entries.forEach(entry => {
+    const who = entry.user ? `${entry.user.user_id} (${entry.user.role})` : '-';
+    const d = entry.details;
+    console.log(`#${entry.seq} ${entry.timestamp} ${who} ${entry.action}` +
+      (d.status !== undefined ? ` -> ${d.status}` : '') +
+      (d.args?.length ? ` ${d.args.join(' ')}` : ''));
+    if (entry.action === 'analysis') {
+      d.inputs.forEach(input => console.log(`   in  ${input.kind}: ${input.path} sha256:${input.sha256 ?? 'missing'}`));
+      console.log(`   out ${d.recommendations.map(rec => rec.vehicle_line).join(', ')}`);
+      console.log(`   out report: ${d.report.file_path} sha256:${d.report.sha256}`);
+    }
+  });
+  console.log(`\n${entries.length} entries`);
+}
+
+// What this run's tool and agent calls cost, and which ones exceeded PerformanceThresholds
+function showRunSummary() {
+  const { operations, threshold_breaches: breaches } = getRunSummary();
+  const usage = getRunUsage();
+  if (operations.length === 0 && breaches.length === 0 && usage.calls === 0) return;
+
+  console.log('\n📊 Run Summary:');
+  operations.forEach(op => {
+    const categories = Object.entries(op.error_categories).map(([category, count]) => `${category} ${count}`);
+    console.log(`  ${op.operation}: ${op.calls} call${op.calls === 1 ? '' : 's'}, ${op.duration_ms} ms` +
+      (op.rows > 0 ? `, ${op.rows} rows` : '') +
+      (op.failures > 0 ? `, ${op.failures} failed (${categories.join(', ')})` : ''));
+  });
+  if (usage.calls > 0) {
+    console.log(`  LLM: ${usage.calls} call${usage.calls === 1 ? '' : 's'}, ${usage.prompt_tokens.toLocaleString()} prompt + ` +
+      `${usage.completion_tokens.toLocaleString()} completion tokens, $${usage.cost_usd.toFixed(4)}`);
+  }
+  breaches.forEach(breach => {
+    console.log(`  ⚠️  ${breach.level.toUpperCase()}: ${breach.metric} took ${breach.value} ms (threshold ${breach.threshold} ms)`);
+  });
+}
+
+async function showSpend(options) {
+  const text = (value) => (typeof value === 'string' ? value : null);
+  const groupBy = text(options.by) || 'month';
+
+  try {
+    const { groups, total } = await summarizeSpend({
+      since: text(options.since),
+      until: text(options.until),
+      user: text(options.user),
+      groupBy
+    });
+
+    if (groups.length === 0) {
+      console.log(`No LLM usage recorded in ${AGENT_CONFIG.usage.ledger_file}`);
+      return;
+    }
+
+    console.log(`LLM spend by ${groupBy}:`);
+    groups.forEach(group => {
+      console.log(`  ${group.key}: $${group.cost_usd.toFixed(4)} - ${group.calls} call${group.calls === 1 ? '' : 's'}, ` +
+        `${group.prompt_tokens.toLocaleString()} prompt + ${group.completion_tokens.toLocaleString()} completion tokens`);
+    });
+    console.log(`Total: $${total.cost_usd.toFixed(4)} (${total.calls} call${total.calls === 1 ? '' : 's'}, ${total.total_tokens.toLocaleString()} tokens)`);
+
+    const { daily_usd: daily, per_run_usd: perRun } = AGENT_CONFIG.usage.budgets;
+    if (daily != null || perRun != null) {
+      console.log(`Budgets: ${daily != null ? `$${daily}/day` : 'no daily limit'}, ${perRun != null ? `$${perRun}/run` : 'no per-run limit'}`);
+    }
+  } catch (error) {
+    logger.error(error.message);
+  }
+}
+
+async function manageCache(options) {
+  const [action, cache = null] = options._;
+
+  try {
+    if (action === 'clear') {
+      const removed = await clearCache(cache);
+      console.log(`Removed ${removed} cached ${cache ?? 'tool and LLM'} entr${removed === 1 ? 'y' : 'ies'} from ${AGENT_CONFIG.cache.directory}`);
+      return;
+    }
+    if (action !== undefined) {
+      logger.error(`Unknown cache action: ${action} (clear [tools|llm])`);
+      return;
+    }
+
+    const { tools, llm } = AGENT_CONFIG.cache;
+    console.log(`Cache directory: ${AGENT_CONFIG.cache.directory}`);
+    (await describeCache()).forEach(row => {
+      const settings = row.cache === 'tools' ? tools : llm;
+      const state = settings.enabled ? `on, ${formatDuration(settings.ttl_ms)} TTL` : 'off';
+      console.log(`  ${row.cache} (${state}): ${row.entries} entr${row.entries === 1 ? 'y' : 'ies'}, ${row.expired} expired, ${(row.bytes / 1024).toFixed(1)} KB`);
+    });
+  } catch (error) {
+    logger.error(error.message);
+  }
+}
+
+function formatDuration(ms) {
+  if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  return `${ms / 1000}s`;
+}
+
+function showMetrics(options) {
+  const [action] = options._;
+
+  if (action === 'reset') {
+    resetMetrics();
+    console.log(AGENT_CONFIG.metrics.persist ? `Metrics cleared in ${AGENT_CONFIG.metrics.snapshot_file}` : 'Metrics cleared');
+    return;
+  }
+  if (action !== undefined) {
+    logger.error(`Unknown metrics action: ${action} (reset)`);
+    return;
+  }
+  if (options.format === 'prometheus') {
+    process.stdout.write(formatPrometheus());
+    return;
+  }
+
+  const summary = getSummary();
+  const counters = Object.entries(summary.counters);
+  const gauges = Object.entries(summary.gauges);
+  const histograms = Object.entries(summary.histograms);
+
+  if (counters.length + gauges.length + histograms.length === 0) {
+    console.log('No metrics recorded yet');
+    return;
+  }
+
+  if (counters.length > 0) {
+    console.log('Counters:');
+    counters.forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+  }
+  if (gauges.length > 0) {
+    console.log('Gauges:');
+    gauges.forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+  }
+  if (histograms.length > 0) {
+    console.log('Timings (ms):');
+    histograms.forEach(([name, h]) => {
+      console.log(`  ${name}: count ${h.count}, min ${h.min}, avg ${Math.round(h.avg)}, max ${h.max}, p50 ${h.p50}, p95 ${h.p95}, p99 ${h.p99}`);
+    });
+  }
+  if (summary.errors.total > 0) {
+    const byCategory = Object.entries(summary.errors.by_category).map(([category, count]) => `${category} ${count}`);
+    console.log(`Errors: ${summary.errors.total}${byCategory.length ? ` (${byCategory.join(', ')})` : ''}`);
+  }
+}
+
+function showCurrentUser() {
+  const user = getCurrentUserContext();
+  console.log(`${user.userId} (${user.role})${user.keyId ? ` via key ${user.keyId}` : ' - no API key, using access_control.cli_role'}`);
+  console.log(`Permissions: ${Array.from(user.permissions).join(', ')}`);
+}
+
+async function showEligibility(options) {
+  const vehicleId = options._[0];
+
+  if (!vehicleId) {
+    logger.error('Usage: node index.js eligibility <stock#|VIN> [--as-of YYYY-MM-DD] [--region name]');
+    return;
+  }
+
+  logger.info(`Incentive Eligibility for ${vehicleId}`);
+  logger.info('================================');
+
+  const params = { vehicle_id: vehicleId, as_of_date: options['as-of'] || null };
+  if (options.region) params.region = options.region;
+
+  const result = await match_incentive_eligibility(params);
+
+  if (!result.success) {
+    logger.error('Failed to match incentives:', { error: result.error });
+    return;
+  }
+
+  const [match] = result.matches;
+  console.log(`${match.vehicle_line} ${match.trim || ''} (Stock ${match.stock_number}, VIN ${match.vin})`);
+  console.log(`Dealer region: ${result.region}`);
+
+  console.log(`\nEligible programs (${match.eligible.length}, total $${match.total_eligible_value.toLocaleString()}):`);
+  match.eligible.forEach(program => {
+    console.log(`  ✓ ${program.program_name} [${program.incentive_id}] $${program.value} - ${program.reasons.join('; ')}`);
+  });
+
+  console.log(`\nPrograms that do not apply (${match.ineligible.length}):`);
+  match.ineligible.forEach(program => {
+    console.log(`  ✗ ${program.program_name} [${program.incentive_id}] - ${program.reasons.join('; ')}`);
+  });
+}
+
+async function showBestDeal(options) {
+  const vehicleId = options._[0];
+
+  if (!vehicleId) {
+    logger.error('Usage: node index.js deal <stock#|VIN> [--customer-type type] [--as-of YYYY-MM-DD] [--region name]');
+    return;
+  }
+
+  logger.info(`Best Deal for ${vehicleId}`);
+  logger.info('================================');
+
+  const params = {
+    vehicle_id: vehicleId,
+    customer_type: options['customer-type'] || 'All',
+    as_of_date: options['as-of'] || null
+  };
+  if (options.region) params.region = options.region;
+
+  const result = await calculate_best_deal(params);
+
+  if (!result.success) {
+    logger.error('Failed to calculate deal:', { error: result.error });
+    return;
+  }
+
+  console.log(`${result.vehicle_line} (Stock ${result.stock_number}, MSRP $${result.msrp.toLocaleString()}) - customer type: ${result.customer_type}`);
+  console.log(`\nBest offer: ${result.best_offer_summary}`);
+
+  if (result.combinations.length > 0) {
+    console.log('\nAll valid combinations:');
+    result.combinations.forEach(combo => {
+      console.log(`  ${combo.label}: $${combo.customer_savings.toLocaleString()} customer savings, $${combo.dealer_cash.toLocaleString()} dealer cash [${combo.incentive_ids.join(', ')}]`);
+    });
+  }
+
+  result.excluded.forEach(item => {
+    console.log(`  ✗ ${item.incentive_id}: ${item.reason}`);
+  });
+}
+
+async function showPayments(options) {
+  const vehicleId = options._[0];
+
+  if (!vehicleId) {
+    logger.error('Usage: node index.js payments <stock#|VIN> [--down 3000] [--term 72] [--apr 6.9] [--customer-type type] [--as-of YYYY-MM-DD] [--region name]');
+    return;
+  }
+
+  logger.info(`Payment Options for ${vehicleId}`);
+  logger.info('================================');
+
+  const params = {
+    vehicle_id: vehicleId,
+    customer_type: options['customer-type'] || 'All',
+    down_payment: options.down,
+    term_months: options.term,
+    standard_apr: options.apr,
+    as_of_date: options['as-of'] || null
+  };
+  if (options.region) params.region = options.region;
+
+  const result = await calculate_payments(params);
+
+  if (!result.success) {
+    logger.error('Failed to calculate payments:', { error: result.error });
+    return;
+  }
+
+  const a = result.assumptions;
+  console.log(`${result.vehicle_line} (Stock ${result.stock_number}) - selling price $${result.selling_price.toLocaleString()}`);
+  console.log(`Assumptions: $${a.down_payment.toLocaleString()} down, ${a.term_months} mo finance at ${a.standard_apr}% standard APR, ` +
+    `${a.lease_term_months} mo lease at ${a.residual_percent}% residual, ${(a.tax_rate * 100).toFixed(2)}% tax\n`);
+
+  result.options.forEach(option => {
+    const p = option.payment;
+    console.log(`  ${option.label} (${option.payment_type}): $${p.monthly_payment.toLocaleString()}/mo x ${p.term_months}, total cost $${p.total_cost.toLocaleString()}`);
+  });
+
+  result.apr_vs_cash.forEach(item => {
+    console.log(`\n${item.special_label} vs ${item.cash_label}: $${item.monthly_savings.toLocaleString()}/mo, ` +
+      `$${item.total_savings.toLocaleString()} over the term -> ${item.recommended}`);
+  });
+}
+
 async function runCustomQuery(agent, query) {
   logger.info(`Processing query: "${query}"`);
   logger.info('================================');
@@ -194,8 +1011,11 @@ async function runCustomQuery(agent, query) {
     console.log('\n📝 Response:');
     console.log(result.response);
     
-    if (result.usage) {
-      console.log(`\n📊 Token Usage: ${result.usage.total_tokens} tokens`);
+    if (result.cached) {
+      console.log('\n📊 Cached response (no tokens used; --no-cache asks again)');
+    } else if (result.usage) {
+      console.log(`\n📊 Token Usage: ${result.usage.total_tokens} tokens` +
+        (result.cost_usd != null ? ` ($${result.cost_usd.toFixed(4)})` : ''));
     }
   } else {
     console.error('❌ Query failed:', result.error);
@@ -205,15 +1025,34 @@ async function runCustomQuery(agent, query) {
 function showHelp() {
   logger.info('PromoPilot AI Commands');
   logger.info('=========================');
-  logger.info('node index.js analyze     - Run full promotional analysis');
+  logger.info('node index.js analyze     - Run full promotional analysis (--as-of YYYY-MM-DD, --format json|html|markdown, --dealer id)');
   logger.info('node index.js inventory   - Show inventory summary');
   logger.info('node index.js incentives  - Show incentive summary');
+  logger.info('node index.js rank        - Rank vehicle lines offline (--limit N, --as-of YYYY-MM-DD, --dealer id)');
+  logger.info('node index.js eligibility <stock#|VIN> - Show incentive programs a unit qualifies for');
+  logger.info('node index.js deal <stock#|VIN> - Show incentive stacks and the best offer (--customer-type)');
+  logger.info('node index.js payments <stock#|VIN> - Compare finance and lease payments (--down, --term, --apr, --region)');
+  logger.info('node index.js profiles [file] - List column mapping profiles and show which one fits a CSV (--profile name)');
+  logger.info('node index.js validate [file] - Report rejected and coerced rows and VIN issues (--mode strict|lenient, --rejects file.csv, --profile name)');
+  logger.info('node index.js inventory-diff - Arrivals, sold units, price and status changes since the last snapshot (--since YYYY-MM-DD, --file path, --as-of)');
+  logger.info('node index.js group       - Per-dealer and group-wide inventory with transfer suggestions (--dealer id,id, --as-of)');
+  logger.info('node index.js serve       - Start the HTTP API for the dealership portal (--port 3000, --host 127.0.0.1)');
+  logger.info('node index.js users [list|add <id> --role r|key <id>|role <id> <role>|revoke <key-id>|rotate <key-id>] - Manage users and API keys (--label text)');
+  logger.info('node index.js whoami      - Show the user and permissions commands run as');
+  logger.info('node index.js audit verify - Check the audit trail hash chain for tampering');
+  logger.info('node index.js audit query - Search the audit trail (--user id, --since, --until YYYY-MM-DD, --action "analysis" or "cli *")');
+  logger.info('node index.js metrics     - Show counters, gauges and timing percentiles kept across runs (--format prometheus, metrics reset)');
+  logger.info('node index.js usage       - LLM tokens and spend from the ledger (--by month|day|user|command|model, --since, --until, --user id)');
+  logger.info('node index.js cache       - Show cached tool results and LLM responses (cache clear [tools|llm])');
+  logger.info('\nEvery command accepts --api-key <key> (or PROMOPILOT_API_KEY); without one it runs with access_control.cli_role');
+  logger.info('and --no-cache, which re-reads every file and calls the LLM instead of reusing cached results');
   logger.info('node index.js status      - Show agent status');
   logger.info('node index.js help        - Show this help');
   logger.info('node index.js "query"     - Ask a custom question');
   logger.info('\nExamples:');
   logger.info('node index.js "What vehicles should I promote this week?"');
   logger.info('node index.js "Which models have the highest aging?"');
+  logger.info('LLM_PROVIDER=mock node index.js analyze  (offline, scripted provider)');
 }
 
 // Run the application
@@ -0,0 +1,407 @@
+/**
+ * Claim Verifier
+ * Checks the numbers and incentive IDs in recommendations against the source data
+ */
+
+import { evaluateIncentiveEligibility } from './incentive-eligibility.js';
+import { calculateBestDeals, summarizeOffer } from './incentive-stacking.js';
+import { comparePaymentOptions } from './payment-calculator.js';
+
+export const ClaimStatus = {
+  VERIFIED: 'verified',
+  CORRECTED: 'corrected',
+  UNVERIFIED: 'unverified'
+};
+
+// Free-text patterns worth checking: dollar amounts, day counts and unit counts
+const TEXT_PATTERNS = [
+  { type: 'dollars', regex: /\$\s?(\d[\d,]*(?:\.\d+)?)/g },
+  { type: 'days', regex: /(\d[\d,]*)\s+days?\b/gi },
+  { type: 'units', regex: /(\d[\d,]*)\s+(?:units?|vehicles?)\b/gi }
+];
+
+const DOLLAR_TOLERANCE = 1;
+const DAY_TOLERANCE = 1;
+
+// Assumptions a stated payment comparison can carry forward into the recomputed one
+const PAYMENT_ASSUMPTION_KEYS = [
+  'standard_apr',
+  'term_months',
+  'down_payment',
+  'tax_rate',
+  'fees',
+  'lease_term_months',
+  'residual_percent',
+  'acquisition_fee'
+];
+
+/**
+ * Verify every recommendation's metrics, cited incentives and free-text numbers
+ *
+ * Structured fields (key_metrics, incentive_ids, best_offer, payment_comparison)
+ * are corrected in place when `autoCorrect` is on; numbers inside rationale and
+ * promotional_approach can only be flagged. Best offers and payments are
+ * recomputed from the inventory and incentives rather than taken from the
+ * recommendation, so a figure the model made up is never treated as known.
+ *
+ * @param {Array<Object>} recommendations - Validated recommendations
+ * @param {Object} sources - Source data to check against
+ * @param {Object} sources.inventorySummary - `summary` from ingest_inventory_data
+ * @param {Array<Object>} [sources.inventory=[]] - Vehicles from ingest_inventory_data (per-unit days and MSRP)
+ * @param {Array<Object>} [sources.incentives=[]] - Active incentives from fetch_incentive_data
+ * @param {Object} [options={}] - Verification options
+ * @param {boolean} [options.autoCorrect=true] - Replace wrong metrics and quotes and drop unknown incentive IDs
+ * @param {string} [options.region] - Dealer region used to check incentive eligibility when recomputing quotes
+ * @param {string} [options.asOfDate] - Sale date (YYYY-MM-DD) used to check program windows when recomputing quotes
+ * @returns {Object} Corrected recommendations, every checked claim and a verified / corrected / unverified count
+ * @example
+ * const { recommendations, claims, summary } = verifyRecommendations(recs, {
+ *   inventorySummary: inventory.summary, inventory: inventory.data, incentives: incentives.data
+ * });
+ */
+export function verifyRecommendations(recommendations, sources, options = {}) {
+  const { autoCorrect = true, region, asOfDate } = options;
+  const { inventorySummary, inventory = [], incentives = [] } = sources;
+  const incentivesById = new Map(incentives.map(incentive => [incentive.id, incentive]));
+  const claims = [];
+
+  const verified = recommendations.map(rec => {
+    const line = rec.vehicle_line;
+    const lineData = inventorySummary?.vehicle_lines?.[line];
+    const lineIncentives = incentives.filter(incentive => incentive.vehicle_line === line);
+    const lineVehicles = inventory.filter(vehicle => vehicle.vehicle_line === line);
+    const recClaims = [];
+    const addClaim = (claim) => recClaims.push({ vehicle_line: line, ...claim });
+
+    if (!lineData) {
+      addClaim({
+        field: 'vehicle_line',
+        stated: line,
+        actual: null,
+        status: ClaimStatus.UNVERIFIED,
+        note: 'Vehicle line is not in the current inventory'
+      });
+    }
+
+    const keyMetrics = { ...rec.key_metrics };
+    if (lineData) {
+      const expected = {
+        inventory_count: { actual: lineData.count, tolerance: 0 },
+        avg_days_on_lot: { actual: lineData.avg_days, tolerance: DAY_TOLERANCE },
+        best_incentive_value: { actual: bestIncentiveValue(lineIncentives), tolerance: DOLLAR_TOLERANCE }
+      };
+
+      Object.entries(expected).forEach(([field, { actual, tolerance }]) => {
+        if (!(field in keyMetrics)) return;
+        const stated = keyMetrics[field];
+        const matches = typeof stated === 'number' && Math.abs(stated - actual) <= tolerance;
+
+        if (matches) {
+          addClaim({ field: `key_metrics.${field}`, stated, actual, status: ClaimStatus.VERIFIED });
+        } else {
+          if (autoCorrect) keyMetrics[field] = actual;
+          addClaim({
+            field: `key_metrics.${field}`,
+            stated,
+            actual,
+            status: autoCorrect ? ClaimStatus.CORRECTED : ClaimStatus.UNVERIFIED,
+            note: `Source data shows ${actual}`
+          });
+        }
+      });
+    }
+
+    const incentiveIds = [];
+    (rec.incentive_ids || []).forEach(id => {
+      const incentive = incentivesById.get(id);
+      if (incentive && incentive.vehicle_line === line) {
+        incentiveIds.push(id);
+        addClaim({ field: 'incentive_ids', stated: id, actual: id, status: ClaimStatus.VERIFIED });
+        return;
+      }
+
+      if (!autoCorrect) incentiveIds.push(id);
+      addClaim({
+        field: 'incentive_ids',
+        stated: id,
+        actual: null,
+        status: autoCorrect ? ClaimStatus.CORRECTED : ClaimStatus.UNVERIFIED,
+        note: incentive
+          ? `Program applies to ${incentive.vehicle_line}, not ${line}${autoCorrect ? '; removed' : ''}`
+          : `No active incentive program with this ID${autoCorrect ? '; removed' : ''}`
+      });
+    });
+
+    const quotes = recomputeQuotes(rec, lineVehicles, lineIncentives, { region, asOfDate });
+
+    let bestOffer = rec.best_offer;
+    if (bestOffer && typeof bestOffer === 'object') {
+      const claim = checkBestOffer(bestOffer, quotes, autoCorrect);
+      if (claim.status === ClaimStatus.CORRECTED) bestOffer = quotes.offer;
+      addClaim(claim);
+    }
+
+    let paymentComparison = rec.payment_comparison;
+    if (paymentComparison && typeof paymentComparison === 'object') {
+      const claim = checkPaymentComparison(paymentComparison, quotes, autoCorrect);
+      if (claim.status === ClaimStatus.CORRECTED) paymentComparison = quotes.payments;
+      addClaim(claim);
+    }
+
+    const known = knownValues(quotes, lineData, lineIncentives, lineVehicles);
+    ['rationale', 'promotional_approach'].forEach(field => {
+      extractTextClaims(rec[field]).forEach(({ type, text, value }) => {
+        const { values, tolerance } = known[type];
+        const matches = values.some(candidate => Math.abs(candidate - value) <= tolerance);
+        addClaim(matches
+          ? { field, stated: text, actual: value, status: ClaimStatus.VERIFIED }
+          : {
+            field,
+            stated: text,
+            actual: null,
+            status: ClaimStatus.UNVERIFIED,
+            note: `No ${type} figure of ${value} found in the source data for ${line}`
+          });
+      });
+    });
+
+    claims.push(...recClaims);
+
+    return {
+      ...rec,
+      key_metrics: keyMetrics,
+      incentive_ids: incentiveIds,
+      best_offer: bestOffer,
+      payment_comparison: paymentComparison,
+      verification_status: overallStatus(recClaims)
+    };
+  });
+
+  return {
+    recommendations: verified,
+    claims,
+    summary: {
+      total_claims: claims.length,
+      verified: claims.filter(claim => claim.status === ClaimStatus.VERIFIED).length,
+      corrected: claims.filter(claim => claim.status === ClaimStatus.CORRECTED).length,
+      unverified: claims.filter(claim => claim.status === ClaimStatus.UNVERIFIED).length
+    }
+  };
+}
+
+/**
+ * Pull dollar amounts, day counts and unit counts out of free text
+ * @param {string} text - Text to scan
+ * @returns {Array<{type: string, text: string, value: number}>} Claims in order of appearance
+ * @example
+ * extractTextClaims('3 units averaging 137 days with $3,000 dealer cash');
+ * // [{ type: 'dollars', text: '$3,000', value: 3000 }, { type: 'days', ... }, { type: 'units', ... }]
+ */
+export function extractTextClaims(text) {
+  if (typeof text !== 'string') return [];
+
+  return TEXT_PATTERNS.flatMap(({ type, regex }) =>
+    [...text.matchAll(regex)].map(match => ({
+      type,
+      text: match[0].trim(),
+      value: Number(match[1].replace(/,/g, ''))
+    }))
+  );
+}
+
+// Same rule as the promotion scorer: all stackable programs together, or the best single program
+function bestIncentiveValue(lineIncentives) {
+  const stackableTotal = lineIncentives.filter(inc => inc.stackable).reduce((sum, inc) => sum + inc.value, 0);
+  const bestSingle = Math.max(0, ...lineIncentives.filter(inc => !inc.stackable).map(inc => inc.value));
+  return Math.max(stackableTotal, bestSingle);
+}
+
+// Recompute the deal and payments for the unit a recommendation quotes (the oldest unit when it names none)
+function recomputeQuotes(rec, lineVehicles, lineIncentives, { region, asOfDate }) {
+  const dealFor = (vehicle, customerType) => {
+    const eligible = lineIncentives.filter(incentive =>
+      evaluateIncentiveEligibility(vehicle, incentive, { asOfDate: asOfDate || undefined, region }).eligible
+    );
+    return calculateBestDeals(vehicle, eligible, { customerType });
+  };
+
+  const offerUnit = findUnit(lineVehicles, rec.best_offer);
+  const deal = offerUnit ? dealFor(offerUnit, rec.best_offer?.customer_type) : null;
+
+  const comparison = rec.payment_comparison;
+  const paymentUnit = findUnit(lineVehicles, comparison) || offerUnit;
+  let payments = null;
+  let paymentError = null;
+  if (paymentUnit) {
+    const customerType = comparison?.customer_type;
+    const paymentDeal = paymentUnit === offerUnit && customerType === rec.best_offer?.customer_type
+      ? deal
+      : dealFor(paymentUnit, customerType);
+    try {
+      payments = {
+        ...comparePaymentOptions(paymentUnit, paymentDeal.combinations, statedAssumptions(comparison)),
+        vehicle_line: paymentUnit.vehicle_line,
+        msrp: paymentUnit.msrp,
+        customer_type: paymentDeal.customer_type
+      };
+    } catch (error) {
+      paymentError = error.message;
+    }
+  }
+
+  return {
+    offerUnit,
+    offer: deal ? summarizeOffer(offerUnit, deal.best_offer) : null,
+    combinations: deal ? deal.combinations : [],
+    payments,
+    paymentError
+  };
+}
+
+// The unit a quote names by stock number or VIN, otherwise the oldest unit, as the promotion scorer quotes it
+function findUnit(lineVehicles, quote) {
+  const named = quote && typeof quote === 'object'
+    ? lineVehicles.find(vehicle =>
+      (quote.stock_number != null && vehicle.stock_number === quote.stock_number) ||
+      (quote.vin != null && vehicle.vin === quote.vin))
+    : null;
+  if (named) return named;
+
+  return [...lineVehicles]
+    .sort((a, b) => b.days_on_lot - a.days_on_lot || String(a.stock_number).localeCompare(String(b.stock_number)))[0] || null;
+}
+
+// Selling price and payment assumptions are inputs to the quote, not claims about the data, so they carry forward
+function statedAssumptions(comparison) {
+  if (!comparison || typeof comparison !== 'object') return {};
+
+  const stated = comparison.assumptions || {};
+  const assumptions = Object.fromEntries(
+    PAYMENT_ASSUMPTION_KEYS.filter(key => Number.isFinite(stated[key])).map(key => [key, stated[key]])
+  );
+  if (Number.isFinite(comparison.selling_price)) assumptions.selling_price = comparison.selling_price;
+  return assumptions;
+}
+
+function checkBestOffer(stated, quotes, autoCorrect) {
+  const base = { field: 'best_offer', stated: stated.customer_savings ?? null };
+
+  if (!quotes.offerUnit) {
+    return { ...base, actual: null, status: ClaimStatus.UNVERIFIED, note: 'No units of this line in the source inventory to quote' };
+  }
+
+  const actual = quotes.offer;
+  const matches = actual &&
+    withinTolerance(stated.customer_savings, actual.customer_savings, DOLLAR_TOLERANCE) &&
+    withinTolerance(stated.dealer_cash, actual.dealer_cash, DOLLAR_TOLERANCE) &&
+    sameIds(stated.incentive_ids, actual.incentive_ids);
+
+  if (matches) {
+    return { ...base, actual: actual.customer_savings, status: ClaimStatus.VERIFIED };
+  }
+
+  return {
+    ...base,
+    actual: actual ? actual.customer_savings : null,
+    status: autoCorrect ? ClaimStatus.CORRECTED : ClaimStatus.UNVERIFIED,
+    note: actual
+      ? `Recomputed best offer for stock ${actual.stock_number} is ${actual.summary}`
+      : `No eligible incentives for stock ${quotes.offerUnit.stock_number}`
+  };
+}
+
+function checkPaymentComparison(stated, quotes, autoCorrect) {
+  const base = { field: 'payment_comparison', stated: stated.stock_number ?? stated.vin ?? null };
+  const actual = quotes.payments;
+
+  if (!actual) {
+    return {
+      ...base,
+      actual: null,
+      status: ClaimStatus.UNVERIFIED,
+      note: quotes.paymentError
+        ? `Could not recompute payments: ${quotes.paymentError}`
+        : 'No units of this line in the source inventory to quote'
+    };
+  }
+
+  const optionsByLabel = new Map(actual.options.map(option => [option.label, option]));
+  const aprVsCashByLabel = new Map(actual.apr_vs_cash.map(item => [item.special_label, item]));
+  const mismatches = [
+    ...(stated.options || []).flatMap(option => {
+      const recomputed = optionsByLabel.get(option.label);
+      return ['monthly_payment', 'total_cost']
+        .filter(key => !recomputed || !withinTolerance(option.payment?.[key], recomputed.payment[key], DOLLAR_TOLERANCE))
+        .map(key => `${option.label} ${key}`);
+    }),
+    ...(stated.apr_vs_cash || []).flatMap(item => {
+      const recomputed = aprVsCashByLabel.get(item.special_label);
+      return ['monthly_savings', 'total_savings']
+        .filter(key => !recomputed || !withinTolerance(item[key], recomputed[key], DOLLAR_TOLERANCE))
+        .map(key => `${item.special_label} ${key}`);
+    })
+  ];
+
+  if (mismatches.length === 0) {
+    return { ...base, actual: actual.stock_number, status: ClaimStatus.VERIFIED };
+  }
+
+  return {
+    ...base,
+    actual: actual.stock_number,
+    status: autoCorrect ? ClaimStatus.CORRECTED : ClaimStatus.UNVERIFIED,
+    note: `Recomputed payments for stock ${actual.stock_number} differ on ${mismatches.join(', ')}` +
+      (autoCorrect ? '; replaced with the recomputed comparison' : '')
+  };
+}
+
+function withinTolerance(stated, actual, tolerance) {
+  return typeof stated === 'number' && Math.abs(stated - actual) <= tolerance;
+}
+
+function sameIds(stated, actual) {
+  if (!Array.isArray(stated)) return false;
+  return stated.length === actual.length && actual.every(id => stated.includes(id));
+}
+
+// Every figure a recommendation could legitimately quote for its line: source data and recomputed quotes only
+function knownValues(quotes, lineData, lineIncentives, lineVehicles) {
+  const dollars = [
+    ...lineIncentives.map(inc => inc.value),
+    bestIncentiveValue(lineIncentives),
+    ...lineVehicles.flatMap(vehicle => [vehicle.msrp, vehicle.invoice]),
+    ...quotes.combinations.flatMap(combo => [combo.customer_savings, combo.dealer_cash]),
+    ...(quotes.payments?.options || []).flatMap(option => [option.payment.monthly_payment, option.payment.total_cost]),
+    ...(quotes.payments?.apr_vs_cash || []).flatMap(item => [item.monthly_savings, item.total_savings])
+  ];
+
+  if (lineData) {
+    dollars.push(lineData.total_value, lineData.count > 0 ? lineData.total_value / lineData.count : 0);
+  }
+
+  return {
+    dollars: { values: dollars.filter(Number.isFinite), tolerance: DOLLAR_TOLERANCE },
+    days: {
+      values: [
+        lineData?.avg_days,
+        lineData?.days_supply,
+        ...lineVehicles.map(vehicle => vehicle.days_on_lot),
+        ...lineIncentives.map(inc => inc.days_remaining)
+      ].filter(Number.isFinite),
+      tolerance: DAY_TOLERANCE
+    },
+    units: { values: [lineData?.count].filter(Number.isFinite), tolerance: 0 }
+  };
+}
+
+function overallStatus(claims) {
+  if (claims.some(claim => claim.status === ClaimStatus.UNVERIFIED)) return ClaimStatus.UNVERIFIED;
+  if (claims.some(claim => claim.status === ClaimStatus.CORRECTED)) return ClaimStatus.CORRECTED;
+  return ClaimStatus.VERIFIED;
+}
+
+export default {
+  verifyRecommendations,
+  extractTextClaims,
+  ClaimStatus
+};
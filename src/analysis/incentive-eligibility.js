@@ -0,0 +1,214 @@
+/**
+ * Incentive Eligibility
+ * Matches individual stock units against OEM incentive program rules
+ */
+
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { formatVehicleLine } from '../utils/common-utils.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../../tools/incentive-fetcher.js';
+
+const NATIONAL_REGION = 'national';
+const ALL_TRIMS = 'all';
+
+/**
+ * Check a single incentive program against a single vehicle
+ * @param {Object} vehicle - Vehicle from ingest_inventory_data
+ * @param {Object} incentive - Incentive from fetch_incentive_data
+ * @param {Object} [options={}] - Matching options
+ * @param {string} [options.region] - Dealer region; national programs always apply
+ * @param {string|Date} [options.asOfDate] - Sale date to check the program window against (defaults to today)
+ * @returns {{eligible: boolean, reasons: Array<string>}} Result with every failed rule, or the matched rules when eligible
+ * @example
+ * evaluateIncentiveEligibility(vehicle, incentive, { region: 'Central', asOfDate: '2024-11-20' });
+ */
+export function evaluateIncentiveEligibility(vehicle, incentive, options = {}) {
+  const region = options.region ?? AGENT_CONFIG.dealership.region;
+  const asOfDay = toDay(options.asOfDate || new Date());
+  const failures = [];
+
+  if (incentive.year && Number(incentive.year) !== Number(vehicle.year)) {
+    failures.push(`Model year ${vehicle.year} does not match program year ${incentive.year}`);
+  }
+
+  if (incentive.make && !sameText(incentive.make, vehicle.make)) {
+    failures.push(`Make ${vehicle.make} does not match program make ${incentive.make}`);
+  }
+
+  if (incentive.model && !sameText(incentive.model, vehicle.model)) {
+    failures.push(`Model ${vehicle.model} does not match program model ${incentive.model}`);
+  }
+
+  const trims = toList(incentive.trim);
+  if (trims.length > 0 && !trims.some(trim => trim.toLowerCase() === ALL_TRIMS) &&
+      !trims.some(trim => sameText(trim, vehicle.trim))) {
+    failures.push(`Trim ${vehicle.trim} is not one of the program trims (${trims.join(', ')})`);
+  }
+
+  const regions = toList(incentive.region);
+  if (regions.length > 0 && !regions.some(r => r.toLowerCase() === NATIONAL_REGION) &&
+      !regions.some(r => sameText(r, region))) {
+    failures.push(`Program region ${regions.join(', ')} does not include dealer region ${region || 'unknown'}`);
+  }
+
+  const startDay = toDay(incentive.start_date);
+  const endDay = toDay(incentive.end_date);
+  if (startDay && asOfDay < startDay) {
+    failures.push(`Program does not start until ${startDay}`);
+  }
+  if (endDay && asOfDay > endDay) {
+    failures.push(`Program ended on ${endDay}`);
+  }
+
+  if (failures.length > 0) {
+    return { eligible: false, reasons: failures };
+  }
+
+  const trimText = trims.length === 0 || trims.some(t => t.toLowerCase() === ALL_TRIMS) ? 'all trims' : `trim ${vehicle.trim}`;
+  const regionText = regions.length === 0 ? 'National' : regions.join(', ');
+  return {
+    eligible: true,
+    reasons: [
+      `Matches ${formatVehicleLine(vehicle.year, vehicle.make, vehicle.model)} (${trimText})`,
+      `${regionText} program valid ${startDay || 'now'} to ${endDay || 'open-ended'}`
+    ]
+  };
+}
+
+/**
+ * Split incentives into eligible and ineligible programs for one vehicle
+ * @param {Object} vehicle - Vehicle from ingest_inventory_data
+ * @param {Array<Object>} incentives - Incentives from fetch_incentive_data
+ * @param {Object} [options={}] - Options passed to evaluateIncentiveEligibility
+ * @returns {Object} VIN, stock number and the eligible / ineligible programs, each with reasons
+ */
+export function matchVehicleIncentives(vehicle, incentives, options = {}) {
+  const result = {
+    vin: vehicle.vin,
+    stock_number: vehicle.stock_number,
+    vehicle_line: vehicle.vehicle_line || formatVehicleLine(vehicle.year, vehicle.make, vehicle.model),
+    trim: vehicle.trim,
+    eligible: [],
+    ineligible: []
+  };
+
+  incentives.forEach(incentive => {
+    const { eligible, reasons } = evaluateIncentiveEligibility(vehicle, incentive, options);
+    const entry = {
+      incentive_id: incentive.id,
+      program_name: incentive.program_name,
+      incentive_type: incentive.incentive_type,
+      value: incentive.value,
+      reasons
+    };
+    (eligible ? result.eligible : result.ineligible).push(entry);
+  });
+
+  result.total_eligible_value = result.eligible.reduce((sum, inc) => sum + (inc.value || 0), 0);
+  return result;
+}
+
+/**
+ * Match every vehicle in an inventory against the incentive list
+ * @param {Array<Object>} inventory - Vehicles from ingest_inventory_data
+ * @param {Array<Object>} incentives - Incentives from fetch_incentive_data
+ * @param {Object} [options={}] - Options passed to evaluateIncentiveEligibility
+ * @returns {Array<Object>} One matchVehicleIncentives result per VIN
+ */
+export function matchInventoryEligibility(inventory, incentives, options = {}) {
+  return inventory.map(vehicle => matchVehicleIncentives(vehicle, incentives, options));
+}
+
+/**
+ * Find a vehicle by stock number or VIN (case-insensitive)
+ * @param {Array<Object>} inventory - Vehicles from ingest_inventory_data
+ * @param {string} identifier - Stock number or VIN
+ * @returns {Object|undefined} Matching vehicle
+ */
+export function findVehicle(inventory, identifier) {
+  const needle = String(identifier).trim().toLowerCase();
+  return inventory.find(vehicle =>
+    String(vehicle.vin || '').toLowerCase() === needle ||
+    String(vehicle.stock_number || '').toLowerCase() === needle
+  );
+}
+
+/**
+ * Load inventory and the full incentive list (including expired and upcoming programs)
+ * @param {Object} [options={}] - Loading options
+ * @param {string} [options.inventoryPath] - Inventory CSV path
+ * @param {string} [options.incentivesPath] - Incentive JSON path
+ * @param {string} [options.vehicleId] - Stock number or VIN to narrow the inventory to one unit
+ * @param {string} [options.asOfDate] - Reference date (YYYY-MM-DD)
+ * @returns {Promise<{vehicles: Array<Object>, incentives: Array<Object>}>} Vehicles and incentives ready for matching
+ * @throws {AppError} If either source fails to load or the vehicle is not found
+ */
+export async function loadEligibilityInputs(options = {}) {
+  const {
+    inventoryPath = AGENT_CONFIG.data_sources.inventory_file,
+    incentivesPath = AGENT_CONFIG.data_sources.incentives_file,
+    vehicleId = null,
+    asOfDate = null
+  } = options;
+
+  const inventoryParams = { file_path: inventoryPath, calculate_metrics: true };
+  if (asOfDate) inventoryParams.as_of_date = asOfDate;
+
+  const inventory = await ingest_inventory_data(inventoryParams);
+  if (!inventory.success) {
+    throw new AppError(`Inventory ingestion failed: ${inventory.error}`, ErrorTypes.PROCESSING, ErrorSeverity.HIGH);
+  }
+
+  // Expired and upcoming programs are needed to explain why they do not apply
+  const incentives = await fetch_incentive_data({
+    source_path: incentivesPath,
+    filter_active_only: false,
+    include_expired: true,
+    as_of_date: asOfDate
+  });
+  if (!incentives.success) {
+    throw new AppError(`Incentive fetch failed: ${incentives.error}`, ErrorTypes.PROCESSING, ErrorSeverity.HIGH);
+  }
+
+  let vehicles = inventory.data;
+  if (vehicleId) {
+    const vehicle = findVehicle(vehicles, vehicleId);
+    if (!vehicle) {
+      throw new AppError(
+        `No vehicle found with stock number or VIN: ${vehicleId}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.LOW,
+        { vehicle_id: vehicleId }
+      );
+    }
+    vehicles = [vehicle];
+  }
+
+  return { vehicles, incentives: incentives.data };
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function sameText(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+// Compare program windows by calendar day so the end date is inclusive
+function toDay(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+export default {
+  evaluateIncentiveEligibility,
+  matchVehicleIncentives,
+  matchInventoryEligibility,
+  findVehicle,
+  loadEligibilityInputs
+};
@@ -0,0 +1,170 @@
+/**
+ * Incentive Stacking
+ * Builds the valid incentive combinations for a unit and picks the best offer
+ */
+
+export const OfferTypes = {
+  CASH: 'cash',
+  FINANCE: 'finance',
+  LEASE: 'lease'
+};
+
+const ALL_CUSTOMERS = 'all';
+
+/**
+ * Work out every valid incentive combination for one vehicle and customer type
+ *
+ * Stackable programs combine with each other; a non-stackable program is only
+ * offered on its own. Special APR and lease programs are alternatives to
+ * customer cash-back, never added to it, but stackable dealer cash can ride
+ * along with any stackable offer.
+ *
+ * @param {Object} vehicle - Vehicle from ingest_inventory_data
+ * @param {Array<Object>} incentives - Incentives the vehicle is eligible for (from fetch_incentive_data)
+ * @param {Object} [options={}] - Stacking options
+ * @param {string} [options.customerType='All'] - Customer type, e.g. 'Military' or 'Loyalty'
+ * @returns {Object} Combinations sorted by customer savings, the best offer and excluded programs
+ * @example
+ * const deals = calculateBestDeals(vehicle, eligibleIncentives, { customerType: 'All' });
+ * deals.best_offer.customer_savings; // 1500
+ */
+export function calculateBestDeals(vehicle, incentives, options = {}) {
+  const customerType = options.customerType || 'All';
+  const excluded = [];
+
+  const applicable = incentives.filter(incentive => {
+    if (appliesToCustomer(incentive, customerType)) return true;
+    excluded.push({
+      incentive_id: incentive.id,
+      reason: `Limited to ${incentive.customer_type} customers`
+    });
+    return false;
+  });
+
+  const groups = classifyIncentives(applicable);
+  const combinations = [];
+
+  // Cash purchase: every stackable cash program together
+  const stackableCash = [...groups.customerCash, ...groups.dealerCash].filter(inc => inc.stackable);
+  if (stackableCash.length > 0) {
+    combinations.push(buildCombination(OfferTypes.CASH, 'Stacked cash', stackableCash));
+  }
+
+  // Non-stackable cash programs can only be taken alone
+  [...groups.customerCash, ...groups.dealerCash]
+    .filter(inc => !inc.stackable)
+    .forEach(inc => combinations.push(buildCombination(OfferTypes.CASH, inc.program_name, [inc])));
+
+  // Special APR and lease programs replace cash-back rather than adding to it
+  const stackableDealerCash = groups.dealerCash.filter(inc => inc.stackable);
+  groups.finance.forEach(inc => {
+    const programs = inc.stackable ? [inc, ...stackableDealerCash] : [inc];
+    combinations.push(buildCombination(OfferTypes.FINANCE, `${inc.financing_rate}% APR - ${inc.program_name}`, programs));
+  });
+  groups.lease.forEach(inc => {
+    const programs = inc.stackable ? [inc, ...stackableDealerCash] : [inc];
+    combinations.push(buildCombination(OfferTypes.LEASE, `${inc.lease_rate}% lease - ${inc.program_name}`, programs));
+  });
+
+  combinations.sort((a, b) =>
+    b.customer_savings - a.customer_savings ||
+    b.dealer_cash - a.dealer_cash ||
+    a.label.localeCompare(b.label)
+  );
+
+  const bestOffer = combinations[0] || null;
+
+  return {
+    vin: vehicle.vin,
+    stock_number: vehicle.stock_number,
+    customer_type: customerType,
+    combinations,
+    best_offer: bestOffer,
+    max_customer_savings: bestOffer ? bestOffer.customer_savings : 0,
+    excluded
+  };
+}
+
+/**
+ * Summarize a combination as a single quotable line
+ * @param {Object|null} offer - Combination from calculateBestDeals
+ * @returns {string} e.g. "Stacked cash: $1,500 customer savings + $0 dealer cash"
+ */
+export function describeOffer(offer) {
+  if (!offer) return 'No eligible incentives';
+  return `${offer.label}: $${offer.customer_savings.toLocaleString('en-US')} customer savings` +
+    ` + $${offer.dealer_cash.toLocaleString('en-US')} dealer cash`;
+}
+
+/**
+ * The best offer for a unit in the shape recommendations carry as `best_offer`
+ * @param {Object} vehicle - Vehicle the offer was quoted for
+ * @param {Object|null} offer - `best_offer` from calculateBestDeals
+ * @returns {Object|null} Unit, label, savings, dealer cash, incentive IDs and a one-line summary
+ */
+export function summarizeOffer(vehicle, offer) {
+  if (!offer) return null;
+
+  return {
+    stock_number: vehicle.stock_number,
+    vin: vehicle.vin,
+    label: offer.label,
+    offer_type: offer.offer_type,
+    customer_savings: offer.customer_savings,
+    dealer_cash: offer.dealer_cash,
+    incentive_ids: offer.incentive_ids,
+    summary: describeOffer(offer)
+  };
+}
+
+function classifyIncentives(incentives) {
+  const groups = { customerCash: [], dealerCash: [], finance: [], lease: [] };
+
+  incentives.forEach(incentive => {
+    if (incentive.financing_rate !== null && incentive.financing_rate !== undefined) {
+      groups.finance.push(incentive);
+    } else if (incentive.lease_rate !== null && incentive.lease_rate !== undefined) {
+      groups.lease.push(incentive);
+    } else if (incentive.dealer_cash) {
+      groups.dealerCash.push(incentive);
+    } else {
+      groups.customerCash.push(incentive);
+    }
+  });
+
+  return groups;
+}
+
+function buildCombination(offerType, label, programs) {
+  const customerPrograms = programs.filter(inc => !inc.dealer_cash);
+  const dealerPrograms = programs.filter(inc => inc.dealer_cash);
+  const rateProgram = programs.find(inc => inc.financing_rate != null || inc.lease_rate != null);
+
+  return {
+    label,
+    offer_type: offerType,
+    incentive_ids: programs.map(inc => inc.id),
+    programs: programs.map(inc => ({
+      incentive_id: inc.id,
+      program_name: inc.program_name,
+      value: inc.value,
+      funded_by: inc.dealer_cash ? 'dealer' : 'customer'
+    })),
+    customer_savings: customerPrograms.reduce((sum, inc) => sum + inc.value, 0),
+    dealer_cash: dealerPrograms.reduce((sum, inc) => sum + inc.value, 0),
+    financing_rate: rateProgram?.financing_rate ?? null,
+    lease_rate: rateProgram?.lease_rate ?? null
+  };
+}
+
+function appliesToCustomer(incentive, customerType) {
+  const allowed = String(incentive.customer_type || 'All').toLowerCase();
+  return allowed === ALL_CUSTOMERS || allowed === String(customerType).toLowerCase();
+}
+
+export default {
+  calculateBestDeals,
+  describeOffer,
+  summarizeOffer,
+  OfferTypes
+};
@@ -0,0 +1,284 @@
+/**
+ * Payment Calculator
+ * Monthly finance and lease payments from vehicle pricing and incentive rates
+ */
+
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { OfferTypes } from './incentive-stacking.js';
+
+// Lease rates are quoted APR-equivalent; the money factor is APR / 2400
+const MONEY_FACTOR_DIVISOR = 2400;
+
+/**
+ * Amortized monthly payment for a retail installment contract
+ * @param {Object} terms - Finance terms
+ * @param {number} terms.price - Selling price before incentives
+ * @param {number} terms.apr - Annual percentage rate, e.g. 0.9
+ * @param {number} terms.termMonths - Contract length in months
+ * @param {number} [terms.downPayment=0] - Cash down
+ * @param {number} [terms.cashIncentive=0] - Customer cash applied to the amount financed
+ * @param {number} [terms.taxRate=0] - Sales tax rate on the selling price, e.g. 0.0725
+ * @param {number} [terms.fees=0] - Doc, title and registration fees rolled into the loan
+ * @returns {Object} Amount financed, monthly payment, total of payments and total interest
+ * @example
+ * calculateFinancePayment({ price: 25200, apr: 0.9, termMonths: 60, downPayment: 2000 });
+ */
+export function calculateFinancePayment(terms) {
+  const {
+    price,
+    apr,
+    termMonths,
+    downPayment = 0,
+    cashIncentive = 0,
+    taxRate = 0,
+    fees = 0
+  } = terms;
+
+  assertNumber('price', price, 0);
+  assertNumber('apr', apr, 0);
+  assertNumber('termMonths', termMonths, 1);
+  assertNumber('downPayment', downPayment, 0);
+  assertNumber('taxRate', taxRate, 0);
+  assertNumber('fees', fees, 0);
+
+  const salesTax = price * taxRate;
+  const amountFinanced = Math.max(0, price + salesTax + fees - downPayment - cashIncentive);
+  const monthlyRate = apr / 100 / 12;
+  const monthlyPayment = monthlyRate === 0
+    ? amountFinanced / termMonths
+    : amountFinanced * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+  const totalOfPayments = monthlyPayment * termMonths;
+
+  return {
+    apr,
+    term_months: termMonths,
+    price: roundCents(price),
+    down_payment: roundCents(downPayment),
+    cash_incentive: roundCents(cashIncentive),
+    sales_tax: roundCents(salesTax),
+    fees: roundCents(fees),
+    amount_financed: roundCents(amountFinanced),
+    monthly_payment: roundCents(monthlyPayment),
+    total_of_payments: roundCents(totalOfPayments),
+    total_interest: roundCents(totalOfPayments - amountFinanced),
+    total_cost: roundCents(totalOfPayments + downPayment)
+  };
+}
+
+/**
+ * Monthly payment for a closed-end lease
+ * @param {Object} terms - Lease terms
+ * @param {number} terms.msrp - MSRP the residual is based on
+ * @param {number} terms.price - Gross capitalized cost (selling price)
+ * @param {number} terms.leaseRate - APR-equivalent lease rate, e.g. 1.9 (money factor 0.00079)
+ * @param {number} terms.termMonths - Lease length in months
+ * @param {number} terms.residualPercent - Residual as a percentage of MSRP, e.g. 55
+ * @param {number} [terms.acquisitionFee=0] - Bank acquisition fee capitalized into the lease
+ * @param {number} [terms.downPayment=0] - Cash capitalized cost reduction
+ * @param {number} [terms.cashIncentive=0] - Lease cash applied as a cap cost reduction
+ * @param {number} [terms.taxRate=0] - Sales tax rate on the monthly payment
+ * @returns {Object} Money factor, residual, depreciation and rent charges, monthly payment and totals
+ * @example
+ * calculateLeasePayment({ msrp: 28500, price: 28500, leaseRate: 1.9, termMonths: 36, residualPercent: 55 });
+ */
+export function calculateLeasePayment(terms) {
+  const {
+    msrp,
+    price,
+    leaseRate,
+    termMonths,
+    residualPercent,
+    acquisitionFee = 0,
+    downPayment = 0,
+    cashIncentive = 0,
+    taxRate = 0
+  } = terms;
+
+  assertNumber('msrp', msrp, 0);
+  assertNumber('price', price, 0);
+  assertNumber('leaseRate', leaseRate, 0);
+  assertNumber('termMonths', termMonths, 1);
+  assertNumber('residualPercent', residualPercent, 0);
+  assertNumber('downPayment', downPayment, 0);
+  assertNumber('taxRate', taxRate, 0);
+
+  const moneyFactor = leaseRate / MONEY_FACTOR_DIVISOR;
+  const residualValue = msrp * residualPercent / 100;
+  const adjustedCapCost = price + acquisitionFee - downPayment - cashIncentive;
+  const depreciation = (adjustedCapCost - residualValue) / termMonths;
+  const rentCharge = (adjustedCapCost + residualValue) * moneyFactor;
+  const basePayment = depreciation + rentCharge;
+  const monthlyTax = basePayment * taxRate;
+  const monthlyPayment = basePayment + monthlyTax;
+
+  return {
+    lease_rate: leaseRate,
+    money_factor: Math.round(moneyFactor * 1e6) / 1e6,
+    term_months: termMonths,
+    price: roundCents(price),
+    down_payment: roundCents(downPayment),
+    cash_incentive: roundCents(cashIncentive),
+    acquisition_fee: roundCents(acquisitionFee),
+    residual_percent: residualPercent,
+    residual_value: roundCents(residualValue),
+    adjusted_cap_cost: roundCents(adjustedCapCost),
+    monthly_depreciation: roundCents(depreciation),
+    monthly_rent_charge: roundCents(rentCharge),
+    monthly_tax: roundCents(monthlyTax),
+    monthly_payment: roundCents(monthlyPayment),
+    total_of_payments: roundCents(monthlyPayment * termMonths),
+    total_cost: roundCents(monthlyPayment * termMonths + downPayment)
+  };
+}
+
+/**
+ * Price every incentive combination for a unit and compare special APR against cash at the standard rate
+ * @param {Object} vehicle - Vehicle from ingest_inventory_data
+ * @param {Array<Object>} combinations - `combinations` from calculateBestDeals
+ * @param {Object} [assumptions={}] - Overrides for AGENT_CONFIG.payment_defaults, plus an optional `selling_price`
+ * @returns {Object} Payment per option, the lowest monthly / total cost options and APR-vs-cash comparisons
+ * @example
+ * const { combinations } = calculateBestDeals(vehicle, eligible);
+ * comparePaymentOptions(vehicle, combinations, { down_payment: 3000 }).apr_vs_cash[0];
+ * // { special_label: '0.9% APR - ...', cash_label: 'No incentives at standard rate', monthly_savings: 63.1, ... }
+ */
+export function comparePaymentOptions(vehicle, combinations, assumptions = {}) {
+  const settings = { ...AGENT_CONFIG.payment_defaults, ...assumptions };
+  const price = settings.selling_price ?? vehicle.msrp;
+
+  const financeTerms = {
+    price,
+    termMonths: settings.term_months,
+    downPayment: settings.down_payment,
+    taxRate: settings.tax_rate,
+    fees: settings.fees
+  };
+
+  const financeAtStandard = (cashIncentive) =>
+    calculateFinancePayment({ ...financeTerms, apr: settings.standard_apr, cashIncentive });
+
+  const options = [{
+    label: 'No incentives at standard rate',
+    offer_type: OfferTypes.CASH,
+    incentive_ids: [],
+    payment_type: 'finance',
+    payment: financeAtStandard(0)
+  }];
+
+  combinations.forEach(combo => {
+    // Dealer cash is not passed to the customer, so only customer cash-back lowers the amount financed
+    const customerCash = combo.programs
+      .filter(program => program.funded_by === 'customer' && program.incentive_id !== rateProgramId(combo))
+      .reduce((sum, program) => sum + program.value, 0);
+
+    if (combo.offer_type === OfferTypes.LEASE) {
+      options.push({
+        label: combo.label,
+        offer_type: combo.offer_type,
+        incentive_ids: combo.incentive_ids,
+        payment_type: 'lease',
+        payment: calculateLeasePayment({
+          msrp: vehicle.msrp,
+          price,
+          leaseRate: combo.lease_rate,
+          termMonths: settings.lease_term_months,
+          residualPercent: settings.residual_percent,
+          acquisitionFee: settings.acquisition_fee,
+          downPayment: settings.down_payment,
+          cashIncentive: customerCash,
+          taxRate: settings.tax_rate
+        })
+      });
+      return;
+    }
+
+    const payment = combo.offer_type === OfferTypes.FINANCE
+      ? calculateFinancePayment({ ...financeTerms, apr: combo.financing_rate, cashIncentive: customerCash })
+      : financeAtStandard(customerCash);
+
+    options.push({
+      label: combo.offer_type === OfferTypes.FINANCE ? combo.label : `${combo.label} at standard rate`,
+      offer_type: combo.offer_type,
+      incentive_ids: combo.incentive_ids,
+      payment_type: 'finance',
+      payment
+    });
+  });
+
+  const financeOptions = options.filter(option => option.payment_type === 'finance');
+  const cashOptions = financeOptions.filter(option => option.offer_type === OfferTypes.CASH);
+  const bestCash = cashOptions.reduce((best, option) =>
+    option.payment.total_cost < best.payment.total_cost ? option : best
+  );
+
+  const aprVsCash = financeOptions
+    .filter(option => option.offer_type === OfferTypes.FINANCE)
+    .map(special => {
+      const monthlySavings = roundCents(bestCash.payment.monthly_payment - special.payment.monthly_payment);
+      const totalSavings = roundCents(bestCash.payment.total_cost - special.payment.total_cost);
+      return {
+        special_label: special.label,
+        cash_label: bestCash.label,
+        special_monthly: special.payment.monthly_payment,
+        cash_monthly: bestCash.payment.monthly_payment,
+        monthly_savings: monthlySavings,
+        total_savings: totalSavings,
+        recommended: totalSavings >= 0 ? special.label : bestCash.label
+      };
+    });
+
+  return {
+    vin: vehicle.vin,
+    stock_number: vehicle.stock_number,
+    selling_price: price,
+    gross_to_invoice: Number.isFinite(vehicle.invoice) ? roundCents(price - vehicle.invoice) : null,
+    assumptions: {
+      standard_apr: settings.standard_apr,
+      term_months: settings.term_months,
+      down_payment: settings.down_payment,
+      tax_rate: settings.tax_rate,
+      fees: settings.fees,
+      lease_term_months: settings.lease_term_months,
+      residual_percent: settings.residual_percent,
+      acquisition_fee: settings.acquisition_fee
+    },
+    options,
+    lowest_monthly: lowestBy(options, 'monthly_payment'),
+    lowest_total_cost: lowestBy(financeOptions, 'total_cost'),
+    apr_vs_cash: aprVsCash
+  };
+}
+
+function rateProgramId(combo) {
+  if (combo.offer_type === OfferTypes.CASH) return null;
+  return combo.incentive_ids[0];
+}
+
+function lowestBy(options, field) {
+  const best = options.reduce((lowest, option) =>
+    option.payment[field] < lowest.payment[field] ? option : lowest
+  );
+  return { label: best.label, [field]: best.payment[field] };
+}
+
+function assertNumber(name, value, minimum) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < minimum) {
+    throw new AppError(
+      `Invalid ${name}: expected a number >= ${minimum}`,
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM,
+      { [name]: value }
+    );
+  }
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  calculateFinancePayment,
+  calculateLeasePayment,
+  comparePaymentOptions
+};
@@ -0,0 +1,342 @@
+/**
+ * Promotion Scorer
+ * Deterministic, offline scoring of vehicle lines for promotional priority
+ */
+
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { loadDealershipConfig } from '../config/dealership-config.js';
+import { loadDealerSettings } from '../dealers/dealer-registry.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { createResponse, handleError, getISODate } from '../utils/common-utils.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../../tools/incentive-fetcher.js';
+import { evaluateIncentiveEligibility } from './incentive-eligibility.js';
+import { calculateBestDeals, summarizeOffer } from './incentive-stacking.js';
+
+// Factors that make up the promotion score, in display order
+export const ScoringFactors = {
+  AGING: 'aging',
+  INVENTORY_LEVEL: 'inventory_level',
+  CAPITAL_EXPOSURE: 'capital_exposure',
+  INCENTIVE_VALUE: 'incentive_value',
+  INCENTIVE_URGENCY: 'incentive_urgency',
+  STACKABILITY: 'stackability',
+  SALES_VELOCITY: 'sales_velocity'
+};
+
+const DEFAULT_WEIGHTS = {
+  [ScoringFactors.AGING]: 0.3,
+  [ScoringFactors.INVENTORY_LEVEL]: 0.15,
+  [ScoringFactors.CAPITAL_EXPOSURE]: 0.1,
+  [ScoringFactors.INCENTIVE_VALUE]: 0.25,
+  [ScoringFactors.INCENTIVE_URGENCY]: 0.1,
+  [ScoringFactors.STACKABILITY]: 0.1,
+  [ScoringFactors.SALES_VELOCITY]: 0.1
+};
+
+/**
+ * Score every vehicle line in an inventory summary
+ * @param {Object} inventorySummary - `summary` from ingest_inventory_data
+ * @param {Array<Object>} [incentives=[]] - `data` from fetch_incentive_data
+ * @param {Object} [businessRules=AGENT_CONFIG.business_rules] - Thresholds and scoring weights
+ * @returns {Array<Object>} Vehicle lines ranked by descending score, with per-factor breakdowns
+ * @example
+ * const rankings = scoreVehicleLines(inventory.summary, incentives.data);
+ * rankings[0]; // { rank: 1, vehicle_line: '2023 Ford Mustang', score: 71.25, breakdown: {...}, metrics: {...} }
+ */
+export function scoreVehicleLines(inventorySummary, incentives = [], businessRules = AGENT_CONFIG.business_rules) {
+  const rules = { ...AGENT_CONFIG.business_rules, ...businessRules };
+  const lines = Object.entries(inventorySummary?.vehicle_lines || {});
+  const weights = { ...DEFAULT_WEIGHTS, ...(rules.scoring_weights || {}) };
+
+  // Without sales history every line would score 0 on velocity, so drop the factor instead
+  const hasVelocity = lines.some(([, data]) => Number.isFinite(data.sales_per_day));
+  if (!hasVelocity) weights[ScoringFactors.SALES_VELOCITY] = 0;
+  const totalWeight = Object.values(ScoringFactors).reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+
+  if (totalWeight <= 0) {
+    throw new AppError(
+      'Scoring weights must sum to a positive value',
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH,
+      { weights }
+    );
+  }
+
+  const incentivesByLine = groupIncentivesByLine(incentives);
+  const maxLineValue = Math.max(0, ...lines.map(([, data]) => data.total_value || 0));
+
+  const scored = lines.map(([vehicleLine, lineData]) => {
+    const lineIncentives = incentivesByLine[vehicleLine] || [];
+    const metrics = buildLineMetrics(lineData, lineIncentives);
+
+    const normalized = {
+      [ScoringFactors.AGING]: clamp(metrics.avg_days_on_lot / (rules.aging_threshold_days * 2)),
+      [ScoringFactors.INVENTORY_LEVEL]: clamp(metrics.inventory_count / rules.high_inventory_threshold),
+      [ScoringFactors.CAPITAL_EXPOSURE]: maxLineValue > 0 ? clamp(metrics.total_msrp / maxLineValue) : 0,
+      [ScoringFactors.INCENTIVE_VALUE]: clamp(metrics.best_incentive_value / (rules.incentive_value_threshold * 3)),
+      [ScoringFactors.INCENTIVE_URGENCY]: metrics.min_days_remaining === null
+        ? 0
+        : clamp(1 - metrics.min_days_remaining / (rules.expiring_soon_days || 30)),
+      [ScoringFactors.STACKABILITY]: lineIncentives.length > 0
+        ? metrics.stackable_incentives / lineIncentives.length
+        : 0,
+      // Slower than low_velocity_threshold scores toward 1; a line with no sales scores 1
+      [ScoringFactors.SALES_VELOCITY]: metrics.sales_per_day === null
+        ? 0
+        : clamp(1 - metrics.sales_per_day / rules.low_velocity_threshold)
+    };
+
+    const rawValues = {
+      [ScoringFactors.AGING]: metrics.avg_days_on_lot,
+      [ScoringFactors.INVENTORY_LEVEL]: metrics.inventory_count,
+      [ScoringFactors.CAPITAL_EXPOSURE]: metrics.total_msrp,
+      [ScoringFactors.INCENTIVE_VALUE]: metrics.best_incentive_value,
+      [ScoringFactors.INCENTIVE_URGENCY]: metrics.min_days_remaining,
+      [ScoringFactors.STACKABILITY]: metrics.stackable_incentives,
+      [ScoringFactors.SALES_VELOCITY]: metrics.sales_per_day
+    };
+
+    const breakdown = {};
+    let score = 0;
+
+    Object.values(ScoringFactors).forEach(factor => {
+      const weight = (weights[factor] || 0) / totalWeight;
+      const contribution = round(normalized[factor] * weight * 100);
+      breakdown[factor] = {
+        raw_value: rawValues[factor],
+        normalized: round(normalized[factor], 4),
+        weight: round(weight, 4),
+        contribution
+      };
+      score += contribution;
+    });
+
+    return {
+      vehicle_line: vehicleLine,
+      score: round(score),
+      breakdown,
+      metrics
+    };
+  });
+
+  // Stable ordering so identical inputs always produce identical rankings
+  scored.sort((a, b) =>
+    b.score - a.score ||
+    b.metrics.avg_days_on_lot - a.metrics.avg_days_on_lot ||
+    a.vehicle_line.localeCompare(b.vehicle_line)
+  );
+
+  return scored.map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Ingest inventory and incentives and rank vehicle lines without calling the LLM
+ * @param {Object} [options={}] - Ranking options
+ * @param {Object} [options.dealer] - Dealer from the registry; its data sources, region and rules become the defaults
+ * @param {string} [options.inventoryPath] - Inventory CSV path
+ * @param {string} [options.incentivesPath] - Incentive JSON path
+ * @param {string} [options.asOfDate] - Reference date (YYYY-MM-DD) for aging and incentive status
+ * @param {Object} [options.businessRules] - Overrides for AGENT_CONFIG.business_rules (defaults to the dealer's or dealership config's rules)
+ * @param {number} [options.limit] - Number of ranked lines to return (all when omitted)
+ * @param {boolean} [options.saveSnapshot=false] - Save today's inventory snapshot (see ingest_inventory_data)
+ * @returns {Promise<Object>} Response with `rankings`, `inventory_summary` and `incentives`
+ * @example
+ * const result = await rankPromotions({ limit: 3 });
+ */
+export async function rankPromotions(options = {}) {
+  const log = logger.child('promotion-scorer');
+
+  const { dealer = null } = options;
+  const sources = dealer ? dealer.data_sources : AGENT_CONFIG.data_sources;
+  const {
+    inventoryPath = sources.inventory_file,
+    incentivesPath = sources.incentives_file,
+    asOfDate = null,
+    businessRules = null,
+    limit = null,
+    saveSnapshot = false
+  } = options;
+
+  try {
+    const settings = dealer ? await loadDealerSettings(dealer) : await loadDealershipConfig();
+    const rules = businessRules ?? settings.business_rules;
+
+    const inventoryParams = { file_path: inventoryPath, calculate_metrics: true };
+    const incentiveParams = { source_path: incentivesPath, as_of_date: asOfDate };
+    if (asOfDate) inventoryParams.as_of_date = asOfDate;
+    if (dealer) {
+      inventoryParams.sold_units_path = sources.sold_units_file;
+      inventoryParams.dealership_config_path = dealer.config_file;
+      incentiveParams.dealership_config_path = dealer.config_file;
+    }
+
+    const inventory = await ingest_inventory_data(inventoryParams, { saveSnapshot });
+    if (!inventory.success) {
+      throw new AppError(
+        `Inventory ingestion failed: ${inventory.error}`,
+        ErrorTypes.PROCESSING,
+        ErrorSeverity.HIGH,
+        { inventoryPath }
+      );
+    }
+
+    const incentives = await fetch_incentive_data(incentiveParams);
+    if (!incentives.success) {
+      throw new AppError(
+        `Incentive fetch failed: ${incentives.error}`,
+        ErrorTypes.PROCESSING,
+        ErrorSeverity.HIGH,
+        { incentivesPath }
+      );
+    }
+
+    const rankings = scoreVehicleLines(inventory.summary, incentives.data, rules)
+      .map(entry => ({
+        ...entry,
+        best_offer: findBestOffer(entry.vehicle_line, inventory.data, incentives.data, { asOfDate, region: dealer?.region })
+      }));
+    log.info(`Scored ${rankings.length} vehicle lines`);
+
+    return createResponse(true, {
+      rankings: limit ? rankings.slice(0, limit) : rankings,
+      total_lines: rankings.length,
+      inventory_summary: inventory.summary,
+      inventory: inventory.data,
+      incentive_summary: incentives.summary,
+      incentives: incentives.data,
+      as_of_date: asOfDate || getISODate(true),
+      dealer: dealer ? { id: dealer.id, name: dealer.name, region: dealer.region } : null
+    });
+  } catch (error) {
+    return handleError(error, 'Promotion ranking', log);
+  }
+}
+
+/**
+ * Render rankings as compact text for use as LLM grounding
+ * @param {Array<Object>} rankings - Output of scoreVehicleLines
+ * @returns {string} One line per vehicle line with score and key metrics
+ */
+export function formatRankingsForPrompt(rankings) {
+  return rankings.map(entry => {
+    const m = entry.metrics;
+    const incentiveIds = m.incentive_ids.length > 0 ? m.incentive_ids.join(', ') : 'none';
+    const bestOffer = entry.best_offer ? `; best offer: ${entry.best_offer.summary}` : '';
+    const velocity = m.sales_per_day === null
+      ? ''
+      : `sales/day: ${m.sales_per_day}, days supply: ${m.days_supply ?? 'no recent sales'}, `;
+    return `${entry.rank}. ${entry.vehicle_line} - score ${entry.score}/100 ` +
+      `(units: ${m.inventory_count}, avg days on lot: ${m.avg_days_on_lot}, ${velocity}` +
+      `best incentive value: $${m.best_incentive_value}, incentives: ${incentiveIds}${bestOffer})`;
+  }).join('\n');
+}
+
+/**
+ * Turn the top rankings into report-ready recommendations without the LLM
+ * @param {Array<Object>} rankings - Output of rankPromotions / scoreVehicleLines
+ * @param {number} [limit=AGENT_CONFIG.business_rules.max_recommendations] - Number of recommendations
+ * @returns {Array<Object>} Recommendations in the shape generate_promotional_report expects
+ */
+export function buildRecommendationsFromRankings(rankings, limit = AGENT_CONFIG.business_rules.max_recommendations) {
+  return rankings.slice(0, limit).map(entry => {
+    const m = entry.metrics;
+    const [topFactor] = Object.entries(entry.breakdown)
+      .sort(([, a], [, b]) => b.contribution - a.contribution);
+
+    let velocity = '';
+    if (m.sales_per_day !== null) {
+      velocity = m.days_supply === null
+        ? ' No sales in the velocity window.'
+        : ` Sales velocity ${m.sales_per_day}/day, ${m.days_supply} days of supply.`;
+    }
+
+    return {
+      vehicle_line: entry.vehicle_line,
+      rank: entry.rank,
+      score: entry.score,
+      key_metrics: {
+        inventory_count: m.inventory_count,
+        avg_days_on_lot: m.avg_days_on_lot,
+        best_incentive_value: m.best_incentive_value,
+        incentive_count: m.incentive_count
+      },
+      rationale: `Promotion score ${entry.score}/100, driven mostly by ${topFactor[0].replace(/_/g, ' ')}: ` +
+        `${m.inventory_count} units averaging ${m.avg_days_on_lot} days on lot with ${m.incentive_count} incentive programs ` +
+        `(best value $${m.best_incentive_value}).${velocity}`,
+      promotional_approach: entry.best_offer
+        ? `Lead with ${entry.best_offer.summary} on stock ${entry.best_offer.stock_number}.`
+        : 'Feature in general inventory advertising; no incentives currently apply.',
+      incentive_ids: entry.best_offer ? entry.best_offer.incentive_ids : [],
+      best_offer: entry.best_offer || null
+    };
+  });
+}
+
+// Quote the oldest unit in the line, since that is the one the promotion should move first
+function findBestOffer(vehicleLine, inventory, incentives, { asOfDate, region }) {
+  const oldest = inventory
+    .filter(vehicle => vehicle.vehicle_line === vehicleLine)
+    .sort((a, b) => b.days_on_lot - a.days_on_lot || String(a.stock_number).localeCompare(String(b.stock_number)))[0];
+
+  if (!oldest) return null;
+
+  const eligible = incentives.filter(incentive =>
+    evaluateIncentiveEligibility(oldest, incentive, { asOfDate: asOfDate || undefined, region }).eligible
+  );
+  return summarizeOffer(oldest, calculateBestDeals(oldest, eligible).best_offer);
+}
+
+function groupIncentivesByLine(incentives) {
+  return incentives.reduce((groups, incentive) => {
+    const line = incentive.vehicle_line;
+    if (!groups[line]) groups[line] = [];
+    groups[line].push(incentive);
+    return groups;
+  }, {});
+}
+
+function buildLineMetrics(lineData, lineIncentives) {
+  const stackable = lineIncentives.filter(inc => inc.stackable);
+  const nonStackable = lineIncentives.filter(inc => !inc.stackable);
+  const stackableTotal = stackable.reduce((sum, inc) => sum + inc.value, 0);
+  const bestSingle = Math.max(0, ...nonStackable.map(inc => inc.value));
+  const daysRemaining = lineIncentives
+    .map(inc => inc.days_remaining)
+    .filter(days => Number.isFinite(days));
+
+  return {
+    inventory_count: lineData.count,
+    avg_days_on_lot: lineData.avg_days,
+    total_msrp: lineData.total_value,
+    avg_msrp: lineData.count > 0 ? Math.round(lineData.total_value / lineData.count) : 0,
+    incentive_count: lineIncentives.length,
+    stackable_incentives: stackable.length,
+    best_incentive_value: Math.max(stackableTotal, bestSingle),
+    min_days_remaining: daysRemaining.length > 0 ? Math.min(...daysRemaining) : null,
+    incentive_ids: lineIncentives.map(inc => inc.id).sort(),
+    units_sold: lineData.units_sold ?? null,
+    sales_per_day: lineData.sales_per_day ?? null,
+    days_supply: lineData.days_supply ?? null,
+    turn_rate: lineData.turn_rate ?? null,
+    aging_projection: lineData.aging_projection ?? null
+  };
+}
+
+function clamp(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  scoreVehicleLines,
+  rankPromotions,
+  formatRankingsForPrompt,
+  buildRecommendationsFromRankings
+};
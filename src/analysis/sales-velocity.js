@@ -0,0 +1,261 @@
+/**
+ * Sales Velocity
+ * Per-line sales rate, days supply, turn rate and aging projections from sales history
+ */
+
+import fs from 'fs-extra';
+import csv from 'csv-parser';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { listSnapshots, loadSnapshot, diffSnapshots } from '../inventory/snapshot-store.js';
+
+export const VelocitySources = {
+  SOLD_UNITS: 'sold_units',
+  SNAPSHOTS: 'snapshots'
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DAYS_PER_YEAR = 365;
+
+// First day on lot of each bucket for the default dealership aging buckets
+const DEFAULT_AGING_THRESHOLDS = { Stale: 61, Critical: 91 };
+
+// Accepted spellings (compared without case, spaces or punctuation) for the sold-units CSV
+const SOLD_COLUMNS = {
+  vin: ['vin'],
+  year: ['year', 'modelyear'],
+  make: ['make'],
+  model: ['model'],
+  sold_date: ['solddate', 'datesold', 'saledate', 'deliverydate']
+};
+
+/**
+ * Read a sold-units CSV (VIN, Year, Make, Model, SoldDate)
+ * @param {string} filePath - CSV path
+ * @returns {Promise<{sales: Array<{vin: string, vehicle_line: string, sold_date: string}>, skipped_rows: number}>} Sales with a usable date and line
+ * @throws {AppError} If the file is missing or lacks a required column
+ */
+export async function loadSoldUnits(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new AppError(`Sold units file not found: ${filePath}`, ErrorTypes.FILE_SYSTEM, ErrorSeverity.MEDIUM);
+  }
+
+  return new Promise((resolve, reject) => {
+    const sales = [];
+    let columns = null;
+    let skipped = 0;
+    const stream = fs.createReadStream(filePath).pipe(csv());
+
+    stream
+      .on('headers', (headers) => {
+        columns = mapSoldColumns(headers);
+        const missing = Object.keys(SOLD_COLUMNS).filter(field => !columns[field]);
+        if (missing.length > 0) {
+          stream.destroy();
+          reject(new AppError(
+            `Sold units file is missing columns: ${missing.join(', ')}`,
+            ErrorTypes.VALIDATION,
+            ErrorSeverity.MEDIUM,
+            { headers }
+          ));
+        }
+      })
+      .on('data', (row) => {
+        const soldDate = new Date(row[columns.sold_date]);
+        const year = parseInt(row[columns.year], 10);
+        if (isNaN(soldDate.getTime()) || isNaN(year) || !row[columns.make] || !row[columns.model]) {
+          skipped++;
+          return;
+        }
+
+        sales.push({
+          vin: String(row[columns.vin] || '').trim().toUpperCase(),
+          vehicle_line: `${year} ${row[columns.make].trim()} ${row[columns.model].trim()}`,
+          sold_date: soldDate.toISOString().slice(0, 10)
+        });
+      })
+      .on('end', () => resolve({ sales, skipped_rows: skipped }))
+      .on('error', (error) => reject(new AppError(
+        `Failed to parse sold units CSV: ${error.message}`,
+        ErrorTypes.FILE_SYSTEM,
+        ErrorSeverity.MEDIUM,
+        { filePath }
+      )));
+  });
+}
+
+/**
+ * Treat units that disappear between consecutive snapshots as sold on the later snapshot's date
+ * @param {string} source - Snapshot source (see snapshotSource)
+ * @param {Object} options - Range options
+ * @param {string} options.since - First snapshot date to consider (YYYY-MM-DD)
+ * @param {string} options.until - Last snapshot date to consider (YYYY-MM-DD)
+ * @param {string} [options.directory] - Snapshot root
+ * @returns {Promise<{sales: Array<Object>, from: string, to: string}|null>} Sales and the covered date range, or null with fewer than two snapshots
+ */
+export async function salesFromSnapshots(source, { since, until, directory = AGENT_CONFIG.snapshots.directory }) {
+  const dates = (await listSnapshots(source, directory)).filter(date => date >= since && date <= until);
+  if (dates.length < 2) return null;
+
+  const snapshots = await Promise.all(dates.map(date => loadSnapshot(source, date, directory)));
+  const sales = [];
+
+  for (let i = 1; i < snapshots.length; i++) {
+    diffSnapshots(snapshots[i - 1], snapshots[i]).departures.forEach(unit => {
+      sales.push({ vin: unit.vin, vehicle_line: unit.vehicle_line, sold_date: snapshots[i].snapshot_date });
+    });
+  }
+
+  return { sales, from: dates[0], to: dates[dates.length - 1] };
+}
+
+/**
+ * Load the sales history for an inventory file
+ *
+ * A sold-units CSV wins when one is given and exists; otherwise departures
+ * between the file's snapshots inside the window are used.
+ *
+ * @param {Object} options - History options
+ * @param {string} [options.soldUnitsPath] - Sold-units CSV
+ * @param {string} options.source - Snapshot source of the inventory file
+ * @param {Date} options.asOfDate - End of the window
+ * @param {number} [options.windowDays] - Window length (defaults to sales_velocity.window_days)
+ * @returns {Promise<Object|null>} `{source, sales, window_days, from, to}`, or null when there is no history
+ */
+export async function loadSalesHistory({ soldUnitsPath = null, source, asOfDate, windowDays = AGENT_CONFIG.sales_velocity.window_days }) {
+  const until = toDay(asOfDate);
+  const since = toDay(new Date(asOfDate.getTime() - windowDays * MS_PER_DAY));
+
+  if (soldUnitsPath && await fs.pathExists(soldUnitsPath)) {
+    const { sales } = await loadSoldUnits(soldUnitsPath);
+    return {
+      source: VelocitySources.SOLD_UNITS,
+      sales: sales.filter(sale => sale.sold_date > since && sale.sold_date <= until),
+      window_days: windowDays,
+      from: since,
+      to: until
+    };
+  }
+
+  const history = await salesFromSnapshots(source, { since, until });
+  if (!history) return null;
+
+  return {
+    source: VelocitySources.SNAPSHOTS,
+    sales: history.sales,
+    window_days: Math.max(1, daysBetween(history.from, history.to)),
+    from: history.from,
+    to: history.to
+  };
+}
+
+/**
+ * Compute sales per day, days supply, turn rate and aging projections per vehicle line
+ *
+ * Turn rate is annualized against current stock (units sold per year divided
+ * by units on hand). The aging projection assumes the oldest units sell
+ * first at the current rate and counts the units that will cross into each
+ * bucket before they are expected to sell, with the date of the first one.
+ *
+ * @param {Array<Object>} inventory - Vehicles from ingest_inventory_data (with days_on_lot and vehicle_line)
+ * @param {Object} history - Result of loadSalesHistory
+ * @param {Object} [options={}] - Calculation options
+ * @param {Date} [options.asOfDate=new Date()] - Date the projection counts from
+ * @param {Object|Function} [options.agingThresholds] - First day of each projected bucket, e.g. { Stale: 61, Critical: 91 },
+ *   or a function of a line's first vehicle returning them (see projectedBucketStarts)
+ * @returns {Object} Velocity metrics keyed by vehicle line
+ * @example
+ * const byLine = calculateSalesVelocity(inventory.data, history, { asOfDate: new Date('2024-11-20') });
+ * byLine['2024 Ford Mustang']; // { units_sold: 6, sales_per_day: 0.067, days_supply: 45, turn_rate: 8.1, aging_projection: {...} }
+ */
+export function calculateSalesVelocity(inventory, history, options = {}) {
+  const { asOfDate = new Date(), agingThresholds = DEFAULT_AGING_THRESHOLDS } = options;
+  const soldByLine = countSalesByLine(history);
+
+  const unitsByLine = inventory.reduce((groups, vehicle) => {
+    (groups[vehicle.vehicle_line] = groups[vehicle.vehicle_line] || []).push(vehicle);
+    return groups;
+  }, {});
+
+  return Object.fromEntries(Object.entries(unitsByLine).map(([line, units]) => {
+    const unitsSold = soldByLine[line] || 0;
+    const salesPerDay = unitsSold / history.window_days;
+
+    return [line, {
+      units_sold: unitsSold,
+      sales_per_day: round(salesPerDay, 3),
+      days_supply: salesPerDay > 0 ? Math.round(units.length / salesPerDay) : null,
+      turn_rate: round(salesPerDay * DAYS_PER_YEAR / units.length, 1),
+      aging_projection: projectAging(units, salesPerDay, asOfDate,
+        typeof agingThresholds === 'function' ? agingThresholds(units[0]) : agingThresholds)
+    }];
+  }));
+}
+
+/**
+ * Sales per day for every line sold in the window, including lines with no stock on hand
+ * @param {Object} history - Result of loadSalesHistory
+ * @returns {Object} Sales per day keyed by vehicle line
+ */
+export function salesPerDayByLine(history) {
+  return Object.fromEntries(Object.entries(countSalesByLine(history))
+    .map(([line, count]) => [line, round(count / history.window_days, 3)]));
+}
+
+function countSalesByLine(history) {
+  return history.sales.reduce((counts, sale) => {
+    counts[sale.vehicle_line] = (counts[sale.vehicle_line] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function projectAging(units, salesPerDay, asOfDate, thresholds) {
+  const oldestFirst = [...units].sort((a, b) => b.days_on_lot - a.days_on_lot);
+
+  return Object.fromEntries(Object.entries(thresholds).map(([bucket, firstDay]) => {
+    let count = 0;
+    let firstDate = null;
+
+    oldestFirst.forEach((vehicle, index) => {
+      if (vehicle.days_on_lot >= firstDay) return;
+      const daysUntil = firstDay - vehicle.days_on_lot;
+      const expectedSaleIn = salesPerDay > 0 ? (index + 1) / salesPerDay : Infinity;
+      if (expectedSaleIn <= daysUntil) return;
+
+      count++;
+      const date = toDay(new Date(asOfDate.getTime() + daysUntil * MS_PER_DAY));
+      if (!firstDate || date < firstDate) firstDate = date;
+    });
+
+    return [bucket.toLowerCase(), { units: count, first_date: firstDate }];
+  }));
+}
+
+function mapSoldColumns(headers) {
+  const key = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.fromEntries(Object.entries(SOLD_COLUMNS).map(([field, spellings]) =>
+    [field, headers.find(header => spellings.includes(key(header)))]
+  ));
+}
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / MS_PER_DAY);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  loadSoldUnits,
+  salesFromSnapshots,
+  loadSalesHistory,
+  calculateSalesVelocity,
+  salesPerDayByLine,
+  VelocitySources
+};
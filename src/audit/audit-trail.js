@@ -0,0 +1,203 @@
+/**
+ * Audit Trail
+ * Append-only JSONL log where each entry carries the previous entry's hash, so edits and deletions are detectable
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { withFileLock } from '../utils/file-lock.js';
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+// Appends within this process are serialized here; the lock file covers other processes (CLI next to the server)
+let appendQueue = Promise.resolve();
+
+/**
+ * Append an entry to the audit trail
+ *
+ * The entry gets the next sequence number, a timestamp, the hash of the
+ * previous entry and its own SHA-256 hash over all of that. The file is
+ * only ever appended to.
+ *
+ * @param {Object} record - What happened
+ * @param {string} record.action - e.g. 'analysis', 'cli rank', 'POST /api/analysis'
+ * @param {Object} [record.user] - `{user_id, role, session_id, key_id}` of who did it
+ * @param {Object} [record.details] - Action-specific data (inputs, outputs, status)
+ * @param {Object} [options={}] - Trail options
+ * @param {string} [options.filePath] - Trail file (defaults to audit.file)
+ * @returns {Promise<Object>} The entry as written
+ * @example
+ * await appendAuditEntry({ action: 'analysis', user: { user_id: 'jane', role: 'operator' }, details: { report: {...} } });
+ */
+export function appendAuditEntry(record, options = {}) {
+  const { filePath = AGENT_CONFIG.audit.file } = options;
+
+  const append = appendQueue.then(() => withFileLock(filePath, async () => {
+    const previous = await readLastEntry(filePath);
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      user: record.user ?? null,
+      action: record.action,
+      details: record.details ?? {},
+      prev_hash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }));
+
+  // A failed append must not block the ones queued after it
+  appendQueue = append.catch(() => {});
+  return append;
+}
+
+/**
+ * Check every entry's hash and its link to the previous entry
+ *
+ * Edited, reordered or removed entries break the chain at the first affected
+ * line. Entries cut from the end leave a valid chain, so compare `last_hash`
+ * with one recorded earlier (e.g. at the last compliance review).
+ *
+ * @param {Object} [options={}] - Trail options (`filePath`)
+ * @returns {Promise<Object>} `{valid, entries, last_hash, error}`; `error` is `{line, seq, reason}` for the first bad line
+ */
+export async function verifyAuditTrail(options = {}) {
+  const { filePath = AGENT_CONFIG.audit.file } = options;
+  const lines = await readLines(filePath);
+
+  let previousHash = GENESIS_HASH;
+  let previousSeq = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const fail = (reason, seq = null) => ({ valid: false, entries: i, last_hash: previousHash, error: { line: i + 1, seq, reason } });
+
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return fail('not valid JSON');
+    }
+
+    if (entry.prev_hash !== previousHash) return fail('prev_hash does not match the previous entry', entry.seq);
+    if (entry.seq !== previousSeq + 1) return fail(`expected seq ${previousSeq + 1}`, entry.seq);
+    if (hashEntry(entry) !== entry.hash) return fail('hash does not match the entry contents', entry.seq);
+
+    previousHash = entry.hash;
+    previousSeq = entry.seq;
+  }
+
+  return { valid: true, entries: lines.length, last_hash: previousHash, error: null };
+}
+
+/**
+ * Search the audit trail
+ * @param {Object} [filters={}] - Filters; all given ones must match
+ * @param {string} [filters.user] - User id
+ * @param {string} [filters.action] - Action, or a prefix of it ending in '*' (e.g. 'cli *')
+ * @param {string} [filters.since] - Earliest timestamp or date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.until] - Latest timestamp or date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.filePath] - Trail file
+ * @returns {Promise<Array<Object>>} Matching entries, oldest first
+ */
+export async function queryAuditTrail(filters = {}) {
+  const { user = null, action = null, since = null, until = null, filePath = AGENT_CONFIG.audit.file } = filters;
+  const lines = await readLines(filePath);
+
+  // A bare date for `until` covers that whole day
+  const untilBound = until && /^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59.999Z` : until;
+  const matchesAction = (value) => (action.endsWith('*') ? value.startsWith(action.slice(0, -1)) : value === action);
+
+  return lines
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry &&
+      (!user || entry.user?.user_id === user) &&
+      (!action || matchesAction(entry.action)) &&
+      (!since || entry.timestamp >= since) &&
+      (!untilBound || entry.timestamp <= untilBound));
+}
+
+/**
+ * SHA-256 of a file's contents, for recording exactly which input or output was used
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} Hex digest, or null when the file does not exist
+ */
+export async function hashFile(filePath) {
+  if (!filePath || !await fs.pathExists(filePath)) return null;
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function hashEntry(entry) {
+  const { hash: _hash, ...content } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+async function readLines(filePath) {
+  if (!await fs.pathExists(filePath)) return [];
+  return (await fs.readFile(filePath, 'utf8')).split('\n').filter(line => line.trim() !== '');
+}
+
+// Read backwards from the end until the last complete line is in hand, so appends stay cheap as the trail grows
+async function readLastEntry(filePath) {
+  if (!await fs.pathExists(filePath)) return null;
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    let text = '';
+    let position = size;
+
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, position);
+      text = buffer.toString('utf8') + text;
+
+      const trimmed = text.trimEnd();
+      if (position === 0 || trimmed.lastIndexOf('\n') !== -1) {
+        const last = trimmed.slice(trimmed.lastIndexOf('\n') + 1);
+        if (last === '') return null;
+        try {
+          return JSON.parse(last);
+        } catch {
+          throw new AppError(
+            `Audit trail ${filePath} ends with an unreadable entry; run node index.js audit verify`,
+            ErrorTypes.FILE_SYSTEM,
+            ErrorSeverity.CRITICAL
+          );
+        }
+      }
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+export default {
+  appendAuditEntry,
+  verifyAuditTrail,
+  queryAuditTrail,
+  hashFile,
+  GENESIS_HASH
+};
@@ -0,0 +1,250 @@
+/**
+ * User Store
+ * Persistent users and hashed API keys, resolved into access-control UserContexts for the CLI and HTTP API
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { UserContext, validateRole } from '../utils/access-control.js';
+
+const STORE_VERSION = 1;
+const KEY_PATTERN = /^([a-z]+)_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Load the user store
+ * @param {string} [filePath] - Store path (defaults to auth.users_file)
+ * @returns {Promise<{version: number, users: Array<Object>}>} Stored users; empty when the file does not exist yet
+ * @throws {AppError} If the file is not a user store
+ */
+export async function loadUserStore(filePath = AGENT_CONFIG.auth.users_file) {
+  if (!await fs.pathExists(filePath)) {
+    return { version: STORE_VERSION, users: [] };
+  }
+
+  let store;
+  try {
+    store = await fs.readJson(filePath);
+  } catch (error) {
+    throw new AppError(`User store is not valid JSON: ${error.message}`, ErrorTypes.CONFIGURATION, ErrorSeverity.HIGH, { filePath });
+  }
+  if (!Array.isArray(store?.users)) {
+    throw new AppError(`Invalid user store ${filePath}: users must be an array`, ErrorTypes.CONFIGURATION, ErrorSeverity.HIGH, { filePath });
+  }
+
+  return store;
+}
+
+/**
+ * Add a user and issue their first API key
+ * @param {string} userId - Unique user id
+ * @param {string} role - One of UserRoles
+ * @param {Object} [options={}] - Store options
+ * @param {string} [options.label] - Note to tell the user's keys apart, e.g. 'portal'
+ * @param {string} [options.filePath] - Store path
+ * @returns {Promise<{user: Object, key_id: string, api_key: string}>} The user and the plain API key, which is not stored and cannot be shown again
+ * @throws {AppError} If the user already exists or the role is unknown
+ * @example
+ * const { api_key } = await createUser('jane', 'operator', { label: 'portal' });
+ * (await resolveApiKey(api_key)).role; // 'operator'
+ */
+export async function createUser(userId, role, options = {}) {
+  const { label = null, filePath = AGENT_CONFIG.auth.users_file } = options;
+  validateRole(role);
+  if (typeof userId !== 'string' || !/^[\w.@-]+$/.test(userId)) {
+    throw new AppError('User id may only contain letters, digits and . _ @ -', ErrorTypes.VALIDATION, ErrorSeverity.LOW, { userId });
+  }
+
+  const store = await loadUserStore(filePath);
+  if (store.users.some(user => user.user_id === userId)) {
+    throw new AppError(`User already exists: ${userId}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+  }
+
+  const now = new Date().toISOString();
+  const user = { user_id: userId, role, created_at: now, updated_at: now, keys: [] };
+  const issued = addKey(user, label);
+  store.users.push(user);
+  await saveUserStore(store, filePath);
+
+  return { user: describeUser(user), ...issued };
+}
+
+/**
+ * Issue another API key for an existing user
+ * @param {string} userId - User id
+ * @param {Object} [options={}] - Store options (`label`, `filePath`)
+ * @returns {Promise<{key_id: string, api_key: string}>} The new key
+ */
+export async function issueApiKey(userId, options = {}) {
+  const { label = null, filePath = AGENT_CONFIG.auth.users_file } = options;
+  const store = await loadUserStore(filePath);
+  const issued = addKey(findUser(store, userId), label);
+  await saveUserStore(store, filePath);
+  return issued;
+}
+
+/**
+ * List users and their keys, without key hashes
+ * @param {Object} [options={}] - Store options (`filePath`)
+ * @returns {Promise<Array<Object>>} Users in the order they were added
+ */
+export async function listUsers(options = {}) {
+  const { filePath = AGENT_CONFIG.auth.users_file } = options;
+  return (await loadUserStore(filePath)).users.map(describeUser);
+}
+
+/**
+ * Change a user's role; it applies to all of their keys on the next request
+ * @param {string} userId - User id
+ * @param {string} role - One of UserRoles
+ * @param {Object} [options={}] - Store options (`filePath`)
+ * @returns {Promise<Object>} The updated user
+ */
+export async function setUserRole(userId, role, options = {}) {
+  const { filePath = AGENT_CONFIG.auth.users_file } = options;
+  validateRole(role);
+
+  const store = await loadUserStore(filePath);
+  const user = findUser(store, userId);
+  user.role = role;
+  user.updated_at = new Date().toISOString();
+  await saveUserStore(store, filePath);
+
+  return describeUser(user);
+}
+
+/**
+ * Revoke an API key; revoked keys stay listed but no longer resolve
+ * @param {string} keyId - Key id (shown by listUsers)
+ * @param {Object} [options={}] - Store options (`filePath`)
+ * @returns {Promise<{user_id: string, key_id: string, revoked_at: string}>} The revoked key
+ */
+export async function revokeApiKey(keyId, options = {}) {
+  const { filePath = AGENT_CONFIG.auth.users_file } = options;
+  const store = await loadUserStore(filePath);
+  const { user, key } = findActiveKey(store, keyId);
+
+  key.revoked_at = new Date().toISOString();
+  await saveUserStore(store, filePath);
+
+  return { user_id: user.user_id, key_id: key.key_id, revoked_at: key.revoked_at };
+}
+
+/**
+ * Replace an API key with a new one for the same user and label
+ * @param {string} keyId - Key to retire
+ * @param {Object} [options={}] - Store options (`filePath`)
+ * @returns {Promise<{user_id: string, key_id: string, api_key: string, replaced: string}>} The new key
+ */
+export async function rotateApiKey(keyId, options = {}) {
+  const { filePath = AGENT_CONFIG.auth.users_file } = options;
+  const store = await loadUserStore(filePath);
+  const { user, key } = findActiveKey(store, keyId);
+
+  const issued = addKey(user, key.label);
+  key.revoked_at = new Date().toISOString();
+  key.replaced_by = issued.key_id;
+  await saveUserStore(store, filePath);
+
+  return { user_id: user.user_id, ...issued, replaced: key.key_id };
+}
+
+/**
+ * Turn a presented API key into the owner's UserContext
+ *
+ * The store is read on every call so revocations and role changes apply
+ * immediately. The context carries the `keyId` that was used.
+ *
+ * @param {string} apiKey - Key as issued, e.g. 'pp_1a2b3c4d5e6f_...'
+ * @param {Object} [options={}] - Store options (`filePath`)
+ * @returns {Promise<UserContext>} Context for the key's user
+ * @throws {AppError} VALIDATION error with `details.reason` when the key is malformed, unknown or revoked
+ */
+export async function resolveApiKey(apiKey, options = {}) {
+  const { filePath = AGENT_CONFIG.auth.users_file } = options;
+  const match = KEY_PATTERN.exec(String(apiKey ?? '').trim());
+  if (!match) throw invalidKey('malformed');
+
+  const [, , keyId] = match;
+  const store = await loadUserStore(filePath);
+
+  for (const user of store.users) {
+    const key = user.keys.find(candidate => candidate.key_id === keyId);
+    if (!key) continue;
+
+    // Compare hashes in constant time; the plain key is never stored
+    const presented = Buffer.from(hashKey(match[0]), 'hex');
+    if (!crypto.timingSafeEqual(presented, Buffer.from(key.hash, 'hex'))) throw invalidKey('unknown');
+    if (key.revoked_at) throw invalidKey('revoked');
+
+    const context = new UserContext(user.user_id, validateRole(user.role));
+    context.keyId = key.key_id;
+    return context;
+  }
+
+  throw invalidKey('unknown');
+}
+
+async function saveUserStore(store, filePath) {
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, { ...store, version: STORE_VERSION }, { spaces: 2, mode: 0o600 });
+}
+
+// Keys are 32 random bytes, so a plain SHA-256 is enough; a slow password hash would only slow down every request
+function addKey(user, label) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const apiKey = `${AGENT_CONFIG.auth.key_prefix}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  user.keys.push({ key_id: keyId, label, hash: hashKey(apiKey), created_at: new Date().toISOString(), revoked_at: null });
+  user.updated_at = new Date().toISOString();
+
+  return { key_id: keyId, api_key: apiKey };
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function findUser(store, userId) {
+  const user = store.users.find(candidate => candidate.user_id === userId);
+  if (!user) {
+    throw new AppError(`Unknown user: ${userId}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW, { users: store.users.map(u => u.user_id) });
+  }
+  return user;
+}
+
+function findActiveKey(store, keyId) {
+  for (const user of store.users) {
+    const key = user.keys.find(candidate => candidate.key_id === keyId);
+    if (key && !key.revoked_at) return { user, key };
+    if (key) throw new AppError(`API key already revoked: ${keyId}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+  }
+  throw new AppError(`Unknown API key: ${keyId}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+}
+
+function describeUser(user) {
+  return {
+    user_id: user.user_id,
+    role: user.role,
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+    keys: user.keys.map(({ hash: _hash, ...key }) => ({ ...key, active: !key.revoked_at }))
+  };
+}
+
+function invalidKey(reason) {
+  return new AppError('Invalid API key', ErrorTypes.VALIDATION, ErrorSeverity.MEDIUM, { reason });
+}
+
+export default {
+  loadUserStore,
+  createUser,
+  issueApiKey,
+  listUsers,
+  setUserRole,
+  revokeApiKey,
+  rotateApiKey,
+  resolveApiKey
+};
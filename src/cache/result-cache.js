@@ -0,0 +1,254 @@
+/**
+ * Result Cache
+ * Tool results and LLM responses kept on disk, keyed by the content hash of their input files and their parameters
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { getCurrentUserContext, permittedTools } from '../utils/access-control.js';
+import { hashFile } from '../audit/audit-trail.js';
+import { increment } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+export const CacheNames = {
+  TOOLS: 'tools',
+  LLM: 'llm'
+};
+
+// Part of every key, so entries written by an older format are never read back
+const CACHE_VERSION = 1;
+
+const bypassStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn without reading or writing the cache (--no-cache, Cache-Control: no-cache)
+ * @param {Function} fn - Function to run; everything it awaits skips the cache
+ * @returns {*} fn's return value
+ */
+export function withCacheBypass(fn) {
+  return bypassStorage.run(true, fn);
+}
+
+export function isCacheBypassed() {
+  return bypassStorage.getStore() === true;
+}
+
+/**
+ * Content hashes of input files, in order
+ *
+ * A directory hashes to the names and hashes of the files directly in it. A
+ * missing path hashes to null, so creating the file later changes the key.
+ *
+ * @param {Array<string|null>} paths - Files or directories
+ * @returns {Promise<Array<string|null>>} SHA-256 hex digests
+ */
+export async function hashInputs(paths) {
+  return Promise.all(paths.map(async (inputPath) => {
+    if (!inputPath || !await fs.pathExists(inputPath)) return null;
+    if (!(await fs.stat(inputPath)).isDirectory()) return hashFile(inputPath);
+
+    const files = (await fs.readdir(inputPath)).sort();
+    const entries = await Promise.all(files.map(async file => `${file}:${await hashFile(path.join(inputPath, file))}`));
+    return crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+  }));
+}
+
+/**
+ * Cache key for a set of values
+ * @param {Object} parts - JSON-serializable values that together determine the result
+ * @returns {string} SHA-256 hex digest, the same for equal values whatever their key order
+ */
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify({ version: CACHE_VERSION, ...parts })).digest('hex');
+}
+
+/**
+ * Read an entry that has not expired
+ * @param {string} cache - Cache name (see CacheNames)
+ * @param {string} key - Key from cacheKey
+ * @param {Object} [options={}] - `directory` (defaults to cache.directory) and `now`
+ * @returns {Promise<*>} The stored value, or undefined on a miss
+ */
+export async function readCache(cache, key, options = {}) {
+  const { directory = AGENT_CONFIG.cache.directory, now = Date.now() } = options;
+  const filePath = entryPath(directory, cache, key);
+
+  let entry;
+  try {
+    entry = await fs.readJson(filePath);
+  } catch (error) {
+    // Missing, or cut short by a crash mid-write; either way it is a miss
+    increment('cache.misses', 1, { cache });
+    return undefined;
+  }
+
+  if (Date.parse(entry.expires_at) <= now) {
+    await fs.remove(filePath);
+    increment('cache.misses', 1, { cache });
+    return undefined;
+  }
+
+  increment('cache.hits', 1, { cache });
+  return entry.value;
+}
+
+/**
+ * Store a value for ttl_ms
+ * @param {string} cache - Cache name (see CacheNames)
+ * @param {string} key - Key from cacheKey
+ * @param {*} value - JSON-serializable value
+ * @param {Object} options - `ttl_ms`, and `directory` (defaults to cache.directory)
+ * @returns {Promise<string>} Path of the entry
+ */
+export async function writeCache(cache, key, value, options) {
+  const { ttl_ms: ttlMs, directory = AGENT_CONFIG.cache.directory } = options;
+  const filePath = entryPath(directory, cache, key);
+  const created = Date.now();
+
+  // Write then rename, so a concurrent reader never sees half an entry
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.outputJson(tmpPath, {
+    created_at: new Date(created).toISOString(),
+    expires_at: new Date(created + ttlMs).toISOString(),
+    value
+  });
+  await fs.move(tmpPath, filePath, { overwrite: true });
+  return filePath;
+}
+
+/**
+ * Remove cached entries
+ * @param {string|null} [cache=null] - One cache (see CacheNames), or null for all of them
+ * @param {Object} [options={}] - `directory` (defaults to cache.directory)
+ * @returns {Promise<number>} Entries removed
+ * @throws {AppError} VALIDATION error for an unknown cache name
+ */
+export async function clearCache(cache = null, options = {}) {
+  const { directory = AGENT_CONFIG.cache.directory } = options;
+  const caches = cache ? [assertCacheName(cache)] : Object.values(CacheNames);
+
+  let removed = 0;
+  for (const name of caches) {
+    removed += (await listEntries(directory, name)).length;
+    await fs.remove(path.join(directory, name));
+  }
+  return removed;
+}
+
+/**
+ * Entry counts and sizes per cache
+ * @param {Object} [options={}] - `directory` (defaults to cache.directory) and `now`
+ * @returns {Promise<Array<{cache: string, entries: number, expired: number, bytes: number}>>} One row per cache
+ */
+export async function describeCache(options = {}) {
+  const { directory = AGENT_CONFIG.cache.directory, now = Date.now() } = options;
+
+  return Promise.all(Object.values(CacheNames).map(async (cache) => {
+    const row = { cache, entries: 0, expired: 0, bytes: 0 };
+    for (const filePath of await listEntries(directory, cache)) {
+      row.entries += 1;
+      row.bytes += (await fs.stat(filePath)).size;
+      const entry = await fs.readJson(filePath).catch(() => null);
+      if (!entry || Date.parse(entry.expires_at) <= now) row.expired += 1;
+    }
+    return row;
+  }));
+}
+
+/**
+ * Wrap a tool so successful results are reused while its inputs are unchanged
+ *
+ * The key is the tool name, the call's parameters (file paths replaced by the
+ * content hashes of the files) and any settings the result depends on. Calls
+ * by users without the tool's permission always reach the tool, which refuses
+ * them. Cached results are plain JSON, so dates come back as ISO strings.
+ *
+ * @param {string} toolName - Tool function name, e.g. 'ingest_inventory_data'
+ * @param {Function} fn - `(params, ...callerArgs) => Promise<Object>` tool implementation
+ * @param {Object} options - What the result depends on
+ * @param {Function} options.key - `async (params, ...callerArgs) => ({params, inputs, settings})`: the parameters that shape
+ *   the result, the files it reads and other settings; return null to skip the cache for this call
+ * @param {Function} [options.reuse] - `async (result) => boolean`, false to discard a hit (e.g. a file it wrote is gone)
+ * @returns {Function} Tool with the same signature
+ */
+export function cachedTool(toolName, fn, options) {
+  const { key: describe, reuse = async () => true } = options;
+
+  return async function cached(params = {}, ...callerArgs) {
+    const settings = AGENT_CONFIG.cache;
+    const user = getCurrentUserContext();
+    if (!settings.tools.enabled || isCacheBypassed() || (user && permittedTools(user, [toolName]).length === 0)) {
+      return fn(params, ...callerArgs);
+    }
+
+    const parts = await describe(params, ...callerArgs);
+    if (!parts) return fn(params, ...callerArgs);
+
+    const key = cacheKey({ tool: toolName, ...parts, inputs: await hashInputs(parts.inputs ?? []) });
+    const hit = await readCache(CacheNames.TOOLS, key);
+    if (hit !== undefined && await reuse(hit)) {
+      logger.child('result-cache').info(`Using cached ${toolName} result`);
+      return hit;
+    }
+
+    const result = await fn(params, ...callerArgs);
+    if (result?.success) {
+      // A full disk should cost the next run a re-parse, not this run its result
+      await writeCache(CacheNames.TOOLS, key, result, { ttl_ms: settings.tools.ttl_ms })
+        .catch(error => logger.child('result-cache').warn(`Could not cache ${toolName} result`, { error: error.message }));
+    }
+    return result;
+  };
+}
+
+function entryPath(directory, cache, key) {
+  return path.join(directory, assertCacheName(cache), `${key}.json`);
+}
+
+async function listEntries(directory, cache) {
+  const cacheDir = path.join(directory, cache);
+  if (!await fs.pathExists(cacheDir)) return [];
+
+  return (await fs.readdir(cacheDir))
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(cacheDir, file));
+}
+
+function assertCacheName(cache) {
+  if (!Object.values(CacheNames).includes(cache)) {
+    throw new AppError(`Unknown cache: ${cache}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW, {
+      supported: Object.values(CacheNames)
+    });
+  }
+  return cache;
+}
+
+// JSON with object keys sorted, so equal parameters give equal keys
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export default {
+  CacheNames,
+  withCacheBypass,
+  isCacheBypassed,
+  hashInputs,
+  cacheKey,
+  readCache,
+  writeCache,
+  clearCache,
+  describeCache,
+  cachedTool
+};
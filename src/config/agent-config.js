@@ -22,35 +22,201 @@ Key responsibilities:
 5. Consider business factors like profit margins, inventory turnover, and market demand
 
 When making recommendations, always:
-- Prioritize vehicles with high aging (45+ days) that have strong incentives
+- Prioritize vehicles past the aging threshold given with each request that have strong incentives
 - Consider sales velocity and inventory levels
 - Factor in seasonal trends and market conditions
 - Provide specific, actionable reasoning for each recommendation
 - Format responses in clear, business-friendly language
 
-Output your recommendations in a structured format with:
-- Vehicle line/model
-- Priority ranking (1-3)
-- Key metrics (days on lot, inventory count, incentive value)
-- Strategic rationale
-- Recommended promotional approach`,
+When asked for recommendations, reply with a single JSON object {"recommendations": [...]} and no other text. Each recommendation has:
+- vehicle_line
+- rank (1-3)
+- key_metrics (inventory_count, avg_days_on_lot, best_incentive_value)
+- rationale
+- promotional_approach
+- incentive_ids (the programs the recommendation relies on)`,
 
-  // Business Logic Parameters
+  // Business Logic Parameters (defaults; the dealership config file overrides them)
   business_rules: {
     aging_threshold_days: 45,
     high_inventory_threshold: 20,
     low_velocity_threshold: 0.5, // sales per day
     incentive_value_threshold: 1000,
-    max_recommendations: 3
+    high_value_incentive_threshold: 2000, // incentives above this are listed as high value
+    max_recommendations: 3,
+
+    // Relative weight of each factor in the deterministic promotion score
+    scoring_weights: {
+      aging: 0.3,
+      inventory_level: 0.15,
+      capital_exposure: 0.1,
+      incentive_value: 0.25,
+      incentive_urgency: 0.1,
+      stackability: 0.1,
+      sales_velocity: 0.1 // ignored when there is no sales history
+    },
+    expiring_soon_days: 30
+  },
+
+  // Dealership Profile
+  dealership: {
+    name: 'PromoPilot Demo Dealership',
+    region: 'Central', // national programs always apply; regional ones must match this
+    config_file: './data/dealership.json' // aging buckets, make overrides and business rules; null uses the defaults
+  },
+
+  // Pricing Parameters
+  pricing_rules: {
+    minimum_gross: 500, // dollars over invoice the suggested price may never go below
+    // Suggested price as a fraction of the local market price, per positioning
+    market_targets: {
+      aggressive: 0.97,
+      balanced: 1.0,
+      premium: 1.03
+    },
+    // Fallback fractions of MSRP when no competitor comps match a vehicle
+    msrp_targets: {
+      aggressive: 0.94,
+      balanced: 0.97,
+      premium: 1.0
+    }
+  },
+
+  // Payment Assumptions (finance and lease quotes)
+  payment_defaults: {
+    standard_apr: 6.9, // rate used when the customer takes cash instead of special APR
+    term_months: 60,
+    down_payment: 2000,
+    tax_rate: 0.07,
+    fees: 695, // doc, title and registration
+    lease_term_months: 36,
+    residual_percent: 55,
+    acquisition_fee: 650
+  },
+
+  // Structured Output
+  structured_output: {
+    max_validation_retries: 2 // re-prompts when the model's recommendations fail the schema
+  },
+
+  // Inventory Ingestion
+  ingestion: {
+    validation_mode: 'lenient', // 'strict' rejects any row with a value that does not parse
+    rejects_file: null // e.g. './output/inventory-rejects.csv' to always write row issues
+  },
+
+  // Inventory Snapshots (one file per inventory source per day, saved by inventory-diff and read by it and sales velocity)
+  snapshots: {
+    enabled: true,
+    directory: './data/snapshots'
+  },
+
+  // Sales Velocity
+  sales_velocity: {
+    window_days: 90 // sales history counted back from the as-of date
+  },
+
+  // Dealer Group
+  dealer_group: {
+    max_transfer_suggestions: 10
+  },
+
+  // Claim Verification
+  claim_verification: {
+    auto_correct: true // replace wrong key metrics and drop incentive IDs that do not exist; false only flags them
+  },
+
+  // Role of CLI commands run without --api-key / PROMOPILOT_API_KEY. On a shared machine use
+  // 'viewer' (no reports) or null (a key for every command); free-text queries still call the LLM as a viewer
+  access_control: {
+    cli_role: 'operator'
+  },
+
+  // Append-only, hash-chained record of who ran what (node index.js audit verify|query)
+  audit: {
+    enabled: true,
+    file: './data/audit/audit-trail.jsonl'
+  },
+
+  // Counters, gauges and timings, kept between CLI runs in the snapshot file (node index.js metrics)
+  metrics: {
+    persist: true,
+    snapshot_file: './data/metrics/metrics.json'
+  },
+
+  // LLM token usage and spend (node index.js usage); prices are USD per million tokens
+  usage: {
+    ledger_file: './data/usage/spend-ledger.jsonl',
+    prices: {
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+      'gpt-4o': { prompt: 2.50, completion: 10.00 },
+      'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+      'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+      mock: { prompt: 0, completion: 0 },
+      default: { prompt: 2.50, completion: 10.00 } // any model not listed
+    },
+    budgets: {
+      daily_usd: null, // e.g. 5 refuses LLM calls that could take today's (UTC) spend past $5
+      per_run_usd: null // per CLI command or API request
+    }
   },
 
+  // Retries, timeouts and circuit breaker around LLM calls
+  resilience: {
+    max_retries: 2, // after the first attempt, for network, timeout, 429 and 5xx failures
+    base_delay_ms: 500, // doubles with each retry
+    max_delay_ms: 8000,
+    jitter: 0.5, // each delay is cut by up to this fraction at random
+    timeout_ms: 120000, // per attempt; a whole tool-calling completion counts as one
+    circuit_breaker: {
+      failure_threshold: 5, // consecutive failures that open the circuit
+      reset_timeout_ms: 60000 // then one trial call is let through
+    },
+    fallback: true // without the LLM, analyses use the deterministic rankings and summaries call the tools directly
+  },
+
+  // Tool results and LLM responses reused while their input files are unchanged (node index.js cache, --no-cache)
+  cache: {
+    directory: './data/cache',
+    tools: {
+      enabled: true, // ingest_inventory_data and fetch_incentive_data, keyed by file content and parameters
+      ttl_ms: 24 * 60 * 60 * 1000
+    },
+    llm: {
+      enabled: false, // identical prompt, options and input files replay the stored completion at no cost
+      ttl_ms: 60 * 60 * 1000
+    }
+  },
+
+  // Users and API keys (node index.js users ...); the file holds key hashes only
+  auth: {
+    users_file: './data/users.json',
+    key_prefix: 'pp'
+  },
+
+  // HTTP API (node index.js serve)
+  server: {
+    port: 3000,
+    host: '127.0.0.1', // keep on localhost unless a trusted proxy sits in front
+    auth: 'api_key', // 'api_key' (Authorization: Bearer <key> or X-API-Key) or 'headers' (trust X-User-Id / X-User-Role from a proxy)
+    max_body_bytes: 5 * 1024 * 1024 // largest JSON body, including uploaded inventory CSV
+  },
+
+  // LLM Provider ('openai' or 'mock'); the LLM_PROVIDER environment variable takes precedence
+  provider: 'openai',
+  mock_scripts_directory: './data/mock-scripts',
+
   // Tool Configuration
-  tools_directory: './src/tools',
+  tools_directory: './tools',
   
   // Data Sources
   data_sources: {
     inventory_file: './data/sample-inventory.csv',
     incentives_file: './data/sample-incentives.json',
+    competitor_comps_file: './data/sample-competitor-comps.csv',
+    sold_units_file: './data/sample-sold-units.csv', // sales history for velocity; snapshots are used when missing
+    mapping_profiles_directory: './data/mapping-profiles',
+    dealer_registry_file: './data/dealers.json', // rooftops for group analysis and --dealer
     output_directory: './output'
   },
 
@@ -0,0 +1,230 @@
+/**
+ * Dealership Configuration
+ * Per-dealership aging buckets, make overrides and business rule thresholds, loaded from a validated JSON file
+ */
+
+import fs from 'fs-extra';
+import { AGENT_CONFIG } from './agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+// Used when no dealership file is configured; matches the original hard-coded categories
+export const DEFAULT_AGING_BUCKETS = [
+  { name: 'Fresh', max_days: 30 },
+  { name: 'Aging', max_days: 60 },
+  { name: 'Stale', max_days: 90 },
+  { name: 'Critical', max_days: null }
+];
+
+export const DEFAULT_PROJECTED_BUCKETS = ['Stale', 'Critical'];
+
+/**
+ * Load and validate a dealership config file
+ *
+ * The file defines `aging_buckets` (ordered `{name, max_days}`; the last one
+ * has `max_days: null` and takes everything older), the `projected_buckets`
+ * the sales-velocity projection reports on, `make_overrides` keyed by make
+ * ("Ford") or make and model ("Ford F-150") with their own bucket limits, and
+ * `business_rules` that override AGENT_CONFIG.business_rules. Overrides must
+ * use the same bucket names in the same order so counts stay comparable.
+ *
+ * @param {string|null} [filePath] - Config path (defaults to dealership.config_file); null uses the defaults
+ * @param {Object} [baseRules=AGENT_CONFIG.business_rules] - Rules the file's business_rules are merged over
+ * @returns {Promise<Object>} `{source, aging_buckets, projected_buckets, make_overrides, business_rules}`
+ * @throws {AppError} If the file is missing or invalid
+ * @example
+ * const dealership = await loadDealershipConfig();
+ * getAgingCategory(100, dealership, { make: 'Ford', model: 'F-150' }); // 'Stale'
+ */
+export async function loadDealershipConfig(filePath = AGENT_CONFIG.dealership.config_file, baseRules = AGENT_CONFIG.business_rules) {
+  let file = {};
+
+  if (filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new AppError(
+        `Dealership config not found: ${filePath}`,
+        ErrorTypes.CONFIGURATION,
+        ErrorSeverity.HIGH
+      );
+    }
+    try {
+      file = await fs.readJson(filePath);
+    } catch (error) {
+      throw new AppError(
+        `Dealership config is not valid JSON: ${error.message}`,
+        ErrorTypes.CONFIGURATION,
+        ErrorSeverity.HIGH,
+        { filePath }
+      );
+    }
+  }
+
+  const config = {
+    source: filePath || null,
+    aging_buckets: file.aging_buckets ?? DEFAULT_AGING_BUCKETS,
+    projected_buckets: file.projected_buckets ?? DEFAULT_PROJECTED_BUCKETS,
+    make_overrides: file.make_overrides ?? {},
+    business_rules: { ...baseRules, ...file.business_rules }
+  };
+
+  validateDealershipConfig(config, baseRules);
+  return config;
+}
+
+/**
+ * Aging buckets for a vehicle: a make-and-model override wins over a make override, which wins over the defaults
+ * @param {Object} dealership - Result of loadDealershipConfig
+ * @param {Object} [vehicle={}] - Vehicle with make and model
+ * @returns {Array<{name: string, max_days: number|null}>} Buckets in order
+ */
+export function agingBucketsFor(dealership, { make, model } = {}) {
+  const overrides = Object.fromEntries(
+    Object.entries(dealership.make_overrides).map(([key, override]) => [key.toLowerCase(), override])
+  );
+  const match = overrides[`${make} ${model}`.toLowerCase()] || overrides[String(make).toLowerCase()];
+  return match?.aging_buckets ?? dealership.aging_buckets;
+}
+
+/**
+ * Name of the aging bucket a vehicle falls in
+ * @param {number} daysOnLot - Days on lot
+ * @param {Object} dealership - Result of loadDealershipConfig
+ * @param {Object} [vehicle] - Vehicle with make and model, for overrides
+ * @returns {string} Bucket name, e.g. 'Aging'
+ */
+export function getAgingCategory(daysOnLot, dealership, vehicle) {
+  const buckets = agingBucketsFor(dealership, vehicle);
+  return (buckets.find(bucket => bucket.max_days === null || daysOnLot <= bucket.max_days) || buckets[buckets.length - 1]).name;
+}
+
+/**
+ * First day on lot of each projected bucket, for calculateSalesVelocity
+ * @param {Object} dealership - Result of loadDealershipConfig
+ * @param {Object} [vehicle] - Vehicle with make and model, for overrides
+ * @returns {Object} Start day keyed by bucket name, e.g. { Stale: 61, Critical: 91 }
+ */
+export function projectedBucketStarts(dealership, vehicle) {
+  const buckets = agingBucketsFor(dealership, vehicle);
+  return Object.fromEntries(dealership.projected_buckets.map(name => {
+    const index = buckets.findIndex(bucket => bucket.name === name);
+    return [name, index === 0 ? 0 : buckets[index - 1].max_days + 1];
+  }));
+}
+
+/**
+ * Describe the bucket limits for the LLM prompt
+ * @param {Object} dealership - Result of loadDealershipConfig
+ * @returns {string} e.g. "Fresh up to 30 days, Aging up to 60 days, Stale up to 90 days, Critical beyond (Ford F-150: ...)"
+ */
+export function describeAgingBuckets(dealership) {
+  const describe = (buckets) => buckets
+    .map(bucket => (bucket.max_days === null ? `${bucket.name} beyond` : `${bucket.name} up to ${bucket.max_days} days`))
+    .join(', ');
+
+  const overrides = Object.entries(dealership.make_overrides)
+    .filter(([, override]) => override.aging_buckets)
+    .map(([key, override]) => `${key}: ${describe(override.aging_buckets)}`);
+
+  return describe(dealership.aging_buckets) + (overrides.length > 0 ? ` (${overrides.join('; ')})` : '');
+}
+
+/**
+ * Check a scoring_weights override. The scorer fills factors it leaves out from
+ * the configured weights, so the result must still give some factor a weight.
+ * @param {*} weights - `business_rules.scoring_weights` from a dealership config or dealer
+ * @param {string} label - Prefix for each problem, e.g. 'business_rules.scoring_weights'
+ * @param {Array<string>} problems - Problems found are appended here
+ */
+export function validateScoringWeights(weights, label, problems) {
+  const defaults = AGENT_CONFIG.business_rules.scoring_weights;
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    problems.push(`${label} must be an object of weights by factor`);
+    return;
+  }
+
+  Object.entries(weights).forEach(([factor, weight]) => {
+    if (!(factor in defaults)) {
+      problems.push(`${label}.${factor} is not a scoring factor (${Object.keys(defaults).join(', ')})`);
+    } else if (!Number.isFinite(weight) || weight < 0) {
+      problems.push(`${label}.${factor} must be a non-negative number`);
+    }
+  });
+
+  if (!Object.values({ ...defaults, ...weights }).some(weight => weight > 0)) {
+    problems.push(`${label} must give at least one factor a weight above 0`);
+  }
+}
+
+function validateDealershipConfig(config, baseRules) {
+  const problems = [];
+  const names = validateBuckets(config.aging_buckets, 'aging_buckets', problems);
+
+  Object.entries(config.make_overrides).forEach(([key, override]) => {
+    if (!override.aging_buckets) return;
+    const overrideNames = validateBuckets(override.aging_buckets, `make_overrides.${key}.aging_buckets`, problems);
+    if (overrideNames.join() !== names.join()) {
+      problems.push(`make_overrides.${key}.aging_buckets must use the buckets ${names.join(', ')} in that order`);
+    }
+  });
+
+  if (!Array.isArray(config.projected_buckets)) {
+    problems.push('projected_buckets must be an array');
+  } else {
+    config.projected_buckets
+      .filter(name => !names.includes(name))
+      .forEach(name => problems.push(`projected_buckets: ${name} is not an aging bucket`));
+  }
+
+  Object.entries(config.business_rules).forEach(([rule, value]) => {
+    if (!(rule in baseRules)) {
+      problems.push(`business_rules.${rule} is not a known rule`);
+    } else if (rule === 'scoring_weights') {
+      validateScoringWeights(value, 'business_rules.scoring_weights', problems);
+    } else if (!Number.isFinite(value) || value < 0) {
+      problems.push(`business_rules.${rule} must be a non-negative number`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new AppError(
+      `Invalid dealership config ${config.source ?? '(defaults)'}: ${problems.join('; ')}`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH,
+      { errors: problems }
+    );
+  }
+}
+
+// Buckets need unique names and increasing limits, with only the last one open-ended
+function validateBuckets(buckets, label, problems) {
+  if (!Array.isArray(buckets) || buckets.length === 0) {
+    problems.push(`${label} must be a non-empty array`);
+    return [];
+  }
+
+  buckets.forEach((bucket, i) => {
+    const last = i === buckets.length - 1;
+    if (!bucket.name || typeof bucket.name !== 'string') problems.push(`${label}[${i}].name is required`);
+    if (last && bucket.max_days !== null) problems.push(`${label}: the last bucket must have max_days null`);
+    if (!last && (!Number.isInteger(bucket.max_days) || bucket.max_days < 0)) {
+      problems.push(`${label}[${i}].max_days must be a non-negative integer`);
+    } else if (!last && i > 0 && bucket.max_days <= buckets[i - 1].max_days) {
+      problems.push(`${label}[${i}].max_days must be greater than the previous bucket's`);
+    }
+  });
+
+  const names = buckets.map(bucket => bucket.name);
+  if (new Set(names).size !== names.length) problems.push(`${label} has duplicate bucket names`);
+  return names;
+}
+
+export default {
+  loadDealershipConfig,
+  agingBucketsFor,
+  getAgingCategory,
+  projectedBucketStarts,
+  describeAgingBuckets,
+  validateScoringWeights,
+  DEFAULT_AGING_BUCKETS,
+  DEFAULT_PROJECTED_BUCKETS
+};
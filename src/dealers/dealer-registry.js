@@ -0,0 +1,135 @@
+/**
+ * Dealer Registry
+ * Rooftops in a dealer group, each with its own region, data sources and business rules
+ */
+
+import fs from 'fs-extra';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { loadDealershipConfig, validateScoringWeights } from '../config/dealership-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+/**
+ * Load and validate the dealer registry
+ *
+ * Each dealer has an `id`, `name`, `region` (used for regional incentive
+ * programs), an optional `zip`, `data_sources` with at least an
+ * `inventory_file` (`incentives_file` defaults to the agent config and
+ * `sold_units_file` to none, so velocity comes from that store's snapshots),
+ * an optional dealership `config_file` and `business_rules` that override the
+ * ones in that config.
+ *
+ * @param {string} [filePath] - Registry path (defaults to data_sources.dealer_registry_file)
+ * @returns {Promise<{source: string, dealers: Array<Object>}>} Dealers with defaults filled in, in file order
+ * @throws {AppError} If the file is missing or a dealer is invalid
+ */
+export async function loadDealerRegistry(filePath = AGENT_CONFIG.data_sources.dealer_registry_file) {
+  if (!filePath || !await fs.pathExists(filePath)) {
+    throw new AppError(
+      `Dealer registry not found: ${filePath}`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH
+    );
+  }
+
+  const file = await fs.readJson(filePath);
+  const dealers = Array.isArray(file) ? file : file.dealers;
+  validateRegistry(filePath, dealers);
+
+  return { source: filePath, dealers: dealers.map(normalizeDealer) };
+}
+
+/**
+ * Pick dealers from the registry by id
+ * @param {Object} registry - Result of loadDealerRegistry
+ * @param {Array<string>|string|null} [ids] - Dealer ids (array or comma-separated); all dealers when empty
+ * @returns {Array<Object>} Matching dealers in the order requested
+ * @throws {AppError} If an id is not in the registry
+ */
+export function selectDealers(registry, ids = null) {
+  const wanted = (Array.isArray(ids) ? ids : String(ids ?? '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  if (wanted.length === 0) return registry.dealers;
+
+  return wanted.map(id => {
+    const dealer = registry.dealers.find(d => d.id === id);
+    if (!dealer) {
+      throw new AppError(
+        `Unknown dealer: ${id}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.MEDIUM,
+        { available: registry.dealers.map(d => d.id) }
+      );
+    }
+    return dealer;
+  });
+}
+
+/**
+ * Load a dealer's dealership config with its own business rules applied on top
+ * @param {Object} dealer - Dealer from the registry
+ * @returns {Promise<Object>} Dealership config (see loadDealershipConfig)
+ */
+export async function loadDealerSettings(dealer) {
+  const dealership = await loadDealershipConfig(dealer.config_file);
+  return { ...dealership, business_rules: { ...dealership.business_rules, ...dealer.business_rules } };
+}
+
+function normalizeDealer(dealer) {
+  return {
+    id: dealer.id,
+    name: dealer.name,
+    region: dealer.region,
+    zip: dealer.zip ?? null,
+    data_sources: {
+      inventory_file: dealer.data_sources.inventory_file,
+      incentives_file: dealer.data_sources.incentives_file ?? AGENT_CONFIG.data_sources.incentives_file,
+      sold_units_file: dealer.data_sources.sold_units_file ?? null
+    },
+    config_file: dealer.config_file === undefined ? AGENT_CONFIG.dealership.config_file : dealer.config_file,
+    business_rules: dealer.business_rules ?? {}
+  };
+}
+
+function validateRegistry(filePath, dealers) {
+  const problems = [];
+
+  if (!Array.isArray(dealers) || dealers.length === 0) {
+    problems.push('dealers must be a non-empty array');
+  } else {
+    const seen = new Set();
+    dealers.forEach((dealer, i) => {
+      const label = `dealers[${i}]${dealer?.id ? ` (${dealer.id})` : ''}`;
+      ['id', 'name', 'region'].forEach(field => {
+        if (typeof dealer?.[field] !== 'string' || dealer[field].trim() === '') problems.push(`${label}.${field} is required`);
+      });
+      if (seen.has(dealer?.id)) problems.push(`${label}.id is a duplicate`);
+      seen.add(dealer?.id);
+      if (typeof dealer?.data_sources?.inventory_file !== 'string') problems.push(`${label}.data_sources.inventory_file is required`);
+      Object.entries(dealer?.business_rules ?? {}).forEach(([rule, value]) => {
+        if (!(rule in AGENT_CONFIG.business_rules)) {
+          problems.push(`${label}.business_rules.${rule} is not a known rule`);
+        } else if (rule === 'scoring_weights') {
+          validateScoringWeights(value, `${label}.business_rules.scoring_weights`, problems);
+        } else if (!Number.isFinite(value) || value < 0) {
+          problems.push(`${label}.business_rules.${rule} must be a non-negative number`);
+        }
+      });
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new AppError(
+      `Invalid dealer registry ${filePath}: ${problems.join('; ')}`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH,
+      { errors: problems }
+    );
+  }
+}
+
+export default {
+  loadDealerRegistry,
+  selectDealers,
+  loadDealerSettings
+};
@@ -0,0 +1,231 @@
+/**
+ * Dealer Group Analysis
+ * Per-store and group-wide inventory views across rooftops, with cross-store transfer suggestions
+ */
+
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { createResponse, handleError, getISODate } from '../utils/common-utils.js';
+import { rankPromotions } from '../analysis/promotion-scorer.js';
+import { loadDealerRegistry, selectDealers, loadDealerSettings } from './dealer-registry.js';
+
+/**
+ * Rank every selected dealer and combine the results
+ *
+ * Each dealer is ranked with its own inventory, incentives, sales history,
+ * region and business rules. The group view sums units, MSRP and aging
+ * buckets across stores, lists each vehicle line's units per dealer and
+ * merges the top-scored lines of every store.
+ *
+ * @param {Object} [options={}] - Analysis options
+ * @param {Array<string>|string} [options.dealerIds] - Dealers to include (all when omitted)
+ * @param {string} [options.asOfDate] - Reference date (YYYY-MM-DD)
+ * @param {string} [options.registryPath] - Dealer registry file
+ * @param {number} [options.maxTransfers] - Transfer suggestions to return (defaults to dealer_group.max_transfer_suggestions)
+ * @returns {Promise<Object>} Response with `dealers`, `group` and `transfers`
+ * @example
+ * const result = await analyzeDealerGroup({ asOfDate: '2024-11-20' });
+ * result.transfers[0]; // { stock_number: 'C004', from_dealer: 'main', to_dealer: 'north', ... }
+ */
+export async function analyzeDealerGroup(options = {}) {
+  const log = logger.child('group-analysis');
+
+  const {
+    dealerIds = null,
+    asOfDate = null,
+    registryPath = AGENT_CONFIG.data_sources.dealer_registry_file,
+    maxTransfers = AGENT_CONFIG.dealer_group.max_transfer_suggestions
+  } = options;
+
+  try {
+    const registry = await loadDealerRegistry(registryPath);
+    const dealers = selectDealers(registry, dealerIds);
+    const stores = [];
+
+    // One store at a time: each ranking ingests a file and may write a snapshot
+    for (const dealer of dealers) {
+      const ranking = await rankPromotions({ dealer, asOfDate });
+      if (!ranking.success) {
+        throw new AppError(
+          `Ranking failed for dealer ${dealer.id}: ${ranking.error}`,
+          ErrorTypes.PROCESSING,
+          ErrorSeverity.HIGH,
+          { dealer: dealer.id }
+        );
+      }
+      const settings = await loadDealerSettings(dealer);
+      stores.push({ dealer, ranking, rules: settings.business_rules });
+    }
+
+    const transfers = planTransfers(stores.map(({ dealer, ranking, rules }) => ({
+      dealer_id: dealer.id,
+      dealer_name: dealer.name,
+      inventory: ranking.inventory,
+      sales_per_day_by_line: ranking.inventory_summary.sales_velocity?.sales_per_day_by_line ?? {},
+      min_days_on_lot: rules.aging_threshold_days
+    })), { limit: maxTransfers });
+
+    log.info(`Analyzed ${stores.length} dealers with ${transfers.length} transfer suggestions`);
+
+    return createResponse(true, {
+      as_of_date: asOfDate || getISODate(true),
+      dealers: stores.map(describeStore),
+      group: summarizeGroup(stores),
+      transfers
+    });
+  } catch (error) {
+    return handleError(error, 'Dealer group analysis', log);
+  }
+}
+
+/**
+ * Suggest moving aged units to a store where the same line sells faster
+ *
+ * Units at or past their store's `min_days_on_lot` are considered oldest
+ * first. A unit moves to the store with the fewest expected days to sell
+ * it, counting the units already there and any earlier suggestions, as long
+ * as that store sells the line faster and would sell the unit sooner than
+ * the current store's days supply.
+ *
+ * @param {Array<Object>} stores - `{dealer_id, dealer_name, inventory, sales_per_day_by_line, min_days_on_lot}` per store
+ * @param {Object} [options={}] - Planning options
+ * @param {number} [options.limit] - Maximum suggestions (all when omitted)
+ * @returns {Array<Object>} Suggestions, oldest unit first
+ */
+export function planTransfers(stores, options = {}) {
+  const { limit = null } = options;
+
+  const stock = new Map();
+  const stockKey = (dealerId, line) => `${dealerId}|${line}`;
+  stores.forEach(store => store.inventory.forEach(vehicle => {
+    const key = stockKey(store.dealer_id, vehicle.vehicle_line);
+    stock.set(key, (stock.get(key) || 0) + 1);
+  }));
+  const unitsAt = (dealerId, line) => stock.get(stockKey(dealerId, line)) || 0;
+  const rateAt = (store, line) => store.sales_per_day_by_line[line] || 0;
+
+  const candidates = stores
+    .flatMap(store => store.inventory
+      .filter(vehicle => vehicle.days_on_lot >= store.min_days_on_lot)
+      .map(vehicle => ({ store, vehicle })))
+    .sort((a, b) => b.vehicle.days_on_lot - a.vehicle.days_on_lot ||
+      String(a.vehicle.stock_number).localeCompare(String(b.vehicle.stock_number)));
+
+  const suggestions = [];
+
+  for (const { store, vehicle } of candidates) {
+    if (limit !== null && suggestions.length >= limit) break;
+
+    const line = vehicle.vehicle_line;
+    const fromRate = rateAt(store, line);
+    const fromSupply = fromRate > 0 ? unitsAt(store.dealer_id, line) / fromRate : Infinity;
+
+    const best = stores
+      .filter(other => other.dealer_id !== store.dealer_id && rateAt(other, line) > fromRate)
+      .map(other => ({ other, days: (unitsAt(other.dealer_id, line) + 1) / rateAt(other, line) }))
+      .filter(option => option.days < fromSupply)
+      .sort((a, b) => a.days - b.days)[0];
+
+    if (!best) continue;
+
+    stock.set(stockKey(store.dealer_id, line), unitsAt(store.dealer_id, line) - 1);
+    stock.set(stockKey(best.other.dealer_id, line), unitsAt(best.other.dealer_id, line) + 1);
+
+    const toRate = rateAt(best.other, line);
+    suggestions.push({
+      vin: vehicle.vin,
+      stock_number: vehicle.stock_number,
+      vehicle_line: line,
+      days_on_lot: vehicle.days_on_lot,
+      aging_category: vehicle.aging_category,
+      location: vehicle.location ?? null,
+      from_dealer: store.dealer_id,
+      to_dealer: best.other.dealer_id,
+      from_sales_per_day: fromRate,
+      to_sales_per_day: toRate,
+      from_days_supply: Number.isFinite(fromSupply) ? Math.round(fromSupply) : null,
+      to_expected_days_to_sell: Math.round(best.days),
+      reason: `${line} sells ${toRate}/day at ${best.other.dealer_name} vs ${fromRate}/day at ${store.dealer_name}`
+    });
+  }
+
+  return suggestions;
+}
+
+function describeStore({ dealer, ranking, rules }) {
+  const summary = ranking.inventory_summary;
+  const { sales_per_day_by_line: _byLine, ...velocity } = summary.sales_velocity ?? {};
+
+  return {
+    id: dealer.id,
+    name: dealer.name,
+    region: dealer.region,
+    zip: dealer.zip,
+    total_vehicles: summary.total_vehicles,
+    average_days_on_lot: summary.average_days_on_lot,
+    total_msrp_value: summary.total_msrp_value,
+    by_aging: summary.by_aging,
+    by_location: summary.by_location,
+    sales_velocity: summary.sales_velocity ? velocity : null,
+    top_lines: ranking.rankings.slice(0, rules.max_recommendations).map(entry => ({
+      rank: entry.rank,
+      vehicle_line: entry.vehicle_line,
+      score: entry.score,
+      units: entry.metrics.inventory_count,
+      avg_days_on_lot: entry.metrics.avg_days_on_lot
+    }))
+  };
+}
+
+function summarizeGroup(stores) {
+  const group = {
+    dealer_count: stores.length,
+    total_vehicles: 0,
+    total_msrp_value: 0,
+    average_days_on_lot: 0,
+    by_aging: {},
+    vehicle_lines: {},
+    top_lines: []
+  };
+  let totalDays = 0;
+
+  stores.forEach(({ dealer, ranking }) => {
+    const summary = ranking.inventory_summary;
+    group.total_vehicles += summary.total_vehicles;
+    group.total_msrp_value += summary.total_msrp_value;
+
+    Object.entries(summary.by_aging).forEach(([bucket, count]) => {
+      group.by_aging[bucket] = (group.by_aging[bucket] || 0) + count;
+    });
+
+    Object.entries(summary.vehicle_lines).forEach(([line, lineData]) => {
+      const entry = group.vehicle_lines[line] || (group.vehicle_lines[line] = { count: 0, total_days: 0, avg_days: 0, by_dealer: {} });
+      entry.count += lineData.count;
+      entry.total_days += lineData.total_days;
+      entry.by_dealer[dealer.id] = lineData.count;
+      totalDays += lineData.total_days;
+    });
+
+    ranking.rankings.forEach(entry => group.top_lines.push({
+      dealer_id: dealer.id,
+      vehicle_line: entry.vehicle_line,
+      score: entry.score
+    }));
+  });
+
+  Object.values(group.vehicle_lines).forEach(entry => {
+    entry.avg_days = Math.round(entry.total_days / entry.count);
+  });
+  group.average_days_on_lot = group.total_vehicles > 0 ? Math.round(totalDays / group.total_vehicles) : 0;
+  group.top_lines = group.top_lines
+    .sort((a, b) => b.score - a.score)
+    .slice(0, AGENT_CONFIG.business_rules.max_recommendations);
+
+  return group;
+}
+
+export default {
+  analyzeDealerGroup,
+  planTransfers
+};
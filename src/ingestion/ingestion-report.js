@@ -0,0 +1,61 @@
+/**
+ * Ingestion Report
+ * Row-level record of what the inventory ingestor rejected or coerced
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { RowActions } from './mapping-profiles.js';
+
+const REJECTS_COLUMNS = ['line', 'stock_number', 'field', 'raw_value', 'reason', 'action'];
+
+/**
+ * Count rows and issues for the ingestion response
+ * @param {Object} counts - Row counts gathered while parsing
+ * @param {string} counts.mode - Validation mode used
+ * @param {number} counts.rowsRead - Data rows in the file
+ * @param {number} counts.rowsAccepted - Rows that made it into the inventory
+ * @param {Array<Object>} rowIssues - Row issues collected while parsing
+ * @returns {Object} Mode, row counts and issue counts by action
+ */
+export function summarizeRowIssues({ mode, rowsRead, rowsAccepted }, rowIssues) {
+  const linesWith = (action) => new Set(rowIssues.filter(issue => issue.action === action).map(issue => issue.line)).size;
+
+  return {
+    mode,
+    rows_read: rowsRead,
+    rows_accepted: rowsAccepted,
+    rows_rejected: linesWith(RowActions.REJECTED),
+    rows_coerced: linesWith(RowActions.COERCED),
+    total_issues: rowIssues.length
+  };
+}
+
+/**
+ * Write row issues to a CSV file the data team can work through
+ * @param {string} filePath - Destination CSV path (directories are created)
+ * @param {Array<Object>} rowIssues - Row issues from ingest_inventory_data
+ * @returns {Promise<string>} The path written
+ * @example
+ * await writeRowIssuesCsv('./output/inventory-rejects.csv', result.row_issues);
+ */
+export async function writeRowIssuesCsv(filePath, rowIssues) {
+  const lines = [
+    REJECTS_COLUMNS.join(','),
+    ...rowIssues.map(issue => REJECTS_COLUMNS.map(column => escapeCsv(issue[column])).join(','))
+  ];
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  summarizeRowIssues,
+  writeRowIssuesCsv
+};
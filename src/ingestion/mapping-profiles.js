@@ -0,0 +1,342 @@
+/**
+ * Column Mapping Profiles
+ * Map inventory CSV headers from different DMS exports onto the canonical vehicle fields
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+// Fields the ingestor understands; a profile may map any subset of them
+export const CANONICAL_FIELDS = [
+  'vin',
+  'make',
+  'model',
+  'year',
+  'trim',
+  'color',
+  'msrp',
+  'invoice',
+  'internet_price',
+  'stock_number',
+  'date_received',
+  'days_in_stock',
+  'status',
+  'location'
+];
+
+export const FieldTypes = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  NUMBER: 'number',
+  CURRENCY: 'currency',
+  DATE: 'date'
+};
+
+export const ValidationModes = {
+  LENIENT: 'lenient',
+  STRICT: 'strict'
+};
+
+export const RowActions = {
+  REJECTED: 'rejected',
+  COERCED: 'coerced'
+};
+
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  YY: { pattern: '(\\d{2})', part: 'shortYear' },
+  MM: { pattern: '(\\d{1,2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{1,2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' }
+};
+
+/**
+ * Load every mapping profile from a directory
+ *
+ * Each `*.json` file is one profile named after the file. A profile has a
+ * `fields` object keyed by canonical field, each with the `headers` it may
+ * appear under, a `type` (string, integer, number, currency or date), an
+ * optional `required` flag, a `default` used when the cell is empty and, for
+ * dates, a `format` hint such as `MM/DD/YYYY` (falls back to the profile's
+ * `date_format`).
+ *
+ * @param {string} [directory] - Profile directory (defaults to data_sources.mapping_profiles_directory)
+ * @returns {Promise<Array<Object>>} Profiles in file name order
+ * @throws {AppError} If the directory is missing or a profile is malformed
+ */
+export async function loadMappingProfiles(directory = AGENT_CONFIG.data_sources.mapping_profiles_directory) {
+  if (!directory || !await fs.pathExists(directory)) {
+    throw new AppError(
+      `Mapping profile directory not found: ${directory}`,
+      ErrorTypes.FILE_SYSTEM,
+      ErrorSeverity.HIGH
+    );
+  }
+
+  const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+  const profiles = await Promise.all(files.map(async file => ({
+    ...await fs.readJson(path.join(directory, file)),
+    name: path.basename(file, '.json')
+  })));
+
+  profiles.forEach(validateProfile);
+  return profiles;
+}
+
+/**
+ * Match a profile's fields to the columns of a header row
+ *
+ * Headers are compared case-insensitively with spaces and punctuation
+ * ignored, so "Stock #", "stock" and "STOCK" are the same column.
+ *
+ * @param {Object} profile - Mapping profile
+ * @param {Array<string>} headers - CSV header row
+ * @returns {{profile: Object, columns: Object, missing_required: Array<string>, unmapped_headers: Array<string>}} Column per canonical field
+ */
+export function bindMappingProfile(profile, headers) {
+  const byKey = new Map(headers.map(header => [headerKey(header), header]));
+  const columns = {};
+
+  Object.entries(profile.fields).forEach(([field, spec]) => {
+    const header = spec.headers.map(headerKey).find(key => byKey.has(key));
+    if (header !== undefined) columns[field] = byKey.get(header);
+  });
+
+  const used = new Set(Object.values(columns));
+
+  return {
+    profile,
+    columns,
+    missing_required: Object.entries(profile.fields)
+      .filter(([field, spec]) => spec.required && !columns[field])
+      .map(([field]) => field),
+    unmapped_headers: headers.filter(header => !used.has(header))
+  };
+}
+
+/**
+ * Pick the profile for a header row
+ *
+ * With a profile name, that profile is used and must find all of its
+ * required columns. Without one, every profile whose required columns are
+ * present is a candidate and the one that maps the most columns wins (ties
+ * go to the first in file name order).
+ *
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Object>} profiles - Profiles from loadMappingProfiles
+ * @param {string} [profileName] - Profile to force instead of detecting
+ * @returns {Object} Binding from bindMappingProfile
+ * @throws {AppError} If the named profile does not exist or no profile fits the headers
+ * @example
+ * const binding = resolveMappingProfile(['Stock #', 'VIN', 'In Stock Date'], profiles);
+ * binding.profile.name; // 'dms-export'
+ */
+export function resolveMappingProfile(headers, profiles, profileName = null) {
+  if (profileName) {
+    const profile = profiles.find(p => p.name === profileName);
+    if (!profile) {
+      throw new AppError(
+        `Unknown mapping profile: ${profileName}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.MEDIUM,
+        { available: profiles.map(p => p.name) }
+      );
+    }
+
+    const binding = bindMappingProfile(profile, headers);
+    if (binding.missing_required.length > 0) {
+      throw new AppError(
+        `Mapping profile ${profileName} is missing required columns: ${binding.missing_required.join(', ')}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.MEDIUM,
+        { headers }
+      );
+    }
+    return binding;
+  }
+
+  const candidates = profiles
+    .map(profile => bindMappingProfile(profile, headers))
+    .filter(binding => binding.missing_required.length === 0);
+
+  if (candidates.length === 0) {
+    throw new AppError(
+      'No mapping profile matches the inventory headers',
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM,
+      { headers, available: profiles.map(p => p.name) }
+    );
+  }
+
+  return candidates.reduce((best, binding) =>
+    Object.keys(binding.columns).length > Object.keys(best.columns).length ? binding : best
+  );
+}
+
+/**
+ * Turn one CSV row into canonical fields using a bound profile
+ *
+ * Empty optional cells take the field default. A value that does not convert
+ * is replaced by the default (or left out) in lenient mode and recorded as
+ * `coerced`; in strict mode, and for required fields in either mode, it is
+ * recorded as `rejected` and the row should be dropped.
+ *
+ * @param {Object} row - Row object from csv-parser
+ * @param {Object} binding - Result of resolveMappingProfile
+ * @param {Object} [options={}] - Mapping options
+ * @param {string} [options.mode='lenient'] - 'lenient' or 'strict' (see ValidationModes)
+ * @returns {{record: Object, issues: Array<{field: string, raw_value: string, reason: string, action: string}>, rejected: boolean}} Canonical values and every problem found
+ * @example
+ * const { record, issues, rejected } = applyMappingProfile(row, binding, { mode: 'strict' });
+ */
+export function applyMappingProfile(row, binding, options = {}) {
+  const { mode = ValidationModes.LENIENT } = options;
+  const { profile, columns } = binding;
+  const record = {};
+  const issues = [];
+
+  Object.entries(profile.fields).forEach(([field, spec]) => {
+    const raw = columns[field] ? row[columns[field]] : undefined;
+    const empty = raw === undefined || raw === null || String(raw).trim() === '';
+
+    if (empty) {
+      if (spec.required) {
+        issues.push({ field, raw_value: raw ?? '', reason: 'Missing required value', action: RowActions.REJECTED });
+      } else if ('default' in spec) {
+        record[field] = spec.default;
+      }
+      return;
+    }
+
+    try {
+      record[field] = coerceValue(raw, spec, profile.date_format);
+    } catch (error) {
+      const reject = spec.required || mode === ValidationModes.STRICT;
+      if (!reject && 'default' in spec) record[field] = spec.default;
+      issues.push({
+        field,
+        raw_value: String(raw),
+        reason: reject || !('default' in spec) ? error.message : `${error.message}; used default ${spec.default}`,
+        action: reject ? RowActions.REJECTED : RowActions.COERCED
+      });
+    }
+  });
+
+  return { record, issues, rejected: issues.some(issue => issue.action === RowActions.REJECTED) };
+}
+
+/**
+ * Convert a raw cell to a field type
+ * @param {string} raw - Cell text
+ * @param {Object} spec - Field spec from a profile
+ * @param {string} [defaultDateFormat] - Profile-level date format hint
+ * @returns {string|number|Date} Converted value
+ * @throws {AppError} If the value does not parse
+ * @example
+ * coerceValue('$24,995.00', { type: 'currency' }); // 24995
+ * coerceValue('10/15/2024', { type: 'date', format: 'MM/DD/YYYY' }); // 2024-10-15T00:00:00.000Z
+ */
+export function coerceValue(raw, spec, defaultDateFormat = null) {
+  const text = String(raw).trim();
+  const type = spec.type || FieldTypes.STRING;
+  let value;
+
+  switch (type) {
+    case FieldTypes.STRING:
+      return text;
+    case FieldTypes.INTEGER:
+      value = /^-?\d+$/.test(text.replace(/,/g, '')) ? parseInt(text.replace(/,/g, ''), 10) : NaN;
+      break;
+    case FieldTypes.NUMBER:
+      value = Number(text.replace(/,/g, ''));
+      break;
+    case FieldTypes.CURRENCY:
+      value = Number(text.replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1'));
+      break;
+    case FieldTypes.DATE:
+      value = parseDate(text, spec.format || defaultDateFormat);
+      break;
+  }
+
+  if (value instanceof Date ? isNaN(value.getTime()) : !Number.isFinite(value)) {
+    throw new AppError(
+      `Cannot convert "${text}" to ${type}`,
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.LOW,
+      { value: text, type }
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Parse a date using a format hint made of YYYY, YY, MM, M, DD and D tokens
+ * @param {string} text - Date text
+ * @param {string} [format] - Format hint, e.g. 'MM/DD/YYYY'; without one the text is handed to Date
+ * @returns {Date} Date at UTC midnight, or an invalid Date when the text does not fit
+ */
+export function parseDate(text, format = null) {
+  if (!format) return new Date(text);
+
+  const parts = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|YY|MM|M|DD|D/g, token => {
+      parts.push(DATE_TOKENS[token].part);
+      return DATE_TOKENS[token].pattern;
+    });
+
+  const match = new RegExp(`^${pattern}$`).exec(text);
+  if (!match) return new Date(NaN);
+
+  const values = Object.fromEntries(parts.map((part, i) => [part, Number(match[i + 1])]));
+  const year = values.year ?? 2000 + values.shortYear;
+  const date = new Date(Date.UTC(year, values.month - 1, values.day));
+
+  // Date.UTC rolls 02/30 over to March; treat that as invalid instead
+  return date.getUTCMonth() === values.month - 1 && date.getUTCDate() === values.day ? date : new Date(NaN);
+}
+
+function validateProfile(profile) {
+  const problems = [];
+
+  if (!profile.fields || typeof profile.fields !== 'object') {
+    problems.push('fields must be an object');
+  } else {
+    Object.entries(profile.fields).forEach(([field, spec]) => {
+      if (!CANONICAL_FIELDS.includes(field)) problems.push(`${field} is not a canonical field`);
+      if (!Array.isArray(spec.headers) || spec.headers.length === 0) problems.push(`${field}.headers must be a non-empty array`);
+      if (spec.type && !Object.values(FieldTypes).includes(spec.type)) problems.push(`${field}.type ${spec.type} is not supported`);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new AppError(
+      `Invalid mapping profile ${profile.name}: ${problems.join('; ')}`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH,
+      { errors: problems }
+    );
+  }
+}
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export default {
+  loadMappingProfiles,
+  bindMappingProfile,
+  resolveMappingProfile,
+  applyMappingProfile,
+  coerceValue,
+  parseDate,
+  CANONICAL_FIELDS,
+  FieldTypes,
+  ValidationModes,
+  RowActions
+};
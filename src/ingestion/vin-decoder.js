@@ -0,0 +1,187 @@
+/**
+ * VIN Decoder
+ * Offline VIN validation (ISO 3779 / 49 CFR 565) and WMI / model-year decoding
+ */
+
+import { WMI_TABLE } from './wmi-table.js';
+
+export const VinIssueCodes = {
+  LENGTH: 'VIN_LENGTH',
+  CHARACTERS: 'VIN_CHARACTERS',
+  CHECK_DIGIT: 'VIN_CHECK_DIGIT',
+  UNKNOWN_WMI: 'VIN_UNKNOWN_WMI',
+  MAKE_MISMATCH: 'VIN_MAKE_MISMATCH',
+  YEAR_MISMATCH: 'VIN_YEAR_MISMATCH'
+};
+
+export const IssueSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const VIN_LENGTH = 17;
+const CHECK_DIGIT_POSITION = 8;
+
+// I, O and Q are never used so they cannot be mistaken for 1 and 0
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+  0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9
+};
+
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 cycles every 30 years; U, Z and 0 are not used for the year
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CYCLE_START = 1980;
+const YEAR_CYCLE_LENGTH = 30;
+
+/**
+ * Compute the ISO 3779 check digit for a VIN
+ * @param {string} vin - 17-character VIN (the current check digit is ignored)
+ * @returns {string} '0'-'9' or 'X'
+ * @example
+ * calculateCheckDigit('1FTFW1E58RFA12345'); // '8'
+ */
+export function calculateCheckDigit(vin) {
+  const sum = vin
+    .toUpperCase()
+    .split('')
+    .reduce((total, char, i) => total + (TRANSLITERATION[char] ?? 0) * POSITION_WEIGHTS[i], 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Decode the manufacturer and model year from a VIN without any network lookup
+ *
+ * The model-year character repeats every 30 years. For passenger vehicles a
+ * letter in position 7 means the 2010-2039 cycle and a digit the 1980-2009
+ * cycle, which is what `model_year` reports; both readings are returned in
+ * `model_year_candidates`.
+ *
+ * @param {string} vin - VIN to decode
+ * @returns {Object} WMI, manufacturer, makes, country, model year and check-digit result
+ * @example
+ * decodeVin('1FTFW1E58RFA12345');
+ * // { wmi: '1FT', manufacturer: 'Ford Motor Company', makes: ['Ford'], model_year: 2024, ... }
+ */
+export function decodeVin(vin) {
+  const normalized = normalizeVin(vin);
+  const wmi = normalized.slice(0, 3);
+  const known = WMI_TABLE[wmi] || null;
+  const yearIndex = YEAR_CODES.indexOf(normalized[9]);
+  const candidates = yearIndex === -1
+    ? []
+    : [YEAR_CYCLE_START + yearIndex, YEAR_CYCLE_START + YEAR_CYCLE_LENGTH + yearIndex];
+  const laterCycle = /[A-Z]/.test(normalized[6] || '');
+
+  return {
+    vin: normalized,
+    wmi,
+    manufacturer: known?.manufacturer ?? null,
+    makes: known?.makes ?? [],
+    country: known?.country ?? null,
+    model_year: candidates.length > 0 ? candidates[laterCycle ? 1 : 0] : null,
+    model_year_candidates: candidates,
+    check_digit_required: requiresCheckDigit(normalized),
+    check_digit_valid: normalized.length === VIN_LENGTH &&
+      calculateCheckDigit(normalized) === normalized[CHECK_DIGIT_POSITION]
+  };
+}
+
+/**
+ * Check a VIN's structure and check digit
+ *
+ * Length and character errors make a VIN unusable. The check digit is only
+ * mandatory for North American VINs (WMI starting 1-5); elsewhere a mismatch
+ * is not reported.
+ *
+ * @param {string} vin - VIN to validate
+ * @returns {{valid: boolean, vin: string, issues: Array<{code: string, severity: string, message: string}>}} Validation result
+ */
+export function validateVin(vin) {
+  const normalized = normalizeVin(vin);
+  const issues = [];
+
+  if (normalized.length !== VIN_LENGTH) {
+    issues.push(issue(VinIssueCodes.LENGTH, IssueSeverity.ERROR,
+      `VIN must be ${VIN_LENGTH} characters, got ${normalized.length}`));
+  }
+
+  const badCharacters = [...new Set(normalized.split('').filter(char => !(char in TRANSLITERATION)))];
+  if (badCharacters.length > 0) {
+    issues.push(issue(VinIssueCodes.CHARACTERS, IssueSeverity.ERROR,
+      `VIN contains characters that are not allowed: ${badCharacters.join(', ')}`));
+  }
+
+  if (issues.length === 0 && requiresCheckDigit(normalized)) {
+    const expected = calculateCheckDigit(normalized);
+    if (expected !== normalized[CHECK_DIGIT_POSITION]) {
+      issues.push(issue(VinIssueCodes.CHECK_DIGIT, IssueSeverity.WARNING,
+        `Check digit is ${normalized[CHECK_DIGIT_POSITION]}, expected ${expected}`));
+    }
+  }
+
+  return {
+    valid: !issues.some(entry => entry.severity === IssueSeverity.ERROR),
+    vin: normalized,
+    issues
+  };
+}
+
+/**
+ * Validate a vehicle's VIN and compare the decoded make and year with its CSV columns
+ * @param {Object} vehicle - Vehicle with vin, make and year
+ * @returns {{valid: boolean, decoded: Object|null, issues: Array<Object>}} `valid` is false only for malformed VINs
+ * @example
+ * const { valid, issues } = checkVehicleVin({ vin: '1FTFW1E58RFA12345', make: 'Chevrolet', year: 2024 });
+ * // valid: true, issues: [{ code: 'VIN_MAKE_MISMATCH', ... }]
+ */
+export function checkVehicleVin(vehicle) {
+  const validation = validateVin(vehicle.vin);
+  if (!validation.valid) {
+    return { valid: false, decoded: null, issues: validation.issues };
+  }
+
+  const decoded = decodeVin(validation.vin);
+  const issues = [...validation.issues];
+
+  if (!decoded.manufacturer) {
+    issues.push(issue(VinIssueCodes.UNKNOWN_WMI, IssueSeverity.WARNING,
+      `Manufacturer code ${decoded.wmi} is not in the bundled WMI table`));
+  } else if (vehicle.make && !decoded.makes.some(make => make.toLowerCase() === String(vehicle.make).toLowerCase())) {
+    issues.push(issue(VinIssueCodes.MAKE_MISMATCH, IssueSeverity.WARNING,
+      `VIN decodes to ${decoded.makes.join('/')} but the make column says ${vehicle.make}`));
+  }
+
+  if (Number.isFinite(vehicle.year) && decoded.model_year_candidates.length > 0 &&
+      !decoded.model_year_candidates.includes(vehicle.year)) {
+    issues.push(issue(VinIssueCodes.YEAR_MISMATCH, IssueSeverity.WARNING,
+      `VIN decodes to model year ${decoded.model_year} but the year column says ${vehicle.year}`));
+  }
+
+  return { valid: true, decoded, issues };
+}
+
+function normalizeVin(vin) {
+  return String(vin ?? '').trim().toUpperCase();
+}
+
+function requiresCheckDigit(vin) {
+  return /^[1-5]/.test(vin);
+}
+
+function issue(code, severity, message) {
+  return { code, severity, message };
+}
+
+export default {
+  calculateCheckDigit,
+  decodeVin,
+  validateVin,
+  checkVehicleVin,
+  VinIssueCodes,
+  IssueSeverity
+};
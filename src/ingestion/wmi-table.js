@@ -0,0 +1,95 @@
+/**
+ * World Manufacturer Identifiers
+ * First three VIN characters for the makes dealers in this group stock, used for offline decoding
+ */
+
+export const WMI_TABLE = {
+  // Ford / Lincoln
+  '1FA': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '1FB': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '1FC': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '1FD': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '1FM': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '1FT': { manufacturer: 'Ford Motor Company', makes: ['Ford'], country: 'United States' },
+  '2FM': { manufacturer: 'Ford Motor Company of Canada', makes: ['Ford'], country: 'Canada' },
+  '3FA': { manufacturer: 'Ford Motor Company of Mexico', makes: ['Ford'], country: 'Mexico' },
+  '3FM': { manufacturer: 'Ford Motor Company of Mexico', makes: ['Ford'], country: 'Mexico' },
+  '3FT': { manufacturer: 'Ford Motor Company of Mexico', makes: ['Ford'], country: 'Mexico' },
+  '1LN': { manufacturer: 'Ford Motor Company', makes: ['Lincoln'], country: 'United States' },
+  '5LM': { manufacturer: 'Ford Motor Company', makes: ['Lincoln'], country: 'United States' },
+
+  // General Motors
+  '1G1': { manufacturer: 'General Motors', makes: ['Chevrolet'], country: 'United States' },
+  '1GC': { manufacturer: 'General Motors', makes: ['Chevrolet'], country: 'United States' },
+  '1GN': { manufacturer: 'General Motors', makes: ['Chevrolet'], country: 'United States' },
+  '2G1': { manufacturer: 'General Motors of Canada', makes: ['Chevrolet'], country: 'Canada' },
+  '3GN': { manufacturer: 'General Motors de Mexico', makes: ['Chevrolet'], country: 'Mexico' },
+  '1GT': { manufacturer: 'General Motors', makes: ['GMC'], country: 'United States' },
+  '1GK': { manufacturer: 'General Motors', makes: ['GMC'], country: 'United States' },
+  '1G6': { manufacturer: 'General Motors', makes: ['Cadillac'], country: 'United States' },
+  '1GY': { manufacturer: 'General Motors', makes: ['Cadillac'], country: 'United States' },
+  '1G4': { manufacturer: 'General Motors', makes: ['Buick'], country: 'United States' },
+
+  // Stellantis
+  '1C3': { manufacturer: 'Stellantis', makes: ['Chrysler', 'Dodge'], country: 'United States' },
+  '1C4': { manufacturer: 'Stellantis', makes: ['Chrysler', 'Dodge', 'Jeep'], country: 'United States' },
+  '1C6': { manufacturer: 'Stellantis', makes: ['Ram'], country: 'United States' },
+  '2C3': { manufacturer: 'Stellantis Canada', makes: ['Chrysler', 'Dodge'], country: 'Canada' },
+
+  // Honda / Acura
+  '1HG': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'], country: 'United States' },
+  '2HG': { manufacturer: 'Honda of Canada Mfg.', makes: ['Honda'], country: 'Canada' },
+  '5FN': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'], country: 'United States' },
+  '5J6': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'], country: 'United States' },
+  '19X': { manufacturer: 'American Honda Motor Co.', makes: ['Honda'], country: 'United States' },
+  'JHM': { manufacturer: 'Honda Motor Co.', makes: ['Honda'], country: 'Japan' },
+  '19U': { manufacturer: 'American Honda Motor Co.', makes: ['Acura'], country: 'United States' },
+
+  // Toyota / Lexus
+  '2T1': { manufacturer: 'Toyota Motor Manufacturing Canada', makes: ['Toyota'], country: 'Canada' },
+  '2T3': { manufacturer: 'Toyota Motor Manufacturing Canada', makes: ['Toyota'], country: 'Canada' },
+  '4T1': { manufacturer: 'Toyota Motor Manufacturing Kentucky', makes: ['Toyota'], country: 'United States' },
+  '4T3': { manufacturer: 'Toyota Motor Manufacturing Kentucky', makes: ['Toyota'], country: 'United States' },
+  '5TD': { manufacturer: 'Toyota Motor Manufacturing Indiana', makes: ['Toyota'], country: 'United States' },
+  '5TF': { manufacturer: 'Toyota Motor Manufacturing Texas', makes: ['Toyota'], country: 'United States' },
+  'JTD': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'], country: 'Japan' },
+  'JTM': { manufacturer: 'Toyota Motor Corporation', makes: ['Toyota'], country: 'Japan' },
+  'JTH': { manufacturer: 'Toyota Motor Corporation', makes: ['Lexus'], country: 'Japan' },
+
+  // Nissan
+  '1N4': { manufacturer: 'Nissan North America', makes: ['Nissan'], country: 'United States' },
+  '1N6': { manufacturer: 'Nissan North America', makes: ['Nissan'], country: 'United States' },
+  '5N1': { manufacturer: 'Nissan North America', makes: ['Nissan'], country: 'United States' },
+  '3N1': { manufacturer: 'Nissan Mexicana', makes: ['Nissan'], country: 'Mexico' },
+  'JN1': { manufacturer: 'Nissan Motor Co.', makes: ['Nissan'], country: 'Japan' },
+
+  // Hyundai / Kia
+  '5NP': { manufacturer: 'Hyundai Motor Manufacturing Alabama', makes: ['Hyundai'], country: 'United States' },
+  'KM8': { manufacturer: 'Hyundai Motor Company', makes: ['Hyundai'], country: 'South Korea' },
+  'KMH': { manufacturer: 'Hyundai Motor Company', makes: ['Hyundai'], country: 'South Korea' },
+  '5XX': { manufacturer: 'Kia Georgia', makes: ['Kia'], country: 'United States' },
+  '5XY': { manufacturer: 'Kia Georgia', makes: ['Kia'], country: 'United States' },
+  'KNA': { manufacturer: 'Kia Corporation', makes: ['Kia'], country: 'South Korea' },
+  'KND': { manufacturer: 'Kia Corporation', makes: ['Kia'], country: 'South Korea' },
+
+  // Volkswagen
+  '1VW': { manufacturer: 'Volkswagen of America', makes: ['Volkswagen'], country: 'United States' },
+  '3VW': { manufacturer: 'Volkswagen de Mexico', makes: ['Volkswagen'], country: 'Mexico' },
+  'WVW': { manufacturer: 'Volkswagen AG', makes: ['Volkswagen'], country: 'Germany' },
+  'WVG': { manufacturer: 'Volkswagen AG', makes: ['Volkswagen'], country: 'Germany' },
+
+  // Subaru / Mazda
+  '4S3': { manufacturer: 'Subaru of Indiana Automotive', makes: ['Subaru'], country: 'United States' },
+  '4S4': { manufacturer: 'Subaru of Indiana Automotive', makes: ['Subaru'], country: 'United States' },
+  'JF1': { manufacturer: 'Subaru Corporation', makes: ['Subaru'], country: 'Japan' },
+  'JF2': { manufacturer: 'Subaru Corporation', makes: ['Subaru'], country: 'Japan' },
+  'JM1': { manufacturer: 'Mazda Motor Corporation', makes: ['Mazda'], country: 'Japan' },
+  '3MZ': { manufacturer: 'Mazda de Mexico', makes: ['Mazda'], country: 'Mexico' },
+
+  // Others
+  '5YJ': { manufacturer: 'Tesla, Inc.', makes: ['Tesla'], country: 'United States' },
+  'WBA': { manufacturer: 'BMW AG', makes: ['BMW'], country: 'Germany' },
+  'WDD': { manufacturer: 'Mercedes-Benz AG', makes: ['Mercedes-Benz'], country: 'Germany' }
+};
+
+export default WMI_TABLE;
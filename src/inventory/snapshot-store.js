@@ -0,0 +1,230 @@
+/**
+ * Inventory Snapshot Store
+ * Dated JSON snapshots of each ingested inventory file and day-over-day diffs between them
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+// Fields kept per unit; enough to explain what changed without copying derived metrics
+const SNAPSHOT_FIELDS = [
+  'vin', 'stock_number', 'year', 'make', 'model', 'trim', 'color',
+  'msrp', 'invoice', 'internet_price', 'status', 'location', 'date_received'
+];
+const PRICE_FIELDS = ['msrp', 'internet_price'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Snapshot key for an inventory file: its base name plus a hash of its resolved path
+ *
+ * The hash keeps `storeA/inventory.csv` and `storeB/inventory.csv` (one per
+ * rooftop) in separate histories; the name keeps the directory readable.
+ *
+ * @param {string} sourceFile - Inventory CSV path
+ * @returns {string} Directory name under the snapshot root, e.g. 'sample-inventory-3f2a9c1e'
+ */
+export function snapshotSource(sourceFile) {
+  const name = path.basename(sourceFile, path.extname(sourceFile)).replace(/[^\w.-]/g, '_');
+  const pathHash = crypto.createHash('sha256').update(path.resolve(sourceFile)).digest('hex').slice(0, 8);
+  return `${name}-${pathHash}`;
+}
+
+/**
+ * Save the vehicles from an ingestion as the snapshot for a day
+ *
+ * Snapshots live at `<directory>/<source>/<YYYY-MM-DD>.json`; ingesting the
+ * same file twice on one day replaces that day's snapshot.
+ *
+ * @param {Array<Object>} vehicles - `data` from ingest_inventory_data
+ * @param {Object} options - Snapshot options
+ * @param {string} options.sourceFile - Inventory CSV the vehicles came from
+ * @param {string} options.date - Snapshot date (YYYY-MM-DD), normally the ingestion as-of date
+ * @param {string} [options.mappingProfile] - Mapping profile used
+ * @param {string} [options.directory] - Snapshot root (defaults to snapshots.directory)
+ * @returns {Promise<{source: string, date: string, path: string, vehicle_count: number}>} Where the snapshot was written
+ */
+export async function saveSnapshot(vehicles, options) {
+  const { sourceFile, date, mappingProfile = null, directory = AGENT_CONFIG.snapshots.directory } = options;
+  assertDate(date);
+
+  const source = snapshotSource(sourceFile);
+  const filePath = path.join(directory, source, `${date}.json`);
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, {
+    source,
+    source_file: sourceFile,
+    snapshot_date: date,
+    created_at: new Date().toISOString(),
+    mapping_profile: mappingProfile,
+    vehicles: vehicles.map(vehicle => pickSnapshotFields(vehicle))
+  }, { spaces: 2 });
+
+  return { source, date, path: filePath, vehicle_count: vehicles.length };
+}
+
+/**
+ * List the snapshot dates stored for a source, oldest first
+ * @param {string} source - Snapshot source (see snapshotSource)
+ * @param {string} [directory] - Snapshot root
+ * @returns {Promise<Array<string>>} Dates (YYYY-MM-DD)
+ */
+export async function listSnapshots(source, directory = AGENT_CONFIG.snapshots.directory) {
+  const sourceDir = path.join(directory, source);
+  if (!await fs.pathExists(sourceDir)) return [];
+
+  return (await fs.readdir(sourceDir))
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(date => DATE_PATTERN.test(date))
+    .sort();
+}
+
+/**
+ * Load one snapshot
+ * @param {string} source - Snapshot source
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @param {string} [directory] - Snapshot root
+ * @returns {Promise<Object>} Snapshot document
+ * @throws {AppError} If there is no snapshot for that date
+ */
+export async function loadSnapshot(source, date, directory = AGENT_CONFIG.snapshots.directory) {
+  const filePath = path.join(directory, source, `${date}.json`);
+  if (!await fs.pathExists(filePath)) {
+    throw new AppError(
+      `No ${source} inventory snapshot for ${date}`,
+      ErrorTypes.FILE_SYSTEM,
+      ErrorSeverity.MEDIUM,
+      { filePath }
+    );
+  }
+  return fs.readJson(filePath);
+}
+
+/**
+ * Compare two snapshots unit by unit (matched on VIN)
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Later snapshot
+ * @returns {Object} Arrivals, departures (presumed sold), price changes and status changes, with counts
+ * @example
+ * const diff = diffSnapshots(await loadSnapshot('sample-inventory', '2024-11-19'),
+ *   await loadSnapshot('sample-inventory', '2024-11-20'));
+ * diff.summary; // { arrivals: 2, departures: 1, price_changes: 3, status_changes: 0 }
+ */
+export function diffSnapshots(previous, current) {
+  const before = new Map(previous.vehicles.map(vehicle => [vehicle.vin, vehicle]));
+  const after = new Map(current.vehicles.map(vehicle => [vehicle.vin, vehicle]));
+
+  const arrivals = current.vehicles.filter(vehicle => !before.has(vehicle.vin)).map(describeUnit);
+  const departures = previous.vehicles.filter(vehicle => !after.has(vehicle.vin)).map(describeUnit);
+  const priceChanges = [];
+  const statusChanges = [];
+
+  current.vehicles.forEach(vehicle => {
+    const old = before.get(vehicle.vin);
+    if (!old) return;
+
+    PRICE_FIELDS.forEach(field => {
+      if (Number.isFinite(old[field]) && Number.isFinite(vehicle[field]) && old[field] !== vehicle[field]) {
+        priceChanges.push({
+          ...describeUnit(vehicle),
+          field,
+          from: old[field],
+          to: vehicle[field],
+          change: Math.round((vehicle[field] - old[field]) * 100) / 100
+        });
+      }
+    });
+
+    if (old.status !== vehicle.status) {
+      statusChanges.push({ ...describeUnit(vehicle), from: old.status ?? null, to: vehicle.status ?? null });
+    }
+  });
+
+  return {
+    source: current.source,
+    from: previous.snapshot_date,
+    to: current.snapshot_date,
+    arrivals,
+    departures,
+    price_changes: priceChanges,
+    status_changes: statusChanges,
+    summary: {
+      arrivals: arrivals.length,
+      departures: departures.length,
+      price_changes: priceChanges.length,
+      status_changes: statusChanges.length
+    }
+  };
+}
+
+/**
+ * Diff the latest snapshot of a source against an earlier one
+ * @param {string} source - Snapshot source
+ * @param {Object} [options={}] - Diff options
+ * @param {string} [options.since] - Compare against the last snapshot on or before this date (default: the one before the latest)
+ * @param {string} [options.until] - Use the last snapshot on or before this date as the current one (default: the latest)
+ * @param {string} [options.directory] - Snapshot root
+ * @returns {Promise<Object>} Result of diffSnapshots
+ * @throws {AppError} If fewer than two snapshots are available for the range
+ */
+export async function diffInventorySince(source, options = {}) {
+  const { since = null, until = null, directory = AGENT_CONFIG.snapshots.directory } = options;
+  if (since) assertDate(since);
+  if (until) assertDate(until);
+
+  const dates = await listSnapshots(source, directory);
+  const currentDate = until ? dates.filter(date => date <= until).pop() : dates[dates.length - 1];
+  const earlier = dates.filter(date => date < currentDate);
+  const previousDate = since ? earlier.filter(date => date <= since).pop() : earlier[earlier.length - 1];
+
+  if (!currentDate || !previousDate) {
+    throw new AppError(
+      `Need two ${source} snapshots to diff${since ? ` (one on or before ${since})` : ''}; found ${dates.length}`,
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM,
+      { available: dates }
+    );
+  }
+
+  const [previous, current] = await Promise.all([
+    loadSnapshot(source, previousDate, directory),
+    loadSnapshot(source, currentDate, directory)
+  ]);
+
+  return diffSnapshots(previous, current);
+}
+
+function pickSnapshotFields(vehicle) {
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS
+      .filter(field => vehicle[field] !== undefined)
+      .map(field => [field, vehicle[field] instanceof Date ? vehicle[field].toISOString().slice(0, 10) : vehicle[field]])
+  );
+}
+
+function describeUnit(vehicle) {
+  return {
+    vin: vehicle.vin,
+    stock_number: vehicle.stock_number,
+    vehicle_line: `${vehicle.year} ${vehicle.make} ${vehicle.model}`
+  };
+}
+
+function assertDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    throw new AppError(`Snapshot date must be YYYY-MM-DD, got ${date}`, ErrorTypes.VALIDATION, ErrorSeverity.MEDIUM);
+  }
+}
+
+export default {
+  snapshotSource,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  diffInventorySince
+};
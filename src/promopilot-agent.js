@@ -3,16 +3,54 @@
  * Main agent class for automotive marketing automation
  */
 
-import { OpenAIAgent } from 'openai-agents';
 import { AGENT_CONFIG } from './config/agent-config.js';
+import { loadDealershipConfig, describeAgingBuckets } from './config/dealership-config.js';
+import { loadDealerSettings } from './dealers/dealer-registry.js';
 import logger from './utils/logger.js';
-import { AppError, ErrorTypes, ErrorSeverity, handleError } from './utils/error-handler.js';
-import { createResponse, getISODate } from './utils/common-utils.js';
+import { AppError, ErrorTypes, ErrorSeverity } from './utils/error-handler.js';
+import { createResponse, handleError, getISODate } from './utils/common-utils.js';
+import { validateRecommendations, describeRecommendationSchema, extractJson } from './utils/schema-validator.js';
+import { rankPromotions, formatRankingsForPrompt, buildRecommendationsFromRankings } from './analysis/promotion-scorer.js';
+import { verifyRecommendations } from './analysis/claim-verifier.js';
+import { createProvider, resolveProviderName } from './providers/provider-factory.js';
+import { findToolResult } from './providers/llm-provider.js';
+import { Permissions, requirePermission, runWithUserContext, getCurrentUserContext, permittedTools, auditLog } from './utils/access-control.js';
+import { hashFile } from './audit/audit-trail.js';
+import { instrumentMethods, MetricNames, increment } from './utils/metrics.js';
+import { CircuitBreaker, callWithRetries, isRetryable } from './utils/resilience.js';
+import { checkBudget, recordUsage } from './usage/spend-ledger.js';
+import { CacheNames, cacheKey, hashInputs, readCache, writeCache, isCacheBypassed } from './cache/result-cache.js';
+import { generate_promotional_report } from '../tools/report-formatter.js';
+import { ingest_inventory_data } from '../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../tools/incentive-fetcher.js';
+
+// Tools offered to the model for analysis and free-text queries
+export const AGENT_TOOLS = [
+  'ingest_inventory_data',
+  'fetch_incentive_data',
+  'analyze_pricing',
+  'match_incentive_eligibility',
+  'calculate_best_deal',
+  'calculate_payments',
+  'generate_promotional_report'
+];
+
+// During analysis the agent writes the report itself from validated recommendations
+const ANALYSIS_TOOLS = AGENT_TOOLS.filter(tool => tool !== 'generate_promotional_report');
 
 export class PromoPilotAgent {
+  /**
+   * @param {Object} [options={}] - Overrides for AGENT_CONFIG
+   * @param {LLMProvider} [options.llmProvider] - Provider instance to use instead of the configured one
+   * @param {UserContext} [options.userContext] - User to run as when no user is active (see runWithUserContext)
+   */
   constructor(options = {}) {
-    this.config = { ...AGENT_CONFIG, ...options };
-    this.agent = null;
+    const { llmProvider = null, userContext = null, ...configOverrides } = options;
+    this.config = { ...AGENT_CONFIG, ...configOverrides };
+    this.provider = llmProvider;
+    this.userContext = userContext;
+    this.dealership = null;
+    this.breaker = null;
     this.isInitialized = false;
   }
 
@@ -21,31 +59,30 @@ export class PromoPilotAgent {
     
     try {
       log.info('Initializing PromoPilot AI Agent...');
-      
-      // Initialize the OpenAI Agent with tools
-      this.agent = new OpenAIAgent({
-        model: this.config.model,
-        temperature: this.config.temperature,
-        max_tokens: this.config.max_tokens,
-        system_instruction: this.config.system_instruction
-      });
 
-      // Load tools from directory (fixed typo)
-      await this.agent.loadToolFunctions(this.config.tools_directory);
+      // Dealership thresholds replace the defaults for the rest of the session
+      this.dealership = await loadDealershipConfig(this.config.dealership.config_file, this.config.business_rules);
+      this.config = { ...this.config, business_rules: this.dealership.business_rules };
+      
+      if (!this.provider) {
+        this.provider = createProvider(resolveProviderName(this.config));
+      }
+      await this.provider.initialize(this.config);
+      // One breaker per agent, so a server's requests all see the provider's state
+      this.breaker = new CircuitBreaker(this.provider.name, this.config.resilience.circuit_breaker);
       
       this.isInitialized = true;
-      log.info('PromoPilot AI Agent initialized successfully');
+      log.info(`PromoPilot AI Agent initialized successfully (provider: ${this.provider.name})`);
       
-      return createResponse(true, { message: 'Agent initialized' });
+      return createResponse(true, { message: 'Agent initialized', provider: this.provider.name });
     } catch (error) {
       const appError = new AppError(
-        'Failed to initialize PromoPilot AI Agent',
+        `Failed to initialize PromoPilot AI Agent: ${error.message}`,
         ErrorTypes.CONFIGURATION,
         ErrorSeverity.CRITICAL,
         { originalError: error.message }
       );
-      log.error(appError.message, appError.toJSON());
-      return { success: false, error: handleError(appError, 'AgentInitialization') };
+      return handleError(appError, 'Agent initialization', log);
     }
   }
 
@@ -54,49 +91,203 @@ export class PromoPilotAgent {
       throw new Error('Agent not initialized. Call initialize() first.');
     }
 
-    try {
-      const log = logger.child('analyzeAndRecommend');
-      log.info('Starting promotional analysis...');
+    return this.runAs(Permissions.GENERATE_REPORTS, 'Analysis', async (user) => {
+      try {
+        const log = logger.child('analyzeAndRecommend');
+        log.info('Starting promotional analysis...');
       
-      const {
-        inventoryPath = this.config.data_sources.inventory_file,
-        incentivesPath = this.config.data_sources.incentives_file,
-        outputFormat = 'json'
-      } = options;
-
-      // Create analysis prompt
-      const analysisPrompt = `
-Please analyze the current dealership situation and provide promotional recommendations:
-
-1. First, ingest the inventory data from: ${inventoryPath}
-2. Then, fetch the incentive data from: ${incentivesPath}
-3. Analyze the data to identify the top 3 vehicle lines for promotion
-4. Generate a comprehensive report with your recommendations
-
-Focus on:
-- Vehicles with high aging (${this.config.business_rules.aging_threshold_days}+ days)
-- Strong incentive opportunities (${this.config.business_rules.incentive_value_threshold}+ value)
-- Inventory levels and sales velocity
-- Strategic business impact
-
-Provide clear rationales for each recommendation explaining why these vehicles should be prioritized for promotion.
-`;
+        // A dealer from the registry brings its own data sources, region and thresholds
+        const { dealer = null } = options;
+        const sources = dealer ? dealer.data_sources : this.config.data_sources;
+        const settings = dealer ? await loadDealerSettings(dealer) : this.dealership;
+        const rules = settings.business_rules;
+        const region = dealer ? dealer.region : this.config.dealership.region;
 
-      // Execute the analysis
-      const result = await this.agent.createChatCompletion(analysisPrompt, {
-        tool_choices: ['ingest_inventory_data', 'fetch_incentive_data', 'generate_promotional_report']
-      });
+        const {
+          inventoryPath = sources.inventory_file,
+          incentivesPath = sources.incentives_file,
+          outputFormat = 'json',
+          asOfDate = null,
+          saveSnapshot = false
+        } = options;
+
+        // Score vehicle lines deterministically so the LLM works from reproducible numbers
+        const ranking = await rankPromotions({
+          dealer,
+          inventoryPath,
+          incentivesPath,
+          asOfDate,
+          businessRules: rules,
+          saveSnapshot
+        });
+
+        if (!ranking.success) {
+          throw new AppError(
+            `Promotion scoring failed: ${ranking.error}`,
+            ErrorTypes.PROCESSING,
+            ErrorSeverity.HIGH
+          );
+        }
+
+        // Create analysis prompt
+        const analysisPrompt = `
+  Please analyze the current dealership situation and provide promotional recommendations${dealer ? ` for ${dealer.name} (${dealer.region} region)` : ''}:
+
+  1. First, ingest the inventory data from: ${inventoryPath}
+  2. Then, fetch the incentive data from: ${incentivesPath}
+  3. Use analyze_pricing (with the competitor comps at ${this.config.data_sources.competitor_comps_file}) to check price-to-market for the leading candidates
+  4. Analyze the data to identify the top 3 vehicle lines for promotion
+  5. Use calculate_best_deal (with inventory_path ${inventoryPath}, incentives_path ${incentivesPath} and region ${region}) to quote the best incentive stack (include it as best_offer in each recommendation), and calculate_payments (with the same paths and region) where special APR or lease programs apply (include the result as payment_comparison)
+  6. Reply with only a JSON object {"recommendations": [...]} (no other text) where each recommendation has:
+  ${describeRecommendationSchema()}
+
+  Focus on:
+  - Vehicles with high aging (${rules.aging_threshold_days}+ days)
+  - Strong incentive opportunities (${rules.incentive_value_threshold}+ value)
+  - Incentives expiring within ${rules.expiring_soon_days} days
+  - Inventory levels and sales velocity
+  - Strategic business impact
+
+  Aging buckets for this dealership: ${describeAgingBuckets(settings)}
+
+  Deterministic promotion scores (0-100, higher means stronger promotion candidate).
+  Use these as grounding; explain any recommendation that departs from this order:
+  ${formatRankingsForPrompt(ranking.rankings)}
+
+  Provide clear rationales for each recommendation explaining why these vehicles should be prioritized for promotion.
+  `;
+
+        const context = {
+          as_of_date: asOfDate,
+          output_format: outputFormat,
+          rankings: ranking.rankings,
+          recommendations: buildRecommendationsFromRankings(ranking.rankings, rules.max_recommendations)
+        };
+
+        // Execute the analysis; without the LLM the deterministic recommendations stand in for the model's
+        let result = null;
+        let validated;
+        let attempts = 0;
+        let fallback = null;
+        try {
+          result = await this.complete('analyzeAndRecommend', analysisPrompt, {
+            tool_choices: ANALYSIS_TOOLS,
+            context,
+            inputs: [inventoryPath, incentivesPath, sources.sold_units_file, settings.source]
+          });
+          ({ recommendations: validated, attempts } = await this.collectValidRecommendations(result.choices[0], context));
+        } catch (error) {
+          if (!this.canFallBack(error)) throw error;
+          fallback = this.fallBack('analyzeAndRecommend', error);
+          validated = context.recommendations;
+        }
 
-      log.info('Analysis completed successfully');
+        // Check every number and incentive ID the model quoted against the data it was given
+        const verification = verifyRecommendations(validated, {
+          inventorySummary: ranking.inventory_summary,
+          inventory: ranking.inventory,
+          incentives: ranking.incentives
+        }, { autoCorrect: this.config.claim_verification?.auto_correct ?? true, region, asOfDate });
+        const { recommendations } = verification;
+
+        if (verification.summary.corrected + verification.summary.unverified > 0) {
+          log.warn(`Claim verification: ${verification.summary.corrected} corrected, ${verification.summary.unverified} unverified`);
+        }
+
+        const report = await generate_promotional_report({
+          recommendations,
+          inventory_summary: ranking.inventory_summary,
+          incentive_summary: ranking.incentive_summary,
+          output_format: outputFormat,
+          verification: { summary: verification.summary, claims: verification.claims }
+        }, { outputDirectory: this.config.data_sources.output_directory, label: dealer?.id });
+
+        if (!report.success) {
+          throw new AppError(
+            `Report generation failed: ${report.error}`,
+            ErrorTypes.PROCESSING,
+            ErrorSeverity.HIGH
+          );
+        }
+
+        // The audit entry is the compliance record of the run, so the analysis fails if it cannot be written
+        await auditLog(user, 'analysis', {
+          dealer: dealer?.id ?? null,
+          as_of_date: asOfDate,
+          output_format: outputFormat,
+          inputs: await describeInputFiles({
+            inventory: inventoryPath,
+            incentives: incentivesPath,
+            sold_units: sources.sold_units_file,
+            dealership_config: settings.source
+          }),
+          recommendations: recommendations.map(rec => ({
+            rank: rec.rank,
+            vehicle_line: rec.vehicle_line,
+            incentive_ids: rec.incentive_ids
+          })),
+          report: { file_path: report.file_path, format: report.format, sha256: await hashFile(report.file_path) },
+          llm_fallback: fallback
+        });
+
+        log.info('Analysis completed successfully');
       
-      return createResponse(true, {
-        analysis_result: result,
-        timestamp: getISODate()
-      });
+        return createResponse(true, {
+          recommendations,
+          report: { file_path: report.file_path, format: report.format },
+          validation_attempts: attempts,
+          fallback,
+          verification: { summary: verification.summary, claims: verification.claims },
+          analysis_result: result,
+          scores: ranking.rankings.slice(0, rules.max_recommendations),
+          dealer: ranking.dealer,
+          timestamp: getISODate()
+        });
 
-    } catch (error) {
-      const log = logger.child('analyzeAndRecommend');
-      return handleError(error, 'Analysis', log);
+      } catch (error) {
+        const log = logger.child('analyzeAndRecommend');
+        return handleError(error, 'Analysis', log);
+      }
+    });
+  }
+
+  /**
+   * Parse and validate the model's recommendations, re-prompting with the validation errors until they pass
+   * @param {string} response - Raw model response
+   * @param {Object} context - Prompt context, passed along with each re-prompt
+   * @returns {Promise<{recommendations: Array<Object>, attempts: number}>} Valid recommendations and the number of attempts used
+   * @throws {AppError} If the recommendations are still invalid after `structured_output.max_validation_retries` re-prompts
+   */
+  async collectValidRecommendations(response, context) {
+    const log = logger.child('collectValidRecommendations');
+    const maxRetries = this.config.structured_output?.max_validation_retries ?? 0;
+    let current = response;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const parsed = extractJson(current);
+        const recommendations = validateRecommendations(
+          Array.isArray(parsed) ? parsed : parsed?.recommendations,
+          { maxRecommendations: this.config.business_rules.max_recommendations }
+        );
+        return { recommendations, attempts: attempt };
+      } catch (error) {
+        if (!(error instanceof AppError) || error.type !== ErrorTypes.VALIDATION) throw error;
+
+        const errors = error.details?.errors || [error.message];
+        if (attempt > maxRetries) {
+          throw new AppError(
+            `Recommendations failed schema validation after ${attempt} attempts`,
+            ErrorTypes.VALIDATION,
+            ErrorSeverity.HIGH,
+            { errors }
+          );
+        }
+
+        log.warn(`Recommendations failed validation (attempt ${attempt}), re-prompting`, { errors });
+        const retry = await this.complete('collectValidRecommendations', buildCorrectionPrompt(current, errors), { context });
+        current = retry.choices[0];
+      }
     }
   }
 
@@ -105,55 +296,191 @@ Provide clear rationales for each recommendation explaining why these vehicles s
       throw new Error('Agent not initialized. Call initialize() first.');
     }
 
-    try {
-      const result = await this.agent.createChatCompletion(message, {
-        tool_choices: ['ingest_inventory_data', 'fetch_incentive_data', 'generate_promotional_report']
-      });
+    // Only the tools the user may call are offered, so a viewer's question cannot produce a report
+    return this.runAs(Permissions.READ_INVENTORY, 'Quick recommendation', async (user) => {
+      try {
+        const result = await this.complete('quickRecommendation', message, {
+          tool_choices: permittedTools(user, AGENT_TOOLS),
+          context: {
+            inventory_path: this.config.data_sources.inventory_file,
+            incentives_path: this.config.data_sources.incentives_file
+          },
+          inputs: [this.config.data_sources.inventory_file, this.config.data_sources.incentives_file]
+        });
 
-      return createResponse(true, {
-        response: result.choices[0],
-        usage: result.total_usage
-      });
-    } catch (error) {
-      const log = logger.child('quickRecommendation');
-      return handleError(error, 'Quick recommendation', log);
-    }
+        return createResponse(true, {
+          response: result.choices[0],
+          usage: result.total_usage,
+          cost_usd: result.cost_usd,
+          cached: Boolean(result.cached)
+        });
+      } catch (error) {
+        const log = logger.child('quickRecommendation');
+        return handleError(error, 'Quick recommendation', log);
+      }
+    });
   }
 
   async getInventorySummary(filePath = null) {
     const path = filePath || this.config.data_sources.inventory_file;
 
-    try {
-      const result = await this.agent.createChatCompletion(
-        `Please ingest and summarize the inventory data from: ${path}`,
-        {
-          tool_choices: ['ingest_inventory_data']
+    return this.runAs(Permissions.READ_INVENTORY, 'Get inventory summary', async () => {
+      try {
+        const result = await this.complete(
+          'getInventorySummary',
+          `Please ingest and summarize the inventory data from: ${path}`,
+          {
+            tool_choices: ['ingest_inventory_data'],
+            inputs: [path]
+          }
+        );
+
+        return extractToolResult(result, 'ingest_inventory_data');
+      } catch (error) {
+        if (this.canFallBack(error)) {
+          const fallback = this.fallBack('getInventorySummary', error);
+          return { ...await ingest_inventory_data({ file_path: path }), fallback };
         }
-      );
 
-      return result;
-    } catch (error) {
-      const log = logger.child('getInventorySummary');
-      return handleError(error, 'Get inventory summary', log);
-    }
+        const log = logger.child('getInventorySummary');
+        return handleError(error, 'Get inventory summary', log);
+      }
+    });
   }
 
   async getIncentiveSummary(filePath = null) {
     const path = filePath || this.config.data_sources.incentives_file;
 
-    try {
-      const result = await this.agent.createChatCompletion(
-        `Please fetch and summarize the incentive data from: ${path}`,
-        {
-          tool_choices: ['fetch_incentive_data']
+    return this.runAs(Permissions.READ_INCENTIVES, 'Get incentive summary', async () => {
+      try {
+        const result = await this.complete(
+          'getIncentiveSummary',
+          `Please fetch and summarize the incentive data from: ${path}`,
+          {
+            tool_choices: ['fetch_incentive_data'],
+            inputs: [path]
+          }
+        );
+
+        return extractToolResult(result, 'fetch_incentive_data');
+      } catch (error) {
+        if (this.canFallBack(error)) {
+          const fallback = this.fallBack('getIncentiveSummary', error);
+          return { ...await fetch_incentive_data({ source_path: path }), fallback };
+        }
+
+        const log = logger.child('getIncentiveSummary');
+        return handleError(error, 'Get incentive summary', log);
+      }
+    });
+  }
+
+  /**
+   * Run a provider completion and record its tokens and cost in the spend ledger
+   *
+   * With cache.llm enabled, a completion stored for the same provider, model,
+   * prompt, options, input file contents and day is returned instead, without
+   * a budget check or ledger line. Otherwise the call is made through
+   * callWithRetries with the resilience settings and the agent's circuit
+   * breaker; each attempt is checked against the usage budgets first and its
+   * usage recorded when it settles.
+   *
+   * @param {string} operation - Agent method making the call, recorded with it
+   * @param {string} message - Prompt
+   * @param {Object} [options={}] - Provider completion options
+   * @param {Array<string>} [options.inputs] - Data files the tools will read, part of the cache key
+   * @returns {Promise<Object>} The completion, with `cost_usd` added (0 and `cached: true` for a cached one)
+   * @throws {AppError} BUDGET error, before calling the provider, if the call could exceed a budget; the
+   *   provider's last error once retries are used up; or the circuit breaker's error while it is open
+   */
+  async complete(operation, message, options = {}) {
+    const { inputs = [], ...completionOptions } = options;
+    const model = this.provider.describe().model ?? this.provider.name;
+    const cache = this.config.cache;
+
+    const key = cache.llm.enabled && !isCacheBypassed()
+      ? cacheKey({
+        provider: this.provider.name,
+        model,
+        temperature: this.config.temperature,
+        max_tokens: this.config.max_tokens,
+        message,
+        options: completionOptions,
+        // Tools default their as-of date to today
+        date: new Date().toISOString().slice(0, 10),
+        inputs: await hashInputs(inputs)
+      })
+      : null;
+    if (key) {
+      const hit = await readCache(CacheNames.LLM, key, { directory: cache.directory });
+      if (hit !== undefined) {
+        logger.child(operation).info('Using cached LLM response');
+        return { ...hit, cost_usd: 0, cached: true };
+      }
+    }
+
+    const { result, entry } = await callWithRetries(operation, async () => {
+      // Every attempt is checked on its own, so retries cannot spend past a budget
+      await checkBudget({ model, prompt: message, maxCompletionTokens: this.config.max_tokens });
+
+      // Recorded when the completion settles, even after a timeout stopped the wait for it
+      return this.provider.createChatCompletion(message, completionOptions).then(
+        async completion => ({ result: completion, entry: await this.recordCall(operation, model, completion.total_usage) }),
+        async error => {
+          // Turns a failed completion ran before the failure are paid for too
+          if (error?.total_usage) await this.recordCall(operation, model, error.total_usage, 'failed');
+          throw error;
         }
       );
+    }, {
+      ...this.config.resilience,
+      breaker: this.breaker
+    });
+
+    if (key) {
+      await writeCache(CacheNames.LLM, key, result, { ttl_ms: cache.llm.ttl_ms, directory: cache.directory })
+        .catch(error => logger.child(operation).warn('Could not cache LLM response', { error: error.message }));
+    }
+
+    return { ...result, cost_usd: entry?.cost_usd ?? null };
+  }
+
+  // The call has been paid for either way; losing its ledger line should not lose the answer
+  recordCall(operation, model, usage, outcome = 'completed') {
+    return recordUsage({ operation, provider: this.provider.name, model, usage, outcome })
+      .catch(error => {
+        logger.child('spend-ledger').error('Could not record LLM usage', { operation, error: error.message });
+        return null;
+      });
+  }
+
+  // Only an unavailable provider is worked around; bad input and budget errors still fail the call
+  canFallBack(error) {
+    return Boolean(this.config.resilience.fallback) && (isRetryable(error) || Boolean(error?.details?.circuit));
+  }
+
+  fallBack(operation, error) {
+    logger.child(operation).warn(`LLM unavailable, falling back to the deterministic path: ${error.message}`);
+    increment('resilience.fallbacks', 1, { operation });
+    return { reason: error.message };
+  }
 
-      return result;
+  /**
+   * Run fn as the active user (or the agent's own userContext) after checking a permission
+   * @param {string} permission - Permission the call needs
+   * @param {string} context - Operation name for the error response
+   * @param {Function} fn - `(userContext) => Promise`, run with the user bound for the tools it calls
+   * @returns {Promise<Object>} fn's result, or a failed response when the user is missing or lacks the permission
+   */
+  async runAs(permission, context, fn) {
+    const user = getCurrentUserContext() ?? this.userContext;
+
+    try {
+      requirePermission(permission)(user);
     } catch (error) {
-      const log = logger.child('getIncentiveSummary');
-      return handleError(error, 'Get incentive summary', log);
+      return handleError(error, context, logger.child('access-control'));
     }
+    return runWithUserContext(user, () => fn(user));
   }
 
   getConfig() {
@@ -169,11 +496,58 @@ Provide clear rationales for each recommendation explaining why these vehicles s
   getStatus() {
     return {
       initialized: this.isInitialized,
+      provider: this.provider ? this.provider.name : resolveProviderName(this.config),
       model: this.config.model,
       tools_loaded: this.isInitialized,
+      circuit: this.breaker ? this.breaker.describe() : null,
       last_updated: getISODate()
     };
   }
 }
 
+// Async methods are timed and counted in metrics as agent.<method>; the analysis keeps its own metric for its thresholds
+instrumentMethods(PromoPilotAgent.prototype, 'agent', {
+  initialize: {},
+  analyzeAndRecommend: { metric: MetricNames.AGENT_ANALYSIS, rows: result => result.recommendations?.length },
+  collectValidRecommendations: { rows: result => result.recommendations?.length },
+  quickRecommendation: {},
+  getInventorySummary: { rows: result => result.total_vehicles },
+  getIncentiveSummary: { rows: result => result.total_incentives }
+});
+
+function buildCorrectionPrompt(previousResponse, errors) {
+  return `Your previous recommendations failed schema validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${previousResponse}
+
+Reply with only a corrected JSON object {"recommendations": [...]} (no other text) where each recommendation has:
+${describeRecommendationSchema()}
+`;
+}
+
+// Path and content hash of each input, so an audited run can be matched to the exact files it read
+function describeInputFiles(files) {
+  return Promise.all(Object.entries(files)
+    .filter(([, filePath]) => filePath)
+    .map(async ([kind, filePath]) => ({ kind, path: filePath, sha256: await hashFile(filePath) })));
+}
+
+// Summaries come from the tool output itself, not the model's prose about it
+function extractToolResult(completion, toolName) {
+  const toolResult = findToolResult(completion, toolName);
+
+  if (!toolResult) {
+    throw new AppError(
+      `The model did not call ${toolName}`,
+      ErrorTypes.PROCESSING,
+      ErrorSeverity.MEDIUM,
+      { response: completion?.choices?.[0] }
+    );
+  }
+
+  return { ...toolResult, response: completion.choices?.[0] };
+}
+
 export default PromoPilotAgent;
@@ -0,0 +1,87 @@
+/**
+ * LLM Provider Interface
+ * Common contract for the backends that run tool-calling chat completions
+ */
+
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+/**
+ * Base class for LLM providers
+ *
+ * A provider turns a user message plus a list of allowed tool names into a
+ * completion result with the same shape `openai-agents` returns:
+ * `{ choices: string[], total_usage, completion_messages, completions }`.
+ * `completion_messages` holds the user message, the assistant tool calls and
+ * the `role: 'tool'` results, so callers can read tool output back with
+ * findToolResult regardless of which backend produced it.
+ */
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Prepare the provider (load tools, create clients)
+   * @param {Object} config - Agent configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(config) {
+    this.config = config;
+    this.isInitialized = true;
+  }
+
+  /**
+   * Run a chat completion, executing any tools the model calls
+   * @param {string} message - User message
+   * @param {Object} [options={}] - Completion options
+   * @param {Array<string>} [options.tool_choices] - Names of the tools the model may call
+   * @param {Object} [options.context] - Structured data behind the prompt (used by scripted providers)
+   * @returns {Promise<Object>} Completion result
+   * @throws {Error} An error may carry `total_usage` for the turns that ran before it, so they are still priced
+   */
+  async createChatCompletion(message, options = {}) {
+    throw new AppError(
+      `Provider ${this.name} does not implement createChatCompletion`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.HIGH
+    );
+  }
+
+  describe() {
+    return { name: this.name, initialized: this.isInitialized };
+  }
+}
+
+/**
+ * Find the parsed result of the last call to a tool in a completion
+ * @param {Object} completion - Completion result from a provider
+ * @param {string} toolName - Tool function name, e.g. 'ingest_inventory_data'
+ * @returns {Object|null} Parsed tool output, or null when the tool was not called
+ * @example
+ * const inventory = findToolResult(result, 'ingest_inventory_data');
+ */
+export function findToolResult(completion, toolName) {
+  const messages = completion?.completion_messages || [];
+  const callIds = new Set();
+
+  messages.forEach(message => {
+    (message.tool_calls || [])
+      .filter(call => call.function?.name === toolName)
+      .forEach(call => callIds.add(call.id));
+  });
+
+  const toolMessage = messages
+    .filter(message => message.role === 'tool' && callIds.has(message.tool_call_id))
+    .pop();
+
+  if (!toolMessage) return null;
+
+  try {
+    return JSON.parse(toolMessage.content);
+  } catch {
+    return null;
+  }
+}
+
+export default LLMProvider;
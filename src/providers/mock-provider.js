@@ -0,0 +1,203 @@
+/**
+ * Mock Provider
+ * Deterministic, offline provider that replays canned tool-call scripts
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LLMProvider } from './llm-provider.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * Replays scripts from `mock_scripts_directory` instead of calling a model
+ *
+ * A script is a JSON file with a `match` regular expression, a list of
+ * `turns` (each a list of `tool_calls` with `name` and `arguments`) and a
+ * final `response`. The first script whose `match` fits the message wins, in
+ * file name order, with scripts marked `fallback: true` tried last. Strings may contain `{{match.<group>}}` (named groups from
+ * `match`), `{{context.<path>}}` (structured data passed by the caller) and
+ * `{{results.<tool_name>.<path>}}` (output of an earlier tool call). A string
+ * that is exactly one placeholder is replaced by the raw value, so objects
+ * and arrays can be passed to tools; placeholders that resolve to nothing
+ * drop the argument so the tool default applies. An object `response` is
+ * resolved the same way and returned as JSON text.
+ */
+export class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('mock');
+    this.scripts = options.scripts || null;
+    this.toolFunctions = options.toolFunctions || null;
+  }
+
+  async initialize(config) {
+    const log = logger.child('mock-provider');
+
+    if (!this.scripts) {
+      this.scripts = await loadScripts(config.mock_scripts_directory);
+    }
+    if (!this.toolFunctions) {
+      this.toolFunctions = await loadToolFunctions(config.tools_directory);
+    }
+
+    log.info(`Loaded ${this.scripts.length} mock scripts and ${Object.keys(this.toolFunctions).length} tools`);
+    await super.initialize(config);
+  }
+
+  async createChatCompletion(message, options = {}) {
+    const { tool_choices = [], context = {} } = options;
+    const { script, match } = this.findScript(message);
+
+    const scope = { match, context, results: {} };
+    const messages = [{ role: 'user', content: message }];
+    let callCount = 0;
+
+    for (const turn of script.turns || []) {
+      const toolCalls = turn.tool_calls.map(call => ({
+        id: `call_mock_${++callCount}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: JSON.stringify(resolveTemplate(call.arguments || {}, scope))
+        }
+      }));
+      messages.push({ role: 'assistant', content: null, tool_calls: toolCalls });
+
+      for (const toolCall of toolCalls) {
+        const result = await this.callTool(toolCall, tool_choices);
+        scope.results[toolCall.function.name] = result;
+        messages.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) });
+      }
+    }
+
+    // Object responses are sent as JSON text, the way a model answers a structured-output prompt
+    const resolved = resolveTemplate(script.response ?? '', scope);
+    const response = typeof resolved === 'string' ? resolved : JSON.stringify(resolved ?? '');
+    messages.push({ role: 'assistant', content: response });
+
+    return {
+      choices: [response],
+      total_usage: estimateUsage(messages),
+      completion_messages: messages,
+      completions: [],
+      script: script.name
+    };
+  }
+
+  findScript(message) {
+    // Fallback scripts (catch-alls) are only tried once every specific script has missed
+    const ordered = [...this.scripts.filter(s => !s.fallback), ...this.scripts.filter(s => s.fallback)];
+
+    for (const script of ordered) {
+      const match = new RegExp(script.match || '', 'i').exec(message);
+      if (match) return { script, match: match.groups || {} };
+    }
+
+    throw new AppError(
+      'No mock script matches the message',
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.MEDIUM,
+      { message: message.slice(0, 200) }
+    );
+  }
+
+  async callTool(toolCall, toolChoices) {
+    const { name, arguments: args } = toolCall.function;
+
+    if (toolChoices.length > 0 && !toolChoices.includes(name)) {
+      throw new AppError(
+        `Mock script called tool ${name}, which is not in tool_choices`,
+        ErrorTypes.CONFIGURATION,
+        ErrorSeverity.MEDIUM,
+        { tool_choices: toolChoices }
+      );
+    }
+
+    const fn = this.toolFunctions[name];
+    if (!fn) {
+      throw new AppError(`Tool not found: ${name}`, ErrorTypes.CONFIGURATION, ErrorSeverity.MEDIUM);
+    }
+
+    return fn(JSON.parse(args));
+  }
+
+  describe() {
+    return { ...super.describe(), scripts: (this.scripts || []).map(script => script.name) };
+  }
+}
+
+async function loadScripts(directory) {
+  if (!directory || !await fs.pathExists(directory)) {
+    throw new AppError(
+      `Mock script directory not found: ${directory}`,
+      ErrorTypes.FILE_SYSTEM,
+      ErrorSeverity.HIGH
+    );
+  }
+
+  const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+  return Promise.all(files.map(async file => ({
+    name: path.basename(file, '.json'),
+    ...await fs.readJson(path.join(directory, file))
+  })));
+}
+
+// Same discovery rules as the openai-agents loader: every function exported by default from tools/*.js
+async function loadToolFunctions(directory) {
+  const files = (await fs.readdir(directory)).filter(file => file.endsWith('.js'));
+  const functions = {};
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.resolve(directory, file)).href);
+    Object.entries(module.default || module)
+      .filter(([, value]) => typeof value === 'function')
+      .forEach(([name, value]) => { functions[name] = value; });
+  }
+
+  return functions;
+}
+
+function resolveTemplate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(value);
+    if (whole) return lookup(scope, whole[1]);
+    return value.replace(PLACEHOLDER, (_, key) => {
+      const resolved = lookup(scope, key);
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplate(item, scope));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .map(([key, item]) => [key, resolveTemplate(item, scope)])
+        .filter(([, item]) => item !== undefined && item !== null)
+    );
+  }
+
+  return value;
+}
+
+function lookup(scope, keyPath) {
+  return keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), scope);
+}
+
+// Roughly four characters per token, so usage reporting has something realistic to work with
+function estimateUsage(messages) {
+  const count = (list) => Math.ceil(list.reduce((sum, m) =>
+    sum + String(m.content || '').length + (m.tool_calls ? JSON.stringify(m.tool_calls).length : 0), 0) / 4);
+  const prompt = count(messages.filter(m => m.role !== 'assistant'));
+  const completion = count(messages.filter(m => m.role === 'assistant'));
+
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+export default MockProvider;
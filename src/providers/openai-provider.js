@@ -0,0 +1,49 @@
+/**
+ * OpenAI Provider
+ * Runs completions through the openai-agents SDK
+ */
+
+import { OpenAIAgent } from 'openai-agents';
+import { LLMProvider } from './llm-provider.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+export class OpenAIProvider extends LLMProvider {
+  constructor() {
+    super('openai');
+    this.agent = null;
+  }
+
+  async initialize(config) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new AppError(
+        'OPENAI_API_KEY environment variable is required for the openai provider',
+        ErrorTypes.CONFIGURATION,
+        ErrorSeverity.CRITICAL
+      );
+    }
+
+    this.agent = new OpenAIAgent({
+      model: config.model,
+      temperature: config.temperature,
+      max_tokens: config.max_tokens,
+      system_instruction: config.system_instruction
+    });
+
+    // The SDK method name really is spelled this way
+    await this.agent.loadToolFuctions(config.tools_directory);
+
+    await super.initialize(config);
+  }
+
+  async createChatCompletion(message, options = {}) {
+    // `context` is only meaningful to scripted providers; the model reads the prompt
+    const { context, ...completionOptions } = options;
+    return this.agent.createChatCompletion(message, completionOptions);
+  }
+
+  describe() {
+    return { ...super.describe(), model: this.config?.model };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,57 @@
+/**
+ * Provider Factory
+ * Resolves and creates the configured LLM provider
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { MockProvider } from './mock-provider.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+
+export const ProviderNames = {
+  OPENAI: 'openai',
+  MOCK: 'mock'
+};
+
+const PROVIDERS = {
+  [ProviderNames.OPENAI]: () => new OpenAIProvider(),
+  [ProviderNames.MOCK]: () => new MockProvider()
+};
+
+/**
+ * Work out which provider to use: LLM_PROVIDER wins over the config value
+ * @param {Object} config - Agent configuration
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(config = {}) {
+  return String(process.env.LLM_PROVIDER || config.provider || ProviderNames.OPENAI).toLowerCase();
+}
+
+/**
+ * Create an (uninitialized) provider by name
+ * @param {string} name - Provider name, see ProviderNames
+ * @returns {LLMProvider} Provider instance
+ * @throws {AppError} If the provider is unknown
+ * @example
+ * const provider = createProvider('mock');
+ * await provider.initialize(AGENT_CONFIG);
+ */
+export function createProvider(name) {
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new AppError(
+      `Unknown LLM provider: ${name}`,
+      ErrorTypes.CONFIGURATION,
+      ErrorSeverity.CRITICAL,
+      { supportedProviders: Object.keys(PROVIDERS) }
+    );
+  }
+
+  return factory();
+}
+
+export default {
+  ProviderNames,
+  resolveProviderName,
+  createProvider
+};
@@ -0,0 +1,104 @@
+/**
+ * Report Format Helpers
+ * Value formatting shared by the HTML and Markdown report renderers
+ */
+
+/**
+ * Format a number as whole US dollars
+ * @param {number} value - Amount to format
+ * @returns {string} Formatted amount, or 'N/A' for non-numeric input
+ * @example
+ * formatCurrency(24500); // "$24,500"
+ */
+export function formatCurrency(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'N/A';
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Turn a snake_case key into a sentence-case label
+ * @param {string} key - Key to humanize
+ * @returns {string} Human readable label
+ * @example
+ * humanize('days_on_lot'); // "Days on lot"
+ */
+export function humanize(key) {
+  const text = String(key).replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Format a metric value, rendering monetary keys as currency
+ * @param {string} key - Metric key
+ * @param {*} value - Metric value
+ * @returns {*} Formatted value
+ * @example
+ * formatMetricValue('incentive_value', 1500); // "$1,500"
+ * formatMetricValue('days_on_lot', 62); // 62
+ */
+export function formatMetricValue(key, value) {
+  if (typeof value === 'number' && /value|price|msrp|cash|savings|gross|payment/.test(key)) {
+    return formatCurrency(value);
+  }
+  return value;
+}
+
+/**
+ * Describe a recommendation's best offer, which may be a calculator result or free text
+ * @param {Object|string|null} offer - `best_offer` from rankPromotions / calculate_best_deal, or LLM text
+ * @returns {string|null} Quotable offer line, or null when there is no offer
+ * @example
+ * describeBestOffer({ label: 'Stacked cash', customer_savings: 1500, dealer_cash: 0 });
+ * // "Stacked cash: $1,500 customer savings + $0 dealer cash"
+ */
+export function describeBestOffer(offer) {
+  if (!offer) return null;
+  if (typeof offer === 'string') return offer;
+  if (offer.summary) return offer.summary;
+  return `${offer.label}: ${formatCurrency(offer.customer_savings)} customer savings + ${formatCurrency(offer.dealer_cash)} dealer cash`;
+}
+
+/**
+ * Flatten a payment comparison into table rows and APR-vs-cash summary lines
+ * @param {Object|null} comparison - `payment_comparison` from calculate_payments
+ * @returns {{rows: Array<Array<string>>, summaries: Array<string>}} Option rows (label, type, monthly, term, total cost) and one line per APR-vs-cash comparison
+ */
+export function summarizePaymentComparison(comparison) {
+  if (!comparison || !Array.isArray(comparison.options)) return { rows: [], summaries: [] };
+
+  const rows = comparison.options.map(option => [
+    option.label,
+    option.payment_type,
+    formatCurrency(option.payment?.monthly_payment),
+    `${option.payment?.term_months ?? 'N/A'} mo`,
+    formatCurrency(option.payment?.total_cost)
+  ]);
+
+  const summaries = (comparison.apr_vs_cash || []).map(item =>
+    `${item.special_label} (${formatCurrency(item.special_monthly)}/mo) vs ${item.cash_label} ` +
+    `(${formatCurrency(item.cash_monthly)}/mo): ${item.recommended} saves ${formatCurrency(Math.abs(item.total_savings))} over the term`
+  );
+
+  return { rows, summaries };
+}
+
+/**
+ * Split verification claims into table rows, flagged (corrected / unverified) first
+ * @param {Array<Object>} [claims=[]] - `claims` from verifyRecommendations
+ * @returns {{flagged: Array<Array<string>>, checked: Array<Array<string>>}} Rows of vehicle line, field, stated, source value, status and note
+ */
+export function splitClaims(claims = []) {
+  const toRow = claim => [
+    claim.vehicle_line,
+    claim.field,
+    String(claim.stated ?? ''),
+    claim.actual === null || claim.actual === undefined ? 'not found' : String(claim.actual),
+    claim.status,
+    claim.note || ''
+  ];
+
+  return {
+    flagged: claims.filter(claim => claim.status !== 'verified').map(toRow),
+    checked: claims.filter(claim => claim.status === 'verified').map(toRow)
+  };
+}
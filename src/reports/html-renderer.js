@@ -0,0 +1,210 @@
+/**
+ * HTML Report Renderer
+ * Renders promotional report data as a styled, standalone HTML page
+ */
+
+import { describeBestOffer, formatCurrency, formatMetricValue, humanize, splitClaims, summarizePaymentComparison } from './format-helpers.js';
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; background: #f4f6f9; color: #1f2933; }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 24px 48px; }
+  header { border-bottom: 4px solid #003478; margin-bottom: 24px; padding-bottom: 12px; }
+  header h1 { margin: 0; color: #003478; }
+  header p { margin: 4px 0 0; color: #52606d; font-size: 14px; }
+  section { margin-bottom: 32px; }
+  h2 { color: #003478; border-bottom: 1px solid #d9e2ec; padding-bottom: 6px; }
+  .summary { background: #fff; border-radius: 8px; padding: 16px 20px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  .urgency { display: inline-block; padding: 2px 10px; border-radius: 12px; font-size: 12px; font-weight: 600; color: #fff; background: #52606d; }
+  .urgency.high { background: #c62828; }
+  .urgency.medium { background: #ef6c00; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 16px; }
+  .card { background: #fff; border-radius: 8px; padding: 16px 20px; box-shadow: 0 1px 3px rgba(0,0,0,.08); border-top: 4px solid #003478; }
+  .card h3 { margin: 0 0 4px; }
+  .card .rank { font-size: 12px; color: #52606d; text-transform: uppercase; letter-spacing: .05em; }
+  .card dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; font-size: 14px; }
+  .card dt { color: #52606d; }
+  .card dd { margin: 0; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 3px rgba(0,0,0,.08); font-size: 14px; margin-bottom: 16px; }
+  th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #e4e7eb; }
+  th { background: #003478; color: #fff; font-weight: 600; }
+  td.num, th.num { text-align: right; }
+  ol.next-steps li { margin-bottom: 6px; }
+  footer { color: #7b8794; font-size: 12px; text-align: center; }
+`;
+
+/**
+ * Render a promotional report as a standalone HTML document
+ * @param {Object} reportData - Report data built by generate_promotional_report
+ * @returns {string} Complete HTML document
+ * @example
+ * const html = renderHtmlReport(reportData);
+ */
+export function renderHtmlReport(reportData) {
+  const { report_metadata: meta = {}, executive_summary: summary = {} } = reportData;
+  const recommendations = reportData.recommendations || [];
+  const { inventory_summary: inventory, incentive_summary: incentives } = reportData.supporting_data || {};
+  const nextSteps = reportData.next_steps || [];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>PromoPilot AI - Promotional Recommendations</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+  <h1>Promotional Recommendations</h1>
+  <p>Generated by ${escapeHtml(meta.agent || 'PromoPilot AI')} on ${escapeHtml(meta.generated_at || '')} &middot; Report version ${escapeHtml(meta.version || '')}</p>
+</header>
+
+<section>
+  <h2>Executive Summary</h2>
+  <div class="summary">
+    <p>${escapeHtml(summary.overview || '')}</p>
+    <p><strong>Top priority:</strong> ${escapeHtml(summary.top_priority || 'N/A')}
+      <span class="urgency ${escapeHtml(String(summary.urgency_level || '').toLowerCase())}">${escapeHtml(summary.urgency_level || '')}</span></p>
+  </div>
+</section>
+
+<section>
+  <h2>Recommendations</h2>
+  <div class="cards">
+${recommendations.map(renderRecommendationCard).join('\n')}
+  </div>
+</section>
+${inventory ? renderInventorySection(inventory) : ''}
+${incentives ? renderIncentiveSection(incentives) : ''}
+${reportData.verification ? renderVerificationSection(reportData.verification) : ''}
+<section>
+  <h2>Next Steps</h2>
+  <ol class="next-steps">
+${nextSteps.map(step => `    <li>${escapeHtml(step)}</li>`).join('\n')}
+  </ol>
+</section>
+
+<footer>PromoPilot AI &middot; ${escapeHtml(meta.report_type || '')}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+function renderRecommendationCard(rec) {
+  const metrics = rec.key_metrics || rec.metrics || {};
+  const metricRows = Object.entries(metrics)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .map(([key, value]) => `<dt>${escapeHtml(humanize(key))}</dt><dd>${escapeHtml(formatMetricValue(key, value))}</dd>`)
+    .join('');
+  const bestOffer = describeBestOffer(rec.best_offer);
+  const payments = summarizePaymentComparison(rec.payment_comparison);
+  const paymentTable = payments.rows.length > 0
+    ? renderTable(['Payment option', 'Type', 'Monthly', 'Term', 'Total cost'], payments.rows, [2, 3, 4])
+    : '';
+
+  return `    <article class="card">
+      <div class="rank">Rank ${escapeHtml(rec.rank)} &middot; ${escapeHtml(rec.priority || '')} priority${rec.verification_status ? ` &middot; claims ${escapeHtml(rec.verification_status)}` : ''}</div>
+      <h3>${escapeHtml(rec.vehicle_line || 'Unspecified vehicle line')}</h3>
+      ${metricRows ? `<dl>${metricRows}</dl>` : ''}
+      ${bestOffer ? `<p><strong>Best offer:</strong> ${escapeHtml(bestOffer)}</p>` : ''}
+      ${paymentTable}
+      ${payments.summaries.map(line => `<p>${escapeHtml(line)}</p>`).join('')}
+      ${rec.rationale ? `<p><strong>Rationale:</strong> ${escapeHtml(rec.rationale)}</p>` : ''}
+      ${rec.promotional_approach ? `<p><strong>Promotional approach:</strong> ${escapeHtml(rec.promotional_approach)}</p>` : ''}
+    </article>`;
+}
+
+function renderInventorySection(inventory) {
+  const lines = Object.entries(inventory.vehicle_lines || {});
+  const aging = Object.entries(inventory.by_aging || {});
+
+  return `
+<section>
+  <h2>Inventory Summary</h2>
+  <table>
+    <tr><th>Total vehicles</th><th>Average days on lot</th><th class="num">Total MSRP value</th></tr>
+    <tr><td>${escapeHtml(inventory.total_vehicles)}</td><td>${escapeHtml(inventory.average_days_on_lot)}</td><td class="num">${escapeHtml(formatCurrency(inventory.total_msrp_value))}</td></tr>
+  </table>
+  ${aging.length > 0 ? renderTable(['Aging category', 'Vehicles'], aging.map(([category, count]) => [category, count])) : ''}
+  ${lines.length > 0 ? renderTable(
+    ['Vehicle line', 'Units', 'Avg days on lot', 'Total MSRP'],
+    lines.map(([line, data]) => [line, data.count, data.avg_days, formatCurrency(data.total_value)]),
+    [1, 2, 3]
+  ) : ''}
+</section>`;
+}
+
+function renderIncentiveSection(incentives) {
+  const lines = Object.entries(incentives.vehicle_lines || {});
+  const expiring = incentives.expiring_soon || [];
+
+  return `
+<section>
+  <h2>Incentive Summary</h2>
+  <table>
+    <tr><th>Active incentives</th><th class="num">Average value</th><th class="num">Total value</th></tr>
+    <tr><td>${escapeHtml(incentives.total_incentives)}</td><td class="num">${escapeHtml(formatCurrency(incentives.average_value))}</td><td class="num">${escapeHtml(formatCurrency(incentives.total_value))}</td></tr>
+  </table>
+  ${lines.length > 0 ? renderTable(
+    ['Vehicle line', 'Programs', 'Total value', 'Max value', 'Types'],
+    lines.map(([line, data]) => [line, data.count, formatCurrency(data.total_value), formatCurrency(data.max_value), (data.types || []).join(', ')]),
+    [1, 2, 3]
+  ) : ''}
+  ${expiring.length > 0 ? renderTable(
+    ['Expiring soon', 'Days remaining', 'Value'],
+    expiring.map(item => [item.vehicle_line, item.days_remaining, formatCurrency(item.value)]),
+    [1, 2]
+  ) : ''}
+</section>`;
+}
+
+function renderVerificationSection(verification) {
+  const summary = verification.summary || {};
+  const { checked, flagged } = splitClaims(verification.claims);
+
+  return `
+<section>
+  <h2>Claim Verification</h2>
+  <p>${escapeHtml(summary.total_claims ?? 0)} claims checked against the source data: ${escapeHtml(summary.verified ?? 0)} verified, ${escapeHtml(summary.corrected ?? 0)} corrected, ${escapeHtml(summary.unverified ?? 0)} unverified.</p>
+  ${flagged.length > 0 ? `<h3>Corrected and unverified claims</h3>
+  ${renderTable(['Vehicle line', 'Field', 'Stated', 'Source data', 'Status', 'Note'], flagged)}` : ''}
+  ${checked.length > 0 ? `<h3>Verified claims</h3>
+  ${renderTable(['Vehicle line', 'Field', 'Stated', 'Source data', 'Status', 'Note'], checked)}` : ''}
+</section>`;
+}
+
+function renderTable(headers, rows, numericColumns = []) {
+  const headerCells = headers
+    .map((header, i) => `<th${numericColumns.includes(i) ? ' class="num"' : ''}>${escapeHtml(header)}</th>`)
+    .join('');
+  const bodyRows = rows
+    .map(row => `<tr>${row.map((cell, i) => `<td${numericColumns.includes(i) ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n    ');
+
+  return `<table>
+    <tr>${headerCells}</tr>
+    ${bodyRows}
+  </table>`;
+}
+
+/**
+ * Escape a value for safe inclusion in HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default {
+  renderHtmlReport,
+  escapeHtml
+};
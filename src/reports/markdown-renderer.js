@@ -0,0 +1,170 @@
+/**
+ * Markdown Report Renderer
+ * Renders promotional report data as GitHub-flavored Markdown
+ */
+
+import { describeBestOffer, formatCurrency, formatMetricValue, humanize, splitClaims, summarizePaymentComparison } from './format-helpers.js';
+
+/**
+ * Render a promotional report as GitHub-flavored Markdown
+ * @param {Object} reportData - Report data built by generate_promotional_report
+ * @returns {string} Markdown document
+ * @example
+ * const markdown = renderMarkdownReport(reportData);
+ */
+export function renderMarkdownReport(reportData) {
+  const { report_metadata: meta = {}, executive_summary: summary = {} } = reportData;
+  const recommendations = reportData.recommendations || [];
+  const { inventory_summary: inventory, incentive_summary: incentives } = reportData.supporting_data || {};
+  const nextSteps = reportData.next_steps || [];
+
+  const sections = [
+    '# Promotional Recommendations',
+    `_Generated by ${meta.agent || 'PromoPilot AI'} on ${meta.generated_at || ''} · Report version ${meta.version || ''}_`,
+    '## Executive Summary',
+    [
+      summary.overview || '',
+      '',
+      `- **Top priority:** ${escapeMarkdown(summary.top_priority || 'N/A')}`,
+      `- **Urgency:** ${summary.urgency_level || ''}`
+    ].join('\n'),
+    '## Recommendations',
+    ...recommendations.map(renderRecommendation)
+  ];
+
+  if (inventory) sections.push(...renderInventorySection(inventory));
+  if (incentives) sections.push(...renderIncentiveSection(incentives));
+  if (reportData.verification) sections.push(...renderVerificationSection(reportData.verification));
+
+  sections.push('## Next Steps', nextSteps.map((step, i) => `${i + 1}. ${step}`).join('\n'));
+
+  return sections.join('\n\n') + '\n';
+}
+
+function renderRecommendation(rec) {
+  const metrics = rec.key_metrics || rec.metrics || {};
+  const lines = [`### ${rec.rank}. ${escapeMarkdown(rec.vehicle_line || 'Unspecified vehicle line')} (${rec.priority || ''} priority)`];
+
+  const metricRows = Object.entries(metrics)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .map(([key, value]) => [humanize(key), formatMetricValue(key, value)]);
+
+  if (metricRows.length > 0) {
+    lines.push('', renderTable(['Metric', 'Value'], metricRows));
+  }
+  const bestOffer = describeBestOffer(rec.best_offer);
+  if (bestOffer) {
+    lines.push('', `**Best offer:** ${bestOffer}`);
+  }
+  const payments = summarizePaymentComparison(rec.payment_comparison);
+  if (payments.rows.length > 0) {
+    lines.push('', renderTable(['Payment option', 'Type', 'Monthly', 'Term', 'Total cost'], payments.rows, [2, 3, 4]));
+    payments.summaries.forEach(line => lines.push('', `- ${line}`));
+  }
+  if (rec.verification_status) {
+    lines.push('', `_Claims ${rec.verification_status}_`);
+  }
+  if (rec.rationale) {
+    lines.push('', `**Rationale:** ${rec.rationale}`);
+  }
+  if (rec.promotional_approach) {
+    lines.push('', `**Promotional approach:** ${rec.promotional_approach}`);
+  }
+
+  return lines.join('\n');
+}
+
+function renderInventorySection(inventory) {
+  const sections = [
+    '## Inventory Summary',
+    renderTable(
+      ['Total vehicles', 'Average days on lot', 'Total MSRP value'],
+      [[inventory.total_vehicles, inventory.average_days_on_lot, formatCurrency(inventory.total_msrp_value)]]
+    )
+  ];
+
+  const aging = Object.entries(inventory.by_aging || {});
+  if (aging.length > 0) {
+    sections.push(renderTable(['Aging category', 'Vehicles'], aging));
+  }
+
+  const lines = Object.entries(inventory.vehicle_lines || {});
+  if (lines.length > 0) {
+    sections.push(renderTable(
+      ['Vehicle line', 'Units', 'Avg days on lot', 'Total MSRP'],
+      lines.map(([line, data]) => [line, data.count, data.avg_days, formatCurrency(data.total_value)]),
+      [1, 2, 3]
+    ));
+  }
+
+  return sections;
+}
+
+function renderIncentiveSection(incentives) {
+  const sections = [
+    '## Incentive Summary',
+    renderTable(
+      ['Active incentives', 'Average value', 'Total value'],
+      [[incentives.total_incentives, formatCurrency(incentives.average_value), formatCurrency(incentives.total_value)]]
+    )
+  ];
+
+  const lines = Object.entries(incentives.vehicle_lines || {});
+  if (lines.length > 0) {
+    sections.push(renderTable(
+      ['Vehicle line', 'Programs', 'Total value', 'Max value', 'Types'],
+      lines.map(([line, data]) => [line, data.count, formatCurrency(data.total_value), formatCurrency(data.max_value), (data.types || []).join(', ')]),
+      [1, 2, 3]
+    ));
+  }
+
+  const expiring = incentives.expiring_soon || [];
+  if (expiring.length > 0) {
+    sections.push('**Expiring soon**', renderTable(
+      ['Vehicle line', 'Days remaining', 'Value'],
+      expiring.map(item => [item.vehicle_line, item.days_remaining, formatCurrency(item.value)]),
+      [1, 2]
+    ));
+  }
+
+  return sections;
+}
+
+function renderVerificationSection(verification) {
+  const summary = verification.summary || {};
+  const { checked, flagged } = splitClaims(verification.claims);
+  const headers = ['Vehicle line', 'Field', 'Stated', 'Source data', 'Status', 'Note'];
+  const sections = [
+    '## Claim Verification',
+    `${summary.total_claims ?? 0} claims checked against the source data: ${summary.verified ?? 0} verified, ` +
+      `${summary.corrected ?? 0} corrected, ${summary.unverified ?? 0} unverified.`
+  ];
+
+  if (flagged.length > 0) {
+    sections.push('### Corrected and unverified claims', renderTable(headers, flagged));
+  }
+  if (checked.length > 0) {
+    sections.push('### Verified claims', renderTable(headers, checked));
+  }
+
+  return sections;
+}
+
+function renderTable(headers, rows, numericColumns = []) {
+  const align = headers.map((_, i) => (numericColumns.includes(i) ? '---:' : '---'));
+  return [
+    `| ${headers.map(escapeMarkdown).join(' | ')} |`,
+    `| ${align.join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Table cells must not break the pipe-delimited row structure
+function escapeMarkdown(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+export default {
+  renderMarkdownReport
+};
@@ -0,0 +1,419 @@
+/**
+ * HTTP Server
+ * REST API in front of PromoPilotAgent for the dealership portal, gated by access-control permissions
+ */
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { createResponse } from '../utils/common-utils.js';
+import { Permissions, UserContext, requirePermission, validateRole, auditLog, runWithUserContext } from '../utils/access-control.js';
+import { loadDealerRegistry, selectDealers } from '../dealers/dealer-registry.js';
+import { resolveApiKey } from '../auth/user-store.js';
+import { formatPrometheus } from '../utils/metrics.js';
+import { withUsageRun } from '../usage/spend-ledger.js';
+import { withCacheBypass } from '../cache/result-cache.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../../tools/incentive-fetcher.js';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8'
+};
+
+// Route table: each route names the one permission every caller needs
+const ROUTES = [
+  { method: 'GET', path: '/api/status', permission: Permissions.VIEW_REPORTS, handler: getStatus },
+  { method: 'POST', path: '/api/analysis', permission: Permissions.GENERATE_REPORTS, handler: runAnalysis },
+  { method: 'GET', path: '/api/inventory/summary', permission: Permissions.READ_INVENTORY, handler: getInventorySummary },
+  { method: 'POST', path: '/api/inventory/summary', permission: Permissions.READ_INVENTORY, handler: getInventorySummary },
+  { method: 'GET', path: '/api/incentives/summary', permission: Permissions.READ_INCENTIVES, handler: getIncentiveSummary },
+  { method: 'POST', path: '/api/incentives/summary', permission: Permissions.READ_INCENTIVES, handler: getIncentiveSummary },
+  { method: 'POST', path: '/api/query', permission: Permissions.READ_INVENTORY, handler: runQuery },
+  { method: 'GET', path: '/api/reports', permission: Permissions.VIEW_REPORTS, handler: listReports },
+  { method: 'GET', path: /^\/api\/reports\/([^/]+)$/, permission: Permissions.VIEW_REPORTS, handler: downloadReport },
+  { method: 'GET', path: '/metrics', permission: Permissions.VIEW_LOGS, handler: getMetrics }
+];
+
+/**
+ * Build an authenticator that identifies the caller by API key
+ *
+ * The key is read from `Authorization: Bearer <key>` or `X-API-Key` and
+ * resolved against the user store on every request.
+ *
+ * @param {Object} [options={}] - Authenticator options
+ * @param {string} [options.filePath] - User store (defaults to auth.users_file)
+ * @returns {Function} `(req) => Promise<UserContext>`, rejecting with a 401
+ */
+export function createApiKeyAuthenticator(options = {}) {
+  return async (req) => {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? '');
+    const apiKey = bearer?.[1] ?? req.headers['x-api-key'];
+    if (!apiKey) {
+      throw httpError('Missing API key (Authorization: Bearer <key> or X-API-Key)', 401);
+    }
+
+    try {
+      return await resolveApiKey(apiKey, options);
+    } catch (error) {
+      if (error.details?.reason) throw httpError(error.message, 401);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Identify the caller from the X-User-Id and X-User-Role headers
+ *
+ * The headers are trusted as sent, so this is only for servers reachable
+ * solely through a proxy that sets them (`server.auth: 'headers'`).
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {UserContext} Context for the caller
+ * @throws {AppError} 401 when either header is missing or the role is unknown
+ */
+export function authenticateFromHeaders(req) {
+  const userId = req.headers['x-user-id'];
+  const role = req.headers['x-user-role'];
+
+  if (!userId || !role) {
+    throw httpError('Missing X-User-Id or X-User-Role header', 401);
+  }
+  try {
+    return new UserContext(userId, validateRole(role));
+  } catch (error) {
+    throw httpError(error.message, 401);
+  }
+}
+
+/**
+ * Build the HTTP server (not yet listening)
+ *
+ * JSON endpoints under `/api`: status, analysis, inventory and incentive
+ * summaries, custom queries, and report listing and download. Inventory CSV
+ * text (`inventory_csv`) and incentive JSON (`incentives`) can be uploaded in
+ * POST bodies; uploads also need write:inventory / write:incentives.
+ *
+ * @param {Object} options - Server options
+ * @param {PromoPilotAgent} options.agent - Initialized agent
+ * @param {Object} [options.config=AGENT_CONFIG] - Configuration (server, auth and data_sources sections)
+ * @param {Function} [options.authenticate] - `(req) => UserContext`, throwing to reject; chosen by `server.auth` when omitted
+ * @returns {http.Server} Server
+ */
+export function createServer({
+  agent,
+  config = AGENT_CONFIG,
+  authenticate = config.server.auth === 'headers'
+    ? authenticateFromHeaders
+    : createApiKeyAuthenticator({ filePath: config.auth.users_file })
+}) {
+  const log = logger.child('http-server');
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let user = null;
+    let status = 500;
+    let payload = null;
+
+    try {
+      const { route, params } = matchRoute(req.method, url.pathname);
+      user = await authenticate(req);
+      requirePermission(route.permission)(user);
+
+      const body = req.method === 'POST' ? await readJsonBody(req, config.server.max_body_bytes) : {};
+      // Bound for the whole request so the agent and tools check the caller's own permissions,
+      // and its LLM calls are charged to the caller and the route under the per-run budget
+      const handle = () => withUsageRun(`${req.method} ${url.pathname}`,
+        () => route.handler({ agent, config, user, url, params, body, res }));
+      // Cache-Control: no-cache asks for fresh tool results and LLM answers, like the CLI's --no-cache
+      const bypass = /\bno-cache\b/.test(req.headers['cache-control'] ?? '');
+      const result = await runWithUserContext(user, () => (bypass ? withCacheBypass(handle) : handle()));
+
+      // Handlers that stream their own response (downloads) return nothing
+      if (result) {
+        status = result.success === false ? statusForError(result) : 200;
+        payload = result;
+      } else {
+        status = res.statusCode;
+      }
+    } catch (error) {
+      status = statusForError(error);
+      if (status >= 500) log.error('Request failed', { path: url.pathname, error: error.message, stack: error.stack });
+      payload = createResponse(false, {}, error);
+    }
+
+    // Recorded before responding, so a client that got an answer can rely on the entry being there
+    if (user) {
+      await auditLog(user, `${req.method} ${url.pathname}`, { status })
+        .catch(error => log.error('Could not write the audit trail', { error: error.message }));
+    }
+    if (payload) sendJson(res, status, payload);
+  });
+}
+
+/**
+ * Start the server
+ * @param {Object} options - createServer options plus `port` and `host`
+ * @param {number} [options.port] - Port (defaults to server.port)
+ * @param {string} [options.host] - Interface (defaults to server.host)
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startServer(options) {
+  const { port = AGENT_CONFIG.server.port, host = AGENT_CONFIG.server.host, ...serverOptions } = options;
+  const server = createServer(serverOptions);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.child('http-server').info(`PromoPilot API listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+async function getStatus({ agent }) {
+  return createResponse(true, { status: agent.getStatus() });
+}
+
+async function runAnalysis({ agent, user, body }) {
+  const dealer = body.dealer ? await findDealer(body.dealer) : null;
+
+  return withUploads(body, user, async ({ paths }) => {
+    const result = await agent.analyzeAndRecommend({
+      dealer,
+      ...paths,
+      outputFormat: body.format || 'json',
+      asOfDate: body.as_of_date || null
+    });
+
+    if (result.success && result.report?.file_path) {
+      result.report.url = `/api/reports/${encodeURIComponent(path.basename(result.report.file_path))}`;
+    }
+    delete result.analysis_result;
+    return result;
+  });
+}
+
+async function getInventorySummary({ config, user, url, body }) {
+  const dealer = await findDealer(body.dealer ?? url.searchParams.get('dealer'));
+
+  return withUploads(body, user, async ({ paths }) => {
+    const params = {
+      file_path: paths.inventoryPath || dealer?.data_sources.inventory_file || config.data_sources.inventory_file
+    };
+    const asOfDate = body.as_of_date ?? url.searchParams.get('as_of_date');
+    const profile = body.profile ?? url.searchParams.get('profile');
+    if (asOfDate) params.as_of_date = asOfDate;
+    if (profile) params.profile = profile;
+    if (dealer && !paths.inventoryPath) {
+      params.sold_units_path = dealer.data_sources.sold_units_file;
+      params.dealership_config_path = dealer.config_file;
+    }
+
+    // The unit list stays server-side; the portal gets the summary and data-quality report
+    const { data: _units, ...result } = await ingest_inventory_data(params);
+    return result;
+  });
+}
+
+async function getIncentiveSummary({ config, user, url, body }) {
+  const dealer = await findDealer(body.dealer ?? url.searchParams.get('dealer'));
+
+  return withUploads(body, user, async ({ paths }) => {
+    const params = {
+      source_path: paths.incentivesPath || dealer?.data_sources.incentives_file || config.data_sources.incentives_file,
+      as_of_date: body.as_of_date ?? url.searchParams.get('as_of_date')
+    };
+    if (dealer) params.dealership_config_path = dealer.config_file;
+    return fetch_incentive_data(params);
+  });
+}
+
+async function runQuery({ agent, body }) {
+  if (typeof body.query !== 'string' || body.query.trim() === '') {
+    throw new AppError('query must be a non-empty string', ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+  }
+  return agent.quickRecommendation(body.query);
+}
+
+async function listReports({ config }) {
+  const directory = config.data_sources.output_directory;
+  const files = await fs.pathExists(directory) ? await fs.readdir(directory) : [];
+  const reports = await Promise.all(files
+    .filter(file => CONTENT_TYPES[path.extname(file)])
+    .map(async file => {
+      const stats = await fs.stat(path.join(directory, file));
+      return { name: file, url: `/api/reports/${encodeURIComponent(file)}`, size: stats.size, modified: stats.mtime.toISOString() };
+    }));
+
+  return createResponse(true, { reports: reports.sort((a, b) => b.modified.localeCompare(a.modified)) });
+}
+
+async function downloadReport({ config, params, res }) {
+  let name;
+  try {
+    name = decodeURIComponent(params[0]);
+  } catch {
+    // A malformed escape such as %E0%A4%A cannot name any report
+    throw httpError(`Report not found: ${params[0]}`, 404);
+  }
+  const type = CONTENT_TYPES[path.extname(name)];
+  const filePath = path.join(config.data_sources.output_directory, name);
+
+  // Only plain file names inside the output directory can be downloaded
+  if (name !== path.basename(name) || !type || !await fs.pathExists(filePath)) {
+    throw httpError(`Report not found: ${name}`, 404);
+  }
+
+  const content = await fs.readFile(filePath);
+  res.writeHead(200, {
+    'Content-Type': type,
+    'Content-Length': content.length,
+    'Content-Disposition': `attachment; filename="${name}"`
+  });
+  res.end(content);
+}
+
+// Prometheus scrape target; the scraper authenticates like any other client
+async function getMetrics({ res }) {
+  const content = formatPrometheus();
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Content-Length': Buffer.byteLength(content)
+  });
+  res.end(content);
+}
+
+// Write uploaded inventory / incentive content to a temporary directory for the tools to read
+async function withUploads(body, user, fn) {
+  const paths = {};
+  let directory = null;
+
+  try {
+    if (body.inventory_csv !== undefined || body.incentives !== undefined) {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-upload-'));
+    }
+
+    if (body.inventory_csv !== undefined) {
+      requirePermission(Permissions.WRITE_INVENTORY)(user);
+      if (typeof body.inventory_csv !== 'string' || body.inventory_csv.trim() === '') {
+        throw new AppError('inventory_csv must be the CSV file content', ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+      }
+      paths.inventoryPath = path.join(directory, 'upload-inventory.csv');
+      await fs.writeFile(paths.inventoryPath, body.inventory_csv);
+    }
+
+    if (body.incentives !== undefined) {
+      requirePermission(Permissions.WRITE_INCENTIVES)(user);
+      paths.incentivesPath = path.join(directory, 'upload-incentives.json');
+      await fs.writeJson(paths.incentivesPath, parseIncentives(body.incentives));
+    }
+
+    return await fn({ paths });
+  } finally {
+    if (directory) await fs.remove(directory);
+  }
+}
+
+function parseIncentives(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AppError(`incentives is not valid JSON: ${error.message}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW);
+  }
+}
+
+async function findDealer(id) {
+  if (!id) return null;
+  const [dealer] = selectDealers(await loadDealerRegistry(), id);
+  return dealer;
+}
+
+function matchRoute(method, pathname) {
+  const candidates = ROUTES
+    .map(route => ({
+      route,
+      match: typeof route.path === 'string' ? (route.path === pathname ? [] : null) : route.path.exec(pathname)
+    }))
+    .filter(candidate => candidate.match);
+
+  if (candidates.length === 0) throw httpError(`Not found: ${pathname}`, 404);
+
+  const found = candidates.find(candidate => candidate.route.method === method);
+  if (!found) throw httpError(`Method ${method} not allowed on ${pathname}`, 405);
+
+  return { route: found.route, params: found.match.slice(1) };
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(`Request body exceeds ${maxBytes} bytes`, 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('expected a JSON object');
+        resolve(body);
+      } catch (error) {
+        reject(new AppError(`Request body is not valid JSON: ${error.message}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) return;
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+function httpError(message, status) {
+  return new AppError(message, ErrorTypes.VALIDATION, ErrorSeverity.LOW, { status });
+}
+
+// Thrown errors and failed tool responses both map onto an HTTP status
+function statusForError(error) {
+  const details = error.details ?? error.errorDetails ?? {};
+  if (details.status) return details.status;
+  if (details.required) return 403;
+  if (error.message === 'No user context provided') return 401;
+
+  switch (error.type ?? error.errorType) {
+    case ErrorTypes.VALIDATION:
+      return 400;
+    case ErrorTypes.FILE_SYSTEM:
+      return 404;
+    case ErrorTypes.BUDGET:
+      return 429;
+    default:
+      return 500;
+  }
+}
+
+export default {
+  createServer,
+  startServer,
+  createApiKeyAuthenticator,
+  authenticateFromHeaders
+};
@@ -1,49 +0,0 @@
-/**
- * Pricing Analyzer Tool
- * Analyzes competitive pricing data and recommends optimal pricing strategies
- */
-
-import fs from 'fs-extra';
-
-export const pricingAnalyzerDefinition = {
-  type: 'function',
-  function: {
-    name: 'analyze_pricing',
-    description: 'Analyze competitive pricing data and recommend optimal pricing strategies',
-    parameters: {
-      type: 'object',
-      properties: {
-        vehicle_data: {
-          type: 'string',
-          description: 'JSON string containing vehicle data to analyze'
-        },
-        market_position: {
-          type: 'string',
-          enum: ['aggressive', 'balanced', 'premium'],
-          description: 'Desired market positioning strategy',
-          default: 'balanced'
-        }
-      },
-      required: ['vehicle_data']
-    }
-  }
-};
-
-export async function analyze_pricing(params) {
-  const { vehicle_data, market_position = 'balanced' } = params;
-  
-  // Parse the vehicle data
-  const vehicles = JSON.parse(vehicle_data);
-  
-  // Implementation of pricing analysis logic
-  // ...
-  
-  return {
-    recommendations: [
-      // Your pricing recommendations
-    ],
-    market_analysis: {
-      // Market analysis data
-    }
-  };
-}
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * Spend Ledger
+ * Token usage and dollar cost of every LLM call, kept in a JSONL ledger and checked against daily and per-run budgets
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../utils/error-handler.js';
+import { getCurrentUserContext } from '../utils/access-control.js';
+import { increment } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+const CHARS_PER_TOKEN = 4;
+
+const runStorage = new AsyncLocalStorage();
+// Calls made outside withUsageRun (library use, tests) count against this process-wide run
+const processRun = createRun(null);
+
+/**
+ * Run fn as one usage run: its LLM calls share a run id, a command name and the per-run budget
+ * @param {string} command - What the run is, e.g. 'cli analyze' or 'POST /api/analysis'
+ * @param {Function} fn - Function to run; everything it awaits belongs to the run
+ * @returns {*} fn's return value
+ */
+export function withUsageRun(command, fn) {
+  return runStorage.run(createRun(command), fn);
+}
+
+/**
+ * Tokens and cost of the active run so far
+ * @returns {{run_id: string, command: string|null, calls: number, prompt_tokens: number, completion_tokens: number, total_tokens: number, cost_usd: number}}
+ */
+export function getRunUsage() {
+  return { ...currentRun() };
+}
+
+/**
+ * Dollar cost of a completion's token usage
+ * @param {Object} usage - `{prompt_tokens, completion_tokens}` as reported by the provider
+ * @param {string} model - Model name, looked up in `prices` (falling back to `prices.default`)
+ * @param {Object} [prices=usage.prices] - USD per million prompt / completion tokens by model
+ * @returns {number} Cost in USD
+ * @throws {AppError} CONFIGURATION error if the model has no price and there is no default
+ * @example
+ * estimateCost({ prompt_tokens: 1000, completion_tokens: 500 }, 'gpt-4o-mini'); // 0.00045
+ */
+export function estimateCost(usage, model, prices = AGENT_CONFIG.usage.prices) {
+  const price = prices[model] ?? prices.default;
+  if (!price) {
+    throw new AppError(`No price configured for model ${model}`, ErrorTypes.CONFIGURATION, ErrorSeverity.HIGH, {
+      models: Object.keys(prices)
+    });
+  }
+
+  const cost = ((usage?.prompt_tokens || 0) * price.prompt + (usage?.completion_tokens || 0) * price.completion) / TOKENS_PER_PRICE_UNIT;
+  return roundUsd(cost);
+}
+
+/**
+ * Stop a call that could take the run or today's spend past its budget
+ *
+ * The call is priced at its worst case: the prompt (about four characters per
+ * token) plus `maxCompletionTokens` of output. Tool results the model reads
+ * during the call are not known in advance, so a call can still end slightly
+ * over; every call after that is refused.
+ *
+ * @param {Object} call - The call about to be made
+ * @param {string} call.model - Model name
+ * @param {string} call.prompt - Prompt text
+ * @param {number} [call.maxCompletionTokens] - Completion token limit (defaults to the config's max_tokens)
+ * @param {Object} [options={}] - Budget options
+ * @param {Object} [options.budgets] - `{daily_usd, per_run_usd}`; null limits are not enforced
+ * @param {string} [options.filePath] - Ledger with today's spend
+ * @returns {Promise<number>} Worst-case cost of the call in USD
+ * @throws {AppError} BUDGET error naming the limit, what is spent and what the call may cost
+ */
+export async function checkBudget(call, options = {}) {
+  const { budgets = AGENT_CONFIG.usage.budgets, filePath = AGENT_CONFIG.usage.ledger_file } = options;
+  const { model, prompt, maxCompletionTokens = AGENT_CONFIG.max_tokens } = call;
+
+  const worstCase = estimateCost({
+    prompt_tokens: Math.ceil(String(prompt ?? '').length / CHARS_PER_TOKEN),
+    completion_tokens: maxCompletionTokens
+  }, model);
+
+  const run = currentRun();
+  if (budgets.per_run_usd != null && run.cost_usd + worstCase > budgets.per_run_usd) {
+    throw budgetExceeded('Per-run', budgets.per_run_usd, run.cost_usd, worstCase, { run_id: run.run_id });
+  }
+
+  if (budgets.daily_usd != null) {
+    const today = new Date().toISOString().slice(0, 10);
+    const spent = (await readLedger(filePath))
+      .filter(entry => entry.timestamp.startsWith(today))
+      .reduce((sum, entry) => sum + entry.cost_usd, 0);
+    if (spent + worstCase > budgets.daily_usd) {
+      throw budgetExceeded('Daily', budgets.daily_usd, spent, worstCase, { date: today });
+    }
+  }
+
+  return worstCase;
+}
+
+/**
+ * Record one LLM call in the ledger, the active run and metrics
+ * @param {Object} call - The finished call
+ * @param {string} call.operation - What made it, e.g. 'analyzeAndRecommend'
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model name
+ * @param {Object} call.usage - `{prompt_tokens, completion_tokens}` from the completion's `total_usage`
+ * @param {string} [call.outcome='completed'] - 'failed' for the tokens of a completion that ended in an error
+ * @param {Object} [options={}] - Ledger options (`filePath`)
+ * @returns {Promise<Object>} The ledger entry
+ */
+export async function recordUsage(call, options = {}) {
+  const { filePath = AGENT_CONFIG.usage.ledger_file } = options;
+  const { operation, provider, model, usage, outcome = 'completed' } = call;
+  const user = getCurrentUserContext();
+  const run = currentRun();
+
+  if (!usage) {
+    logger.child('spend-ledger').warn(`${provider} reported no token usage for ${operation}; recorded as 0 tokens`);
+  }
+
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    run_id: run.run_id,
+    command: run.command,
+    operation,
+    outcome,
+    user_id: user?.userId ?? null,
+    role: user?.role ?? null,
+    provider,
+    model,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    cost_usd: estimateCost(usage, model)
+  };
+
+  run.calls += 1;
+  run.prompt_tokens += entry.prompt_tokens;
+  run.completion_tokens += entry.completion_tokens;
+  run.total_tokens += entry.total_tokens;
+  run.cost_usd = roundUsd(run.cost_usd + entry.cost_usd);
+
+  increment('llm.tokens', entry.prompt_tokens, { model, type: 'prompt' });
+  increment('llm.tokens', entry.completion_tokens, { model, type: 'completion' });
+  increment('llm.cost_usd', entry.cost_usd, { model });
+
+  await fs.ensureDir(path.dirname(filePath));
+  // After a write cut short by a crash, start a fresh line so this entry is not lost with the broken one
+  const separator = await endsMidLine(filePath) ? '\n' : '';
+  await fs.appendFile(filePath, `${separator}${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+/**
+ * Total tokens and spend from the ledger, grouped for reporting
+ * @param {Object} [filters={}] - Filters and grouping
+ * @param {string} [filters.since] - Earliest date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.until] - Latest date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.user] - Only this user id
+ * @param {string} [filters.groupBy='month'] - 'month', 'day', 'user', 'command' or 'model'
+ * @param {string} [filters.filePath] - Ledger file
+ * @returns {Promise<{groups: Array<Object>, total: Object}>} One row per group, sorted by key, and the overall total
+ */
+export async function summarizeSpend(filters = {}) {
+  const { since = null, until = null, user = null, groupBy = 'month', filePath = AGENT_CONFIG.usage.ledger_file } = filters;
+  const keyOf = {
+    month: entry => entry.timestamp.slice(0, 7),
+    day: entry => entry.timestamp.slice(0, 10),
+    user: entry => entry.user_id ?? '-',
+    command: entry => entry.command ?? '-',
+    model: entry => entry.model
+  }[groupBy];
+
+  if (!keyOf) {
+    throw new AppError(`Unknown grouping: ${groupBy}`, ErrorTypes.VALIDATION, ErrorSeverity.LOW, {
+      supported: ['month', 'day', 'user', 'command', 'model']
+    });
+  }
+
+  const entries = (await readLedger(filePath)).filter(entry =>
+    (!since || entry.timestamp.slice(0, 10) >= since) &&
+    (!until || entry.timestamp.slice(0, 10) <= until) &&
+    (!user || entry.user_id === user));
+
+  const groups = new Map();
+  const total = emptyTotals('total');
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const group = groups.get(key) || groups.set(key, emptyTotals(key)).get(key);
+    [group, total].forEach(totals => addEntry(totals, entry));
+  });
+
+  return {
+    groups: [...groups.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    total
+  };
+}
+
+function createRun(command) {
+  return {
+    run_id: `run_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    command,
+    calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0
+  };
+}
+
+function currentRun() {
+  return runStorage.getStore() ?? processRun;
+}
+
+function emptyTotals(key) {
+  return { key, calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+function addEntry(totals, entry) {
+  totals.calls += 1;
+  totals.prompt_tokens += entry.prompt_tokens;
+  totals.completion_tokens += entry.completion_tokens;
+  totals.total_tokens += entry.total_tokens;
+  totals.cost_usd = roundUsd(totals.cost_usd + entry.cost_usd);
+}
+
+// Micro-dollar precision keeps sums of many small calls from drifting
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function budgetExceeded(kind, limit, spent, worstCase, details) {
+  return new AppError(
+    `${kind} LLM budget of $${limit.toFixed(2)} would be exceeded: $${spent.toFixed(4)} spent, this call may cost up to $${worstCase.toFixed(4)}`,
+    ErrorTypes.BUDGET,
+    ErrorSeverity.HIGH,
+    { limit_usd: limit, spent_usd: roundUsd(spent), call_max_usd: worstCase, ...details }
+  );
+}
+
+// Unreadable lines (e.g. a write cut short by a crash) are skipped with a warning rather than blocking every LLM call
+async function readLedger(filePath) {
+  if (!await fs.pathExists(filePath)) return [];
+
+  const entries = [];
+  const skipped = [];
+  (await fs.readFile(filePath, 'utf8')).split('\n').forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry?.timestamp !== 'string') throw new Error('no timestamp');
+      entries.push(entry);
+    } catch {
+      skipped.push(index + 1);
+    }
+  });
+
+  if (skipped.length > 0) {
+    logger.child('spend-ledger').warn(`Skipped ${skipped.length} unreadable line(s) in ${filePath}; their spend is not counted`, {
+      lines: skipped
+    });
+  }
+  return entries;
+}
+
+async function endsMidLine(filePath) {
+  const { size } = await fs.stat(filePath).catch(() => ({ size: 0 }));
+  if (size === 0) return false;
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+export default {
+  withUsageRun,
+  getRunUsage,
+  estimateCost,
+  checkBudget,
+  recordUsage,
+  summarizeSpend
+};
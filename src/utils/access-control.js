@@ -3,8 +3,11 @@
  * Manages user roles and permissions for the PromoPilot system
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import { AppError, ErrorTypes, ErrorSeverity } from './error-handler.js';
 import logger from './logger.js';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { appendAuditEntry } from '../audit/audit-trail.js';
 
 // Define user roles
 export const UserRoles = {
@@ -76,6 +79,20 @@ const rolePermissions = {
   ]
 };
 
+// Permission each agent tool needs; the tools check it themselves because the SDK calls them directly
+export const TOOL_PERMISSIONS = {
+  ingest_inventory_data: Permissions.READ_INVENTORY,
+  analyze_pricing: Permissions.READ_INVENTORY,
+  fetch_incentive_data: Permissions.READ_INCENTIVES,
+  match_incentive_eligibility: Permissions.READ_INCENTIVES,
+  calculate_best_deal: Permissions.READ_INCENTIVES,
+  calculate_payments: Permissions.READ_INCENTIVES,
+  generate_promotional_report: Permissions.GENERATE_REPORTS
+};
+
+// The user a CLI command, HTTP request or agent call runs as, visible to everything it awaits
+const activeUser = new AsyncLocalStorage();
+
 // User context class
 export class UserContext {
   constructor(userId, role, additionalPermissions = []) {
@@ -186,8 +203,8 @@ export function requireAnyPermission(...permissions) {
   };
 }
 
-// Audit log helper
-export function auditLog(userContext, action, details = {}) {
+// Audit log helper: logs the action and appends it to the persistent audit trail (see audit-trail.js)
+export async function auditLog(userContext, action, details = {}) {
   const log = logger.child('audit');
   
   log.info('Audit log', {
@@ -198,6 +215,19 @@ export function auditLog(userContext, action, details = {}) {
     details,
     timestamp: new Date().toISOString()
   });
+
+  if (!AGENT_CONFIG.audit.enabled) return null;
+
+  return appendAuditEntry({
+    action,
+    details,
+    user: {
+      user_id: userContext.userId,
+      role: userContext.role,
+      session_id: userContext.sessionId,
+      key_id: userContext.keyId ?? null
+    }
+  });
 }
 
 // Create default user contexts for testing
@@ -205,6 +235,11 @@ export function createDefaultUserContext(role = UserRoles.OPERATOR) {
   return new UserContext(`default_${role}`, role);
 }
 
+// Run fn as a default user, for tests and library callers that call tools outside the CLI, server or agent
+export function runAsDefaultUser(fn, role = UserRoles.OPERATOR) {
+  return runWithUserContext(createDefaultUserContext(role), fn);
+}
+
 // Validate role
 export function validateRole(role) {
   if (!Object.values(UserRoles).includes(role)) {
@@ -216,4 +251,39 @@ export function validateRole(role) {
     );
   }
   return role;
-}
\ No newline at end of file
+}
+
+// Run fn with userContext as the active user for everything it calls, including tools run by the LLM provider
+export function runWithUserContext(userContext, fn) {
+  return activeUser.run(userContext, fn);
+}
+
+// Active user, or null outside runWithUserContext
+export function getCurrentUserContext() {
+  return activeUser.getStore() ?? null;
+}
+
+// Check the active user against a tool's permission (and any extra ones the call needs).
+// Fails closed: the CLI, HTTP server and agent bind a user before a tool can run, and tests
+// or library code opt in with runWithUserContext(createDefaultUserContext(), fn).
+export function requireToolPermission(toolName, ...extraPermissions) {
+  const userContext = getCurrentUserContext();
+  if (!userContext) {
+    throw new AppError(
+      'No user context provided',
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.HIGH,
+      { tool: toolName }
+    );
+  }
+
+  [TOOL_PERMISSIONS[toolName], ...extraPermissions]
+    .filter(Boolean)
+    .forEach(permission => requirePermission(permission)(userContext));
+  return true;
+}
+
+// Tools the user may call, e.g. to offer the model only those
+export function permittedTools(userContext, toolNames) {
+  return toolNames.filter(name => !TOOL_PERMISSIONS[name] || userContext.hasPermission(TOOL_PERMISSIONS[name]));
+}
@@ -0,0 +1,48 @@
+/**
+ * CLI Options
+ * Parses the `--key value` arguments that follow a PromoPilot command
+ */
+
+// Flags that never take a value, so the word after them stays a bare argument
+export const VALUELESS_FLAGS = ['no-cache'];
+
+/**
+ * Parse command-line arguments into an options object
+ * @param {Array<string>} args - Arguments after the command name
+ * @returns {Object} `--key value` and `--key=value` pairs by key, `true` for a flag
+ *   without a value, and bare words in order under `_`
+ * @example
+ * parseOptions(['--no-cache', 'C004', '--as-of', '2024-11-20']);
+ * // { _: ['C004'], 'no-cache': true, 'as-of': '2024-11-20' }
+ */
+export function parseOptions(args) {
+  const options = { _: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split('=');
+    const next = args[i + 1];
+
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (!VALUELESS_FLAGS.includes(key) && next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return options;
+}
+
+export default {
+  VALUELESS_FLAGS,
+  parseOptions
+};
@@ -10,6 +10,7 @@ export const ErrorTypes = {
   FILE_SYSTEM: 'FILE_SYSTEM_ERROR',
   NETWORK: 'NETWORK_ERROR',
   PROCESSING: 'PROCESSING_ERROR',
+  BUDGET: 'BUDGET_ERROR',
   UNKNOWN: 'UNKNOWN_ERROR'
 };
 
@@ -87,6 +88,10 @@ function getUserFriendlyMessage(error) {
       prefix: 'Processing error',
       suggestion: 'The operation could not be completed. Please try again.'
     },
+    [ErrorTypes.BUDGET]: {
+      prefix: 'Budget limit reached',
+      suggestion: 'Raise usage.budgets in the configuration or try again when the daily budget resets.'
+    },
     [ErrorTypes.UNKNOWN]: {
       prefix: 'Unexpected error',
       suggestion: 'An unexpected error occurred. Please contact support if this persists.'
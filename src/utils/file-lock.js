@@ -0,0 +1,47 @@
+/**
+ * File Lock
+ * Serializes writers of a shared file across processes (CLI next to the server) with a `.lock` file beside it
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const LOCK_RETRY_MS = 20;
+const LOCK_STALE_MS = 10000;
+
+/**
+ * Run fn while holding the lock on filePath
+ * @param {string} filePath - File the lock protects; the lock is `<filePath>.lock`
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<*>} fn's return value
+ */
+export async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  await fs.ensureDir(path.dirname(filePath));
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      // A lock left behind by a crashed process is taken over once it is stale
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+        await fs.remove(lockPath);
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.remove(lockPath);
+  }
+}
+
+export default {
+  withFileLock
+};
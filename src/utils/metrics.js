@@ -1,10 +1,13 @@
 /**
  * Metrics Utility
- * Tracks performance metrics and categorizes failures
+ * Tracks performance metrics and categorizes failures, with Prometheus export and JSON snapshots between runs
  */
 
+import fs from 'fs-extra';
 import logger from './logger.js';
 import { ErrorTypes } from './error-handler.js';
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { withFileLock } from './file-lock.js';
 
 // Metric types
 export const MetricTypes = {
@@ -21,6 +24,10 @@ export const MetricNames = {
   INCENTIVE_FETCH: 'incentive.fetch',
   REPORT_GENERATION: 'report.generation',
   AGENT_ANALYSIS: 'agent.analysis',
+  PRICING_ANALYSIS: 'pricing.analysis',
+  ELIGIBILITY_MATCH: 'incentive.eligibility',
+  DEAL_CALCULATION: 'deal.calculation',
+  PAYMENT_CALCULATION: 'payment.calculation',
   
   // Error metrics
   ERROR_COUNT: 'error.count',
@@ -32,6 +39,10 @@ export const MetricNames = {
   FILE_PROCESSING_TIME: 'file.processing_time'
 };
 
+const SNAPSHOT_VERSION = 1;
+const MAX_HISTOGRAM_VALUES = 1000;
+const PROMETHEUS_QUANTILES = [0.5, 0.95, 0.99];
+
 // Thresholds for alerting
 export const PerformanceThresholds = {
   CRITICAL: {
@@ -54,6 +65,10 @@ class MetricsCollector {
   constructor() {
     this.metrics = new Map();
     this.timers = new Map();
+    // This process's operations and threshold breaches, for the run summary; not saved in snapshots
+    this.run = { operations: new Map(), breaches: [] };
+    // What the snapshot file already holds of these metrics, so a save adds only the rest
+    this.persisted = new Map();
   }
   
   // Record a counter metric
@@ -110,14 +125,19 @@ class MetricsCollector {
     const current = this.metrics.get(key) || {
       type: MetricTypes.HISTOGRAM,
       values: [],
+      count: 0,
+      sum: 0,
       tags
     };
     
     current.values.push({ value, timestamp: Date.now() });
+    // Running totals cover every observation, not just the values kept below
+    current.count += 1;
+    current.sum += value;
     
     // Keep only last 1000 values
-    if (current.values.length > 1000) {
-      current.values = current.values.slice(-1000);
+    if (current.values.length > MAX_HISTOGRAM_VALUES) {
+      current.values = current.values.slice(-MAX_HISTOGRAM_VALUES);
     }
     
     this.metrics.set(key, current);
@@ -189,6 +209,11 @@ class MetricsCollector {
       return 'file_system';
     }
     
+    // Spend limits
+    if (errorType === ErrorTypes.BUDGET) {
+      return 'budget';
+    }
+    
     // Configuration errors
     if (errorType === ErrorTypes.CONFIGURATION) {
       return 'configuration';
@@ -202,12 +227,50 @@ class MetricsCollector {
     return 'unknown';
   }
   
+  // Record one call of an instrumented operation: its duration, outcome, row count and error category
+  recordOperation(operation, { metric = operation, duration, error = null, rows = null }) {
+    this.histogram(metric, duration);
+    this.checkThreshold(metric, duration);
+    
+    const status = error ? 'failure' : 'success';
+    this.increment('operation.calls', 1, { operation, status });
+    if (Number.isFinite(rows)) {
+      this.increment('operation.rows', rows, { operation });
+    }
+    
+    const category = error ? this.recordError(error, { operation }) : null;
+    if (category) {
+      this.increment('operation.failures', 1, { operation, category });
+    }
+    
+    const stats = this.run.operations.get(operation) || { operation, calls: 0, failures: 0, duration_ms: 0, rows: 0, error_categories: {} };
+    stats.calls += 1;
+    stats.duration_ms += duration;
+    stats.rows += Number.isFinite(rows) ? rows : 0;
+    if (category) {
+      stats.failures += 1;
+      stats.error_categories[category] = (stats.error_categories[category] || 0) + 1;
+    }
+    this.run.operations.set(operation, stats);
+    
+    return category;
+  }
+  
+  // Operations and threshold breaches since this process started (or the last reset)
+  getRunSummary() {
+    return {
+      operations: [...this.run.operations.values()].map(stats => ({ ...stats, error_categories: { ...stats.error_categories } })),
+      threshold_breaches: [...this.run.breaches]
+    };
+  }
+  
   // Check performance thresholds
   checkThreshold(metricName, value) {
     const critical = PerformanceThresholds.CRITICAL[metricName];
     const warning = PerformanceThresholds.WARNING[metricName];
     
     if (critical && value > critical) {
+      this.run.breaches.push({ level: 'critical', metric: metricName, value, threshold: critical });
       logger.error('Performance threshold exceeded - CRITICAL', {
         metric: metricName,
         value,
@@ -216,6 +279,7 @@ class MetricsCollector {
       });
       this.increment('threshold.exceeded', 1, { level: 'critical', metric: metricName });
     } else if (warning && value > warning) {
+      this.run.breaches.push({ level: 'warning', metric: metricName, value, threshold: warning });
       logger.warn('Performance threshold exceeded - WARNING', {
         metric: metricName,
         value,
@@ -274,7 +338,7 @@ class MetricsCollector {
         case MetricTypes.HISTOGRAM:
           const values = metric.values.map(v => v.value);
           summary.histograms[cleanName] = {
-            count: values.length,
+            count: metric.count ?? values.length,
             min: Math.min(...values),
             max: Math.max(...values),
             avg: values.reduce((a, b) => a + b, 0) / values.length,
@@ -298,14 +362,142 @@ class MetricsCollector {
     return sorted[index];
   }
   
+  // Render every metric in the Prometheus text format; histograms become summaries over the kept values
+  toPrometheus(prefix = 'promopilot') {
+    const families = new Map();
+    
+    for (const [key, metric] of this.metrics.entries()) {
+      const name = key.split('{')[0];
+      const family = families.get(name) || families.set(name, []).get(name);
+      family.push(metric);
+    }
+    
+    const lines = [];
+    
+    for (const [name, family] of families) {
+      const base = `${prefix}_${name.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+      const type = family[0].type;
+      
+      if (type === MetricTypes.COUNTER) {
+        lines.push(`# HELP ${base}_total Count of ${name}`, `# TYPE ${base}_total counter`);
+        family.forEach(metric => lines.push(`${base}_total${formatLabels(metric.tags)} ${metric.value}`));
+      } else if (type === MetricTypes.GAUGE) {
+        lines.push(`# HELP ${base} Last value of ${name}`, `# TYPE ${base} gauge`);
+        family.forEach(metric => lines.push(`${base}${formatLabels(metric.tags)} ${metric.value}`));
+      } else if (type === MetricTypes.HISTOGRAM) {
+        lines.push(`# HELP ${base} Distribution of ${name} (durations in ms)`, `# TYPE ${base} summary`);
+        family.forEach(metric => {
+          const values = metric.values.map(v => v.value);
+          PROMETHEUS_QUANTILES.forEach(q => {
+            lines.push(`${base}${formatLabels({ ...metric.tags, quantile: q })} ${this.percentile(values, q)}`);
+          });
+          lines.push(`${base}_sum${formatLabels(metric.tags)} ${metric.sum ?? sumOf(values)}`);
+          lines.push(`${base}_count${formatLabels(metric.tags)} ${metric.count ?? values.length}`);
+        });
+      }
+    }
+    
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+  
+  // Plain copy of every metric, for saving between runs
+  toSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      saved_at: new Date().toISOString(),
+      metrics: Object.fromEntries(this.metrics)
+    };
+  }
+  
+  // Merge a snapshot loaded from the file into the current metrics
+  restore(snapshot) {
+    mergeMetrics(this.metrics, snapshot?.metrics);
+    mergeMetrics(this.persisted, snapshot?.metrics);
+  }
+  
+  // What was recorded since the last load or save, as a snapshot to merge into the file
+  unsavedSnapshot() {
+    const unsaved = {};
+    this.metrics.forEach((current, key) => {
+      const saved = this.persisted.get(key);
+      
+      if (current.type === MetricTypes.COUNTER) {
+        const value = current.value - (saved?.value ?? 0);
+        if (value !== 0) unsaved[key] = { ...current, value };
+      } else if (current.type === MetricTypes.GAUGE) {
+        if (!saved || (current.timestamp || 0) > (saved.timestamp || 0)) unsaved[key] = { ...current };
+      } else if (current.type === MetricTypes.HISTOGRAM) {
+        const count = countOf(current) - (saved ? countOf(saved) : 0);
+        if (count > 0) {
+          unsaved[key] = {
+            ...current,
+            count,
+            sum: totalOf(current) - (saved ? totalOf(saved) : 0),
+            values: current.values.slice(-count)
+          };
+        }
+      }
+    });
+    return { ...this.toSnapshot(), metrics: structuredClone(unsaved) };
+  }
+  
+  // Note a snapshot from unsavedSnapshot() as written to the file
+  markSaved(snapshot) {
+    mergeMetrics(this.persisted, snapshot.metrics);
+  }
+  
   // Reset metrics
   reset() {
     this.metrics.clear();
+    this.persisted.clear();
     this.timers.clear();
+    this.run = { operations: new Map(), breaches: [] };
     logger.info('Metrics reset');
   }
 }
 
+function formatLabels(tags = {}) {
+  const labels = Object.entries(tags)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k.replace(/[^a-zA-Z0-9_]/g, '_')}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return labels.length > 0 ? `{${labels.join(',')}}` : '';
+}
+
+function sumOf(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+// Snapshots written before histograms kept running totals only have their values
+function countOf(histogram) {
+  return histogram.count ?? histogram.values.length;
+}
+
+function totalOf(histogram) {
+  return histogram.sum ?? sumOf(histogram.values.map(v => v.value));
+}
+
+// Merge saved metrics into a map: counters add up, the newer gauge wins,
+// histograms combine their totals and keep the latest values
+function mergeMetrics(target, savedMetrics = {}) {
+  Object.entries(savedMetrics || {}).forEach(([key, saved]) => {
+    const current = target.get(key);
+    
+    if (!current) {
+      target.set(key, structuredClone(saved));
+    } else if (saved.type === MetricTypes.COUNTER) {
+      current.value += saved.value;
+    } else if (saved.type === MetricTypes.GAUGE) {
+      if ((saved.timestamp || 0) > (current.timestamp || 0)) target.set(key, { ...saved });
+    } else if (saved.type === MetricTypes.HISTOGRAM) {
+      current.count = countOf(current) + countOf(saved);
+      current.sum = totalOf(current) + totalOf(saved);
+      current.values = [...saved.values, ...current.values]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-MAX_HISTOGRAM_VALUES);
+    }
+  });
+}
+
 // Global metrics instance
 const metrics = new MetricsCollector();
 
@@ -334,4 +526,122 @@ export function resetMetrics() {
   return metrics.reset();
 }
 
+export function getRunSummary() {
+  return metrics.getRunSummary();
+}
+
+/**
+ * Wrap an async function so every call is timed and counted
+ *
+ * Records the duration under `metric` (checked against PerformanceThresholds),
+ * `operation.calls` by status, `operation.rows` and, on failure, the error
+ * category from categorizeError. A thrown error and a `{ success: false }`
+ * response both count as failures; thrown errors are re-thrown unchanged.
+ *
+ * @param {string} operation - Operation name, e.g. 'ingest_inventory_data'
+ * @param {Function} fn - Async function to wrap; `this` is passed through, so methods can be wrapped
+ * @param {Object} [options={}] - Instrumentation options
+ * @param {string} [options.metric=operation] - Histogram name for the duration, e.g. MetricNames.INVENTORY_INGESTION
+ * @param {Function} [options.rows] - `(result) => number` of rows or items the call produced
+ * @returns {Function} Wrapped function with the same signature
+ * @example
+ * export const ingest_inventory_data = instrument('ingest_inventory_data', ingestInventoryData, {
+ *   metric: MetricNames.INVENTORY_INGESTION,
+ *   rows: result => result.total_vehicles
+ * });
+ */
+export function instrument(operation, fn, options = {}) {
+  const { metric = operation, rows = null } = options;
+
+  return async function instrumented(...args) {
+    const startTime = Date.now();
+    let result;
+
+    try {
+      result = await fn.apply(this, args);
+    } catch (error) {
+      metrics.recordOperation(operation, { metric, duration: Date.now() - startTime, error });
+      throw error;
+    }
+
+    const failed = result?.success === false;
+    metrics.recordOperation(operation, {
+      metric,
+      duration: Date.now() - startTime,
+      error: failed ? { message: result.error, type: result.errorType } : null,
+      rows: !failed && rows ? rows(result) : null
+    });
+    return result;
+  };
+}
+
+/**
+ * Wrap methods of a class prototype with instrument()
+ * @param {Object} target - Prototype (or object) whose methods to wrap in place
+ * @param {string} prefix - Operation name prefix, e.g. 'agent' gives 'agent.quickRecommendation'
+ * @param {Object<string, Object>} methods - Method name to instrument() options
+ */
+export function instrumentMethods(target, prefix, methods) {
+  Object.entries(methods).forEach(([name, options]) => {
+    const operation = `${prefix}.${name}`;
+    target[name] = instrument(operation, target[name], { metric: operation, ...options });
+  });
+}
+
+export function formatPrometheus() {
+  return metrics.toPrometheus();
+}
+
+/**
+ * Add what this process recorded since its last load or save to the snapshot file
+ *
+ * The file is re-read and merged under a lock, so runs that finish at the
+ * same time (CLI next to the server) keep each other's counts. It is
+ * replaced by a rename, so a crash mid-write leaves the previous file whole.
+ *
+ * @param {string} [filePath] - Snapshot file (defaults to metrics.snapshot_file)
+ * @returns {Promise<string>} Path of the snapshot file
+ */
+export async function saveMetricsSnapshot(filePath = AGENT_CONFIG.metrics.snapshot_file) {
+  const unsaved = metrics.unsavedSnapshot();
+
+  await withFileLock(filePath, async () => {
+    const merged = new MetricsCollector();
+    const current = await readSnapshot(filePath).catch((error) => {
+      logger.warn('Replacing an unreadable metrics snapshot', { filePath, error: error.message });
+      return null;
+    });
+    if (current) merged.restore(current);
+    merged.restore(unsaved);
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tmpPath, merged.toSnapshot());
+    await fs.move(tmpPath, filePath, { overwrite: true });
+  });
+
+  metrics.markSaved(unsaved);
+  return filePath;
+}
+
+// Merge the snapshot file into the current metrics; false when there is none yet
+export async function loadMetricsSnapshot(filePath = AGENT_CONFIG.metrics.snapshot_file) {
+  const snapshot = await readSnapshot(filePath);
+  if (!snapshot) return false;
+
+  metrics.restore(snapshot);
+  return true;
+}
+
+// The snapshot file's contents, or null when it is missing or has an unknown version
+async function readSnapshot(filePath) {
+  if (!await fs.pathExists(filePath)) return null;
+
+  const snapshot = await fs.readJson(filePath);
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    logger.warn('Ignoring metrics snapshot with an unknown version', { filePath, version: snapshot.version });
+    return null;
+  }
+  return snapshot;
+}
+
 export default metrics;
\ No newline at end of file
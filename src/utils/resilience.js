@@ -0,0 +1,245 @@
+/**
+ * Resilience Utility
+ * Retries with exponential backoff and jitter, per-attempt timeouts and a circuit breaker for calls to external services
+ */
+
+import { AGENT_CONFIG } from '../config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from './error-handler.js';
+import metrics, { increment, gauge } from './metrics.js';
+import logger from './logger.js';
+
+export const CircuitStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Gauge values for circuit.state, so dashboards can plot it
+const STATE_VALUES = {
+  [CircuitStates.CLOSED]: 0,
+  [CircuitStates.HALF_OPEN]: 1,
+  [CircuitStates.OPEN]: 2
+};
+
+// Failures that another attempt might get past; bad input, budgets and configuration will fail the same way again
+const RETRYABLE_CATEGORIES = ['network', 'timeout', 'external_api'];
+
+/**
+ * Circuit breaker for one external service
+ *
+ * Closed: calls go through and consecutive failures are counted. After
+ * `failure_threshold` of them it opens and refuses calls for
+ * `reset_timeout_ms`. Then it lets one trial call through (half open): success
+ * closes it, failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Service name, used in errors and metric tags
+   * @param {Object} [options={}] - Breaker settings (defaults from resilience.circuit_breaker)
+   * @param {number} [options.failure_threshold] - Consecutive failures that open the circuit
+   * @param {number} [options.reset_timeout_ms] - How long it stays open before a trial call
+   * @param {Function} [options.now=Date.now] - Clock, replaceable in tests
+   */
+  constructor(name, options = {}) {
+    const defaults = AGENT_CONFIG.resilience.circuit_breaker;
+    this.name = name;
+    this.failureThreshold = options.failure_threshold ?? defaults.failure_threshold;
+    this.resetTimeoutMs = options.reset_timeout_ms ?? defaults.reset_timeout_ms;
+    this.now = options.now ?? Date.now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.setState(CircuitStates.CLOSED);
+  }
+
+  /**
+   * Take permission for one call
+   * @throws {AppError} API error with `details.circuit` and `details.retry_after_ms` while the circuit is open
+   */
+  acquire() {
+    if (this.state === CircuitStates.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.setState(CircuitStates.HALF_OPEN);
+    }
+
+    const waiting = this.state === CircuitStates.OPEN || (this.state === CircuitStates.HALF_OPEN && this.trialInFlight);
+    if (waiting) {
+      increment('circuit.rejected', 1, { circuit: this.name });
+      throw new AppError(
+        `Circuit for ${this.name} is open after ${this.failures} consecutive failures`,
+        ErrorTypes.API,
+        ErrorSeverity.HIGH,
+        { circuit: this.name, retry_after_ms: Math.max(0, this.resetTimeoutMs - (this.now() - this.openedAt)) }
+      );
+    }
+
+    if (this.state === CircuitStates.HALF_OPEN) this.trialInFlight = true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.state !== CircuitStates.CLOSED) {
+      logger.child('resilience').info(`Circuit for ${this.name} closed`);
+      this.setState(CircuitStates.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === CircuitStates.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      if (this.state !== CircuitStates.OPEN) {
+        logger.child('resilience').warn(`Circuit for ${this.name} opened after ${this.failures} consecutive failures`);
+        increment('circuit.opened', 1, { circuit: this.name });
+      }
+      this.setState(CircuitStates.OPEN);
+    }
+  }
+
+  // A call that failed for reasons of its own (bad input, budget) says nothing about the service
+  release() {
+    this.trialInFlight = false;
+  }
+
+  setState(state) {
+    this.state = state;
+    gauge('circuit.state', STATE_VALUES[state], { circuit: this.name });
+  }
+
+  describe() {
+    return { name: this.name, state: this.state, consecutive_failures: this.failures };
+  }
+}
+
+/**
+ * Whether another attempt could succeed where this one failed
+ * @param {Error} error - Failure
+ * @returns {boolean} True for network, timeout and external API errors, and HTTP 408, 429 and 5xx (other 4xx are not)
+ */
+export function isRetryable(error) {
+  if (error?.details?.circuit) return false;
+
+  // HTTP clients (the OpenAI SDK among them) put the response status on the error
+  const status = error?.status ?? error?.response?.status;
+  if (status === 408 || status === 429 || status >= 500) return true;
+  if (status >= 400) return false;
+
+  return RETRYABLE_CATEGORIES.includes(metrics.categorizeError(error));
+}
+
+/**
+ * Delay before a retry: exponential, capped, and cut by a random fraction so clients do not retry in lockstep
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Object} [options={}] - `base_delay_ms`, `max_delay_ms`, `jitter` (0-1) and `random`
+ * @returns {number} Delay in ms
+ * @example
+ * backoffDelay(3, { base_delay_ms: 500, max_delay_ms: 8000, jitter: 0 }); // 2000
+ */
+export function backoffDelay(retry, options = {}) {
+  const {
+    base_delay_ms: base = AGENT_CONFIG.resilience.base_delay_ms,
+    max_delay_ms: max = AGENT_CONFIG.resilience.max_delay_ms,
+    jitter = AGENT_CONFIG.resilience.jitter,
+    random = Math.random
+  } = options;
+
+  const delay = Math.min(max, base * 2 ** (retry - 1));
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+/**
+ * Reject if a promise does not settle in time
+ *
+ * The underlying work is not cancelled (the SDK offers no way to), only no
+ * longer waited for.
+ *
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Limit in ms; 0 or null waits indefinitely
+ * @param {string} label - What is being waited for, for the error message
+ * @returns {Promise} The promise's result
+ * @throws {AppError} API error '<label> timed out after <ms> ms'
+ */
+export function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new AppError(
+      `${label} timed out after ${ms} ms`,
+      ErrorTypes.API,
+      ErrorSeverity.HIGH,
+      { timeout_ms: ms }
+    )), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call an external service with a timeout per attempt, retries on transient failures and a circuit breaker
+ *
+ * A timed-out attempt counts as a failure for the breaker but is not retried,
+ * because the work it started keeps running (see withTimeout).
+ * @param {string} operation - Name for logs and metric tags, e.g. 'analyzeAndRecommend'
+ * @param {Function} fn - `(attempt) => Promise`, called once per attempt
+ * @param {Object} [options={}] - Settings; defaults from the resilience config
+ * @param {CircuitBreaker} [options.breaker] - Breaker of the service being called
+ * @param {number} [options.max_retries] - Retries after the first attempt
+ * @param {number} [options.timeout_ms] - Limit per attempt
+ * @param {Function} [options.sleep] - `(ms) => Promise`, replaceable in tests
+ * @returns {Promise} fn's result
+ * @throws {Error} The last failure, or the breaker's error when the circuit is open
+ * @example
+ * const result = await callWithRetries('quickRecommendation', () => provider.createChatCompletion(message), { breaker });
+ */
+export async function callWithRetries(operation, fn, options = {}) {
+  const {
+    breaker = null,
+    max_retries: maxRetries = AGENT_CONFIG.resilience.max_retries,
+    timeout_ms: timeoutMs = AGENT_CONFIG.resilience.timeout_ms,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    ...backoff
+  } = options;
+  const log = logger.child('resilience');
+
+  for (let attempt = 1; ; attempt++) {
+    breaker?.acquire();
+    increment('resilience.attempts', 1, { operation });
+
+    try {
+      const result = await withTimeout(Promise.resolve().then(() => fn(attempt)), timeoutMs, operation);
+      breaker?.recordSuccess();
+      return result;
+    } catch (error) {
+      const retryable = isRetryable(error);
+      if (retryable) {
+        breaker?.recordFailure();
+      } else {
+        breaker?.release();
+      }
+
+      // A timed-out completion may still be running tools and spending; a retry would run a second one beside it
+      const timedOut = error?.details?.timeout_ms != null;
+      if (!retryable || timedOut || attempt > maxRetries || breaker?.state === CircuitStates.OPEN) {
+        if (retryable) increment('resilience.exhausted', 1, { operation });
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, backoff);
+      increment('resilience.retries', 1, { operation });
+      log.warn(`${operation} failed (attempt ${attempt} of ${maxRetries + 1}), retrying in ${delay} ms`, { error: error.message });
+      await sleep(delay);
+    }
+  }
+}
+
+export default {
+  CircuitStates,
+  CircuitBreaker,
+  isRetryable,
+  backoffDelay,
+  withTimeout,
+  callWithRetries
+};
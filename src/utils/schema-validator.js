@@ -29,6 +29,16 @@ export const FieldValidators = {
     }
     return date.toISOString();
   },
+
+  // A calendar day written as YYYY-MM-DD, e.g. an as-of date; 2024-02-30 is rejected rather than rolled over
+  isoDate: (value, fieldName = 'date') => {
+    const valid = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+    if (!valid) {
+      throw new AppError(`${fieldName} must be a YYYY-MM-DD date, got ${value}`, ErrorTypes.VALIDATION);
+    }
+    return value;
+  },
   
   enumValue: (value, allowedValues, fieldName = 'value') => {
     if (!allowedValues.includes(value)) {
@@ -45,7 +55,12 @@ export const FieldValidators = {
 export const InputSchemas = {
   inventoryIngestor: {
     file_path: { required: true, validator: FieldValidators.filePath },
-    calculate_metrics: { required: false, type: 'boolean', default: true }
+    calculate_metrics: { required: false, type: 'boolean', default: true },
+    as_of_date: { required: false, validator: (v) => FieldValidators.dateString(v, 'as_of_date') },
+    profile: { required: false, type: 'string' },
+    validation_mode: { required: false, validator: (v) => FieldValidators.enumValue(v, ['lenient', 'strict'], 'validation_mode') },
+    sold_units_path: { required: false, validator: (v) => (v === null ? null : FieldValidators.filePath(v)) },
+    dealership_config_path: { required: false, validator: (v) => (v === null ? null : FieldValidators.filePath(v)) }
   },
   
   incentiveFetcher: {
@@ -59,7 +74,7 @@ export const InputSchemas = {
     incentive_data: { required: true, type: 'object' },
     output_format: {
       required: false,
-      validator: (v) => FieldValidators.enumValue(v, ['json', 'html', 'pdf'], 'output_format'),
+      validator: (v) => FieldValidators.enumValue(v, ['json', 'html', 'markdown'], 'output_format'),
       default: 'json'
     },
     output_path: { required: false, validator: FieldValidators.filePath, default: './output' }
@@ -74,6 +89,11 @@ export const OutputSchemas = {
     summary: { required: false, type: 'object' },
     total_vehicles: { required: false, type: 'number' },
     ingestion_date: { required: false, type: 'string' },
+    mapping_profile: { required: false, type: 'string' },
+    validation_issues: { required: false, type: 'array' },
+    row_issues: { required: false, type: 'array' },
+    ingestion_report: { required: false, type: 'object' },
+    snapshot: { required: false, type: 'object' },
     error: { required: false, type: 'string' }
   },
   
@@ -93,6 +113,142 @@ export const OutputSchemas = {
   }
 };
 
+// Schema for one promotional recommendation returned by the model
+export const RecommendationSchema = {
+  vehicle_line: { required: true, type: 'string', description: 'Vehicle line exactly as ranked, e.g. "2024 Ford Mustang"' },
+  rank: { required: true, type: 'number', description: 'Priority rank, 1 = highest' },
+  key_metrics: {
+    required: true,
+    type: 'object',
+    description: 'Key metrics for the line',
+    fields: {
+      inventory_count: { required: true, type: 'number' },
+      avg_days_on_lot: { required: true, type: 'number' },
+      best_incentive_value: { required: true, type: 'number' }
+    }
+  },
+  rationale: { required: true, type: 'string', description: 'Why this line should be promoted now' },
+  promotional_approach: { required: true, type: 'string', description: 'How to promote it (offer, channel, timing)' },
+  incentive_ids: { required: true, type: 'array', description: 'IDs of the incentive programs the recommendation relies on (may be empty)' },
+  best_offer: { required: false, type: 'object', description: 'Best incentive stack from calculate_best_deal' },
+  payment_comparison: { required: false, type: 'object', description: 'Result of calculate_payments' }
+};
+
+/**
+ * Validate a list of recommendations against RecommendationSchema
+ * @param {Array<Object>} recommendations - Recommendations parsed from the model response
+ * @param {Object} [options={}] - Validation options
+ * @param {number} [options.maxRecommendations] - Maximum number of recommendations allowed
+ * @returns {Array<Object>} The recommendations, sorted by rank
+ * @throws {AppError} With `details.errors` listing every problem found
+ */
+export function validateRecommendations(recommendations, options = {}) {
+  const { maxRecommendations = null } = options;
+  const errors = [];
+
+  if (!Array.isArray(recommendations) || recommendations.length === 0) {
+    errors.push('recommendations must be a non-empty array');
+  } else {
+    if (maxRecommendations && recommendations.length > maxRecommendations) {
+      errors.push(`Expected at most ${maxRecommendations} recommendations, got ${recommendations.length}`);
+    }
+
+    recommendations.forEach((rec, index) => {
+      errors.push(...checkFields(rec, RecommendationSchema, `recommendations[${index}]`));
+      if (typeof rec?.rank === 'number' && (!Number.isInteger(rec.rank) || rec.rank < 1)) {
+        errors.push(`recommendations[${index}].rank must be a positive integer`);
+      }
+      if (Array.isArray(rec?.incentive_ids) && rec.incentive_ids.some(id => typeof id !== 'string')) {
+        errors.push(`recommendations[${index}].incentive_ids must only contain strings`);
+      }
+    });
+
+    const ranks = recommendations.map(rec => rec?.rank).sort((a, b) => a - b);
+    if (!errors.length && ranks.some((rank, index) => rank !== index + 1)) {
+      errors.push(`Ranks must run 1 to ${recommendations.length} without gaps or duplicates`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(
+      'Recommendation validation failed',
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM,
+      { errors }
+    );
+  }
+
+  return [...recommendations].sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Describe RecommendationSchema as prompt text so the model knows the exact shape expected
+ * @returns {string} One line per field
+ */
+export function describeRecommendationSchema() {
+  return Object.entries(RecommendationSchema).map(([field, rules]) => {
+    const nested = rules.fields ? ` with ${Object.keys(rules.fields).join(', ')}` : '';
+    return `- ${field} (${rules.type}${rules.required ? ', required' : ', optional'}): ${rules.description}${nested}`;
+  }).join('\n');
+}
+
+/**
+ * Pull the first JSON object or array out of a model response, tolerating code fences and prose
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed JSON value
+ * @throws {AppError} If no parseable JSON is found
+ */
+export function extractJson(text) {
+  const raw = String(text ?? '');
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : raw;
+  const start = candidate.search(/[[{]/);
+
+  if (start !== -1) {
+    const closing = candidate[start] === '{' ? '}' : ']';
+    const end = candidate.lastIndexOf(closing);
+    try {
+      return JSON.parse(candidate.slice(start, end + 1));
+    } catch {
+      // Fall through to the error below
+    }
+  }
+
+  throw new AppError(
+    'Response is not valid JSON',
+    ErrorTypes.VALIDATION,
+    ErrorSeverity.MEDIUM,
+    { errors: ['Response must be a single JSON object of the form {"recommendations": [...]}'] }
+  );
+}
+
+function checkFields(value, schema, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  for (const [field, rules] of Object.entries(schema)) {
+    if (!(field in value) || value[field] === null || value[field] === undefined) {
+      if (rules.required) errors.push(`${label}.${field} is required`);
+      continue;
+    }
+
+    const actualType = Array.isArray(value[field]) ? 'array' : typeof value[field];
+    if (rules.type && actualType !== rules.type) {
+      errors.push(`${label}.${field} must be of type ${rules.type}, got ${actualType}`);
+      continue;
+    }
+    if (rules.type === 'string' && value[field].trim().length === 0) {
+      errors.push(`${label}.${field} must not be empty`);
+    }
+    if (rules.fields) {
+      errors.push(...checkFields(value[field], rules.fields, `${label}.${field}`));
+    }
+  }
+  return errors;
+}
+
 // Validate input against schema
 export function validateInput(schemaName, input) {
   const schema = InputSchemas[schemaName];
@@ -117,8 +273,8 @@ export function validateInput(schemaName, input) {
       value = rules.default;
     }
     
-    // Skip if optional and not provided
-    if (!(field in input) && !rules.required) {
+    // Skip if optional, not provided and without a default
+    if (!(field in input) && !rules.required && !('default' in rules)) {
       continue;
     }
     
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for checking recommendation claims against source data
+ */
+
+import { verifyRecommendations, extractTextClaims, ClaimStatus } from '../../src/analysis/claim-verifier.js';
+import { calculateBestDeals } from '../../src/analysis/incentive-stacking.js';
+import { comparePaymentOptions } from '../../src/analysis/payment-calculator.js';
+
+const inventorySummary = {
+  vehicle_lines: {
+    '2024 Ford Mustang': { count: 3, avg_days: 137, total_value: 113900 }
+  }
+};
+
+const inventory = [
+  { vehicle_line: '2024 Ford Mustang', stock_number: 'F001', msrp: 38000, invoice: 35500, days_on_lot: 120 },
+  { vehicle_line: '2024 Ford Mustang', stock_number: 'F002', msrp: 37900, invoice: 35400, days_on_lot: 145 },
+  { vehicle_line: '2024 Ford Mustang', stock_number: 'F003', msrp: 38000, invoice: 35500, days_on_lot: 146 }
+];
+
+const incentives = [
+  { id: 'mustang_cash', program_name: 'Mustang Cash', vehicle_line: '2024 Ford Mustang', value: 3000, stackable: false, days_remaining: 10 },
+  { id: 'malibu_cash', vehicle_line: '2023 Chevrolet Malibu', value: 3500, stackable: false, days_remaining: 20 }
+];
+
+const sources = { inventorySummary, inventory, incentives };
+
+function recommendation(overrides = {}) {
+  return {
+    vehicle_line: '2024 Ford Mustang',
+    rank: 1,
+    key_metrics: { inventory_count: 3, avg_days_on_lot: 137, best_incentive_value: 3000 },
+    rationale: '3 units averaging 137 days with $3,000 dealer cash',
+    promotional_approach: 'Weekend event before the program ends in 10 days',
+    incentive_ids: ['mustang_cash'],
+    ...overrides
+  };
+}
+
+describe('verifyRecommendations', () => {
+  it('should verify claims that match the source data', () => {
+    const result = verifyRecommendations([recommendation()], sources);
+
+    expect(result.summary.corrected).toBe(0);
+    expect(result.summary.unverified).toBe(0);
+    expect(result.summary.verified).toBe(result.summary.total_claims);
+    expect(result.recommendations[0].verification_status).toBe(ClaimStatus.VERIFIED);
+  });
+
+  it('should correct key metrics that disagree with the inventory', () => {
+    const result = verifyRecommendations([recommendation({
+      key_metrics: { inventory_count: 5, avg_days_on_lot: 138, best_incentive_value: 4500 }
+    })], sources);
+
+    expect(result.recommendations[0].key_metrics).toEqual({
+      inventory_count: 3, avg_days_on_lot: 138, best_incentive_value: 3000
+    });
+    expect(result.claims.find(c => c.field === 'key_metrics.inventory_count')).toMatchObject({
+      stated: 5, actual: 3, status: ClaimStatus.CORRECTED
+    });
+    expect(result.recommendations[0].verification_status).toBe(ClaimStatus.CORRECTED);
+  });
+
+  it('should drop unknown and mismatched incentive IDs', () => {
+    const result = verifyRecommendations([recommendation({
+      incentive_ids: ['mustang_cash', 'malibu_cash', 'made_up_program']
+    })], sources);
+
+    expect(result.recommendations[0].incentive_ids).toEqual(['mustang_cash']);
+    const notes = result.claims.filter(c => c.status === ClaimStatus.CORRECTED).map(c => c.note);
+    expect(notes).toEqual([
+      'Program applies to 2023 Chevrolet Malibu, not 2024 Ford Mustang; removed',
+      'No active incentive program with this ID; removed'
+    ]);
+  });
+
+  it('should only flag problems when autoCorrect is off', () => {
+    const result = verifyRecommendations([recommendation({
+      key_metrics: { inventory_count: 5 },
+      incentive_ids: ['made_up_program']
+    })], sources, { autoCorrect: false });
+
+    expect(result.recommendations[0].key_metrics.inventory_count).toBe(5);
+    expect(result.recommendations[0].incentive_ids).toEqual(['made_up_program']);
+    expect(result.summary.unverified).toBe(2);
+  });
+
+  it('should flag free-text figures that are not in the source data', () => {
+    const result = verifyRecommendations([recommendation({
+      rationale: '12 units with $7,500 of manufacturer cash'
+    })], sources);
+
+    const flagged = result.claims.filter(c => c.status === ClaimStatus.UNVERIFIED);
+    expect(flagged.map(c => c.stated)).toEqual(['$7,500', '12 units']);
+    expect(result.recommendations[0].verification_status).toBe(ClaimStatus.UNVERIFIED);
+  });
+
+  it('should flag vehicle lines that are not in inventory', () => {
+    const result = verifyRecommendations([recommendation({
+      vehicle_line: '2025 Ford Bronco', key_metrics: {}, incentive_ids: [], rationale: '', promotional_approach: ''
+    })], sources);
+
+    expect(result.claims).toEqual([expect.objectContaining({
+      field: 'vehicle_line', status: ClaimStatus.UNVERIFIED
+    })]);
+  });
+
+  it('should verify a best offer that matches the recomputed deal for the oldest unit', () => {
+    const result = verifyRecommendations([recommendation({
+      best_offer: { label: 'Mustang Cash', customer_savings: 3000, dealer_cash: 0, incentive_ids: ['mustang_cash'] }
+    })], sources);
+
+    expect(result.claims.find(c => c.field === 'best_offer')).toMatchObject({
+      stated: 3000, actual: 3000, status: ClaimStatus.VERIFIED
+    });
+    expect(result.recommendations[0].verification_status).toBe(ClaimStatus.VERIFIED);
+  });
+
+  it('should replace a made-up best offer and not accept its figures in the rationale', () => {
+    const result = verifyRecommendations([recommendation({
+      rationale: 'Stock F003 qualifies for $5,000 off',
+      best_offer: { label: 'Mustang Cash', customer_savings: 5000, dealer_cash: 0, incentive_ids: ['mustang_cash'] }
+    })], sources);
+
+    expect(result.recommendations[0].best_offer).toMatchObject({
+      stock_number: 'F003', customer_savings: 3000, dealer_cash: 0, incentive_ids: ['mustang_cash']
+    });
+    expect(result.claims.find(c => c.field === 'best_offer')).toMatchObject({
+      stated: 5000, actual: 3000, status: ClaimStatus.CORRECTED
+    });
+    expect(result.claims.find(c => c.field === 'rationale')).toMatchObject({
+      stated: '$5,000', status: ClaimStatus.UNVERIFIED
+    });
+  });
+
+  it('should verify payments that match the recomputed comparison', () => {
+    const unit = inventory[1];
+    const comparison = comparePaymentOptions(unit, calculateBestDeals(unit, [incentives[0]]).combinations, { down_payment: 2000 });
+    const result = verifyRecommendations([recommendation({
+      rationale: `About $${comparison.options[1].payment.monthly_payment} a month on stock F002`,
+      payment_comparison: comparison
+    })], sources);
+
+    expect(result.claims.find(c => c.field === 'payment_comparison')).toMatchObject({
+      stated: 'F002', status: ClaimStatus.VERIFIED
+    });
+    expect(result.summary.unverified).toBe(0);
+  });
+
+  it('should replace made-up payments with the recomputed comparison', () => {
+    const unit = inventory[1];
+    const comparison = comparePaymentOptions(unit, calculateBestDeals(unit, [incentives[0]]).combinations);
+    const stated = {
+      ...comparison,
+      options: comparison.options.map((option, i) =>
+        i === 0 ? { ...option, payment: { ...option.payment, monthly_payment: 199 } } : option)
+    };
+
+    const result = verifyRecommendations([recommendation({ payment_comparison: stated })], sources);
+    expect(result.recommendations[0].payment_comparison.options[0].payment.monthly_payment)
+      .toBe(comparison.options[0].payment.monthly_payment);
+    expect(result.claims.find(c => c.field === 'payment_comparison')).toMatchObject({
+      status: ClaimStatus.CORRECTED,
+      note: expect.stringContaining('No incentives at standard rate monthly_payment')
+    });
+
+    const flagged = verifyRecommendations([recommendation({ payment_comparison: stated })], sources, { autoCorrect: false });
+    expect(flagged.recommendations[0].payment_comparison).toBe(stated);
+    expect(flagged.recommendations[0].verification_status).toBe(ClaimStatus.UNVERIFIED);
+  });
+});
+
+describe('extractTextClaims', () => {
+  it('should pull dollar, day and unit figures out of text', () => {
+    expect(extractTextClaims('3 vehicles at 137 days, $3,000 cash')).toEqual([
+      { type: 'dollars', text: '$3,000', value: 3000 },
+      { type: 'days', text: '137 days', value: 137 },
+      { type: 'units', text: '3 vehicles', value: 3 }
+    ]);
+  });
+
+  it('should ignore non-string input', () => {
+    expect(extractTextClaims(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for incentive eligibility matching
+ */
+
+import {
+  evaluateIncentiveEligibility,
+  matchVehicleIncentives,
+  findVehicle
+} from '../../src/analysis/incentive-eligibility.js';
+
+const civic = { vin: '1HGBH41JXMN109186', stock_number: 'H001', year: 2024, make: 'Honda', model: 'Civic', trim: 'LX' };
+
+const baseIncentive = {
+  id: 'civic_cash',
+  program_name: 'Civic Cash',
+  incentive_type: 'Customer Cash',
+  value: 1500,
+  year: 2024,
+  make: 'Honda',
+  model: 'Civic',
+  trim: 'All',
+  region: 'National',
+  start_date: new Date('2024-11-01'),
+  end_date: new Date('2024-12-31')
+};
+
+const options = { region: 'Central', asOfDate: '2024-11-20' };
+
+describe('evaluateIncentiveEligibility', () => {
+  it('should accept a matching national all-trim program', () => {
+    const result = evaluateIncentiveEligibility(civic, baseIncentive, options);
+
+    expect(result.eligible).toBe(true);
+    expect(result.reasons[0]).toBe('Matches 2024 Honda Civic (all trims)');
+  });
+
+  it('should reject a different model year', () => {
+    const result = evaluateIncentiveEligibility(civic, { ...baseIncentive, year: 2023 }, options);
+
+    expect(result.eligible).toBe(false);
+    expect(result.reasons).toEqual(['Model year 2024 does not match program year 2023']);
+  });
+
+  it('should honour specific trims', () => {
+    expect(evaluateIncentiveEligibility(civic, { ...baseIncentive, trim: 'Sport, Si' }, options).reasons)
+      .toEqual(['Trim LX is not one of the program trims (Sport, Si)']);
+    expect(evaluateIncentiveEligibility(civic, { ...baseIncentive, trim: ['lx'] }, options).eligible).toBe(true);
+  });
+
+  it('should only apply regional programs in the dealer region', () => {
+    expect(evaluateIncentiveEligibility(civic, { ...baseIncentive, region: 'West' }, options).eligible).toBe(false);
+    expect(evaluateIncentiveEligibility(civic, { ...baseIncentive, region: 'Central' }, options).eligible).toBe(true);
+  });
+
+  it('should treat the program window as inclusive calendar days', () => {
+    expect(evaluateIncentiveEligibility(civic, baseIncentive, { ...options, asOfDate: '2024-12-31' }).eligible).toBe(true);
+    expect(evaluateIncentiveEligibility(civic, baseIncentive, { ...options, asOfDate: '2025-01-01' }).reasons)
+      .toEqual(['Program ended on 2024-12-31']);
+    expect(evaluateIncentiveEligibility(civic, baseIncentive, { ...options, asOfDate: '2024-10-31' }).reasons)
+      .toEqual(['Program does not start until 2024-11-01']);
+  });
+});
+
+describe('matchVehicleIncentives', () => {
+  it('should split programs into eligible and ineligible with totals', () => {
+    const incentives = [
+      baseIncentive,
+      { ...baseIncentive, id: 'accord_cash', model: 'Accord', value: 2200 },
+      { ...baseIncentive, id: 'civic_bonus', value: 500 }
+    ];
+
+    const result = matchVehicleIncentives(civic, incentives, options);
+
+    expect(result.eligible.map(e => e.incentive_id)).toEqual(['civic_cash', 'civic_bonus']);
+    expect(result.ineligible.map(e => e.incentive_id)).toEqual(['accord_cash']);
+    expect(result.total_eligible_value).toBe(2000);
+    expect(result.vehicle_line).toBe('2024 Honda Civic');
+  });
+});
+
+describe('findVehicle', () => {
+  it('should find vehicles by stock number or VIN regardless of case', () => {
+    expect(findVehicle([civic], 'h001')).toBe(civic);
+    expect(findVehicle([civic], '1hgbh41jxmn109186')).toBe(civic);
+    expect(findVehicle([civic], 'X999')).toBeUndefined();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for incentive stacking
+ */
+
+import { calculateBestDeals, describeOffer, OfferTypes } from '../../src/analysis/incentive-stacking.js';
+
+const mustang = { vin: '1FA6P8TH5N5123456', stock_number: 'F001', year: 2024, make: 'Ford', model: 'Mustang', trim: 'EcoBoost' };
+
+const cash = { id: 'cash', program_name: 'Customer Cash', value: 1500, stackable: true, customer_type: 'All' };
+const bonus = { id: 'bonus', program_name: 'Bonus Cash', value: 500, stackable: true, customer_type: 'All' };
+const military = { id: 'military', program_name: 'Military Appreciation', value: 500, stackable: true, customer_type: 'Military' };
+const dealerCash = { id: 'dealer', program_name: 'Dealer Cash', value: 1000, stackable: true, dealer_cash: true, customer_type: 'All' };
+const conquest = { id: 'conquest', program_name: 'Conquest Cash', value: 2500, stackable: false, customer_type: 'All' };
+const apr = { id: 'apr', program_name: 'Special Financing', value: 2000, stackable: false, financing_rate: 0.9, customer_type: 'All' };
+
+describe('calculateBestDeals', () => {
+  it('should stack all stackable cash programs together', () => {
+    const result = calculateBestDeals(mustang, [cash, bonus, dealerCash]);
+
+    expect(result.best_offer).toMatchObject({
+      label: 'Stacked cash',
+      offer_type: OfferTypes.CASH,
+      incentive_ids: ['cash', 'bonus', 'dealer'],
+      customer_savings: 2000,
+      dealer_cash: 1000
+    });
+  });
+
+  it('should only offer non-stackable programs on their own', () => {
+    const result = calculateBestDeals(mustang, [cash, conquest]);
+
+    expect(result.combinations.map(c => c.incentive_ids)).toEqual([['conquest'], ['cash']]);
+    expect(result.max_customer_savings).toBe(2500);
+  });
+
+  it('should treat special APR as an alternative to customer cash', () => {
+    const result = calculateBestDeals(mustang, [cash, apr]);
+    const finance = result.combinations.find(c => c.offer_type === OfferTypes.FINANCE);
+
+    expect(finance.incentive_ids).toEqual(['apr']);
+    expect(finance.financing_rate).toBe(0.9);
+    expect(result.best_offer.incentive_ids).toEqual(['apr']);
+  });
+
+  it('should exclude programs limited to other customer types', () => {
+    const general = calculateBestDeals(mustang, [cash, military]);
+    const service = calculateBestDeals(mustang, [cash, military], { customerType: 'military' });
+
+    expect(general.max_customer_savings).toBe(1500);
+    expect(general.excluded).toEqual([{ incentive_id: 'military', reason: 'Limited to Military customers' }]);
+    expect(service.max_customer_savings).toBe(2000);
+  });
+
+  it('should return no offer when nothing applies', () => {
+    const result = calculateBestDeals(mustang, []);
+
+    expect(result.best_offer).toBeNull();
+    expect(describeOffer(result.best_offer)).toBe('No eligible incentives');
+  });
+});
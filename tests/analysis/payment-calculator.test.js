@@ -0,0 +1,96 @@
+/**
+ * Unit tests for finance and lease payment calculations
+ */
+
+import {
+  calculateFinancePayment,
+  calculateLeasePayment,
+  comparePaymentOptions
+} from '../../src/analysis/payment-calculator.js';
+import { calculateBestDeals } from '../../src/analysis/incentive-stacking.js';
+import { AppError } from '../../src/utils/error-handler.js';
+
+const assumptions = {
+  standard_apr: 6,
+  term_months: 60,
+  down_payment: 0,
+  tax_rate: 0,
+  fees: 0,
+  lease_term_months: 36,
+  residual_percent: 50,
+  acquisition_fee: 0
+};
+
+const corolla = { vin: 'VIN1', stock_number: 'T001', msrp: 20000, invoice: 18500 };
+
+describe('calculateFinancePayment', () => {
+  it('should amortize the amount financed at the APR', () => {
+    const result = calculateFinancePayment({ price: 20000, apr: 6, termMonths: 60 });
+
+    expect(result.monthly_payment).toBe(386.66);
+    expect(result.total_interest).toBeCloseTo(3199.36, 0);
+  });
+
+  it('should split the balance evenly at 0% APR', () => {
+    expect(calculateFinancePayment({ price: 24000, apr: 0, termMonths: 48 }).monthly_payment).toBe(500);
+  });
+
+  it('should add tax and fees and subtract down payment and cash', () => {
+    const result = calculateFinancePayment({
+      price: 20000, apr: 0, termMonths: 10, taxRate: 0.05, fees: 500, downPayment: 1000, cashIncentive: 500
+    });
+
+    expect(result.amount_financed).toBe(20000);
+    expect(result.total_cost).toBe(21000);
+  });
+
+  it('should reject invalid terms', () => {
+    expect(() => calculateFinancePayment({ price: 20000, apr: 6, termMonths: 0 })).toThrow(AppError);
+    expect(() => calculateFinancePayment({ price: 20000, apr: 6, termMonths: 60, downPayment: NaN })).toThrow(AppError);
+  });
+});
+
+describe('calculateLeasePayment', () => {
+  it('should combine depreciation and rent charge using the money factor', () => {
+    const result = calculateLeasePayment({
+      msrp: 30000, price: 30000, leaseRate: 2.4, termMonths: 36, residualPercent: 50
+    });
+
+    expect(result.money_factor).toBe(0.001);
+    expect(result.residual_value).toBe(15000);
+    expect(result.monthly_depreciation).toBe(416.67);
+    expect(result.monthly_rent_charge).toBe(45);
+    expect(result.monthly_payment).toBe(461.67);
+  });
+});
+
+describe('comparePaymentOptions', () => {
+  const cash = { id: 'cash', program_name: 'Customer Cash', value: 1000, stackable: true, customer_type: 'All' };
+  const apr = { id: 'apr', program_name: 'Special Financing', value: 2000, stackable: false, financing_rate: 0.9, customer_type: 'All' };
+
+  it('should compare special APR against cash at the standard rate', () => {
+    const { combinations } = calculateBestDeals(corolla, [cash, apr]);
+    const result = comparePaymentOptions(corolla, combinations, assumptions);
+
+    expect(result.options.map(option => option.label)).toEqual([
+      'No incentives at standard rate',
+      '0.9% APR - Special Financing',
+      'Stacked cash at standard rate'
+    ]);
+    expect(result.apr_vs_cash).toHaveLength(1);
+    expect(result.apr_vs_cash[0]).toMatchObject({
+      special_label: '0.9% APR - Special Financing',
+      cash_label: 'Stacked cash at standard rate',
+      recommended: '0.9% APR - Special Financing'
+    });
+    expect(result.gross_to_invoice).toBe(1500);
+  });
+
+  it('should not treat the estimated value of a rate program as cash', () => {
+    const { combinations } = calculateBestDeals(corolla, [apr]);
+    const [, special] = comparePaymentOptions(corolla, combinations, assumptions).options;
+
+    expect(special.payment.cash_incentive).toBe(0);
+    expect(special.payment.apr).toBe(0.9);
+  });
+});
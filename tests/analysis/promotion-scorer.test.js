@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the deterministic promotion scorer
+ */
+
+import { scoreVehicleLines, formatRankingsForPrompt, ScoringFactors } from '../../src/analysis/promotion-scorer.js';
+import { AppError } from '../../src/utils/error-handler.js';
+
+const businessRules = {
+  aging_threshold_days: 45,
+  high_inventory_threshold: 20,
+  incentive_value_threshold: 1000,
+  expiring_soon_days: 30,
+  scoring_weights: {
+    aging: 0.3,
+    inventory_level: 0.15,
+    capital_exposure: 0.1,
+    incentive_value: 0.25,
+    incentive_urgency: 0.1,
+    stackability: 0.1
+  }
+};
+
+const inventorySummary = {
+  vehicle_lines: {
+    '2024 Honda Civic': { count: 4, total_days: 80, avg_days: 20, total_value: 100000 },
+    '2024 Ford Mustang': { count: 2, total_days: 240, avg_days: 120, total_value: 80000 },
+    '2024 Kia Forte': { count: 2, total_days: 40, avg_days: 20, total_value: 50000 }
+  }
+};
+
+const incentives = [
+  { id: 'mustang_cash', vehicle_line: '2024 Ford Mustang', value: 3000, stackable: true, days_remaining: 10 },
+  { id: 'mustang_apr', vehicle_line: '2024 Ford Mustang', value: 2000, stackable: false, days_remaining: 60 },
+  { id: 'civic_cash', vehicle_line: '2024 Honda Civic', value: 1500, stackable: true, days_remaining: 45 }
+];
+
+describe('scoreVehicleLines', () => {
+  it('should rank aged lines with strong incentives first', () => {
+    const rankings = scoreVehicleLines(inventorySummary, incentives, businessRules);
+
+    expect(rankings.map(r => r.vehicle_line)).toEqual([
+      '2024 Ford Mustang',
+      '2024 Honda Civic',
+      '2024 Kia Forte'
+    ]);
+    expect(rankings.map(r => r.rank)).toEqual([1, 2, 3]);
+  });
+
+  it('should produce identical output for identical input', () => {
+    const first = scoreVehicleLines(inventorySummary, incentives, businessRules);
+    const second = scoreVehicleLines(inventorySummary, [...incentives].reverse(), businessRules);
+
+    expect(second).toEqual(first);
+  });
+
+  it('should include a breakdown whose contributions add up to the score', () => {
+    const [top] = scoreVehicleLines(inventorySummary, incentives, businessRules);
+
+    expect(Object.keys(top.breakdown)).toEqual(Object.values(ScoringFactors));
+    const total = Object.values(top.breakdown).reduce((sum, f) => sum + f.contribution, 0);
+    expect(top.score).toBeCloseTo(total, 2);
+  });
+
+  it('should use the better of stacked or single non-stackable incentives', () => {
+    const [top] = scoreVehicleLines(inventorySummary, incentives, businessRules);
+
+    expect(top.metrics).toMatchObject({
+      best_incentive_value: 3000,
+      incentive_count: 2,
+      stackable_incentives: 1,
+      min_days_remaining: 10,
+      incentive_ids: ['mustang_apr', 'mustang_cash']
+    });
+  });
+
+  it('should break score ties by vehicle line name', () => {
+    const summary = {
+      vehicle_lines: {
+        'B Line': { count: 1, avg_days: 10, total_value: 1000 },
+        'A Line': { count: 1, avg_days: 10, total_value: 1000 }
+      }
+    };
+
+    const rankings = scoreVehicleLines(summary, [], businessRules);
+    expect(rankings.map(r => r.vehicle_line)).toEqual(['A Line', 'B Line']);
+  });
+
+  it('should score slow-selling lines higher when sales history is available', () => {
+    const summary = {
+      vehicle_lines: {
+        'Fast Line': { count: 2, avg_days: 40, total_value: 60000, sales_per_day: 0.5 },
+        'Slow Line': { count: 2, avg_days: 40, total_value: 60000, sales_per_day: 0.05 }
+      }
+    };
+
+    const rankings = scoreVehicleLines(summary, [], { ...businessRules, low_velocity_threshold: 0.5 });
+
+    expect(rankings[0].vehicle_line).toBe('Slow Line');
+    expect(rankings[0].breakdown.sales_velocity).toMatchObject({ raw_value: 0.05, normalized: 0.9 });
+    expect(rankings[1].breakdown.sales_velocity.normalized).toBe(0);
+  });
+
+  it('should ignore the velocity weight when no line has sales history', () => {
+    const [top] = scoreVehicleLines(inventorySummary, incentives, businessRules);
+
+    expect(top.breakdown.sales_velocity).toMatchObject({ raw_value: null, weight: 0, contribution: 0 });
+  });
+
+  it('should reject weights that sum to zero', () => {
+    const rules = {
+      ...businessRules,
+      scoring_weights: Object.fromEntries(Object.values(ScoringFactors).map(f => [f, 0]))
+    };
+
+    expect(() => scoreVehicleLines(inventorySummary, incentives, rules)).toThrow(AppError);
+  });
+});
+
+describe('formatRankingsForPrompt', () => {
+  it('should render one line per ranked vehicle line', () => {
+    const rankings = scoreVehicleLines(inventorySummary, incentives, businessRules);
+    const text = formatRankingsForPrompt(rankings);
+
+    expect(text.split('\n')).toHaveLength(3);
+    expect(text).toContain('1. 2024 Ford Mustang');
+    expect(text).toContain('incentives: mustang_apr, mustang_cash');
+    expect(text).toContain('incentives: none');
+  });
+});
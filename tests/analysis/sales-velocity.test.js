@@ -0,0 +1,153 @@
+/**
+ * Unit tests for sales velocity, days supply and aging projections
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  loadSoldUnits,
+  salesFromSnapshots,
+  loadSalesHistory,
+  calculateSalesVelocity,
+  VelocitySources
+} from '../../src/analysis/sales-velocity.js';
+import { saveSnapshot, snapshotSource } from '../../src/inventory/snapshot-store.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+
+const AS_OF = new Date('2024-11-20');
+const line = '2024 Ford Escape';
+const inventory = [
+  { vin: 'A', vehicle_line: line, days_on_lot: 50 },
+  { vin: 'B', vehicle_line: line, days_on_lot: 10 },
+  { vin: 'C', vehicle_line: line, days_on_lot: 88 },
+  { vin: 'D', vehicle_line: '2024 Ford Bronco', days_on_lot: 5 }
+];
+
+let tmpDir;
+let originalCache;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-velocity-'));
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('calculateSalesVelocity', () => {
+  const history = {
+    window_days: 30,
+    sales: Array.from({ length: 3 }, (_, i) => ({ vin: `S${i}`, vehicle_line: line, sold_date: '2024-11-01' }))
+  };
+
+  it('should compute sales per day, days supply and annualized turn rate per line', () => {
+    const byLine = calculateSalesVelocity(inventory, history, { asOfDate: AS_OF });
+
+    expect(byLine[line]).toMatchObject({ units_sold: 3, sales_per_day: 0.1, days_supply: 30, turn_rate: 12.2 });
+    expect(byLine['2024 Ford Bronco']).toMatchObject({ units_sold: 0, sales_per_day: 0, days_supply: null, turn_rate: 0 });
+  });
+
+  it('should project units that age into a bucket before they are expected to sell', () => {
+    const byLine = calculateSalesVelocity(inventory, history, { asOfDate: AS_OF });
+
+    // Oldest first at 0.1/day: C sells in 10 days, A in 20, B in 30
+    // Stale (61): A crosses in 11 days, before its sale; B sells before it crosses in 51
+    // Critical (91): C crosses in 3 days, before its sale; A and B sell first
+    expect(byLine[line].aging_projection).toEqual({
+      stale: { units: 1, first_date: '2024-12-01' },
+      critical: { units: 1, first_date: '2024-11-23' }
+    });
+  });
+
+  it('should count every unit when a line is not selling', () => {
+    const byLine = calculateSalesVelocity(inventory, { window_days: 30, sales: [] }, { asOfDate: AS_OF });
+
+    expect(byLine[line].aging_projection.stale).toEqual({ units: 2, first_date: '2024-12-01' });
+  });
+});
+
+describe('loadSoldUnits', () => {
+  it('should read sold units with flexible headers and skip unusable rows', async () => {
+    const filePath = path.join(tmpDir, 'sold.csv');
+    await fs.writeFile(filePath, 'vin,Model Year,Make,Model,Date Sold\nabc,2024,Ford,Escape,2024-11-01\nxyz,2024,Ford,Escape,someday\n');
+
+    expect(await loadSoldUnits(filePath)).toEqual({
+      sales: [{ vin: 'ABC', vehicle_line: '2024 Ford Escape', sold_date: '2024-11-01' }],
+      skipped_rows: 1
+    });
+  });
+
+  it('should reject files without a sold date column', async () => {
+    const filePath = path.join(tmpDir, 'sold.csv');
+    await fs.writeFile(filePath, 'VIN,Year,Make,Model\nabc,2024,Ford,Escape\n');
+
+    await expect(loadSoldUnits(filePath)).rejects.toThrow('Sold units file is missing columns: sold_date');
+  });
+});
+
+describe('sales history', () => {
+  it('should treat units missing from the next snapshot as sold', async () => {
+    const unit = (vin, model) => ({ vin, year: 2024, make: 'Ford', model });
+    const save = (vehicles, date) => saveSnapshot(vehicles, { sourceFile: 'lot.csv', date, directory: tmpDir });
+    await save([unit('A', 'Escape'), unit('B', 'Escape'), unit('C', 'Bronco')], '2024-11-10');
+    await save([unit('B', 'Escape'), unit('C', 'Bronco')], '2024-11-15');
+    await save([unit('B', 'Escape')], '2024-11-20');
+
+    const history = await salesFromSnapshots(snapshotSource('lot.csv'), { since: '2024-11-01', until: '2024-11-20', directory: tmpDir });
+
+    expect(history).toEqual({
+      sales: [
+        { vin: 'A', vehicle_line: '2024 Ford Escape', sold_date: '2024-11-15' },
+        { vin: 'C', vehicle_line: '2024 Ford Bronco', sold_date: '2024-11-20' }
+      ],
+      from: '2024-11-10',
+      to: '2024-11-20'
+    });
+  });
+
+  it('should prefer a sold-units file and keep only sales inside the window', async () => {
+    const filePath = path.join(tmpDir, 'sold.csv');
+    await fs.writeFile(filePath, 'VIN,Year,Make,Model,SoldDate\nA,2024,Ford,Escape,2024-11-19\nB,2024,Ford,Escape,2024-08-01\n');
+
+    const history = await loadSalesHistory({ soldUnitsPath: filePath, source: 'lot', asOfDate: AS_OF, windowDays: 30 });
+
+    expect(history).toMatchObject({ source: VelocitySources.SOLD_UNITS, window_days: 30, from: '2024-10-21', to: '2024-11-20' });
+    expect(history.sales.map(sale => sale.vin)).toEqual(['A']);
+  });
+});
+
+describe('ingest_inventory_data sales velocity', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('should add velocity metrics to summary.vehicle_lines', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({
+      file_path: './data/sample-inventory.csv',
+      as_of_date: '2024-11-20',
+      sold_units_path: './data/sample-sold-units.csv'
+    }));
+
+    expect(result.summary.sales_velocity).toMatchObject({ source: VelocitySources.SOLD_UNITS, window_days: 90, units_sold: 36 });
+    expect(result.summary.vehicle_lines['2024 Honda Civic']).toMatchObject({ units_sold: 9, sales_per_day: 0.1, days_supply: 20 });
+  });
+
+  it('should leave velocity null without any sales history', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({
+      file_path: './data/sample-dms-export.csv',
+      as_of_date: '2024-11-20',
+      sold_units_path: path.join(tmpDir, 'missing.csv')
+    }));
+
+    expect(result.summary.sales_velocity).toBeNull();
+    expect(result.summary.vehicle_lines['2024 Ford F-150'].sales_per_day).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the hash-chained audit trail
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  appendAuditEntry,
+  verifyAuditTrail,
+  queryAuditTrail,
+  hashFile,
+  GENESIS_HASH
+} from '../../src/audit/audit-trail.js';
+
+const jane = { user_id: 'jane', role: 'operator' };
+const bob = { user_id: 'bob', role: 'viewer' };
+
+let tmpDir;
+let filePath;
+
+const readEntries = async () => (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+const writeEntries = (entries) => fs.writeFile(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-audit-'));
+  filePath = path.join(tmpDir, 'audit', 'trail.jsonl');
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+describe('appendAuditEntry', () => {
+  it('should chain each entry to the previous one', async () => {
+    const first = await appendAuditEntry({ action: 'cli rank', user: jane }, { filePath });
+    const second = await appendAuditEntry({ action: 'analysis', user: jane, details: { report: 'r.json' } }, { filePath });
+
+    expect(first).toMatchObject({ seq: 1, prev_hash: GENESIS_HASH, action: 'cli rank', details: {} });
+    expect(second).toMatchObject({ seq: 2, prev_hash: first.hash, details: { report: 'r.json' } });
+    expect(await readEntries()).toEqual([first, second]);
+  });
+
+  it('should keep the chain intact under concurrent appends', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => appendAuditEntry({ action: `request ${i}`, user: bob }, { filePath })));
+
+    const result = await verifyAuditTrail({ filePath });
+    expect(result).toMatchObject({ valid: true, entries: 10 });
+    expect(await fs.pathExists(`${filePath}.lock`)).toBe(false);
+  });
+});
+
+describe('verifyAuditTrail', () => {
+  beforeEach(async () => {
+    for (const action of ['one', 'two', 'three']) {
+      await appendAuditEntry({ action, user: jane }, { filePath });
+    }
+  });
+
+  it('should accept an untouched trail and report its last hash', async () => {
+    const entries = await readEntries();
+    expect(await verifyAuditTrail({ filePath })).toEqual({ valid: true, entries: 3, last_hash: entries[2].hash, error: null });
+  });
+
+  it('should detect an edited entry', async () => {
+    const entries = await readEntries();
+    entries[1].user.user_id = 'mallory';
+    await writeEntries(entries);
+
+    const result = await verifyAuditTrail({ filePath });
+    expect(result.valid).toBe(false);
+    expect(result.error).toEqual({ line: 2, seq: 2, reason: 'hash does not match the entry contents' });
+  });
+
+  it('should detect a removed entry even when its successor is rehashed', async () => {
+    const entries = await readEntries();
+    await writeEntries([entries[0], entries[2]]);
+
+    const result = await verifyAuditTrail({ filePath });
+    expect(result.error).toEqual({ line: 2, seq: 3, reason: 'prev_hash does not match the previous entry' });
+    expect(result.entries).toBe(1);
+  });
+
+  it('should detect a line that is not JSON', async () => {
+    await fs.appendFile(filePath, 'garbage\n');
+
+    expect((await verifyAuditTrail({ filePath })).error).toEqual({ line: 4, seq: null, reason: 'not valid JSON' });
+  });
+
+  it('should treat a missing file as an empty trail', async () => {
+    expect(await verifyAuditTrail({ filePath: path.join(tmpDir, 'none.jsonl') }))
+      .toEqual({ valid: true, entries: 0, last_hash: GENESIS_HASH, error: null });
+  });
+});
+
+describe('queryAuditTrail', () => {
+  it('should filter by user, action and date range', async () => {
+    await appendAuditEntry({ action: 'cli rank', user: jane }, { filePath });
+    await appendAuditEntry({ action: 'analysis', user: jane }, { filePath });
+    await appendAuditEntry({ action: 'cli status', user: bob }, { filePath });
+    const today = new Date().toISOString().slice(0, 10);
+
+    expect((await queryAuditTrail({ user: 'jane', filePath })).map(e => e.action)).toEqual(['cli rank', 'analysis']);
+    expect((await queryAuditTrail({ action: 'cli *', filePath })).map(e => e.seq)).toEqual([1, 3]);
+    expect(await queryAuditTrail({ since: today, until: today, filePath })).toHaveLength(3);
+    expect(await queryAuditTrail({ until: '2000-01-01', filePath })).toEqual([]);
+  });
+});
+
+describe('hashFile', () => {
+  it('should hash file contents and return null for a missing file', async () => {
+    const file = path.join(tmpDir, 'input.csv');
+    await fs.writeFile(file, 'abc');
+
+    expect(await hashFile(file)).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(await hashFile(path.join(tmpDir, 'missing.csv'))).toBeNull();
+  });
+});
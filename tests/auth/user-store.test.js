@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the user and API key store
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  loadUserStore,
+  createUser,
+  issueApiKey,
+  listUsers,
+  setUserRole,
+  revokeApiKey,
+  rotateApiKey,
+  resolveApiKey
+} from '../../src/auth/user-store.js';
+import { AppError } from '../../src/utils/error-handler.js';
+import { UserContext, Permissions } from '../../src/utils/access-control.js';
+
+let tmpDir;
+let filePath;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-users-'));
+  filePath = path.join(tmpDir, 'users.json');
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+describe('createUser', () => {
+  it('should store a hash of the key, never the key itself', async () => {
+    const { user, key_id, api_key } = await createUser('jane', 'operator', { label: 'portal', filePath });
+
+    expect(user).toMatchObject({ user_id: 'jane', role: 'operator' });
+    expect(api_key).toMatch(new RegExp(`^pp_${key_id}_`));
+
+    const text = await fs.readFile(filePath, 'utf8');
+    expect(text).not.toContain(api_key.split('_').pop());
+    expect((await loadUserStore(filePath)).users[0].keys[0]).toMatchObject({ key_id, label: 'portal', revoked_at: null });
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600);
+  });
+
+  it('should reject duplicate users and unknown roles', async () => {
+    await createUser('jane', 'viewer', { filePath });
+
+    await expect(createUser('jane', 'viewer', { filePath })).rejects.toThrow('User already exists: jane');
+    await expect(createUser('bob', 'owner', { filePath })).rejects.toThrow('Invalid role: owner');
+  });
+});
+
+describe('resolveApiKey', () => {
+  it('should resolve a key to a UserContext with the role\'s permissions', async () => {
+    const { key_id, api_key } = await createUser('jane', 'viewer', { filePath });
+
+    const context = await resolveApiKey(api_key, { filePath });
+
+    expect(context).toBeInstanceOf(UserContext);
+    expect(context.userId).toBe('jane');
+    expect(context.keyId).toBe(key_id);
+    expect(context.hasPermission(Permissions.VIEW_REPORTS)).toBe(true);
+    expect(context.hasPermission(Permissions.GENERATE_REPORTS)).toBe(false);
+  });
+
+  it('should pick up role changes on the next resolve', async () => {
+    const { api_key } = await createUser('jane', 'viewer', { filePath });
+    await setUserRole('jane', 'admin', { filePath });
+
+    expect((await resolveApiKey(api_key, { filePath })).hasPermission(Permissions.MANAGE_USERS)).toBe(true);
+  });
+
+  it.each([
+    ['malformed', () => 'not-a-key'],
+    ['unknown', (key) => key.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A'))]
+  ])('should reject a %s key', async (reason, tamper) => {
+    const { api_key } = await createUser('jane', 'viewer', { filePath });
+
+    await expect(resolveApiKey(tamper(api_key), { filePath }))
+      .rejects.toEqual(expect.objectContaining({ message: 'Invalid API key', details: { reason } }));
+  });
+});
+
+describe('key lifecycle', () => {
+  it('should stop resolving revoked keys while keeping them listed', async () => {
+    const first = await createUser('jane', 'operator', { filePath });
+    const second = await issueApiKey('jane', { label: 'laptop', filePath });
+
+    await revokeApiKey(first.key_id, { filePath });
+
+    await expect(resolveApiKey(first.api_key, { filePath })).rejects.toEqual(expect.objectContaining({ details: { reason: 'revoked' } }));
+    expect((await resolveApiKey(second.api_key, { filePath })).userId).toBe('jane');
+
+    const [user] = await listUsers({ filePath });
+    expect(user.keys.map(key => [key.key_id, key.active])).toEqual([[first.key_id, false], [second.key_id, true]]);
+    expect(user.keys[0].hash).toBeUndefined();
+  });
+
+  it('should rotate a key into a new one with the same label', async () => {
+    const original = await createUser('jane', 'operator', { label: 'portal', filePath });
+
+    const rotated = await rotateApiKey(original.key_id, { filePath });
+
+    expect(rotated.replaced).toBe(original.key_id);
+    expect(rotated.api_key).not.toBe(original.api_key);
+    expect((await resolveApiKey(rotated.api_key, { filePath })).keyId).toBe(rotated.key_id);
+    await expect(resolveApiKey(original.api_key, { filePath })).rejects.toThrow(AppError);
+
+    const [user] = await listUsers({ filePath });
+    expect(user.keys[0].replaced_by).toBe(rotated.key_id);
+    expect(user.keys[1].label).toBe('portal');
+    await expect(rotateApiKey(original.key_id, { filePath })).rejects.toThrow(`API key already revoked: ${original.key_id}`);
+  });
+
+  it('should report unknown users and keys', async () => {
+    await expect(issueApiKey('ghost', { filePath })).rejects.toThrow('Unknown user: ghost');
+    await expect(revokeApiKey('000000000000', { filePath })).rejects.toThrow('Unknown API key: 000000000000');
+  });
+});
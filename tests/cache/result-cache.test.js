@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the tool and LLM result cache
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  CacheNames,
+  withCacheBypass,
+  hashInputs,
+  cacheKey,
+  readCache,
+  writeCache,
+  clearCache,
+  describeCache,
+  cachedTool
+} from '../../src/cache/result-cache.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { UserRoles, createDefaultUserContext, runWithUserContext } from '../../src/utils/access-control.js';
+import { getSummary, resetMetrics } from '../../src/utils/metrics.js';
+
+let tmpDir;
+let originalCache;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-cache-'));
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache'), tools: { enabled: true, ttl_ms: 60000 } };
+  resetMetrics();
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  resetMetrics();
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('cacheKey and hashInputs', () => {
+  it('should give equal keys for equal values in any key order', () => {
+    expect(cacheKey({ a: 1, b: { c: [1, 2], d: 'x' } })).toBe(cacheKey({ b: { d: 'x', c: [1, 2] }, a: 1 }));
+    expect(cacheKey({ a: 1, b: undefined })).toBe(cacheKey({ a: 1 }));
+    expect(cacheKey({ a: 1 })).not.toBe(cacheKey({ a: 2 }));
+  });
+
+  it('should hash files by content and directories by their files', async () => {
+    const dir = path.join(tmpDir, 'profiles');
+    await fs.outputFile(path.join(dir, 'a.json'), '{}');
+    await fs.outputFile(path.join(tmpDir, 'copy.json'), '{}');
+
+    const [file, copy, directory, missing] = await hashInputs([path.join(dir, 'a.json'), path.join(tmpDir, 'copy.json'), dir, path.join(tmpDir, 'none.csv')]);
+    expect(file).toBe(copy);
+    expect(directory).toMatch(/^[0-9a-f]{64}$/);
+    expect(missing).toBeNull();
+
+    await fs.outputFile(path.join(dir, 'b.json'), '{}');
+    expect((await hashInputs([dir]))[0]).not.toBe(directory);
+  });
+});
+
+describe('readCache and writeCache', () => {
+  it('should return a stored value until it expires', async () => {
+    const key = cacheKey({ prompt: 'hi' });
+    await writeCache(CacheNames.LLM, key, { choices: ['hello'] }, { ttl_ms: 1000 });
+
+    expect(await readCache(CacheNames.LLM, key)).toEqual({ choices: ['hello'] });
+    expect(await readCache(CacheNames.LLM, key, { now: Date.now() + 1000 })).toBeUndefined();
+    expect(await fs.pathExists(path.join(AGENT_CONFIG.cache.directory, 'llm', `${key}.json`))).toBe(false);
+    expect(getSummary().counters).toMatchObject({ 'cache.hits': 1, 'cache.misses': 1 });
+  });
+
+  it('should count, describe and clear entries per cache', async () => {
+    await writeCache(CacheNames.TOOLS, cacheKey({ n: 1 }), { success: true }, { ttl_ms: 60000 });
+    await writeCache(CacheNames.TOOLS, cacheKey({ n: 2 }), { success: true }, { ttl_ms: -1 });
+    await writeCache(CacheNames.LLM, cacheKey({ n: 3 }), { choices: [] }, { ttl_ms: 60000 });
+
+    expect(await describeCache()).toEqual([
+      expect.objectContaining({ cache: 'tools', entries: 2, expired: 1 }),
+      expect.objectContaining({ cache: 'llm', entries: 1, expired: 0 })
+    ]);
+    expect(await clearCache(CacheNames.TOOLS)).toBe(2);
+    expect(await clearCache()).toBe(1);
+    await expect(clearCache('reports')).rejects.toThrow('Unknown cache: reports');
+  });
+});
+
+describe('cachedTool', () => {
+  let filePath;
+  let impl;
+  let tool;
+
+  beforeEach(async () => {
+    filePath = path.join(tmpDir, 'incentives.json');
+    await fs.writeJson(filePath, [{ id: 'a' }]);
+    impl = jest.fn(async ({ source_path }) => ({ success: true, data: await fs.readJson(source_path) }));
+    tool = cachedTool('fetch_incentive_data', impl, {
+      key: async ({ source_path, ...params }) => ({ params, inputs: [source_path] })
+    });
+  });
+
+  it('should reuse the result while the file and parameters are unchanged', async () => {
+    expect(await tool({ source_path: filePath })).toEqual({ success: true, data: [{ id: 'a' }] });
+    expect(await tool({ source_path: filePath })).toEqual({ success: true, data: [{ id: 'a' }] });
+    expect(impl).toHaveBeenCalledTimes(1);
+
+    // A copy under another name is the same data
+    const copy = path.join(tmpDir, 'upload-123.json');
+    await fs.copy(filePath, copy);
+    await tool({ source_path: copy });
+    expect(impl).toHaveBeenCalledTimes(1);
+
+    await tool({ source_path: filePath, include_expired: true });
+    await fs.writeJson(filePath, [{ id: 'b' }]);
+    expect((await tool({ source_path: filePath })).data).toEqual([{ id: 'b' }]);
+    expect(impl).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not cache failures and skip the cache when bypassed or disabled', async () => {
+    impl.mockResolvedValueOnce({ success: false, error: 'Incentive file not found' });
+    await tool({ source_path: filePath });
+    await tool({ source_path: filePath });
+    expect(impl).toHaveBeenCalledTimes(2);
+
+    await withCacheBypass(() => tool({ source_path: filePath }));
+    AGENT_CONFIG.cache = { ...AGENT_CONFIG.cache, tools: { enabled: false, ttl_ms: 60000 } };
+    await tool({ source_path: filePath });
+    expect(impl).toHaveBeenCalledTimes(4);
+  });
+
+  it('should leave calls the user may not make to the tool', async () => {
+    await tool({ source_path: filePath });
+    const noTools = createDefaultUserContext(UserRoles.VIEWER);
+    jest.spyOn(noTools, 'hasPermission').mockReturnValue(false);
+
+    await runWithUserContext(noTools, () => tool({ source_path: filePath }));
+
+    expect(impl).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the dealership config (aging buckets, make overrides, business rules)
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  loadDealershipConfig,
+  getAgingCategory,
+  projectedBucketStarts,
+  describeAgingBuckets
+} from '../../src/config/dealership-config.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { ErrorTypes } from '../../src/utils/error-handler.js';
+
+const baseRules = { aging_threshold_days: 45, expiring_soon_days: 30, high_value_incentive_threshold: 2000, scoring_weights: {} };
+
+const truckBuckets = [
+  { name: 'Fresh', max_days: 45 },
+  { name: 'Aging', max_days: 90 },
+  { name: 'Stale', max_days: 120 },
+  { name: 'Critical', max_days: null }
+];
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-dealership-'));
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+async function loadFrom(config) {
+  const filePath = path.join(tmpDir, 'dealership.json');
+  await fs.writeJson(filePath, config);
+  return loadDealershipConfig(filePath, baseRules);
+}
+
+describe('loadDealershipConfig', () => {
+  it('should use the default buckets and base rules without a file', async () => {
+    const dealership = await loadDealershipConfig(null, baseRules);
+
+    expect(dealership.aging_buckets.map(bucket => bucket.name)).toEqual(['Fresh', 'Aging', 'Stale', 'Critical']);
+    expect(dealership.business_rules).toEqual(baseRules);
+  });
+
+  it('should merge the file business rules over the base rules', async () => {
+    const dealership = await loadFrom({ business_rules: { expiring_soon_days: 14 } });
+
+    expect(dealership.business_rules).toMatchObject({ expiring_soon_days: 14, aging_threshold_days: 45 });
+  });
+
+  it('should load the bundled dealership config', async () => {
+    const dealership = await loadDealershipConfig('./data/dealership.json');
+
+    expect(Object.keys(dealership.make_overrides)).toContain('Ford F-150');
+  });
+
+  it('should reject a missing file as a configuration error', async () => {
+    await expect(loadDealershipConfig(path.join(tmpDir, 'missing.json'), baseRules))
+      .rejects.toMatchObject({ type: ErrorTypes.CONFIGURATION });
+  });
+
+  it('should report every problem in an invalid config', async () => {
+    const error = await loadFrom({
+      aging_buckets: [{ name: 'New', max_days: 30 }, { name: 'Old', max_days: 20 }, { name: 'Older', max_days: 60 }],
+      projected_buckets: ['Stale'],
+      make_overrides: { Ford: { aging_buckets: [{ name: 'New', max_days: null }] } },
+      business_rules: { expiring_soon_days: -1, free_lunch: 1 }
+    }).catch(e => e);
+
+    expect(error.type).toBe(ErrorTypes.CONFIGURATION);
+    expect(error.details.errors).toEqual([
+      "aging_buckets[1].max_days must be greater than the previous bucket's",
+      'aging_buckets: the last bucket must have max_days null',
+      'make_overrides.Ford.aging_buckets must use the buckets New, Old, Older in that order',
+      'projected_buckets: Stale is not an aging bucket',
+      'business_rules.expiring_soon_days must be a non-negative number',
+      'business_rules.free_lunch is not a known rule'
+    ]);
+  });
+
+  it('should reject unknown factors and bad scoring weights', async () => {
+    const error = await loadFrom({
+      business_rules: { scoring_weights: { aging: -1, inventory_level: 'high', vibes: 0.5 } }
+    }).catch(e => e);
+
+    expect(error.type).toBe(ErrorTypes.CONFIGURATION);
+    expect(error.details.errors).toEqual([
+      'business_rules.scoring_weights.aging must be a non-negative number',
+      'business_rules.scoring_weights.inventory_level must be a non-negative number',
+      expect.stringMatching(/^business_rules\.scoring_weights\.vibes is not a scoring factor \(aging, /)
+    ]);
+  });
+
+  it('should reject scoring weights that are all zero', async () => {
+    const zeroed = Object.fromEntries(Object.keys(AGENT_CONFIG.business_rules.scoring_weights).map(factor => [factor, 0]));
+
+    await expect(loadFrom({ business_rules: { scoring_weights: zeroed } })).rejects.toMatchObject({
+      details: { errors: ['business_rules.scoring_weights must give at least one factor a weight above 0'] }
+    });
+    await expect(loadFrom({ business_rules: { scoring_weights: { ...zeroed, aging: 1 } } })).resolves.toBeTruthy();
+  });
+});
+
+describe('aging buckets', () => {
+  let dealership;
+
+  beforeEach(async () => {
+    dealership = await loadFrom({
+      make_overrides: { Ford: { aging_buckets: truckBuckets.map(b => ({ ...b, max_days: b.max_days && b.max_days - 5 })) }, 'ford f-150': { aging_buckets: truckBuckets } }
+    });
+  });
+
+  it('should pick the first bucket whose limit covers the days on lot', () => {
+    expect(getAgingCategory(0, dealership, { make: 'Honda', model: 'Civic' })).toBe('Fresh');
+    expect(getAgingCategory(60, dealership, { make: 'Honda', model: 'Civic' })).toBe('Aging');
+    expect(getAgingCategory(91, dealership, { make: 'Honda', model: 'Civic' })).toBe('Critical');
+  });
+
+  it('should prefer a make and model override over a make override', () => {
+    expect(getAgingCategory(110, dealership, { make: 'Ford', model: 'F-150' })).toBe('Stale');
+    expect(getAgingCategory(118, dealership, { make: 'Ford', model: 'Escape' })).toBe('Critical');
+  });
+
+  it('should give the first day of each projected bucket', () => {
+    expect(projectedBucketStarts(dealership, { make: 'Honda', model: 'Civic' })).toEqual({ Stale: 61, Critical: 91 });
+    expect(projectedBucketStarts(dealership, { make: 'Ford', model: 'F-150' })).toEqual({ Stale: 91, Critical: 121 });
+  });
+
+  it('should describe the buckets and overrides for the prompt', () => {
+    const text = describeAgingBuckets(dealership);
+
+    expect(text).toMatch(/^Fresh up to 30 days, Aging up to 60 days, Stale up to 90 days, Critical beyond \(Ford: /);
+    expect(text).toContain('ford f-150: Fresh up to 45 days');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the dealer registry
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadDealerRegistry, selectDealers, loadDealerSettings } from '../../src/dealers/dealer-registry.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { ErrorTypes } from '../../src/utils/error-handler.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-dealers-'));
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+async function writeRegistry(dealers) {
+  const filePath = path.join(tmpDir, 'dealers.json');
+  await fs.writeJson(filePath, { dealers });
+  return filePath;
+}
+
+describe('loadDealerRegistry', () => {
+  it('should fill in defaults for optional dealer settings', async () => {
+    const registry = await loadDealerRegistry(await writeRegistry([
+      { id: 'east', name: 'East Motors', region: 'Northeast', data_sources: { inventory_file: './east.csv' } }
+    ]));
+
+    expect(registry.dealers[0]).toEqual({
+      id: 'east',
+      name: 'East Motors',
+      region: 'Northeast',
+      zip: null,
+      data_sources: {
+        inventory_file: './east.csv',
+        incentives_file: AGENT_CONFIG.data_sources.incentives_file,
+        sold_units_file: null
+      },
+      config_file: AGENT_CONFIG.dealership.config_file,
+      business_rules: {}
+    });
+  });
+
+  it('should load the bundled registry', async () => {
+    const registry = await loadDealerRegistry();
+
+    expect(registry.dealers.map(dealer => dealer.id)).toEqual(['main', 'north']);
+  });
+
+  it('should report every problem in an invalid registry', async () => {
+    const error = await loadDealerRegistry(await writeRegistry([
+      { id: 'a', name: 'A', region: 'Central', data_sources: { inventory_file: './a.csv' }, business_rules: { aging_threshold_days: 'old', bonus: 1 } },
+      { id: 'b', name: 'B', region: 'West', data_sources: { inventory_file: './b.csv' }, business_rules: { scoring_weights: { aging: null, luck: 1 } } },
+      { id: 'a', name: 'A2', data_sources: {} }
+    ])).catch(e => e);
+
+    expect(error.type).toBe(ErrorTypes.CONFIGURATION);
+    expect(error.details.errors).toEqual([
+      'dealers[0] (a).business_rules.aging_threshold_days must be a non-negative number',
+      'dealers[0] (a).business_rules.bonus is not a known rule',
+      'dealers[1] (b).business_rules.scoring_weights.aging must be a non-negative number',
+      expect.stringMatching(/^dealers\[1\] \(b\)\.business_rules\.scoring_weights\.luck is not a scoring factor/),
+      'dealers[2] (a).region is required',
+      'dealers[2] (a).id is a duplicate',
+      'dealers[2] (a).data_sources.inventory_file is required'
+    ]);
+  });
+});
+
+describe('selectDealers', () => {
+  const registry = { dealers: [{ id: 'main' }, { id: 'north' }, { id: 'south' }] };
+
+  it('should return every dealer when no ids are given', () => {
+    expect(selectDealers(registry)).toHaveLength(3);
+  });
+
+  it('should accept comma-separated ids in the order given', () => {
+    expect(selectDealers(registry, 'south, main').map(dealer => dealer.id)).toEqual(['south', 'main']);
+  });
+
+  it('should reject unknown ids', () => {
+    expect(() => selectDealers(registry, ['west'])).toThrow('Unknown dealer: west');
+  });
+});
+
+describe('loadDealerSettings', () => {
+  it('should apply dealer business rules over its dealership config', async () => {
+    const settings = await loadDealerSettings({ config_file: null, business_rules: { aging_threshold_days: 60 } });
+
+    expect(settings.business_rules.aging_threshold_days).toBe(60);
+    expect(settings.business_rules.max_recommendations).toBe(AGENT_CONFIG.business_rules.max_recommendations);
+  });
+});
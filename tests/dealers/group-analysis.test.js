@@ -0,0 +1,103 @@
+/**
+ * Unit tests for dealer group analysis and transfer planning
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { analyzeDealerGroup, planTransfers } from '../../src/dealers/group-analysis.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const unit = (stock, line, days) => ({ stock_number: stock, vin: `VIN${stock}`, vehicle_line: line, days_on_lot: days, aging_category: 'Critical' });
+
+describe('planTransfers', () => {
+  const store = (id, inventory, rates, minDays = 45) => ({
+    dealer_id: id,
+    dealer_name: id.toUpperCase(),
+    inventory,
+    sales_per_day_by_line: rates,
+    min_days_on_lot: minDays
+  });
+
+  it('should move aged units to the store that sells the line faster, oldest first', () => {
+    const transfers = planTransfers([
+      store('a', [unit('A1', 'Sedan', 100), unit('A2', 'Sedan', 120), unit('A3', 'Sedan', 10)], { Sedan: 0.01 }),
+      store('b', [], { Sedan: 0.1 })
+    ]);
+
+    expect(transfers.map(t => [t.stock_number, t.from_dealer, t.to_dealer, t.to_expected_days_to_sell])).toEqual([
+      ['A2', 'a', 'b', 10],
+      ['A1', 'a', 'b', 20]
+    ]);
+    expect(transfers[0]).toMatchObject({ from_sales_per_day: 0.01, from_days_supply: 300, reason: 'Sedan sells 0.1/day at B vs 0.01/day at A' });
+  });
+
+  it('should stop once the receiving store would take longer than staying put', () => {
+    const transfers = planTransfers([
+      store('a', [unit('A1', 'Truck', 90), unit('A2', 'Truck', 80)], { Truck: 0.04 }),
+      store('b', [unit('B1', 'Truck', 5), unit('B2', 'Truck', 5)], { Truck: 0.05 })
+    ]);
+
+    // a: 2 units at 0.04/day = 50 days; b would take 3 / 0.05 = 60 days
+    expect(transfers).toEqual([]);
+  });
+
+  it('should respect each store aging threshold and the limit', () => {
+    const stores = [
+      store('a', [unit('A1', 'Sedan', 50), unit('A2', 'Sedan', 70)], {}, 60),
+      store('b', [], { Sedan: 0.5 })
+    ];
+
+    expect(planTransfers(stores).map(t => t.stock_number)).toEqual(['A2']);
+    expect(planTransfers([store('a', [unit('A1', 'Sedan', 90), unit('A2', 'Sedan', 70)], {}), stores[1]], { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('analyzeDealerGroup', () => {
+  let tmpDir;
+  let originalSnapshots;
+  let originalCache;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-group-'));
+    originalSnapshots = AGENT_CONFIG.snapshots.enabled;
+    AGENT_CONFIG.snapshots.enabled = false;
+    originalCache = AGENT_CONFIG.cache;
+    AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  });
+
+  afterEach(async () => {
+    AGENT_CONFIG.snapshots.enabled = originalSnapshots;
+    AGENT_CONFIG.cache = originalCache;
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  it('should break down each store by location and suggest transfers between stores', async () => {
+    const result = await runAsDefaultUser(() => analyzeDealerGroup({ asOfDate: '2024-11-20' }));
+
+    expect(result.success).toBe(true);
+    expect(result.dealers.map(store => [store.id, store.total_vehicles])).toEqual([['main', 25], ['north', 7]]);
+    expect(result.dealers[1].by_location).toEqual({
+      'North Lot': { count: 4, total_days: 149, avg_days: 37, total_value: 112300 },
+      Overflow: { count: 3, total_days: 346, avg_days: 115, total_value: 72300 }
+    });
+    expect(result.group).toMatchObject({ dealer_count: 2, total_vehicles: 32 });
+    expect(result.group.vehicle_lines['2024 Ford Mustang'].by_dealer).toEqual({ main: 3, north: 1 });
+
+    const moves = result.transfers.map(t => `${t.stock_number}:${t.from_dealer}->${t.to_dealer}`);
+    expect(moves).toContain('C002:main->north');
+    expect(moves).toContain('N106:north->main');
+    expect(await fs.pathExists('./data/snapshots/sample-inventory-north')).toBe(false);
+  });
+
+  it('should fail for an unknown dealer', async () => {
+    const result = await runAsDefaultUser(() => analyzeDealerGroup({ dealerIds: 'nowhere' }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown dealer: nowhere');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for row-level ingestion issues and the rejects CSV
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { summarizeRowIssues, writeRowIssuesCsv } from '../../src/ingestion/ingestion-report.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+
+const CSV = [
+  'VIN,Make,Model,Year,MSRP,Invoice,StockNumber,DateReceived',
+  '1FTFW1E58RFA12345,Ford,F-150,2024,"$50,000",abc,X1,2024-10-01',
+  'BADVIN,Ford,Escape,2024,30000,28000,X2,2024-10-01',
+  '1FMCU9G60RUA23456,Ford,Escape,20x4,30000,28000,X3,2024-10-01',
+  '1FA6P8TH2R5134567,Ford,Mustang,2024,32000,30000,X4,not a date'
+].join('\n');
+
+let tmpDir;
+let inventoryPath;
+let originalCache;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-ingest-'));
+  inventoryPath = path.join(tmpDir, 'inventory.csv');
+  await fs.writeFile(inventoryPath, CSV);
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('ingest_inventory_data row issues', () => {
+  it('should coerce bad optional values and reject unusable rows in lenient mode', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: inventoryPath, as_of_date: '2024-11-20' }));
+
+    expect(result.success).toBe(true);
+    expect(result.total_vehicles).toBe(1);
+    expect(result.data[0]).toMatchObject({ stock_number: 'X1', msrp: 50000, invoice: 0 });
+    expect(result.ingestion_report).toEqual({
+      mode: 'lenient', rows_read: 4, rows_accepted: 1, rows_rejected: 3, rows_coerced: 1, total_issues: 4
+    });
+    expect(result.row_issues.map(issue => [issue.line, issue.field, issue.raw_value, issue.action])).toEqual([
+      [2, 'invoice', 'abc', 'coerced'],
+      [3, 'vin', 'BADVIN', 'rejected'],
+      [4, 'year', '20x4', 'rejected'],
+      [5, 'date_received', 'not a date', 'rejected']
+    ]);
+  });
+
+  it('should reject every row with a bad value in strict mode', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: inventoryPath, validation_mode: 'strict' }));
+
+    expect(result.total_vehicles).toBe(0);
+    expect(result.ingestion_report.rows_rejected).toBe(4);
+    expect(result.summary.average_days_on_lot).toBe(0);
+  });
+
+  it('should write the rejects CSV when asked', async () => {
+    const rejectsPath = path.join(tmpDir, 'out', 'rejects.csv');
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: inventoryPath }, { rejectsPath }));
+
+    expect(result.ingestion_report.rejects_file).toBe(rejectsPath);
+    const lines = (await fs.readFile(rejectsPath, 'utf8')).trim().split('\n');
+    expect(lines[0]).toBe('line,stock_number,field,raw_value,reason,action');
+    expect(lines[1]).toBe('2,X1,invoice,abc,"Cannot convert ""abc"" to currency; used default 0",coerced');
+    expect(lines).toHaveLength(5);
+  });
+
+  it('should ignore a rejects path in the tool arguments, which the model controls', async () => {
+    const rejectsPath = path.join(tmpDir, 'model-chosen.csv');
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: inventoryPath, rejects_path: rejectsPath }));
+
+    expect(result.success).toBe(true);
+    expect(result.ingestion_report.rejects_file).toBeUndefined();
+    expect(await fs.pathExists(rejectsPath)).toBe(false);
+  });
+
+  it('should reject an unknown validation mode', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: inventoryPath, validation_mode: 'loose' }));
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('summarizeRowIssues', () => {
+  it('should count rows, not issues', () => {
+    const issues = [
+      { line: 2, action: 'rejected' },
+      { line: 2, action: 'rejected' },
+      { line: 3, action: 'coerced' }
+    ];
+
+    expect(summarizeRowIssues({ mode: 'lenient', rowsRead: 3, rowsAccepted: 2 }, issues)).toEqual({
+      mode: 'lenient', rows_read: 3, rows_accepted: 2, rows_rejected: 1, rows_coerced: 1, total_issues: 3
+    });
+  });
+});
+
+describe('writeRowIssuesCsv', () => {
+  it('should quote values with commas, quotes and line breaks', async () => {
+    const filePath = path.join(tmpDir, 'issues.csv');
+    await writeRowIssuesCsv(filePath, [{ line: 2, stock_number: 'A', field: 'trim', raw_value: 'a,"b"\nc', reason: 'x', action: 'coerced' }]);
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe('line,stock_number,field,raw_value,reason,action\n2,A,trim,"a,""b""\nc",x,coerced\n');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for inventory column mapping profiles
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  loadMappingProfiles,
+  resolveMappingProfile,
+  applyMappingProfile,
+  coerceValue,
+  parseDate,
+  ValidationModes,
+  RowActions
+} from '../../src/ingestion/mapping-profiles.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { AppError } from '../../src/utils/error-handler.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+
+const DMS_HEADERS = ['Stock #', 'VIN', 'Year', 'Make', 'Model', 'Trim', 'Ext Color', 'MSRP', 'Invoice',
+  'Internet Price', 'In Stock Date', 'Days In Stock', 'Status', 'Lot'];
+
+let profiles;
+let tmpDir;
+let originalCache;
+
+beforeAll(async () => {
+  profiles = await loadMappingProfiles('./data/mapping-profiles');
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-profiles-'));
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+});
+
+afterAll(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  await fs.remove(tmpDir);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveMappingProfile', () => {
+  it('should detect the default profile from the standard headers', () => {
+    const headers = ['VIN', 'Make', 'Model', 'Year', 'Trim', 'Color', 'MSRP', 'Invoice', 'StockNumber', 'DateReceived', 'Status', 'Location'];
+
+    expect(resolveMappingProfile(headers, profiles).profile.name).toBe('default');
+  });
+
+  it('should detect the DMS profile and bind its columns', () => {
+    const binding = resolveMappingProfile(DMS_HEADERS, profiles);
+
+    expect(binding.profile.name).toBe('dms-export');
+    expect(binding.columns).toMatchObject({ stock_number: 'Stock #', date_received: 'In Stock Date', location: 'Lot' });
+    expect(binding.unmapped_headers).toEqual([]);
+  });
+
+  it('should match headers regardless of case and punctuation', () => {
+    const headers = DMS_HEADERS.map(header => header.toUpperCase().replace(/ /g, '_'));
+
+    expect(resolveMappingProfile(headers, profiles).columns.stock_number).toBe('STOCK_#');
+  });
+
+  it('should reject a named profile whose required columns are missing', () => {
+    expect(() => resolveMappingProfile(DMS_HEADERS, profiles, 'default')).toThrow(/missing required columns: date_received/);
+  });
+
+  it('should reject unknown profiles and unrecognized headers', () => {
+    expect(() => resolveMappingProfile(DMS_HEADERS, profiles, 'nope')).toThrow('Unknown mapping profile: nope');
+    expect(() => resolveMappingProfile(['foo', 'bar'], profiles)).toThrow(AppError);
+  });
+});
+
+describe('applyMappingProfile', () => {
+  const binding = () => resolveMappingProfile(DMS_HEADERS, profiles);
+  const row = {
+    'Stock #': 'F101', VIN: '1FTFW1E58RFA12345', Year: '2024', Make: 'Ford', Model: 'F-150',
+    MSRP: '$54,995.00', 'Internet Price': '', 'In Stock Date': '08/02/2024', Status: '', Lot: ''
+  };
+
+  it('should coerce types and apply defaults', () => {
+    const { record, issues, rejected } = applyMappingProfile(row, binding());
+
+    expect(record).toMatchObject({ stock_number: 'F101', year: 2024, msrp: 54995, invoice: 0, status: 'Available', location: 'Main Lot' });
+    expect(record.date_received.toISOString()).toBe('2024-08-02T00:00:00.000Z');
+    expect(record).not.toHaveProperty('internet_price');
+    expect(issues).toEqual([]);
+    expect(rejected).toBe(false);
+  });
+
+  it('should reject rows with empty or unparseable required values', () => {
+    expect(applyMappingProfile({ ...row, VIN: ' ' }, binding()).issues).toEqual([
+      { field: 'vin', raw_value: ' ', reason: 'Missing required value', action: RowActions.REJECTED }
+    ]);
+    expect(applyMappingProfile({ ...row, Year: '24a' }, binding())).toMatchObject({
+      rejected: true,
+      issues: [{ field: 'year', raw_value: '24a', reason: 'Cannot convert "24a" to integer' }]
+    });
+  });
+
+  it('should coerce bad optional values in lenient mode and reject them in strict mode', () => {
+    const badPrice = { ...row, MSRP: 'call' };
+
+    const lenient = applyMappingProfile(badPrice, binding());
+    expect(lenient.rejected).toBe(false);
+    expect(lenient.record.msrp).toBe(0);
+    expect(lenient.issues[0]).toMatchObject({ field: 'msrp', raw_value: 'call', action: RowActions.COERCED });
+
+    const strict = applyMappingProfile(badPrice, binding(), { mode: ValidationModes.STRICT });
+    expect(strict.rejected).toBe(true);
+    expect(strict.issues[0].action).toBe(RowActions.REJECTED);
+  });
+});
+
+describe('coerceValue', () => {
+  it('should parse currency with symbols, commas and accounting negatives', () => {
+    expect(coerceValue('$1,250.50', { type: 'currency' })).toBe(1250.5);
+    expect(coerceValue('(500)', { type: 'currency' })).toBe(-500);
+  });
+
+  it('should use the profile date format when the field has none', () => {
+    expect(coerceValue('15/10/2024', { type: 'date' }, 'DD/MM/YYYY').toISOString()).toBe('2024-10-15T00:00:00.000Z');
+  });
+});
+
+describe('parseDate', () => {
+  it('should parse short years and reject impossible dates', () => {
+    expect(parseDate('1/5/24', 'M/D/YY').toISOString()).toBe('2024-01-05T00:00:00.000Z');
+    expect(isNaN(parseDate('02/30/2024', 'MM/DD/YYYY').getTime())).toBe(true);
+    expect(isNaN(parseDate('2024-02-01', 'MM/DD/YYYY').getTime())).toBe(true);
+  });
+});
+
+describe('ingest_inventory_data with mapping profiles', () => {
+  it('should ingest a DMS export and derive missing received dates from days in stock', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', as_of_date: '2024-11-20' }));
+
+    expect(result.success).toBe(true);
+    expect(result.mapping_profile).toBe('dms-export');
+    expect(result.total_vehicles).toBe(6);
+
+    const bronco = result.data.find(vehicle => vehicle.stock_number === 'F105');
+    expect(bronco).toMatchObject({ vehicle_line: '2024 Ford Bronco Sport', days_on_lot: 75, internet_price: 32190 });
+  });
+
+  it('should return a failed response when the named profile does not fit', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', profile: 'default' }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/missing required columns/);
+  });
+});
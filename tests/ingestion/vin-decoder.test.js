@@ -0,0 +1,148 @@
+/**
+ * Unit tests for offline VIN validation and decoding
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  calculateCheckDigit,
+  decodeVin,
+  validateVin,
+  checkVehicleVin,
+  VinIssueCodes,
+  IssueSeverity
+} from '../../src/ingestion/vin-decoder.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+
+const F150 = '1FTFW1E58RFA12345';
+
+describe('calculateCheckDigit', () => {
+  it('should compute the ISO 3779 check digit', () => {
+    expect(calculateCheckDigit(F150)).toBe('8');
+    expect(calculateCheckDigit('1M8GDM9AXKP042788')).toBe('X');
+  });
+});
+
+describe('validateVin', () => {
+  it('should accept a well-formed VIN and normalize case', () => {
+    expect(validateVin(` ${F150.toLowerCase()} `)).toEqual({ valid: true, vin: F150, issues: [] });
+  });
+
+  it('should reject wrong lengths and disallowed characters', () => {
+    const result = validateVin('1FTFW1E58RFA1234O');
+
+    expect(result.valid).toBe(false);
+    expect(result.issues.map(issue => issue.code)).toEqual([VinIssueCodes.CHARACTERS]);
+    expect(validateVin('1FTFW1E58').issues[0].code).toBe(VinIssueCodes.LENGTH);
+  });
+
+  it('should warn about a bad check digit on North American VINs only', () => {
+    const result = validateVin('1FTFW1E50RFA12345');
+
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([{
+      code: VinIssueCodes.CHECK_DIGIT,
+      severity: IssueSeverity.WARNING,
+      message: 'Check digit is 0, expected 8'
+    }]);
+    expect(validateVin('KNDJP3A59L7123456').issues).toEqual([]);
+  });
+});
+
+describe('decodeVin', () => {
+  it('should decode manufacturer, country and model year', () => {
+    expect(decodeVin(F150)).toMatchObject({
+      wmi: '1FT',
+      manufacturer: 'Ford Motor Company',
+      makes: ['Ford'],
+      country: 'United States',
+      model_year: 2024,
+      model_year_candidates: [1994, 2024],
+      check_digit_valid: true
+    });
+  });
+
+  it('should use position 7 to pick the 1980-2009 cycle', () => {
+    expect(decodeVin('1HGBH41JXMN109186').model_year).toBe(1991);
+  });
+
+  it('should leave unknown manufacturers empty', () => {
+    expect(decodeVin('9BWZZZ377VT004251')).toMatchObject({ manufacturer: null, makes: [] });
+  });
+});
+
+describe('checkVehicleVin', () => {
+  it('should flag make and year conflicts with the CSV columns', () => {
+    const result = checkVehicleVin({ vin: F150, make: 'Chevrolet', year: 2023 });
+
+    expect(result.valid).toBe(true);
+    expect(result.issues.map(issue => issue.code)).toEqual([VinIssueCodes.MAKE_MISMATCH, VinIssueCodes.YEAR_MISMATCH]);
+  });
+
+  it('should accept either year in the 30-year cycle', () => {
+    expect(checkVehicleVin({ vin: F150, make: 'ford', year: 1994 }).issues).toEqual([]);
+  });
+
+  it('should report unknown manufacturer codes', () => {
+    expect(checkVehicleVin({ vin: '9BWZZZ377VT004251', make: 'Volkswagen', year: 1997 }).issues[0].code)
+      .toBe(VinIssueCodes.UNKNOWN_WMI);
+  });
+
+  it('should not decode malformed VINs', () => {
+    expect(checkVehicleVin({ vin: 'BAD', make: 'Ford', year: 2024 })).toMatchObject({ valid: false, decoded: null });
+  });
+});
+
+describe('ingest_inventory_data VIN validation', () => {
+  let tmpDir;
+  let originalCache;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-vin-'));
+    originalCache = AGENT_CONFIG.cache;
+    AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  });
+
+  afterAll(async () => {
+    AGENT_CONFIG.cache = originalCache;
+    await fs.remove(tmpDir);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should attach the decoded VIN to clean rows', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', as_of_date: '2024-11-20' }));
+
+    expect(result.validation_issues).toEqual([]);
+    expect(result.data[0].vin_decoded).toEqual({
+      wmi: '1FT',
+      manufacturer: 'Ford Motor Company',
+      country: 'United States',
+      model_year: 2024,
+      check_digit_valid: true
+    });
+  });
+
+  it('should report issues with the CSV line and stock number', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-inventory.csv', as_of_date: '2024-11-20' }));
+
+    expect(result.total_vehicles).toBe(25);
+    expect(result.validation_issues).toContainEqual(expect.objectContaining({
+      line: 3,
+      stock_number: 'T001',
+      code: VinIssueCodes.CHECK_DIGIT,
+      severity: IssueSeverity.WARNING
+    }));
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for inventory snapshots and day-over-day diffs
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  snapshotSource,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  diffInventorySince
+} from '../../src/inventory/snapshot-store.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { AppError } from '../../src/utils/error-handler.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const mustang = { vin: 'VIN1', stock_number: 'F001', year: 2024, make: 'Ford', model: 'Mustang', msrp: 38000, internet_price: 36500, status: 'Available' };
+const escape = { vin: 'VIN2', stock_number: 'F002', year: 2024, make: 'Ford', model: 'Escape', msrp: 33000, status: 'Available' };
+const bronco = { vin: 'VIN3', stock_number: 'F003', year: 2024, make: 'Ford', model: 'Bronco', msrp: 45000, status: 'In Transit' };
+
+let tmpDir;
+let originalCache;
+const lot = snapshotSource('./data/lot.csv');
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-snapshots-'));
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+async function save(vehicles, date) {
+  return saveSnapshot(vehicles, { sourceFile: './data/lot.csv', date, directory: tmpDir });
+}
+
+describe('saveSnapshot', () => {
+  it('should write one file per source per day and list them in date order', async () => {
+    await save([mustang], '2024-11-20');
+    await save([mustang], '2024-11-18');
+    const result = await save([mustang, escape], '2024-11-20');
+
+    expect(result).toEqual({ source: lot, date: '2024-11-20', path: path.join(tmpDir, lot, '2024-11-20.json'), vehicle_count: 2 });
+    expect(await listSnapshots(lot, tmpDir)).toEqual(['2024-11-18', '2024-11-20']);
+  });
+
+  it('should store received dates as YYYY-MM-DD and drop derived metrics', async () => {
+    await save([{ ...mustang, date_received: new Date('2024-10-01'), days_on_lot: 50 }], '2024-11-20');
+    const snapshot = await loadSnapshot(lot, '2024-11-20', tmpDir);
+
+    expect(snapshot.vehicles[0]).toEqual({ ...mustang, date_received: '2024-10-01' });
+  });
+
+  it('should reject malformed dates', async () => {
+    await expect(save([mustang], '11/20/2024')).rejects.toThrow(AppError);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('should list arrivals, departures, price changes and status changes by VIN', () => {
+    const previous = { source: 'lot', snapshot_date: '2024-11-19', vehicles: [mustang, escape, bronco] };
+    const current = {
+      source: 'lot',
+      snapshot_date: '2024-11-20',
+      vehicles: [
+        { ...mustang, internet_price: 35995 },
+        { ...bronco, status: 'Available' },
+        { ...escape, vin: 'VIN4', stock_number: 'F004' }
+      ]
+    };
+
+    const diff = diffSnapshots(previous, current);
+
+    expect(diff.summary).toEqual({ arrivals: 1, departures: 1, price_changes: 1, status_changes: 1 });
+    expect(diff.arrivals).toEqual([{ vin: 'VIN4', stock_number: 'F004', vehicle_line: '2024 Ford Escape' }]);
+    expect(diff.departures[0].vin).toBe('VIN2');
+    expect(diff.price_changes[0]).toMatchObject({ vin: 'VIN1', field: 'internet_price', from: 36500, to: 35995, change: -505 });
+    expect(diff.status_changes[0]).toMatchObject({ vin: 'VIN3', from: 'In Transit', to: 'Available' });
+  });
+});
+
+describe('diffInventorySince', () => {
+  beforeEach(async () => {
+    await save([mustang, escape], '2024-11-15');
+    await save([mustang], '2024-11-18');
+    await save([mustang, bronco], '2024-11-20');
+  });
+
+  it('should compare the latest snapshot with the one before it', async () => {
+    const diff = await diffInventorySince(lot, { directory: tmpDir });
+
+    expect([diff.from, diff.to]).toEqual(['2024-11-18', '2024-11-20']);
+    expect(diff.summary.arrivals).toBe(1);
+  });
+
+  it('should use the last snapshot on or before --since', async () => {
+    const diff = await diffInventorySince(lot, { since: '2024-11-17', directory: tmpDir });
+
+    expect(diff.from).toBe('2024-11-15');
+    expect(diff.departures.map(u => u.vin)).toEqual(['VIN2']);
+  });
+
+  it('should fail when there is nothing to compare against', async () => {
+    await expect(diffInventorySince(lot, { since: '2024-11-01', directory: tmpDir }))
+      .rejects.toThrow(`Need two ${lot} snapshots to diff (one on or before 2024-11-01); found 3`);
+  });
+});
+
+describe('snapshotSource', () => {
+  it('should keep files with the same name in different directories apart', () => {
+    expect(snapshotSource('./storeA/inventory.csv')).toMatch(/^inventory-[0-9a-f]{8}$/);
+    expect(snapshotSource('./storeA/inventory.csv')).not.toBe(snapshotSource('./storeB/inventory.csv'));
+    expect(snapshotSource('./storeA/inventory.csv')).toBe(snapshotSource(path.resolve('storeA/inventory.csv')));
+  });
+});
+
+describe('ingest_inventory_data snapshots', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  let originalDirectory;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    originalDirectory = AGENT_CONFIG.snapshots.directory;
+    AGENT_CONFIG.snapshots.directory = tmpDir;
+  });
+
+  afterEach(() => {
+    AGENT_CONFIG.snapshots.directory = originalDirectory;
+  });
+
+  it('should save today\'s snapshot when the caller asks for one', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', as_of_date: today }, { saveSnapshot: true }));
+
+    expect(result.snapshot).toMatchObject({ source: snapshotSource('./data/sample-dms-export.csv'), date: today, vehicle_count: 6 });
+    expect(await listSnapshots(snapshotSource('./data/sample-dms-export.csv'), tmpDir)).toEqual([today]);
+  });
+
+  it('should not save a snapshot by default or for the model', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', as_of_date: today, save_snapshot: true }));
+
+    expect(result.snapshot).toBeNull();
+    expect(await listSnapshots(snapshotSource('./data/sample-dms-export.csv'), tmpDir)).toEqual([]);
+  });
+
+  it('should not save today\'s file as the snapshot of an earlier as-of date', async () => {
+    const result = await runAsDefaultUser(() => ingest_inventory_data({ file_path: './data/sample-dms-export.csv', as_of_date: '2024-11-20' }, { saveSnapshot: true }));
+
+    expect(result.success).toBe(true);
+    expect(result.snapshot).toBeNull();
+    expect(await listSnapshots(snapshotSource('./data/sample-dms-export.csv'), tmpDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Unit tests for PromoPilotAgent structured output handling
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { PromoPilotAgent } from '../src/promopilot-agent.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { LLMProvider } from '../src/providers/llm-provider.js';
+import { ingest_inventory_data } from '../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../tools/incentive-fetcher.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { UserRoles, createDefaultUserContext, runWithUserContext } from '../src/utils/access-control.js';
+import { queryAuditTrail, hashFile } from '../src/audit/audit-trail.js';
+import { withUsageRun, summarizeSpend } from '../src/usage/spend-ledger.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../src/utils/error-handler.js';
+import { CircuitStates } from '../src/utils/resilience.js';
+import { withCacheBypass } from '../src/cache/result-cache.js';
+import { loadDealerRegistry, selectDealers } from '../src/dealers/dealer-registry.js';
+
+const toolFunctions = { ingest_inventory_data, fetch_incentive_data };
+
+const analysisScript = (response) => ({
+  name: 'analyze',
+  match: 'ingest the inventory data',
+  turns: [],
+  response
+});
+
+const reviseScript = {
+  name: 'revise',
+  match: 'failed schema validation',
+  turns: [],
+  response: { recommendations: '{{context.recommendations}}' }
+};
+
+let outputDir;
+let originalAuditFile;
+let originalUsage;
+let originalCache;
+
+const agentConfig = () => ({
+  data_sources: { ...AGENT_CONFIG.data_sources, output_directory: outputDir },
+  userContext: createDefaultUserContext(UserRoles.OPERATOR)
+});
+
+const createAgent = async (scripts, config = {}) => {
+  const agent = new PromoPilotAgent({ ...agentConfig(), ...config, llmProvider: new MockProvider({ scripts, toolFunctions }) });
+  await agent.initialize();
+  return agent;
+};
+
+beforeEach(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-agent-'));
+  originalAuditFile = AGENT_CONFIG.audit.file;
+  AGENT_CONFIG.audit.file = path.join(outputDir, 'audit', 'trail.jsonl');
+  originalUsage = AGENT_CONFIG.usage;
+  AGENT_CONFIG.usage = { ...originalUsage, ledger_file: path.join(outputDir, 'usage', 'spend-ledger.jsonl') };
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(outputDir, 'cache') };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.audit.file = originalAuditFile;
+  AGENT_CONFIG.usage = originalUsage;
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(outputDir);
+});
+
+describe('PromoPilotAgent.analyzeAndRecommend', () => {
+  it('should write a report from recommendations that pass the schema', async () => {
+    const agent = await createAgent([analysisScript({ recommendations: '{{context.recommendations}}' })]);
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20', outputFormat: 'markdown' });
+
+    expect(result.success).toBe(true);
+    expect(result.validation_attempts).toBe(1);
+    expect(result.recommendations.map(rec => rec.vehicle_line)).toEqual(['2024 Ford Mustang', '2023 Ford Mustang', '2023 Chevrolet Malibu']);
+    expect(result.report.file_path.startsWith(outputDir)).toBe(true);
+    expect(await fs.pathExists(result.report.file_path)).toBe(true);
+  });
+
+  it('should point the model at a dealer\'s own files and region', async () => {
+    const provider = new MockProvider({ scripts: [analysisScript({ recommendations: '{{context.recommendations}}' })], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({ ...agentConfig(), llmProvider: provider });
+    await agent.initialize();
+    const [dealer] = selectDealers(await loadDealerRegistry(), 'north');
+
+    await agent.analyzeAndRecommend({ asOfDate: '2024-11-20', dealer: { ...dealer, region: 'West' } });
+    const [prompt] = spy.mock.calls[0];
+
+    expect(prompt).toContain('PromoPilot North (West region)');
+    expect(prompt).toContain(`calculate_best_deal (with inventory_path ${dealer.data_sources.inventory_file}, incentives_path ${dealer.data_sources.incentives_file} and region West)`);
+    expect(prompt).toContain('calculate_payments (with the same paths and region)');
+  });
+
+  it('should record the run, its hashed inputs and its outputs in the audit trail', async () => {
+    const agent = await createAgent([analysisScript({ recommendations: '{{context.recommendations}}' })]);
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+    const [entry] = await queryAuditTrail({ action: 'analysis', filePath: AGENT_CONFIG.audit.file });
+
+    expect(entry.user).toMatchObject({ user_id: 'default_operator', role: 'operator' });
+    expect(entry.details.inputs.find(input => input.kind === 'inventory')).toEqual({
+      kind: 'inventory',
+      path: AGENT_CONFIG.data_sources.inventory_file,
+      sha256: await hashFile(AGENT_CONFIG.data_sources.inventory_file)
+    });
+    expect(entry.details.recommendations.map(rec => rec.vehicle_line)).toEqual(result.recommendations.map(rec => rec.vehicle_line));
+    expect(entry.details.report).toEqual({ file_path: result.report.file_path, format: 'json', sha256: await hashFile(result.report.file_path) });
+  });
+
+  it('should re-prompt with the validation errors until the output is valid', async () => {
+    const provider = new MockProvider({ scripts: [analysisScript('I would promote the Mustang.'), reviseScript], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({ ...agentConfig(), llmProvider: provider });
+    await agent.initialize();
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+
+    expect(result.success).toBe(true);
+    expect(result.validation_attempts).toBe(2);
+    expect(spy.mock.calls[1][0]).toContain('Response must be a single JSON object');
+    expect(spy.mock.calls[1][0]).toContain('I would promote the Mustang.');
+  });
+
+  it('should fail once the retries are used up', async () => {
+    const invalid = { recommendations: [{ vehicle_line: '2024 Ford Mustang', rank: 1 }] };
+    const agent = await createAgent([analysisScript(invalid), { ...reviseScript, response: invalid }], {
+      structured_output: { max_validation_retries: 1 }
+    });
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Recommendations failed schema validation after 2 attempts');
+    expect(result.errorDetails.errors).toContain('recommendations[0].rationale is required');
+  });
+});
+
+describe('PromoPilotAgent access control', () => {
+  const queryScript = { name: 'query', match: '.*', turns: [], response: 'ok' };
+
+  it('should not generate a report for a viewer', async () => {
+    const agent = await createAgent([analysisScript({ recommendations: '{{context.recommendations}}' })], {
+      userContext: createDefaultUserContext(UserRoles.VIEWER)
+    });
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+
+    expect(result.success).toBe(false);
+    expect(result.errorDetails.required).toBe('generate:reports');
+    expect(await fs.readdir(outputDir)).toEqual([]);
+  });
+
+  it('should only offer a viewer\'s query the tools they may call', async () => {
+    const provider = new MockProvider({ scripts: [queryScript], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({ ...agentConfig(), llmProvider: provider });
+    await agent.initialize();
+
+    const result = await runWithUserContext(createDefaultUserContext(UserRoles.VIEWER), () => agent.quickRecommendation('Promote what?'));
+
+    expect(result.success).toBe(true);
+    expect(spy.mock.calls[0][1].tool_choices).toContain('ingest_inventory_data');
+    expect(spy.mock.calls[0][1].tool_choices).not.toContain('generate_promotional_report');
+  });
+
+  it('should prefer the active user over its own', async () => {
+    const agent = await createAgent([analysisScript({ recommendations: '{{context.recommendations}}' })]);
+
+    const result = await runWithUserContext(createDefaultUserContext(UserRoles.VIEWER), () => agent.analyzeAndRecommend({ asOfDate: '2024-11-20' }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Permission denied: generate:reports');
+  });
+
+  it('should refuse to run without a user', async () => {
+    const agent = await createAgent([queryScript], { userContext: null });
+
+    const result = await agent.quickRecommendation('Promote what?');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('No user context provided');
+  });
+});
+
+describe('PromoPilotAgent usage and budgets', () => {
+  const queryScript = { name: 'query', match: '.*', turns: [], response: 'Promote the Mustang.' };
+  // A dollar per thousand tokens, so the mock's estimated usage costs something
+  const pricedMock = (budgets = {}) => {
+    AGENT_CONFIG.usage = {
+      ...AGENT_CONFIG.usage,
+      prices: { ...AGENT_CONFIG.usage.prices, mock: { prompt: 1000, completion: 1000 } },
+      budgets: { daily_usd: null, per_run_usd: null, ...budgets }
+    };
+  };
+
+  it('should record each call with its user, command and cost', async () => {
+    pricedMock();
+    const agent = await createAgent([queryScript]);
+
+    const result = await withUsageRun('cli query', () => agent.quickRecommendation('Promote what?'));
+    const { groups: [byCommand] } = await summarizeSpend({ groupBy: 'command' });
+
+    expect(result.cost_usd).toBeCloseTo(result.usage.total_tokens / 1000);
+    expect(byCommand).toMatchObject({ key: 'cli query', calls: 1, total_tokens: result.usage.total_tokens });
+    expect((await summarizeSpend({ groupBy: 'user' })).groups[0].key).toBe('default_operator');
+  });
+
+  it('should refuse a call that could exceed the per-run budget without calling the provider', async () => {
+    pricedMock({ per_run_usd: 1 });
+    const provider = new MockProvider({ scripts: [queryScript], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({ ...agentConfig(), llmProvider: provider });
+    await agent.initialize();
+
+    const result = await withUsageRun('cli query', () => agent.quickRecommendation('Promote what?'));
+
+    expect(result.success).toBe(false);
+    expect(result.errorType).toBe(ErrorTypes.BUDGET);
+    expect(result.error).toMatch(/^Per-run LLM budget of \$1\.00 would be exceeded/);
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('should count today\'s ledger against the daily budget', async () => {
+    pricedMock({ daily_usd: 500 });
+    await fs.outputFile(AGENT_CONFIG.usage.ledger_file, `${JSON.stringify({ timestamp: new Date().toISOString(), cost_usd: 499 })}\n`);
+    const agent = await createAgent([queryScript]);
+
+    // max_tokens of output alone may cost about $2, which fits under $500 only if less than $498 is spent
+    const result = await agent.quickRecommendation('Promote what?');
+
+    expect(result.success).toBe(false);
+    expect(result.errorDetails).toMatchObject({ limit_usd: 500, spent_usd: 499, date: new Date().toISOString().slice(0, 10) });
+  });
+});
+
+describe('PromoPilotAgent resilience', () => {
+  // Refuses the first `failures` calls as if the API were unreachable, then answers like the mock
+  class FlakyProvider extends LLMProvider {
+    constructor(failures, scripts) {
+      super('flaky');
+      this.failures = failures;
+      this.calls = 0;
+      this.mock = new MockProvider({ scripts, toolFunctions });
+    }
+
+    async initialize(config) {
+      await super.initialize(config);
+      await this.mock.initialize(config);
+    }
+
+    async createChatCompletion(message, options = {}) {
+      this.calls += 1;
+      if (this.calls <= this.failures) {
+        throw new AppError('connect ECONNREFUSED', ErrorTypes.NETWORK, ErrorSeverity.HIGH);
+      }
+      return this.mock.createChatCompletion(message, options);
+    }
+  }
+
+  const createFlakyAgent = async (failures, resilience = {}) => {
+    const provider = new FlakyProvider(failures, [analysisScript({ recommendations: '{{context.recommendations}}' })]);
+    const agent = new PromoPilotAgent({
+      ...agentConfig(),
+      resilience: { ...AGENT_CONFIG.resilience, base_delay_ms: 0, max_delay_ms: 0, ...resilience },
+      llmProvider: provider
+    });
+    await agent.initialize();
+    return { agent, provider };
+  };
+
+  it('should retry a failed call and use the answer that follows', async () => {
+    const { agent, provider } = await createFlakyAgent(2);
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+
+    expect(result.success).toBe(true);
+    expect(result.fallback).toBeNull();
+    expect(provider.calls).toBe(3);
+    expect(agent.getStatus().circuit).toEqual({ name: 'flaky', state: CircuitStates.CLOSED, consecutive_failures: 0 });
+  });
+
+  it('should fall back to the deterministic recommendations once retries are used up', async () => {
+    const { agent, provider } = await createFlakyAgent(Infinity);
+
+    const result = await agent.analyzeAndRecommend({ asOfDate: '2024-11-20' });
+    const [entry] = await queryAuditTrail({ action: 'analysis', filePath: AGENT_CONFIG.audit.file });
+
+    expect(result.success).toBe(true);
+    expect(result.fallback).toEqual({ reason: 'connect ECONNREFUSED' });
+    expect(result.validation_attempts).toBe(0);
+    expect(result.recommendations.map(rec => rec.vehicle_line)).toEqual(['2024 Ford Mustang', '2023 Ford Mustang', '2023 Chevrolet Malibu']);
+    expect(await fs.pathExists(result.report.file_path)).toBe(true);
+    expect(entry.details.llm_fallback).toEqual({ reason: 'connect ECONNREFUSED' });
+    expect(provider.calls).toBe(AGENT_CONFIG.resilience.max_retries + 1);
+  });
+
+  it('should stop calling the provider while the circuit is open', async () => {
+    const { agent, provider } = await createFlakyAgent(Infinity, { max_retries: 1, circuit_breaker: { failure_threshold: 2, reset_timeout_ms: 60000 } });
+
+    await agent.getInventorySummary();
+    const result = await agent.getIncentiveSummary();
+
+    expect(provider.calls).toBe(2);
+    expect(agent.getStatus().circuit.state).toBe(CircuitStates.OPEN);
+    expect(result.success).toBe(true);
+    expect(result.fallback.reason).toMatch(/^Circuit for flaky is open/);
+    expect(result.summary).toBeDefined();
+  });
+
+  it('should check the budget again before a retry, counting what the failed attempt spent', async () => {
+    AGENT_CONFIG.usage = {
+      ...AGENT_CONFIG.usage,
+      prices: { ...AGENT_CONFIG.usage.prices, flaky: { prompt: 1000, completion: 1000 } },
+      budgets: { daily_usd: null, per_run_usd: 3 }
+    };
+    const { agent, provider } = await createFlakyAgent(1);
+    // Tool turns before the failure used $2 of the $3, which leaves too little for a second try
+    jest.spyOn(provider, 'createChatCompletion').mockRejectedValueOnce(Object.assign(
+      new AppError('socket hang up', ErrorTypes.NETWORK, ErrorSeverity.HIGH),
+      { total_usage: { prompt_tokens: 1000, completion_tokens: 1000 } }
+    ));
+
+    const result = await withUsageRun('cli query', () => agent.quickRecommendation('Promote what?'));
+    const entries = (await fs.readFile(AGENT_CONFIG.usage.ledger_file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(result.errorType).toBe(ErrorTypes.BUDGET);
+    expect(provider.createChatCompletion).toHaveBeenCalledTimes(1);
+    expect(entries).toEqual([expect.objectContaining({ outcome: 'failed', cost_usd: 2 })]);
+  });
+
+  it('should not retry a timed-out call and should record its usage once it finishes', async () => {
+    const { agent, provider } = await createFlakyAgent(0, { timeout_ms: 10 });
+    let finish;
+    const gate = new Promise(resolve => { finish = resolve; });
+    jest.spyOn(provider, 'createChatCompletion').mockImplementation(async () => {
+      await gate;
+      return { choices: ['Promote the Mustang.'], total_usage: { prompt_tokens: 100, completion_tokens: 20 } };
+    });
+    const recorded = jest.spyOn(agent, 'recordCall');
+
+    const result = await agent.quickRecommendation('Promote what?');
+    expect(result.success).toBe(false);
+    expect(result.errorDetails).toEqual({ timeout_ms: 10 });
+    expect(provider.createChatCompletion).toHaveBeenCalledTimes(1);
+    expect(recorded).not.toHaveBeenCalled();
+
+    finish();
+    for (let tick = 0; tick < 100 && recorded.mock.calls.length === 0; tick += 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    expect(await recorded.mock.results[0].value).toMatchObject({ operation: 'quickRecommendation', outcome: 'completed' });
+  });
+
+  it('should report the failure when fallback is turned off', async () => {
+    const { agent } = await createFlakyAgent(Infinity, { max_retries: 0, fallback: false });
+
+    const result = await agent.getInventorySummary();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('ECONNREFUSED');
+  });
+});
+
+describe('PromoPilotAgent response cache', () => {
+  const queryScript = { name: 'query', match: '.*', turns: [], response: 'Promote the Mustang.' };
+  const llmCache = { llm: { enabled: true, ttl_ms: 60000 } };
+
+  it('should replay a cached answer to the same prompt without calling the provider or spending', async () => {
+    const provider = new MockProvider({ scripts: [queryScript], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({ ...agentConfig(), cache: { ...AGENT_CONFIG.cache, ...llmCache }, llmProvider: provider });
+    await agent.initialize();
+
+    const first = await agent.quickRecommendation('Promote what?');
+    const second = await agent.quickRecommendation('Promote what?');
+    await agent.quickRecommendation('Promote what else?');
+
+    expect(second.response).toBe(first.response);
+    expect(second.cached).toBe(true);
+    expect(second.cost_usd).toBe(0);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect((await summarizeSpend()).total.calls).toBe(2);
+  });
+
+  it('should call the provider again when the data changes or the cache is bypassed', async () => {
+    const inventoryFile = path.join(outputDir, 'inventory.csv');
+    await fs.copy(AGENT_CONFIG.data_sources.inventory_file, inventoryFile);
+    const provider = new MockProvider({ scripts: [queryScript], toolFunctions });
+    const spy = jest.spyOn(provider, 'createChatCompletion');
+    const agent = new PromoPilotAgent({
+      ...agentConfig(),
+      data_sources: { ...agentConfig().data_sources, inventory_file: inventoryFile },
+      cache: { ...AGENT_CONFIG.cache, ...llmCache },
+      llmProvider: provider
+    });
+    await agent.initialize();
+
+    await agent.quickRecommendation('Promote what?');
+    await withCacheBypass(() => agent.quickRecommendation('Promote what?'));
+    await fs.appendFile(inventoryFile, '\n');
+    await agent.quickRecommendation('Promote what?');
+
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the scripted mock LLM provider
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { MockProvider } from '../../src/providers/mock-provider.js';
+import { findToolResult } from '../../src/providers/llm-provider.js';
+import { createProvider } from '../../src/providers/provider-factory.js';
+import { PromoPilotAgent } from '../../src/promopilot-agent.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { AppError } from '../../src/utils/error-handler.js';
+import { createDefaultUserContext } from '../../src/utils/access-control.js';
+
+const echoTool = jest.fn(async (args) => ({ success: true, echoed: args }));
+
+const scripts = [
+  {
+    name: 'echo',
+    match: 'echo (?<word>\\w+)',
+    turns: [{ tool_calls: [{ name: 'echo_tool', arguments: { word: '{{match.word}}', items: '{{context.items}}', missing: '{{context.nope}}' } }] }],
+    response: 'Echoed {{results.echo_tool.echoed.word}} with {{context.items.length}} items'
+  },
+  { name: 'catch-all', fallback: true, match: '.*', turns: [], response: 'fallback' }
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  echoTool.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MockProvider', () => {
+  const createMock = async () => {
+    const provider = new MockProvider({ scripts, toolFunctions: { echo_tool: echoTool } });
+    await provider.initialize(AGENT_CONFIG);
+    return provider;
+  };
+
+  it('should replay tool calls with templated arguments', async () => {
+    const provider = await createMock();
+    const result = await provider.createChatCompletion('please echo hello', {
+      tool_choices: ['echo_tool'],
+      context: { items: [1, 2, 3] }
+    });
+
+    expect(echoTool).toHaveBeenCalledWith({ word: 'hello', items: [1, 2, 3] });
+    expect(result.choices).toEqual(['Echoed hello with 3 items']);
+    expect(findToolResult(result, 'echo_tool')).toEqual({ success: true, echoed: { word: 'hello', items: [1, 2, 3] } });
+    expect(result.total_usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  it('should try fallback scripts last', async () => {
+    const provider = await createMock();
+
+    expect((await provider.createChatCompletion('anything else')).choices).toEqual(['fallback']);
+    expect((await provider.createChatCompletion('echo hi')).script).toBe('echo');
+  });
+
+  it('should refuse tools outside tool_choices', async () => {
+    const provider = await createMock();
+
+    await expect(provider.createChatCompletion('echo hi', { tool_choices: ['other_tool'] })).rejects.toThrow(AppError);
+    expect(echoTool).not.toHaveBeenCalled();
+  });
+});
+
+describe('PromoPilotAgent with the mock provider', () => {
+  let tmpDir;
+  let originalLedger;
+  let originalCache;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-mock-'));
+    originalLedger = AGENT_CONFIG.usage.ledger_file;
+    AGENT_CONFIG.usage.ledger_file = path.join(tmpDir, 'spend-ledger.jsonl');
+    originalCache = AGENT_CONFIG.cache;
+    AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  });
+
+  afterEach(async () => {
+    AGENT_CONFIG.usage.ledger_file = originalLedger;
+    AGENT_CONFIG.cache = originalCache;
+    await fs.remove(tmpDir);
+  });
+
+  it('should return the inventory tool result from the bundled scripts', async () => {
+    const agent = new PromoPilotAgent({ llmProvider: createProvider('mock'), userContext: createDefaultUserContext() });
+    await agent.initialize();
+
+    const summary = await agent.getInventorySummary();
+
+    expect(summary.success).toBe(true);
+    expect(summary.summary.total_vehicles).toBe(25);
+    expect(agent.getStatus().provider).toBe('mock');
+
+    const [entry] = (await fs.readFile(AGENT_CONFIG.usage.ledger_file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(entry).toMatchObject({ operation: 'getInventorySummary', provider: 'mock', model: 'mock', user_id: 'default_operator', cost_usd: 0 });
+    expect(entry.total_tokens).toBeGreaterThan(0);
+  });
+});
+
+describe('createProvider', () => {
+  it('should reject unknown providers', () => {
+    expect(() => createProvider('carrier-pigeon')).toThrow(AppError);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the HTML and Markdown report renderers
+ */
+
+import { renderHtmlReport, escapeHtml } from '../../src/reports/html-renderer.js';
+import { renderMarkdownReport } from '../../src/reports/markdown-renderer.js';
+
+const reportData = {
+  report_metadata: {
+    generated_at: '2024-11-20T10:00:00.000Z',
+    report_type: 'promotional_recommendations',
+    version: '1.0',
+    agent: 'PromoPilot AI'
+  },
+  executive_summary: {
+    overview: 'PromoPilot AI has identified 1 priority vehicle lines for promotional focus.',
+    top_priority: '2024 Ford Mustang',
+    urgency_level: 'MEDIUM'
+  },
+  recommendations: [
+    {
+      vehicle_line: '2024 Ford Mustang',
+      rank: 1,
+      priority: 'HIGH',
+      key_metrics: { days_on_lot: 137, inventory_count: 3, incentive_value: 3000 },
+      rationale: 'Aged <stock> | strong dealer cash',
+      promotional_approach: 'Weekend event'
+    }
+  ],
+  supporting_data: {
+    inventory_summary: {
+      total_vehicles: 3,
+      average_days_on_lot: 137,
+      total_msrp_value: 113900,
+      by_aging: { Fresh: 0, Aging: 0, Stale: 1, Critical: 2 },
+      vehicle_lines: { '2024 Ford Mustang': { count: 3, avg_days: 137, total_value: 113900 } }
+    },
+    incentive_summary: {
+      total_incentives: 1,
+      average_value: 3000,
+      total_value: 3000,
+      vehicle_lines: { '2024 Ford Mustang': { count: 1, total_value: 3000, max_value: 3000, types: ['Dealer Cash'] } },
+      expiring_soon: [{ vehicle_line: '2024 Ford Mustang', days_remaining: 10, value: 3000 }]
+    }
+  },
+  next_steps: ['Launch campaign']
+};
+
+describe('renderHtmlReport', () => {
+  it('should render a standalone document with all sections', () => {
+    const html = renderHtmlReport(reportData);
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<style>');
+    expect(html).toContain('<h2>Executive Summary</h2>');
+    expect(html).toContain('<h2>Recommendations</h2>');
+    expect(html).toContain('<h2>Inventory Summary</h2>');
+    expect(html).toContain('<h2>Incentive Summary</h2>');
+    expect(html).toContain('<li>Launch campaign</li>');
+    expect(html).toContain('$113,900');
+  });
+
+  it('should escape recommendation text', () => {
+    const html = renderHtmlReport(reportData);
+
+    expect(html).toContain('Aged &lt;stock&gt; | strong dealer cash');
+    expect(html).not.toContain('<stock>');
+  });
+
+  it('should omit supporting sections when no data is provided', () => {
+    const html = renderHtmlReport({ ...reportData, supporting_data: {} });
+
+    expect(html).not.toContain('Inventory Summary');
+    expect(html).not.toContain('Incentive Summary');
+  });
+});
+
+describe('renderMarkdownReport', () => {
+  it('should render headings and tables', () => {
+    const markdown = renderMarkdownReport(reportData);
+
+    expect(markdown).toContain('# Promotional Recommendations');
+    expect(markdown).toContain('### 1. 2024 Ford Mustang (HIGH priority)');
+    expect(markdown).toContain('| Incentive value | $3,000 |');
+    expect(markdown).toContain('| 2024 Ford Mustang | 3 | 137 | $113,900 |');
+    expect(markdown).toContain('1. Launch campaign');
+  });
+
+  it('should escape pipes inside table cells', () => {
+    const markdown = renderMarkdownReport({
+      ...reportData,
+      recommendations: [{ ...reportData.recommendations[0], key_metrics: { note: 'a|b' } }]
+    });
+
+    expect(markdown).toContain('| Note | a\\|b |');
+  });
+
+  it('should render the best offer and payment comparison', () => {
+    const markdown = renderMarkdownReport({
+      ...reportData,
+      recommendations: [{
+        ...reportData.recommendations[0],
+        best_offer: { summary: 'Stacked cash: $0 customer savings + $3,000 dealer cash' },
+        payment_comparison: {
+          options: [{ label: 'No incentives at standard rate', payment_type: 'finance', payment: { monthly_payment: 612.4, term_months: 60, total_cost: 38744 } }],
+          apr_vs_cash: [{ special_label: '0.9% APR', cash_label: 'Cash', special_monthly: 540, cash_monthly: 612.4, total_savings: 4000, recommended: '0.9% APR' }]
+        }
+      }]
+    });
+
+    expect(markdown).toContain('**Best offer:** Stacked cash: $0 customer savings + $3,000 dealer cash');
+    expect(markdown).toContain('| No incentives at standard rate | finance | $612 | 60 mo | $38,744 |');
+    expect(markdown).toContain('- 0.9% APR ($540/mo) vs Cash ($612/mo): 0.9% APR saves $4,000 over the term');
+  });
+});
+
+describe('claim verification section', () => {
+  const verification = {
+    summary: { total_claims: 2, verified: 1, corrected: 1, unverified: 0 },
+    claims: [
+      { vehicle_line: '2024 Ford Mustang', field: 'key_metrics.inventory_count', stated: 5, actual: 3, status: 'corrected', note: 'Source data shows 3' },
+      { vehicle_line: '2024 Ford Mustang', field: 'rationale', stated: '$3,000', actual: 3000, status: 'verified' }
+    ]
+  };
+
+  it('should list flagged claims in markdown', () => {
+    const markdown = renderMarkdownReport({ ...reportData, verification });
+
+    expect(markdown).toContain('## Claim Verification');
+    expect(markdown).toContain('| 2024 Ford Mustang | key_metrics.inventory_count | 5 | 3 | corrected | Source data shows 3 |');
+  });
+
+  it('should list flagged claims in HTML', () => {
+    const html = renderHtmlReport({ ...reportData, verification });
+
+    expect(html).toContain('Claim Verification');
+    expect(html).toContain('Corrected and unverified claims');
+  });
+
+  it('should omit the section when verification was not run', () => {
+    expect(renderMarkdownReport(reportData)).not.toContain('Claim Verification');
+  });
+});
+
+describe('escapeHtml', () => {
+  it('should escape HTML special characters', () => {
+    expect(escapeHtml('<a href="x">&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Unit tests for the HTTP API server
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createServer, createApiKeyAuthenticator, authenticateFromHeaders } from '../../src/server/http-server.js';
+import { createUser, revokeApiKey } from '../../src/auth/user-store.js';
+import { queryAuditTrail } from '../../src/audit/audit-trail.js';
+import { PromoPilotAgent } from '../../src/promopilot-agent.js';
+import { MockProvider } from '../../src/providers/mock-provider.js';
+import { ingest_inventory_data } from '../../tools/inventory-ingestor.js';
+import { fetch_incentive_data } from '../../tools/incentive-fetcher.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { increment, resetMetrics, getSummary } from '../../src/utils/metrics.js';
+
+const toolFunctions = { ingest_inventory_data, fetch_incentive_data };
+
+const analysisScript = {
+  name: 'analyze',
+  match: 'ingest the inventory data',
+  turns: [],
+  response: { recommendations: '{{context.recommendations}}' }
+};
+
+const queryScript = {
+  name: 'query',
+  match: '.*',
+  fallback: true,
+  turns: [{ tool_calls: [{ name: 'ingest_inventory_data', arguments: { file_path: '{{context.inventory_path}}' } }] }],
+  response: '{{results.ingest_inventory_data.summary.total_vehicles}} vehicles'
+};
+
+const UPLOADED_CSV = [
+  'VIN,Make,Model,Year,Trim,Color,MSRP,Invoice,StockNumber,DateReceived,Status,Location',
+  '1G1ZD5ST2RF500101,Chevrolet,Malibu,2024,LT,White,28400,26300,N101,2024-11-02,Available,North Lot',
+  '1FA6P8TH3R5500102,Ford,Mustang,2024,EcoBoost,Black,33100,30700,N102,2024-10-28,Available,North Lot'
+].join('\n');
+
+const as = (role) => ({ 'X-User-Id': `${role}-1`, 'X-User-Role': role, 'Content-Type': 'application/json' });
+
+let outputDir;
+let agent;
+let server;
+let baseUrl;
+let originalSnapshots;
+let originalAuditFile;
+let originalLedger;
+let originalCache;
+
+const request = (urlPath, { role, method = 'GET', body } = {}) => fetch(`${baseUrl}${urlPath}`, {
+  method,
+  headers: role ? as(role) : {},
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  originalSnapshots = AGENT_CONFIG.snapshots.enabled;
+  AGENT_CONFIG.snapshots.enabled = false;
+
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-server-'));
+  originalAuditFile = AGENT_CONFIG.audit.file;
+  AGENT_CONFIG.audit.file = path.join(outputDir, 'audit', 'trail.jsonl');
+  originalLedger = AGENT_CONFIG.usage.ledger_file;
+  AGENT_CONFIG.usage.ledger_file = path.join(outputDir, 'usage', 'spend-ledger.jsonl');
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(outputDir, 'cache') };
+  const config = { ...AGENT_CONFIG, data_sources: { ...AGENT_CONFIG.data_sources, output_directory: outputDir } };
+  agent = new PromoPilotAgent({
+    data_sources: config.data_sources,
+    llmProvider: new MockProvider({ scripts: [analysisScript, queryScript], toolFunctions })
+  });
+  await agent.initialize();
+
+  await listen(createServer({ agent, config, authenticate: authenticateFromHeaders }));
+});
+
+const listen = async (created) => {
+  server = created;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  AGENT_CONFIG.snapshots.enabled = originalSnapshots;
+  AGENT_CONFIG.audit.file = originalAuditFile;
+  AGENT_CONFIG.usage.ledger_file = originalLedger;
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(outputDir);
+});
+
+describe('authenticateFromHeaders', () => {
+  it('should build a user context from the headers', () => {
+    const user = authenticateFromHeaders({ headers: { 'x-user-id': 'u1', 'x-user-role': 'viewer' } });
+    expect(user.userId).toBe('u1');
+    expect(user.role).toBe('viewer');
+  });
+
+  it('should reject an unknown role with a 401', () => {
+    expect(() => authenticateFromHeaders({ headers: { 'x-user-id': 'u1', 'x-user-role': 'owner' } }))
+      .toThrow(expect.objectContaining({ details: { status: 401 } }));
+  });
+});
+
+describe('HTTP API', () => {
+  it('should require identification headers', async () => {
+    const response = await request('/api/status');
+    expect(response.status).toBe(401);
+    expect((await response.json()).success).toBe(false);
+  });
+
+  it('should return the agent status to a viewer', async () => {
+    const response = await request('/api/status', { role: 'viewer' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.status.initialized).toBe(true);
+  });
+
+  it('should deny analysis to a viewer', async () => {
+    const response = await request('/api/analysis', { role: 'viewer', method: 'POST', body: {} });
+    const body = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(body.errorDetails.required).toBe('generate:reports');
+
+    const [entry] = await queryAuditTrail({ filePath: AGENT_CONFIG.audit.file });
+    expect(entry).toMatchObject({ user: { user_id: 'viewer-1', role: 'viewer' }, action: 'POST /api/analysis', details: { status: 403 } });
+  });
+
+  it('should run an analysis and serve the report for download', async () => {
+    const response = await request('/api/analysis', { role: 'operator', method: 'POST', body: { as_of_date: '2024-11-20' } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.recommendations[0].vehicle_line).toBe('2024 Ford Mustang');
+    expect(body.analysis_result).toBeUndefined();
+    expect(body.report.url).toMatch(/^\/api\/reports\/promotional_report_.*\.json$/);
+
+    const download = await request(body.report.url, { role: 'viewer' });
+    expect(download.status).toBe(200);
+    expect(download.headers.get('content-type')).toBe('application/json');
+    expect((await download.json()).recommendations).toHaveLength(body.recommendations.length);
+
+    const list = await (await request('/api/reports', { role: 'viewer' })).json();
+    expect(list.reports.map(report => report.url)).toContain(body.report.url);
+  });
+
+  it('should not serve files outside the output directory', async () => {
+    const response = await request('/api/reports/..%2Fpackage.json', { role: 'admin' });
+    expect(response.status).toBe(404);
+  });
+
+  it('should answer 404 for a report name with a malformed escape', async () => {
+    const response = await request('/api/reports/%E0%A4%A', { role: 'viewer' });
+    expect(response.status).toBe(404);
+  });
+
+  it('should summarize an uploaded inventory CSV without returning the units', async () => {
+    const response = await request('/api/inventory/summary', {
+      role: 'admin',
+      method: 'POST',
+      body: { inventory_csv: UPLOADED_CSV, as_of_date: '2024-11-20' }
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.summary.total_vehicles).toBe(2);
+    expect(body.data).toBeUndefined();
+  });
+
+  it('should need write access to upload inventory', async () => {
+    const response = await request('/api/inventory/summary', {
+      role: 'operator',
+      method: 'POST',
+      body: { inventory_csv: UPLOADED_CSV }
+    });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).errorDetails.required).toBe('write:inventory');
+  });
+
+  it('should summarize a dealer\'s incentives from the query string', async () => {
+    const response = await request('/api/incentives/summary?dealer=north&as_of_date=2024-11-20', { role: 'viewer' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.summary.thresholds.high_value).toBe(AGENT_CONFIG.business_rules.high_value_incentive_threshold);
+  });
+
+  it('should reuse cached tool results unless the request sends Cache-Control: no-cache', async () => {
+    const summary = '/api/incentives/summary?as_of_date=2024-11-20';
+    resetMetrics();
+
+    await request(summary, { role: 'viewer' });
+    await request(summary, { role: 'viewer' });
+    const fresh = await fetch(`${baseUrl}${summary}`, { headers: { ...as('viewer'), 'Cache-Control': 'no-cache' } });
+
+    expect(fresh.status).toBe(200);
+    expect(getSummary().counters).toMatchObject({ 'cache.misses': 1, 'cache.hits': 1 });
+  });
+
+  it('should answer a viewer\'s query with the tools a viewer may use', async () => {
+    const response = await request('/api/query', { role: 'viewer', method: 'POST', body: { query: 'How many units?' } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.response).toBe('25 vehicles');
+  });
+
+  it('should answer 429 when the per-request LLM budget would be exceeded', async () => {
+    const originalUsage = AGENT_CONFIG.usage;
+    AGENT_CONFIG.usage = { ...originalUsage, budgets: { daily_usd: null, per_run_usd: 0 }, prices: { ...originalUsage.prices, mock: { prompt: 1, completion: 1 } } };
+
+    try {
+      const response = await request('/api/query', { role: 'operator', method: 'POST', body: { query: 'How many units?' } });
+
+      expect(response.status).toBe(429);
+      expect((await response.json()).error).toMatch(/^Per-run LLM budget of \$0\.00 would be exceeded/);
+    } finally {
+      AGENT_CONFIG.usage = originalUsage;
+    }
+  });
+
+  it('should reject a malformed body and a missing query', async () => {
+    const malformed = await fetch(`${baseUrl}/api/query`, { method: 'POST', headers: as('operator'), body: '{nope' });
+    expect(malformed.status).toBe(400);
+
+    const empty = await request('/api/query', { role: 'operator', method: 'POST', body: { query: ' ' } });
+    expect(empty.status).toBe(400);
+  });
+
+  it('should expose metrics in the Prometheus format to operators only', async () => {
+    resetMetrics();
+    increment('report.generated', 3);
+
+    const response = await request('/metrics', { role: 'operator' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/plain; version=0\.0\.4/);
+    expect(await response.text()).toContain('promopilot_report_generated_total 3');
+    expect((await request('/metrics', { role: 'viewer' })).status).toBe(403);
+    resetMetrics();
+  });
+
+  it('should answer unknown routes with 404 and wrong methods with 405', async () => {
+    expect((await request('/api/nothing', { role: 'admin' })).status).toBe(404);
+    expect((await request('/api/status', { role: 'admin', method: 'POST', body: {} })).status).toBe(405);
+  });
+});
+
+describe('HTTP API with API keys', () => {
+  let usersFile;
+
+  beforeEach(async () => {
+    usersFile = path.join(outputDir, 'users.json');
+    await new Promise(resolve => server.close(resolve));
+    const config = { ...AGENT_CONFIG, server: { ...AGENT_CONFIG.server, auth: 'api_key' }, auth: { ...AGENT_CONFIG.auth, users_file: usersFile } };
+    await listen(createServer({ agent, config }));
+  });
+
+  it('should accept a bearer key or X-API-Key and ignore identity headers', async () => {
+    const { key_id, api_key } = await createUser('jane', 'viewer', { filePath: usersFile });
+
+    expect((await fetch(`${baseUrl}/api/status`, { headers: { Authorization: `Bearer ${api_key}` } })).status).toBe(200);
+    expect((await fetch(`${baseUrl}/api/status`, { headers: { 'X-API-Key': api_key } })).status).toBe(200);
+    expect((await request('/api/status', { role: 'admin' })).status).toBe(401);
+
+    await revokeApiKey(key_id, { filePath: usersFile });
+    expect((await fetch(`${baseUrl}/api/status`, { headers: { 'X-API-Key': api_key } })).status).toBe(401);
+  });
+
+  it('should apply the key owner\'s role', async () => {
+    const { api_key } = await createUser('jane', 'viewer', { filePath: usersFile });
+    const authenticate = createApiKeyAuthenticator({ filePath: usersFile });
+
+    expect((await authenticate({ headers: { authorization: `Bearer ${api_key}` } })).role).toBe('viewer');
+    const response = await fetch(`${baseUrl}/api/analysis`, { method: 'POST', headers: { 'X-API-Key': api_key } });
+    expect(response.status).toBe(403);
+  });
+});
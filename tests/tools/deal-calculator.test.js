@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the deal calculator tool
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { calculate_best_deal } from '../../tools/deal-calculator.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const westCash = {
+  id: 'honda_civic_west_cash',
+  program_name: 'Western Civic Cash',
+  make: 'Honda',
+  model: 'Civic',
+  year: 2024,
+  trim: 'All',
+  type: 'Customer Cash',
+  value: 1000,
+  start_date: '2024-11-01',
+  end_date: '2024-12-31',
+  stackable: true,
+  customer_type: 'All',
+  region: 'West',
+  dealer_cash: false,
+  customer_cash: true
+};
+
+let tmpDir;
+let incentivesPath;
+let originalCache;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deal-calculator-'));
+  incentivesPath = path.join(tmpDir, 'incentives.json');
+  await fs.writeJson(incentivesPath, [westCash]);
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('calculate_best_deal', () => {
+  const quote = params => runAsDefaultUser(() => calculate_best_deal({
+    vehicle_id: 'H001',
+    incentives_path: incentivesPath,
+    as_of_date: '2024-11-20',
+    ...params
+  }));
+
+  it('should leave out regional programs outside the configured dealership region', async () => {
+    const result = await quote();
+
+    expect(result.success).toBe(true);
+    expect(result.region).toBe('Central');
+    expect(result.combinations).toEqual([]);
+  });
+
+  it('should apply regional programs in the region it is given', async () => {
+    const result = await quote({ region: 'West' });
+
+    expect(result.success).toBe(true);
+    expect(result.region).toBe('West');
+    expect(result.best_offer.incentive_ids).toEqual(['honda_civic_west_cash']);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the incentive fetcher tool
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fetch_incentive_data } from '../../tools/incentive-fetcher.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { ErrorTypes } from '../../src/utils/error-handler.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+let tmpDir;
+let originalCache;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incentive-fetcher-'));
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('fetch_incentive_data', () => {
+  const fetchAsOf = as_of_date => runAsDefaultUser(() => fetch_incentive_data({
+    source_path: AGENT_CONFIG.data_sources.incentives_file,
+    as_of_date
+  }));
+
+  it('should work out statuses as of the date it is given', async () => {
+    const result = await fetchAsOf('2024-11-20');
+
+    expect(result.success).toBe(true);
+    expect(result.total_incentives).toBeGreaterThan(0);
+  });
+
+  it.each(['11/20/2024', '2024-02-30', 'next week', ''])('should reject the as-of date %p', async (asOfDate) => {
+    const result = await fetchAsOf(asOfDate);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe(`as_of_date must be a YYYY-MM-DD date, got ${asOfDate}`);
+    expect(result.errorType).toBe(ErrorTypes.VALIDATION);
+  });
+});
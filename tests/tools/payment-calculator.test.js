@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the payment calculator tool
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { calculate_payments } from '../../tools/payment-calculator.js';
+import { AGENT_CONFIG } from '../../src/config/agent-config.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const westCash = {
+  id: 'honda_civic_west_cash',
+  program_name: 'Western Civic Cash',
+  make: 'Honda',
+  model: 'Civic',
+  year: 2024,
+  trim: 'All',
+  type: 'Customer Cash',
+  value: 1000,
+  start_date: '2024-11-01',
+  end_date: '2024-12-31',
+  stackable: true,
+  customer_type: 'All',
+  region: 'West',
+  dealer_cash: false,
+  customer_cash: true
+};
+
+let tmpDir;
+let incentivesPath;
+let originalCache;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'payment-calculator-'));
+  incentivesPath = path.join(tmpDir, 'incentives.json');
+  await fs.writeJson(incentivesPath, [westCash]);
+  originalCache = AGENT_CONFIG.cache;
+  AGENT_CONFIG.cache = { ...originalCache, directory: path.join(tmpDir, 'cache') };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  AGENT_CONFIG.cache = originalCache;
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('calculate_payments', () => {
+  const quote = params => runAsDefaultUser(() => calculate_payments({
+    vehicle_id: 'H001',
+    incentives_path: incentivesPath,
+    as_of_date: '2024-11-20',
+    ...params
+  }));
+
+  it('should leave out regional programs outside the configured dealership region', async () => {
+    const result = await quote();
+
+    expect(result.success).toBe(true);
+    expect(result.region).toBe('Central');
+    expect(result.options.map(option => option.label)).toEqual(['No incentives at standard rate']);
+  });
+
+  it('should price regional programs in the region it is given', async () => {
+    const result = await quote({ region: 'West' });
+
+    expect(result.success).toBe(true);
+    expect(result.region).toBe('West');
+    expect(result.options.flatMap(option => option.incentive_ids)).toEqual(['honda_civic_west_cash']);
+  });
+
+  it('should accept numeric strings for payment assumptions', async () => {
+    const result = await quote({ down_payment: '3000', term_months: '72', standard_apr: '6.9' });
+
+    expect(result.success).toBe(true);
+    expect(result.assumptions).toMatchObject({ down_payment: 3000, term_months: 72, standard_apr: 6.9 });
+  });
+
+  it.each([
+    ['a flag given without a value', { down_payment: true }],
+    ['text that is not a number', { term_months: 'abc' }],
+    ['a blank value', { standard_apr: ' ' }]
+  ])('should reject %s', async (_, params) => {
+    const result = await quote(params);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/must be a number/);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the pricing analyzer tool
+ */
+
+import { jest } from '@jest/globals';
+import { analyze_pricing, analyzeVehiclePricing } from '../../tools/pricing-analyzer.js';
+import { AppError } from '../../src/utils/error-handler.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const vehicles = [
+  { vin: 'VIN1', year: 2024, make: 'Honda', model: 'Civic', trim: 'LX', msrp: 24500, invoice: 22800 },
+  { vin: 'VIN2', year: 2024, make: 'Toyota', model: 'Corolla', trim: 'LE', msrp: 25200, invoice: 23400 },
+  { vin: 'VIN3', year: 2022, make: 'Kia', model: 'Rio', trim: 'S', msrp: 20000, invoice: 18000 }
+];
+
+const comps = [
+  { year: 2024, make: 'Honda', model: 'Civic', trim: 'LX', price: 24000 },
+  { year: 2024, make: 'Honda', model: 'Civic', trim: 'LX', price: 24400 },
+  { year: 2024, make: 'Honda', model: 'Civic', trim: 'Sport', price: 27000 },
+  { year: 2024, make: 'toyota', model: 'corolla', trim: 'XLE', price: 24000 }
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('analyzeVehiclePricing', () => {
+  it('should compute price-to-market against same-trim comps', () => {
+    const [civic] = analyzeVehiclePricing(vehicles, comps, { marketPosition: 'balanced', minimumGross: 500 });
+
+    expect(civic).toMatchObject({
+      market_price: 24200,
+      comp_count: 2,
+      comp_match: 'trim',
+      price_to_market_pct: 101.2,
+      gross_to_invoice: 1700,
+      suggested_price: 24200,
+      suggested_gross: 1400,
+      floor_applied: false
+    });
+  });
+
+  it('should fall back to model-level comps when no trim matches', () => {
+    const [, corolla] = analyzeVehiclePricing(vehicles, comps, { marketPosition: 'balanced', minimumGross: 500 });
+
+    expect(corolla.comp_match).toBe('model');
+    expect(corolla.market_price).toBe(24000);
+  });
+
+  it('should never suggest a price below invoice plus the minimum gross', () => {
+    const [, corolla] = analyzeVehiclePricing(vehicles, comps, { marketPosition: 'aggressive', minimumGross: 1000 });
+
+    expect(corolla.suggested_price).toBe(24400);
+    expect(corolla.floor_applied).toBe(true);
+  });
+
+  it('should price off MSRP when there are no comps', () => {
+    const [, , rio] = analyzeVehiclePricing(vehicles, comps, { marketPosition: 'premium', minimumGross: 500 });
+
+    expect(rio).toMatchObject({
+      market_price: null,
+      comp_match: 'none',
+      price_to_market_pct: null,
+      suggested_price: 20000
+    });
+  });
+
+  it('should order suggested prices by positioning', () => {
+    const price = (position) => analyzeVehiclePricing(vehicles, comps, { marketPosition: position, minimumGross: 0 })[0].suggested_price;
+
+    expect(price('aggressive')).toBeLessThan(price('balanced'));
+    expect(price('balanced')).toBeLessThan(price('premium'));
+  });
+
+  it('should reject unknown positioning', () => {
+    expect(() => analyzeVehiclePricing(vehicles, comps, { marketPosition: 'reckless' })).toThrow(AppError);
+  });
+});
+
+describe('analyze_pricing', () => {
+  it('should return recommendations and a market summary', async () => {
+    const result = await runAsDefaultUser(() => analyze_pricing({
+      vehicle_data: JSON.stringify(vehicles),
+      market_position: 'balanced',
+      comps_path: './data/sample-competitor-comps.csv'
+    }));
+
+    expect(result.success).toBe(true);
+    expect(result.recommendations).toHaveLength(3);
+    expect(result.market_analysis).toMatchObject({
+      market_position: 'balanced',
+      vehicles_analyzed: 3,
+      vehicles_with_comps: 2
+    });
+  });
+
+  it('should keep the configured minimum gross whatever the model asks for', async () => {
+    const result = await runAsDefaultUser(() => analyze_pricing({
+      vehicle_data: JSON.stringify(vehicles),
+      market_position: 'aggressive',
+      comps_path: './data/sample-competitor-comps.csv',
+      minimum_gross: 0
+    }));
+
+    expect(result.success).toBe(true);
+    result.recommendations.forEach(rec => expect(rec.suggested_gross).toBeGreaterThanOrEqual(500));
+  });
+
+  it('should take a minimum gross from the caller', async () => {
+    const result = await runAsDefaultUser(() => analyze_pricing({
+      vehicle_data: JSON.stringify(vehicles),
+      market_position: 'aggressive'
+    }, { minimumGross: 5000 }));
+
+    expect(result.success).toBe(true);
+    result.recommendations.forEach(rec => expect(rec.suggested_gross).toBeGreaterThanOrEqual(5000));
+  });
+
+  it('should return an error response for invalid JSON', async () => {
+    const result = await runAsDefaultUser(() => analyze_pricing({ vehicle_data: 'not json' }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('vehicle_data is not valid JSON');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the report formatter tool
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { generate_promotional_report, reportFormatterDefinition } from '../../tools/report-formatter.js';
+import { runAsDefaultUser } from '../../src/utils/access-control.js';
+
+const recommendations = [
+  { rank: 1, vehicle_line: '2024 Ford Mustang', rationale: 'Aging stock with strong incentives' }
+];
+
+let tmpDir;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-report-'));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('generate_promotional_report', () => {
+  it('should not let the model choose where the report is written', async () => {
+    const elsewhere = path.join(tmpDir, 'elsewhere');
+
+    const result = await runAsDefaultUser(() => generate_promotional_report(
+      { recommendations, output_directory: elsewhere },
+      { outputDirectory: path.join(tmpDir, 'reports') }
+    ));
+
+    expect(reportFormatterDefinition.function.parameters.properties).not.toHaveProperty('output_directory');
+    expect(path.dirname(result.file_path)).toBe(path.join(tmpDir, 'reports'));
+    expect(await fs.pathExists(elsewhere)).toBe(false);
+  });
+
+  it('should give every report its own file so an audited hash keeps matching', async () => {
+    const outputDirectory = path.join(tmpDir, 'reports');
+
+    const first = await runAsDefaultUser(() => generate_promotional_report({ recommendations }, { outputDirectory, label: 'north' }));
+    const second = await runAsDefaultUser(() => generate_promotional_report({ recommendations }, { outputDirectory, label: 'north' }));
+
+    expect(path.basename(first.file_path)).toMatch(/^promotional_report_\d{4}-\d{2}-\d{2}_\d{9}_north_[0-9a-f]{6}\.json$/);
+    expect(second.file_path).not.toBe(first.file_path);
+    expect(await fs.readdir(outputDirectory)).toHaveLength(2);
+  });
+});
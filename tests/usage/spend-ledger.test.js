@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the LLM spend ledger
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  withUsageRun,
+  getRunUsage,
+  estimateCost,
+  checkBudget,
+  recordUsage,
+  summarizeSpend
+} from '../../src/usage/spend-ledger.js';
+import { ErrorTypes } from '../../src/utils/error-handler.js';
+import { UserRoles, createDefaultUserContext, runWithUserContext } from '../../src/utils/access-control.js';
+
+let tmpDir;
+let filePath;
+
+const entry = (timestamp, fields = {}) => ({
+  timestamp,
+  run_id: 'run_1',
+  command: 'cli analyze',
+  operation: 'analyzeAndRecommend',
+  user_id: 'jane',
+  model: 'gpt-4o-mini',
+  prompt_tokens: 1000,
+  completion_tokens: 500,
+  total_tokens: 1500,
+  cost_usd: 0.00045,
+  ...fields
+});
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-spend-'));
+  filePath = path.join(tmpDir, 'spend-ledger.jsonl');
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('estimateCost', () => {
+  it('should price prompt and completion tokens per million', () => {
+    expect(estimateCost({ prompt_tokens: 1000, completion_tokens: 500 }, 'gpt-4o-mini')).toBe(0.00045);
+    expect(estimateCost({ prompt_tokens: 1000000, completion_tokens: 0 }, 'gpt-4o')).toBe(2.5);
+  });
+
+  it('should use the default price for unlisted models and fail without one', () => {
+    const prices = { default: { prompt: 1, completion: 2 } };
+    expect(estimateCost({ prompt_tokens: 1000000, completion_tokens: 1000000 }, 'future-model', prices)).toBe(3);
+    expect(() => estimateCost({}, 'future-model', {})).toThrow('No price configured for model future-model');
+  });
+});
+
+describe('recordUsage', () => {
+  it('should append the call with its user and run, and total the run', async () => {
+    const user = createDefaultUserContext(UserRoles.OPERATOR);
+
+    const run = await runWithUserContext(user, () => withUsageRun('cli query', async () => {
+      await recordUsage({ operation: 'quickRecommendation', provider: 'openai', model: 'gpt-4o-mini', usage: { prompt_tokens: 1000, completion_tokens: 500 } }, { filePath });
+      await recordUsage({ operation: 'quickRecommendation', provider: 'openai', model: 'gpt-4o-mini', usage: { prompt_tokens: 1000, completion_tokens: 500 } }, { filePath });
+      return getRunUsage();
+    }));
+
+    expect(run).toMatchObject({ command: 'cli query', calls: 2, total_tokens: 3000, cost_usd: 0.0009 });
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ run_id: run.run_id, user_id: 'default_operator', role: 'operator', cost_usd: 0.00045 });
+  });
+});
+
+describe('checkBudget', () => {
+  it('should pass calls that fit and refuse ones that could exceed the per-run budget', async () => {
+    const budgets = { daily_usd: null, per_run_usd: 0.01 };
+
+    await withUsageRun('cli analyze', async () => {
+      // 4,000 prompt characters and 2,000 completion tokens of gpt-4o-mini: about $0.0014
+      expect(await checkBudget({ model: 'gpt-4o-mini', prompt: 'x'.repeat(4000), maxCompletionTokens: 2000 }, { budgets, filePath })).toBeCloseTo(0.00135);
+
+      await recordUsage({ operation: 'analyzeAndRecommend', provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 4000, completion_tokens: 0 } }, { filePath });
+      await expect(checkBudget({ model: 'gpt-4o-mini', prompt: 'x', maxCompletionTokens: 2000 }, { budgets, filePath }))
+        .rejects.toMatchObject({ type: ErrorTypes.BUDGET, details: { limit_usd: 0.01, spent_usd: 0.01 } });
+    });
+  });
+
+  it('should only count today against the daily budget', async () => {
+    const yesterday = new Date(Date.now() - 86400000).toISOString();
+    await fs.writeFile(filePath, `${JSON.stringify(entry(yesterday, { cost_usd: 10 }))}\n`);
+    const budgets = { daily_usd: 1, per_run_usd: null };
+
+    await expect(checkBudget({ model: 'gpt-4o-mini', prompt: 'hi' }, { budgets, filePath })).resolves.toBeGreaterThan(0);
+
+    await fs.appendFile(filePath, `${JSON.stringify(entry(new Date().toISOString(), { cost_usd: 0.9999 }))}\n`);
+    await expect(checkBudget({ model: 'gpt-4o-mini', prompt: 'hi' }, { budgets, filePath }))
+      .rejects.toThrow(/^Daily LLM budget of \$1\.00 would be exceeded: \$0\.9999 spent/);
+  });
+});
+
+describe('unreadable ledger lines', () => {
+  it('should skip a truncated line with a warning instead of failing every budget check', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const today = JSON.stringify(entry(new Date().toISOString(), { cost_usd: 0.5 }));
+    // A crash mid-append leaves half a line with no newline after it
+    await fs.writeFile(filePath, `${today}\n${today.slice(0, 40)}`);
+    const budgets = { daily_usd: 1, per_run_usd: null };
+
+    await expect(checkBudget({ model: 'gpt-4o-mini', prompt: 'hi' }, { budgets, filePath })).resolves.toBeGreaterThan(0);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 unreadable line(s)'), expect.objectContaining({ lines: [2] }));
+
+    await recordUsage({ operation: 'query', provider: 'openai', model: 'gpt-4o-mini', usage: { prompt_tokens: 10, completion_tokens: 5 } }, { filePath });
+    const { total } = await summarizeSpend({ filePath });
+
+    expect(total.calls).toBe(2);
+  });
+});
+
+describe('summarizeSpend', () => {
+  beforeEach(async () => {
+    const lines = [
+      entry('2024-10-30T10:00:00.000Z'),
+      entry('2024-11-02T10:00:00.000Z', { user_id: 'bob', command: 'POST /api/analysis' }),
+      entry('2024-11-05T10:00:00.000Z', { model: 'gpt-4o', cost_usd: 0.0075 })
+    ];
+    await fs.writeFile(filePath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+  });
+
+  it('should total spend by month by default', async () => {
+    const { groups, total } = await summarizeSpend({ filePath });
+
+    expect(groups.map(group => [group.key, group.calls, group.cost_usd])).toEqual([['2024-10', 1, 0.00045], ['2024-11', 2, 0.00795]]);
+    expect(total).toMatchObject({ calls: 3, total_tokens: 4500, cost_usd: 0.0084 });
+  });
+
+  it('should filter by date and user and group by any dimension', async () => {
+    const byCommand = await summarizeSpend({ since: '2024-11-01', groupBy: 'command', filePath });
+    expect(byCommand.groups.map(group => group.key)).toEqual(['cli analyze', 'POST /api/analysis']);
+
+    const jane = await summarizeSpend({ user: 'jane', until: '2024-11-04', groupBy: 'model', filePath });
+    expect(jane.total.calls).toBe(1);
+
+    await expect(summarizeSpend({ groupBy: 'week', filePath })).rejects.toThrow('Unknown grouping: week');
+  });
+});
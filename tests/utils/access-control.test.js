@@ -0,0 +1,81 @@
+/**
+ * Unit tests for access control: active user binding and tool permissions
+ */
+
+import { jest } from '@jest/globals';
+import {
+  UserRoles,
+  Permissions,
+  TOOL_PERMISSIONS,
+  createDefaultUserContext,
+  runWithUserContext,
+  getCurrentUserContext,
+  requireToolPermission,
+  runAsDefaultUser,
+  permittedTools
+} from '../../src/utils/access-control.js';
+import { generate_promotional_report } from '../../tools/report-formatter.js';
+import { AGENT_TOOLS } from '../../src/promopilot-agent.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runWithUserContext', () => {
+  it('should expose the user to everything the function awaits', async () => {
+    const viewer = createDefaultUserContext(UserRoles.VIEWER);
+
+    const seen = await runWithUserContext(viewer, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return getCurrentUserContext();
+    });
+
+    expect(seen).toBe(viewer);
+    expect(getCurrentUserContext()).toBeNull();
+  });
+});
+
+describe('requireToolPermission', () => {
+  it('should bind every agent tool to a permission', () => {
+    expect(Object.keys(TOOL_PERMISSIONS).sort()).toEqual([...AGENT_TOOLS].sort());
+  });
+
+  it('should check the active user, including extra permissions', () => {
+    const operator = createDefaultUserContext(UserRoles.OPERATOR);
+
+    expect(runWithUserContext(operator, () => requireToolPermission('generate_promotional_report'))).toBe(true);
+    expect(() => runWithUserContext(operator, () => requireToolPermission('ingest_inventory_data', Permissions.WRITE_INVENTORY)))
+      .toThrow('Permission denied: write:inventory');
+  });
+
+  it('should refuse calls with no active user', async () => {
+    expect(() => requireToolPermission('generate_promotional_report')).toThrow('No user context provided');
+    expect(runAsDefaultUser(() => requireToolPermission('generate_promotional_report'))).toBe(true);
+
+    const result = await generate_promotional_report({ recommendations: [] });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('No user context provided');
+  });
+
+  it('should make a tool fail for a user without its permission', async () => {
+    const viewer = createDefaultUserContext(UserRoles.VIEWER);
+
+    const result = await runWithUserContext(viewer, () => generate_promotional_report({ recommendations: [] }));
+
+    expect(result.success).toBe(false);
+    expect(result.errorDetails).toEqual({ required: Permissions.GENERATE_REPORTS, userId: viewer.userId });
+  });
+});
+
+describe('permittedTools', () => {
+  it('should drop the tools a role may not call', () => {
+    expect(permittedTools(createDefaultUserContext(UserRoles.VIEWER), AGENT_TOOLS)).not.toContain('generate_promotional_report');
+    expect(permittedTools(createDefaultUserContext(UserRoles.ADMIN), AGENT_TOOLS)).toEqual(AGENT_TOOLS);
+  });
+});
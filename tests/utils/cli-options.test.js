@@ -0,0 +1,24 @@
+/**
+ * Unit tests for CLI option parsing
+ */
+
+import { parseOptions } from '../../src/utils/cli-options.js';
+
+describe('parseOptions', () => {
+  it('should read a flag followed by a word as its value', () => {
+    expect(parseOptions(['--as-of', '2024-11-20', 'C004'])).toEqual({ _: ['C004'], 'as-of': '2024-11-20' });
+  });
+
+  it('should read an inline value', () => {
+    expect(parseOptions(['--api-key=secret', 'Which', 'models?'])).toEqual({ _: ['Which', 'models?'], 'api-key': 'secret' });
+  });
+
+  it('should set a flag followed by another flag or nothing to true', () => {
+    expect(parseOptions(['--dealer', '--format', 'json', '--verbose'])).toEqual({ _: [], dealer: true, format: 'json', verbose: true });
+  });
+
+  it('should leave the word after --no-cache as a bare argument', () => {
+    expect(parseOptions(['--no-cache', 'C004'])).toEqual({ _: ['C004'], 'no-cache': true });
+    expect(parseOptions(['--no-cache', 'my.csv', '--rejects', 'rejects.csv'])).toEqual({ _: ['my.csv'], 'no-cache': true, rejects: 'rejects.csv' });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit tests for metrics export and snapshots
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import metrics, {
+  increment,
+  gauge,
+  getSummary,
+  resetMetrics,
+  getRunSummary,
+  formatPrometheus,
+  saveMetricsSnapshot,
+  loadMetricsSnapshot,
+  instrument,
+  instrumentMethods,
+  MetricNames,
+  PerformanceThresholds
+} from '../../src/utils/metrics.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../../src/utils/error-handler.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promopilot-metrics-'));
+  resetMetrics();
+});
+
+afterEach(async () => {
+  resetMetrics();
+  jest.restoreAllMocks();
+  await fs.remove(tmpDir);
+});
+
+describe('instrument', () => {
+  it('should record duration, rows and success of each call', async () => {
+    const ingest = instrument('ingest', async () => ({ success: true, total_vehicles: 25 }), {
+      metric: MetricNames.INVENTORY_INGESTION,
+      rows: result => result.total_vehicles
+    });
+
+    await ingest();
+    await ingest();
+
+    const summary = getSummary();
+    expect(summary.histograms[MetricNames.INVENTORY_INGESTION].count).toBe(2);
+    expect(summary.counters['operation.rows']).toBe(50);
+    expect(formatPrometheus()).toContain('promopilot_operation_calls_total{operation="ingest",status="success"} 2');
+    expect(getRunSummary().operations).toEqual([
+      expect.objectContaining({ operation: 'ingest', calls: 2, failures: 0, rows: 50 })
+    ]);
+  });
+
+  it('should count failed responses and thrown errors by category', async () => {
+    const failing = instrument('fetch', async () => ({ success: false, error: 'Missing required field', errorType: ErrorTypes.VALIDATION }));
+    const throwing = instrument('fetch', async () => {
+      throw new AppError('connect ECONNREFUSED', ErrorTypes.NETWORK, ErrorSeverity.HIGH);
+    });
+
+    expect((await failing()).success).toBe(false);
+    await expect(throwing()).rejects.toThrow('ECONNREFUSED');
+
+    const [stats] = getRunSummary().operations;
+    expect(stats).toMatchObject({ calls: 2, failures: 2, error_categories: { bad_input: 1, network: 1 } });
+    expect(getSummary().errors).toMatchObject({ total: 2, by_category: { bad_input: 1, network: 1 } });
+  });
+
+  it('should list threshold breaches for the run', async () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValueOnce(0).mockReturnValueOnce(PerformanceThresholds.WARNING[MetricNames.REPORT_GENERATION] + 1);
+    const report = instrument('report', async () => ({ success: true }), { metric: MetricNames.REPORT_GENERATION });
+
+    await report();
+
+    expect(getRunSummary().threshold_breaches).toEqual([
+      { level: 'warning', metric: MetricNames.REPORT_GENERATION, value: 30001, threshold: 30000 }
+    ]);
+  });
+
+  it('should wrap methods and keep `this`', async () => {
+    class Counter {
+      constructor() {
+        this.total = 3;
+      }
+
+      async read() {
+        return { success: true, total: this.total };
+      }
+    }
+    instrumentMethods(Counter.prototype, 'counter', { read: { rows: result => result.total } });
+
+    expect((await new Counter().read()).total).toBe(3);
+    expect(getSummary().histograms['counter.read'].count).toBe(1);
+  });
+});
+
+describe('formatPrometheus', () => {
+  it('should export counters, gauges and histograms with labels', () => {
+    increment('error.by_type', 2, { type: 'VALIDATION' });
+    increment('error.by_type', 1, { type: 'NETWORK' });
+    gauge('inventory.units', 25, { dealer: 'north "lot"' });
+    [10, 20, 30, 40].forEach(value => metrics.histogram('inventory.ingestion', value));
+
+    const text = formatPrometheus();
+
+    expect(text.match(/# TYPE promopilot_error_by_type_total counter/g)).toHaveLength(1);
+    expect(text).toContain('promopilot_error_by_type_total{type="VALIDATION"} 2');
+    expect(text).toContain('promopilot_error_by_type_total{type="NETWORK"} 1');
+    expect(text).toContain('promopilot_inventory_units{dealer="north \\"lot\\""} 25');
+    expect(text).toContain('# TYPE promopilot_inventory_ingestion summary');
+    expect(text).toContain('promopilot_inventory_ingestion{quantile="0.5"} 20');
+    expect(text).toContain('promopilot_inventory_ingestion{quantile="0.99"} 40');
+    expect(text).toContain('promopilot_inventory_ingestion_sum 100');
+    expect(text).toContain('promopilot_inventory_ingestion_count 4');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('should be empty without metrics', () => {
+    expect(formatPrometheus()).toBe('');
+  });
+});
+
+describe('metrics snapshots', () => {
+  it('should merge a saved snapshot into the next run', async () => {
+    const filePath = path.join(tmpDir, 'metrics', 'metrics.json');
+    increment('report.generated', 2);
+    gauge('inventory.units', 25);
+    metrics.histogram('agent.analysis', 100);
+    await saveMetricsSnapshot(filePath);
+
+    // The next CLI run starts empty and records its own values before loading
+    resetMetrics();
+    increment('report.generated', 1);
+    metrics.histogram('agent.analysis', 300);
+    expect(await loadMetricsSnapshot(filePath)).toBe(true);
+
+    const summary = getSummary();
+    expect(summary.counters['report.generated']).toBe(3);
+    expect(summary.gauges['inventory.units']).toBe(25);
+    expect(summary.histograms['agent.analysis']).toMatchObject({ count: 2, min: 100, max: 300, avg: 200 });
+    expect(formatPrometheus()).toContain('promopilot_agent_analysis_sum 400');
+  });
+
+  it('should keep running totals beyond the retained histogram values', async () => {
+    const filePath = path.join(tmpDir, 'metrics.json');
+    for (let i = 0; i < 1200; i++) metrics.histogram('api.latency', 1);
+    await saveMetricsSnapshot(filePath);
+    resetMetrics();
+
+    await loadMetricsSnapshot(filePath);
+
+    expect(getSummary().histograms['api.latency'].count).toBe(1200);
+    expect((await fs.readJson(filePath)).metrics['api.latency'].values).toHaveLength(1000);
+  });
+
+  it('should add only new counts to a file another run saved in the meantime', async () => {
+    const filePath = path.join(tmpDir, 'metrics.json');
+    increment('report.generated', 2);
+    metrics.histogram('agent.analysis', 100);
+    await saveMetricsSnapshot(filePath);
+
+    // A server next to this CLI run saves its own counts
+    const other = await fs.readJson(filePath);
+    other.metrics['report.generated'].value = 10;
+    await fs.writeJson(filePath, other);
+
+    increment('report.generated', 1);
+    metrics.histogram('agent.analysis', 300);
+    await saveMetricsSnapshot(filePath);
+
+    const saved = (await fs.readJson(filePath)).metrics;
+    expect(saved['report.generated'].value).toBe(11);
+    expect(saved['agent.analysis']).toMatchObject({ count: 2, sum: 400 });
+    expect(await fs.readdir(tmpDir)).toEqual(['metrics.json']);
+  });
+
+  it('should replace a snapshot file that cannot be read', async () => {
+    const filePath = path.join(tmpDir, 'metrics.json');
+    await fs.writeFile(filePath, '{"version": 1, "metr');
+    increment('report.generated', 1);
+
+    await saveMetricsSnapshot(filePath);
+
+    expect((await fs.readJson(filePath)).metrics['report.generated'].value).toBe(1);
+  });
+
+  it('should ignore a missing snapshot or one with an unknown version', async () => {
+    const filePath = path.join(tmpDir, 'metrics.json');
+    expect(await loadMetricsSnapshot(filePath)).toBe(false);
+
+    await fs.writeJson(filePath, { version: 99, metrics: { x: { type: 'counter', value: 1, tags: {} } } });
+    expect(await loadMetricsSnapshot(filePath)).toBe(false);
+    expect(getSummary().counters).toEqual({});
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for retries, timeouts and the circuit breaker
+ */
+
+import { jest } from '@jest/globals';
+import {
+  CircuitStates,
+  CircuitBreaker,
+  isRetryable,
+  backoffDelay,
+  withTimeout,
+  callWithRetries
+} from '../../src/utils/resilience.js';
+import { getSummary, resetMetrics } from '../../src/utils/metrics.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../../src/utils/error-handler.js';
+
+const networkError = () => new AppError('connect ECONNREFUSED', ErrorTypes.NETWORK, ErrorSeverity.HIGH);
+const noSleep = () => Promise.resolve();
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  resetMetrics();
+});
+
+afterEach(() => {
+  resetMetrics();
+  jest.restoreAllMocks();
+});
+
+describe('backoffDelay', () => {
+  it('should double the delay per retry up to the maximum', () => {
+    const options = { base_delay_ms: 500, max_delay_ms: 3000, jitter: 0 };
+    expect([1, 2, 3, 4].map(retry => backoffDelay(retry, options))).toEqual([500, 1000, 2000, 3000]);
+  });
+
+  it('should cut the delay by up to the jitter fraction', () => {
+    expect(backoffDelay(2, { base_delay_ms: 500, max_delay_ms: 8000, jitter: 0.5, random: () => 1 })).toBe(500);
+    expect(backoffDelay(2, { base_delay_ms: 500, max_delay_ms: 8000, jitter: 0.5, random: () => 0 })).toBe(1000);
+  });
+});
+
+describe('isRetryable', () => {
+  it('should retry transient failures only', () => {
+    expect(isRetryable(networkError())).toBe(true);
+    expect(isRetryable(Object.assign(new Error('Rate limit reached'), { status: 429 }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('Invalid API key'), { status: 401 }))).toBe(false);
+    expect(isRetryable(new AppError('Missing required field', ErrorTypes.VALIDATION))).toBe(false);
+    expect(isRetryable(new AppError('Budget exceeded', ErrorTypes.BUDGET))).toBe(false);
+  });
+});
+
+describe('withTimeout', () => {
+  it('should reject work that takes too long', async () => {
+    const never = new Promise(() => {});
+    await expect(withTimeout(never, 10, 'analyzeAndRecommend')).rejects.toThrow('analyzeAndRecommend timed out after 10 ms');
+    await expect(withTimeout(Promise.resolve('done'), 10, 'query')).resolves.toBe('done');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should open after repeated failures, allow one trial call after the reset timeout and close on success', () => {
+    let time = 0;
+    const breaker = new CircuitBreaker('openai', { failure_threshold: 2, reset_timeout_ms: 1000, now: () => time });
+
+    breaker.recordFailure();
+    breaker.acquire();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitStates.OPEN);
+    expect(() => breaker.acquire()).toThrow('Circuit for openai is open after 2 consecutive failures');
+
+    time = 1000;
+    breaker.acquire();
+    expect(breaker.state).toBe(CircuitStates.HALF_OPEN);
+    expect(() => breaker.acquire()).toThrow(AppError);
+
+    breaker.recordSuccess();
+    expect(breaker.describe()).toEqual({ name: 'openai', state: CircuitStates.CLOSED, consecutive_failures: 0 });
+    expect(getSummary().counters).toMatchObject({ 'circuit.opened': 1, 'circuit.rejected': 2 });
+  });
+
+  it('should open again when the trial call fails', () => {
+    let time = 0;
+    const breaker = new CircuitBreaker('openai', { failure_threshold: 1, reset_timeout_ms: 1000, now: () => time });
+    breaker.recordFailure();
+
+    time = 1500;
+    breaker.acquire();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitStates.OPEN);
+    expect(() => breaker.acquire()).toThrow(expect.objectContaining({ details: { circuit: 'openai', retry_after_ms: 1000 } }));
+    expect(getSummary().gauges['circuit.state']).toBe(2);
+  });
+});
+
+describe('callWithRetries', () => {
+  it('should retry transient failures with backoff until a call succeeds', async () => {
+    const sleep = jest.fn(noSleep);
+    const fn = jest.fn()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue('ok');
+
+    const result = await callWithRetries('query', fn, { max_retries: 2, base_delay_ms: 100, jitter: 0, sleep });
+
+    expect(result).toBe('ok');
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+    expect(getSummary().counters).toMatchObject({ 'resilience.attempts': 3, 'resilience.retries': 2 });
+  });
+
+  it('should give up after the last retry', async () => {
+    const fn = jest.fn().mockRejectedValue(networkError());
+
+    await expect(callWithRetries('query', fn, { max_retries: 1, sleep: noSleep })).rejects.toThrow('ECONNREFUSED');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(getSummary().counters['resilience.exhausted']).toBe(1);
+  });
+
+  it('should not retry errors that would fail the same way again', async () => {
+    const breaker = new CircuitBreaker('openai', { failure_threshold: 1 });
+    const fn = jest.fn().mockRejectedValue(new AppError('Missing required field', ErrorTypes.VALIDATION));
+
+    await expect(callWithRetries('query', fn, { breaker, sleep: noSleep })).rejects.toThrow('Missing required field');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(breaker.state).toBe(CircuitStates.CLOSED);
+  });
+
+  it('should stop retrying once the circuit opens and refuse later calls', async () => {
+    const breaker = new CircuitBreaker('openai', { failure_threshold: 2, reset_timeout_ms: 60000 });
+    const fn = jest.fn().mockRejectedValue(networkError());
+
+    await expect(callWithRetries('query', fn, { breaker, max_retries: 5, sleep: noSleep })).rejects.toThrow('ECONNREFUSED');
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    await expect(callWithRetries('query', fn, { breaker, sleep: noSleep })).rejects.toMatchObject({ details: { circuit: 'openai' } });
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry an attempt that timed out, since it may still be running', async () => {
+    const breaker = new CircuitBreaker('openai', { failure_threshold: 5 });
+    const fn = jest.fn()
+      .mockReturnValueOnce(new Promise(() => {}))
+      .mockResolvedValue('ok');
+
+    await expect(callWithRetries('query', fn, { breaker, timeout_ms: 10, sleep: noSleep }))
+      .rejects.toMatchObject({ details: { timeout_ms: 10 } });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(breaker.failures).toBe(1);
+  });
+});
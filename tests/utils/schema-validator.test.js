@@ -0,0 +1,78 @@
+/**
+ * Unit tests for recommendation schema validation
+ */
+
+import {
+  validateRecommendations,
+  extractJson,
+  describeRecommendationSchema
+} from '../../src/utils/schema-validator.js';
+import { AppError } from '../../src/utils/error-handler.js';
+
+const validRecommendation = {
+  vehicle_line: '2024 Ford Mustang',
+  rank: 1,
+  key_metrics: { inventory_count: 3, avg_days_on_lot: 137, best_incentive_value: 3000 },
+  rationale: 'Aged units with strong dealer cash',
+  promotional_approach: 'Weekend event',
+  incentive_ids: ['ford_mustang_2024_dealer_cash']
+};
+
+const errorsFor = (recommendations, options) => {
+  try {
+    validateRecommendations(recommendations, options);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(AppError);
+    return error.details.errors;
+  }
+};
+
+describe('validateRecommendations', () => {
+  it('should accept valid recommendations and sort them by rank', () => {
+    const second = { ...validRecommendation, vehicle_line: '2023 Ford Mustang', rank: 2 };
+
+    expect(validateRecommendations([second, validRecommendation]).map(rec => rec.rank)).toEqual([1, 2]);
+  });
+
+  it('should list every missing or mistyped field', () => {
+    const { rationale, ...withoutRationale } = validRecommendation;
+    const errors = errorsFor([{ ...withoutRationale, key_metrics: { inventory_count: '3', avg_days_on_lot: 1, best_incentive_value: 0 } }]);
+
+    expect(errors).toEqual([
+      'recommendations[0].key_metrics.inventory_count must be of type number, got string',
+      'recommendations[0].rationale is required'
+    ]);
+  });
+
+  it('should require consecutive ranks and respect the maximum count', () => {
+    expect(errorsFor([validRecommendation, { ...validRecommendation, rank: 3 }]))
+      .toEqual(['Ranks must run 1 to 2 without gaps or duplicates']);
+    expect(errorsFor([validRecommendation, { ...validRecommendation, rank: 2 }], { maxRecommendations: 1 }))
+      .toEqual(['Expected at most 1 recommendations, got 2']);
+  });
+
+  it('should reject an empty list', () => {
+    expect(errorsFor([])).toEqual(['recommendations must be a non-empty array']);
+  });
+});
+
+describe('extractJson', () => {
+  it('should parse fenced or prose-wrapped JSON', () => {
+    expect(extractJson('```json\n{"recommendations": []}\n```')).toEqual({ recommendations: [] });
+    expect(extractJson('Here you go: {"a": 1} Thanks!')).toEqual({ a: 1 });
+  });
+
+  it('should throw a validation error for non-JSON text', () => {
+    expect(() => extractJson('I recommend the Mustang.')).toThrow('Response is not valid JSON');
+  });
+});
+
+describe('describeRecommendationSchema', () => {
+  it('should describe every field for the prompt', () => {
+    const text = describeRecommendationSchema();
+
+    expect(text).toContain('- vehicle_line (string, required)');
+    expect(text).toContain('with inventory_count, avg_days_on_lot, best_incentive_value');
+  });
+});
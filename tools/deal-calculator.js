@@ -0,0 +1,103 @@
+/**
+ * Deal Calculator Tool
+ * Works out valid incentive stacks and the best customer offer for a unit
+ */
+
+import logger from '../src/utils/logger.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { createResponse, handleError } from '../src/utils/common-utils.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { loadEligibilityInputs, evaluateIncentiveEligibility } from '../src/analysis/incentive-eligibility.js';
+import { calculateBestDeals, describeOffer } from '../src/analysis/incentive-stacking.js';
+
+export const dealCalculatorDefinition = {
+  type: 'function',
+  function: {
+    name: 'calculate_best_deal',
+    description: 'Calculate the valid incentive combinations for a stock unit and customer type: stackable cash together, special APR and lease programs as alternatives to cash-back. Returns customer savings and dealer cash for each combination and the best offer.',
+    parameters: {
+      type: 'object',
+      properties: {
+        vehicle_id: {
+          type: 'string',
+          description: 'Stock number or VIN of the unit to quote'
+        },
+        customer_type: {
+          type: 'string',
+          description: 'Customer type (e.g. All, Military, Loyalty, Conquest)',
+          default: 'All'
+        },
+        inventory_path: {
+          type: 'string',
+          description: 'Path to the inventory CSV file'
+        },
+        incentives_path: {
+          type: 'string',
+          description: 'Path to the incentive data file (JSON format)'
+        },
+        region: {
+          type: 'string',
+          description: 'Dealer region used for regional programs. Defaults to the configured dealership region.'
+        },
+        as_of_date: {
+          type: 'string',
+          description: 'Sale date (YYYY-MM-DD) to check program windows against. Defaults to today.'
+        }
+      },
+      required: ['vehicle_id']
+    }
+  }
+};
+
+// Every call is timed and counted in metrics
+export const calculate_best_deal = instrument('calculate_best_deal', quoteBestDeal, {
+  metric: MetricNames.DEAL_CALCULATION,
+  rows: result => result.combinations?.length
+});
+
+async function quoteBestDeal({
+  vehicle_id,
+  customer_type = 'All',
+  inventory_path = AGENT_CONFIG.data_sources.inventory_file,
+  incentives_path = AGENT_CONFIG.data_sources.incentives_file,
+  region = AGENT_CONFIG.dealership.region,
+  as_of_date = null
+}) {
+  const log = logger.child('deal-calculator');
+
+  try {
+    requireToolPermission('calculate_best_deal');
+
+    log.info(`Calculating best deal for ${vehicle_id} (${customer_type})`);
+
+    const { vehicles: [vehicle], incentives } = await loadEligibilityInputs({
+      inventoryPath: inventory_path,
+      incentivesPath: incentives_path,
+      vehicleId: vehicle_id,
+      asOfDate: as_of_date
+    });
+
+    const eligible = incentives.filter(incentive =>
+      evaluateIncentiveEligibility(vehicle, incentive, { region, asOfDate: as_of_date || undefined }).eligible
+    );
+
+    const deals = calculateBestDeals(vehicle, eligible, { customerType: customer_type });
+
+    return createResponse(true, {
+      ...deals,
+      vehicle_line: vehicle.vehicle_line,
+      msrp: vehicle.msrp,
+      region,
+      best_offer_summary: describeOffer(deals.best_offer)
+    });
+  } catch (error) {
+    return handleError(error, 'Deal calculation', log);
+  }
+}
+
+// Export for OpenAI Agents SDK
+export default {
+  calculate_best_deal: calculate_best_deal,
+  dealCalculatorDefinition: dealCalculatorDefinition
+};
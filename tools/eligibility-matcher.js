@@ -0,0 +1,97 @@
+/**
+ * Eligibility Matcher Tool
+ * Determines which incentive programs each stock unit qualifies for
+ */
+
+import logger from '../src/utils/logger.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { createResponse, handleError } from '../src/utils/common-utils.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { matchInventoryEligibility, loadEligibilityInputs } from '../src/analysis/incentive-eligibility.js';
+
+export const eligibilityMatcherDefinition = {
+  type: 'function',
+  function: {
+    name: 'match_incentive_eligibility',
+    description: 'Match stock units against incentive programs by year, make, model, trim, region and program dates. Returns, per VIN, the eligible programs and the ineligible ones with a reason for each.',
+    parameters: {
+      type: 'object',
+      properties: {
+        inventory_path: {
+          type: 'string',
+          description: 'Path to the inventory CSV file'
+        },
+        incentives_path: {
+          type: 'string',
+          description: 'Path to the incentive data file (JSON format)'
+        },
+        vehicle_id: {
+          type: 'string',
+          description: 'Optional stock number or VIN to limit the match to a single unit'
+        },
+        region: {
+          type: 'string',
+          description: 'Dealer region used for regional programs. Defaults to the configured dealership region.'
+        },
+        as_of_date: {
+          type: 'string',
+          description: 'Sale date (YYYY-MM-DD) to check program windows against. Defaults to today.'
+        }
+      },
+      required: []
+    }
+  }
+};
+
+// Every call is timed and counted in metrics
+export const match_incentive_eligibility = instrument('match_incentive_eligibility', matchIncentiveEligibility, {
+  metric: MetricNames.ELIGIBILITY_MATCH,
+  rows: result => result.vehicles_matched
+});
+
+async function matchIncentiveEligibility({
+  inventory_path = AGENT_CONFIG.data_sources.inventory_file,
+  incentives_path = AGENT_CONFIG.data_sources.incentives_file,
+  vehicle_id = null,
+  region = AGENT_CONFIG.dealership.region,
+  as_of_date = null
+} = {}) {
+  const log = logger.child('eligibility-matcher');
+
+  try {
+    requireToolPermission('match_incentive_eligibility');
+
+    log.info(`Matching incentive eligibility for ${vehicle_id || 'all units'}`);
+
+    const { vehicles, incentives } = await loadEligibilityInputs({
+      inventoryPath: inventory_path,
+      incentivesPath: incentives_path,
+      vehicleId: vehicle_id,
+      asOfDate: as_of_date
+    });
+
+    const matches = matchInventoryEligibility(vehicles, incentives, {
+      region,
+      asOfDate: as_of_date || undefined
+    });
+
+    log.info(`Matched ${matches.length} vehicles against ${incentives.length} programs`);
+
+    return createResponse(true, {
+      matches,
+      vehicles_matched: matches.length,
+      vehicles_with_incentives: matches.filter(match => match.eligible.length > 0).length,
+      programs_checked: incentives.length,
+      region
+    });
+  } catch (error) {
+    return handleError(error, 'Eligibility matching', log);
+  }
+}
+
+// Export for OpenAI Agents SDK
+export default {
+  match_incentive_eligibility: match_incentive_eligibility,
+  eligibilityMatcherDefinition: eligibilityMatcherDefinition
+};
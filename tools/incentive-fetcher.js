@@ -7,6 +7,12 @@ import fs from 'fs-extra';
 import path from 'path';
 import { checkFileExists, createResponse, handleError, formatVehicleLine, incrementCounter, getISODate, consoleWithEmoji } from '../src/utils/common-utils.js';
 import logger from '../src/utils/logger.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { cachedTool } from '../src/cache/result-cache.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { loadDealershipConfig } from '../src/config/dealership-config.js';
+import { FieldValidators } from '../src/utils/schema-validator.js';
 
 export const incentiveFetcherDefinition = {
   type: 'function',
@@ -29,6 +35,14 @@ export const incentiveFetcherDefinition = {
           type: 'boolean',
           description: 'Whether to include recently expired incentives for reference',
           default: false
+        },
+        as_of_date: {
+          type: 'string',
+          description: 'Reference date (YYYY-MM-DD) used to determine incentive status. Defaults to today.'
+        },
+        dealership_config_path: {
+          type: 'string',
+          description: 'Dealership config with the high-value and expiring-soon thresholds. Defaults to dealership.config_file.'
         }
       },
       required: ['source_path']
@@ -36,14 +50,38 @@ export const incentiveFetcherDefinition = {
   }
 };
 
-export async function fetch_incentive_data({ 
+// Every call is timed and counted in metrics; an unchanged file is not processed again
+export const fetch_incentive_data = instrument('fetch_incentive_data', cachedTool('fetch_incentive_data', fetchIncentiveData, {
+  key: incentiveCacheKey
+}), {
+  metric: MetricNames.INCENTIVE_FETCH,
+  rows: result => result.total_incentives
+});
+
+// Statuses and days remaining depend on the as-of date, summaries on the dealership's thresholds
+async function incentiveCacheKey({ source_path, dealership_config_path, ...rest }) {
+  if (!source_path) return null;
+
+  return {
+    params: { filter_active_only: true, include_expired: false, ...rest, as_of_date: rest.as_of_date ?? new Date().toISOString().slice(0, 10) },
+    inputs: [source_path, dealership_config_path !== undefined ? dealership_config_path : AGENT_CONFIG.dealership.config_file],
+    settings: { business_rules: AGENT_CONFIG.business_rules }
+  };
+}
+
+async function fetchIncentiveData({ 
   source_path, 
   filter_active_only = true, 
-  include_expired = false 
+  include_expired = false,
+  as_of_date = null,
+  dealership_config_path = undefined
 }) {
   const log = logger.child('incentive-fetcher');
   
   try {
+    requireToolPermission('fetch_incentive_data');
+    if (as_of_date !== null) FieldValidators.isoDate(as_of_date, 'as_of_date');
+
     log.info(`Fetching incentive data from: ${source_path}`);
     
     // Check if file exists
@@ -51,7 +89,7 @@ export async function fetch_incentive_data({
 
     // Read and parse the incentive data
     const rawData = await fs.readJson(source_path);
-    const currentDate = new Date();
+    const currentDate = as_of_date ? new Date(as_of_date) : new Date();
     
     let incentives = [];
     
@@ -84,8 +122,8 @@ export async function fetch_incentive_data({
         region: incentive.region || 'National',
         dealer_cash: incentive.dealer_cash || false,
         customer_cash: incentive.customer_cash || false,
-        financing_rate: incentive.financing_rate || null,
-        lease_rate: incentive.lease_rate || null
+        financing_rate: incentive.financing_rate ?? null,
+        lease_rate: incentive.lease_rate ?? null
       };
 
       // Calculate status
@@ -108,7 +146,8 @@ export async function fetch_incentive_data({
     }
 
     // Calculate summary statistics
-    const summary = calculateIncentiveSummary(filteredIncentives);
+    const { business_rules: rules } = await loadDealershipConfig(dealership_config_path);
+    const summary = calculateIncentiveSummary(filteredIncentives, rules);
 
     log.info(`Successfully processed ${filteredIncentives.length} incentives`);
 
@@ -135,7 +174,7 @@ function getIncentiveStatus(startDate, endDate, currentDate) {
   return 'Active';
 }
 
-function calculateIncentiveSummary(incentives) {
+function calculateIncentiveSummary(incentives, rules) {
   const summary = {
     total_incentives: incentives.length,
     by_make: {},
@@ -145,7 +184,11 @@ function calculateIncentiveSummary(incentives) {
     average_value: 0,
     vehicle_lines: {},
     high_value_incentives: [],
-    expiring_soon: []
+    expiring_soon: [],
+    thresholds: {
+      high_value: rules.high_value_incentive_threshold,
+      expiring_soon_days: rules.expiring_soon_days
+    }
   };
 
   incentives.forEach(incentive => {
@@ -161,8 +204,8 @@ function calculateIncentiveSummary(incentives) {
     // Calculate totals
     summary.total_value += incentive.value;
     
-    // Track high-value incentives (>$2000)
-    if (incentive.value > 2000) {
+    // Track high-value incentives
+    if (incentive.value > rules.high_value_incentive_threshold) {
       summary.high_value_incentives.push({
         vehicle_line: incentive.vehicle_line,
         value: incentive.value,
@@ -170,8 +213,8 @@ function calculateIncentiveSummary(incentives) {
       });
     }
     
-    // Track expiring soon (within 30 days)
-    if (incentive.status === 'Active' && incentive.days_remaining <= 30) {
+    // Track expiring soon
+    if (incentive.status === 'Active' && incentive.days_remaining <= rules.expiring_soon_days) {
       summary.expiring_soon.push({
         vehicle_line: incentive.vehicle_line,
         days_remaining: incentive.days_remaining,
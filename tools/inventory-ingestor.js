@@ -8,7 +8,7 @@ import csv from 'csv-parser';
 import path from 'path';
 import logger from '../src/utils/logger.js';
 import { AppError, ErrorTypes, ErrorSeverity } from '../src/utils/error-handler.js';
-import { validateInput, validateOutput } from '../src/utils/schema-validator.js';
+import { validateInput, validateOutput, createStandardResponse, FieldValidators } from '../src/utils/schema-validator.js';
 import { 
   checkFileExists, 
   createResponse, 
@@ -19,6 +19,18 @@ import {
   createChildLogger,
   parseNumberSafe 
 } from '../src/utils/common-utils.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { loadDealershipConfig, getAgingCategory, projectedBucketStarts } from '../src/config/dealership-config.js';
+import { loadMappingProfiles, resolveMappingProfile, applyMappingProfile, RowActions } from '../src/ingestion/mapping-profiles.js';
+import { checkVehicleVin } from '../src/ingestion/vin-decoder.js';
+import { summarizeRowIssues, writeRowIssuesCsv } from '../src/ingestion/ingestion-report.js';
+import { saveSnapshot, snapshotSource, listSnapshots } from '../src/inventory/snapshot-store.js';
+import { requireToolPermission, Permissions } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { cachedTool } from '../src/cache/result-cache.js';
+import { loadSalesHistory, calculateSalesVelocity, salesPerDayByLine } from '../src/analysis/sales-velocity.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
 
 export const inventoryIngestorDefinition = {
   type: 'function',
@@ -36,6 +48,27 @@ export const inventoryIngestorDefinition = {
           type: 'boolean',
           description: 'Whether to calculate additional metrics like aging and velocity',
           default: true
+        },
+        as_of_date: {
+          type: 'string',
+          description: 'Reference date (YYYY-MM-DD) used to calculate days on lot. Defaults to today.'
+        },
+        profile: {
+          type: 'string',
+          description: 'Column mapping profile from data/mapping-profiles (e.g. "default", "dms-export"). Detected from the header row when omitted.'
+        },
+        validation_mode: {
+          type: 'string',
+          enum: ['lenient', 'strict'],
+          description: 'lenient replaces unparseable optional values with their default; strict rejects any row with a bad value. Defaults to ingestion.validation_mode.'
+        },
+        sold_units_path: {
+          type: 'string',
+          description: 'Sold-units CSV (VIN, Year, Make, Model, SoldDate) for sales velocity. Defaults to data_sources.sold_units_file; pass null to use snapshot history only.'
+        },
+        dealership_config_path: {
+          type: 'string',
+          description: 'Dealership config with the aging buckets to apply. Defaults to dealership.config_file.'
         }
       },
       required: ['file_path']
@@ -43,12 +76,76 @@ export const inventoryIngestorDefinition = {
   }
 };
 
-export async function ingest_inventory_data(params) {
+// Every call is timed and counted in metrics; unchanged files are not parsed again
+export const ingest_inventory_data = instrument('ingest_inventory_data', cachedTool('ingest_inventory_data', ingestInventoryData, {
+  key: ingestionCacheKey,
+  // The snapshot the first call wrote may have been deleted since
+  reuse: result => (result.snapshot ? fs.pathExists(result.snapshot.path) : true)
+}), {
+  metric: MetricNames.INVENTORY_INGESTION,
+  rows: result => result.total_vehicles
+});
+
+// Everything an ingestion result depends on: the CSV, dealership config, mapping profiles and sales history
+async function ingestionCacheKey(params, options = {}) {
+  const { file_path, sold_units_path, dealership_config_path, ...rest } = params;
+  // A rejects file is an output the caller expects on every call
+  if (!file_path || (options.rejectsPath ?? AGENT_CONFIG.ingestion.rejects_file)) return null;
+
+  const asOfDate = rest.as_of_date ?? new Date().toISOString().slice(0, 10);
+  const source = snapshotSource(file_path);
+  const soldUnitsPath = sold_units_path !== undefined ? sold_units_path : AGENT_CONFIG.data_sources.sold_units_file;
+
+  // Without a sold-units file velocity comes from the earlier snapshots; the as-of date's own is rewritten by this call
+  const history = soldUnitsPath && await fs.pathExists(soldUnitsPath)
+    ? [soldUnitsPath]
+    : (await listSnapshots(source))
+      .filter(date => date !== asOfDate)
+      .map(date => path.join(AGENT_CONFIG.snapshots.directory, source, `${date}.json`));
+
+  return {
+    params: { ...rest, as_of_date: asOfDate },
+    inputs: [
+      file_path,
+      dealership_config_path !== undefined ? dealership_config_path : AGENT_CONFIG.dealership.config_file,
+      AGENT_CONFIG.data_sources.mapping_profiles_directory,
+      ...history
+    ],
+    settings: {
+      source,
+      validation_mode: AGENT_CONFIG.ingestion.validation_mode,
+      save_snapshot: Boolean(options.saveSnapshot && AGENT_CONFIG.snapshots.enabled),
+      window_days: AGENT_CONFIG.sales_velocity.window_days,
+      business_rules: AGENT_CONFIG.business_rules
+    }
+  };
+}
+
+/**
+ * @param {Object} params - Tool arguments, as the model sends them
+ * @param {Object} [options={}] - Caller-only settings the model cannot set
+ * @param {string} [options.rejectsPath] - CSV to write rejected and coerced rows to (line, stock number, field,
+ *   raw value, reason, action); defaults to ingestion.rejects_file
+ * @param {boolean} [options.saveSnapshot=false] - Save the units as today's snapshot (inventory-diff). Skipped when
+ *   snapshots.enabled is off or the as-of date is not today, since a back-dated copy of today's file corrupts the history
+ */
+async function ingestInventoryData(params, options = {}) {
   const log = logger.child('inventory-ingestor');
   
   try {
+    // Writing a rejects file to a caller-chosen path is an export
+    requireToolPermission('ingest_inventory_data', ...(options.rejectsPath ? [Permissions.EXPORT_REPORTS] : []));
+
     // Validate input
-    const { file_path, calculate_metrics } = validateInput('inventoryIngestor', params);
+    const {
+      file_path,
+      calculate_metrics,
+      as_of_date,
+      profile,
+      validation_mode,
+      sold_units_path,
+      dealership_config_path
+    } = validateInput('inventoryIngestor', params);
     
     log.info(`Ingesting inventory data from: ${file_path}`);
     
@@ -61,88 +158,249 @@ export async function ingest_inventory_data(params) {
       );
     }
 
-    const inventory = [];
-    const currentDate = new Date();
-
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(file_path)
-        .pipe(csv())
-        .on('data', (row) => {
-          try {
-            // Parse and clean the data
-            const vehicle = {
-              vin: row.VIN || row.vin,
-              make: row.Make || row.make,
-              model: row.Model || row.model,
-              year: parseInt(row.Year || row.year),
-              trim: row.Trim || row.trim,
-              color: row.Color || row.color,
-              msrp: parseFloat(row.MSRP || row.msrp || 0),
-              invoice: parseFloat(row.Invoice || row.invoice || 0),
-              stock_number: row.StockNumber || row.stock_number,
-              date_received: new Date(row.DateReceived || row.date_received),
-              status: row.Status || row.status || 'Available',
-              location: row.Location || row.location || 'Main Lot'
-            };
-
-            // Calculate metrics if requested
-            if (calculate_metrics) {
-              const daysOnLot = Math.floor((currentDate - vehicle.date_received) / (1000 * 60 * 60 * 24));
-              vehicle.days_on_lot = daysOnLot;
-              vehicle.aging_category = getAgingCategory(daysOnLot);
-              vehicle.vehicle_line = `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
-            }
-
-            inventory.push(vehicle);
-          } catch (error) {
-            log.warn(`Skipping invalid row`, { error: error.message });
-          }
-        })
-        .on('end', () => {
-          log.info(`Successfully ingested ${inventory.length} vehicles`);
-          
-          // Calculate summary statistics
-          const summary = calculateInventorySummary(inventory);
-          
-          const response = createStandardResponse(true, {
-            data: inventory,
-            summary: summary,
-            total_vehicles: inventory.length,
-            ingestion_date: currentDate.toISOString()
+    const mode = validation_mode ?? AGENT_CONFIG.ingestion.validation_mode;
+    const currentDate = as_of_date ? new Date(as_of_date) : new Date();
+    const profiles = await loadMappingProfiles();
+    const dealership = await loadDealershipConfig(dealership_config_path);
+
+    const parsed = await parseInventoryRows(file_path, { profiles, profile, mode, currentDate, calculate_metrics, dealership });
+    const { inventory, rowIssues, validationIssues, mapping, rowsRead } = parsed;
+    const ingestionReport = summarizeRowIssues({ mode, rowsRead, rowsAccepted: inventory.length }, rowIssues);
+
+    log.info(`Successfully ingested ${inventory.length} vehicles`);
+    if (rowIssues.length > 0) {
+      log.warn(`${ingestionReport.rows_rejected} rows rejected and ${ingestionReport.rows_coerced} rows coerced (${mode} mode)`);
+    }
+    if (validationIssues.length > 0) {
+      log.warn(`VIN validation reported ${validationIssues.length} issues`);
+    }
+
+    const rejectsPath = options.rejectsPath ? FieldValidators.filePath(options.rejectsPath) : AGENT_CONFIG.ingestion.rejects_file;
+    if (rejectsPath && rowIssues.length > 0) {
+      ingestionReport.rejects_file = await writeRowIssuesCsv(rejectsPath, rowIssues);
+      log.info(`Row issues written to ${rejectsPath}`);
+    }
+
+    // A failed snapshot write is logged but never fails the ingestion
+    let snapshot = null;
+    const snapshotDate = currentDate.toISOString().slice(0, 10);
+    if (options.saveSnapshot && AGENT_CONFIG.snapshots.enabled) {
+      if (snapshotDate !== new Date().toISOString().slice(0, 10)) {
+        log.warn(`Not saving a snapshot for ${snapshotDate}: only today's inventory can be saved`);
+      } else {
+        try {
+          snapshot = await saveSnapshot(inventory, {
+            sourceFile: file_path,
+            date: snapshotDate,
+            mappingProfile: mapping.profile.name
           });
-          
-          // Validate output
-          validateOutput('inventoryIngestor', response);
-          resolve(response);
-        })
-        .on('error', (error) => {
-          reject(new AppError(
-            `Failed to parse CSV: ${error.message}`,
-            ErrorTypes.FILE_SYSTEM,
-            ErrorSeverity.HIGH,
-            { filePath: file_path }
-          ));
+        } catch (error) {
+          log.warn('Could not save inventory snapshot', { error: error.message });
+        }
+      }
+    }
+
+    // Calculate summary statistics
+    const summary = calculateInventorySummary(inventory, dealership);
+
+    if (calculate_metrics) {
+      try {
+        const history = await loadSalesHistory({
+          soldUnitsPath: sold_units_path !== undefined ? sold_units_path : AGENT_CONFIG.data_sources.sold_units_file,
+          source: snapshotSource(file_path),
+          asOfDate: currentDate
         });
+        applySalesVelocity(summary, inventory, history, currentDate, dealership);
+      } catch (error) {
+        log.warn('Could not calculate sales velocity', { error: error.message });
+      }
+    }
+
+    const response = createStandardResponse(true, {
+      data: inventory,
+      summary: summary,
+      total_vehicles: inventory.length,
+      ingestion_date: currentDate.toISOString(),
+      mapping_profile: mapping.profile.name,
+      validation_issues: validationIssues,
+      row_issues: rowIssues,
+      ingestion_report: ingestionReport,
+      snapshot
     });
 
+    // Validate output
+    validateOutput('inventoryIngestor', response);
+    return response;
+
   } catch (error) {
     log.error('Inventory ingestion failed', { error: error.message, stack: error.stack });
     return createStandardResponse(false, {}, error);
   }
 }
 
-function getAgingCategory(daysOnLot) {
-  if (daysOnLot <= 30) return 'Fresh';
-  if (daysOnLot <= 60) return 'Aging';
-  if (daysOnLot <= 90) return 'Stale';
-  return 'Critical';
+// Stream the CSV, map each row through the profile and record every rejected or coerced value
+function parseInventoryRows(filePath, { profiles, profile, mode, currentDate, calculate_metrics, dealership }) {
+  const inventory = [];
+  const rowIssues = [];
+  const validationIssues = [];
+  let mapping = null;
+  let line = 1; // header row
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath).pipe(csv());
+
+    stream
+      .on('headers', (headers) => {
+        try {
+          mapping = resolveMappingProfile(headers, profiles, profile);
+          logger.child('inventory-ingestor').info(`Using mapping profile: ${mapping.profile.name}`);
+        } catch (error) {
+          stream.destroy();
+          reject(error);
+        }
+      })
+      .on('data', (row) => {
+        if (!mapping) return;
+        line++;
+
+        const stockNumber = mapping.columns.stock_number ? row[mapping.columns.stock_number] : undefined;
+        const addIssues = (issues) => rowIssues.push(...issues.map(issue => ({ line, stock_number: stockNumber, ...issue })));
+
+        try {
+          const { record: fields, issues, rejected } = applyMappingProfile(row, mapping, { mode });
+          addIssues(issues);
+          if (rejected) return;
+
+          const vehicle = {
+            vin: fields.vin,
+            make: fields.make,
+            model: fields.model,
+            year: fields.year,
+            trim: fields.trim,
+            color: fields.color,
+            msrp: fields.msrp,
+            invoice: fields.invoice,
+            stock_number: fields.stock_number,
+            date_received: fields.date_received ?? receivedFromDaysInStock(fields.days_in_stock, currentDate),
+            status: fields.status,
+            location: fields.location
+          };
+
+          if (fields.internet_price !== undefined) {
+            vehicle.internet_price = fields.internet_price;
+          }
+
+          if (!vehicle.date_received) {
+            addIssues([{
+              field: 'date_received',
+              raw_value: '',
+              reason: 'Row has neither a received date nor days in stock',
+              action: RowActions.REJECTED
+            }]);
+            return;
+          }
+
+          // Malformed VINs are rejected; check-digit and make/year conflicts are kept but reported
+          const vinCheck = checkVehicleVin(vehicle);
+          validationIssues.push(...vinCheck.issues.map(issue => ({
+            line,
+            stock_number: vehicle.stock_number,
+            vin: vehicle.vin,
+            ...issue
+          })));
+          if (!vinCheck.valid) {
+            addIssues([{
+              field: 'vin',
+              raw_value: vehicle.vin,
+              reason: vinCheck.issues.map(issue => issue.message).join('; '),
+              action: RowActions.REJECTED
+            }]);
+            return;
+          }
+
+          vehicle.vin = vinCheck.decoded.vin;
+          vehicle.vin_decoded = {
+            wmi: vinCheck.decoded.wmi,
+            manufacturer: vinCheck.decoded.manufacturer,
+            country: vinCheck.decoded.country,
+            model_year: vinCheck.decoded.model_year,
+            check_digit_valid: vinCheck.decoded.check_digit_valid
+          };
+
+          // Calculate metrics if requested
+          if (calculate_metrics) {
+            const daysOnLot = Math.floor((currentDate - vehicle.date_received) / MS_PER_DAY);
+            vehicle.days_on_lot = daysOnLot;
+            vehicle.aging_category = getAgingCategory(daysOnLot, dealership, vehicle);
+            vehicle.vehicle_line = `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+          }
+
+          inventory.push(vehicle);
+        } catch (error) {
+          addIssues([{ field: null, raw_value: '', reason: error.message, action: RowActions.REJECTED }]);
+        }
+      })
+      .on('end', () => {
+        if (!mapping) {
+          reject(new AppError(`Inventory file has no header row: ${filePath}`, ErrorTypes.VALIDATION, ErrorSeverity.HIGH));
+          return;
+        }
+        resolve({ inventory, rowIssues, validationIssues, mapping, rowsRead: line - 1 });
+      })
+      .on('error', (error) => {
+        reject(new AppError(
+          `Failed to parse CSV: ${error.message}`,
+          ErrorTypes.FILE_SYSTEM,
+          ErrorSeverity.HIGH,
+          { filePath }
+        ));
+      });
+  });
+}
+
+// Velocity fields are null when there is no sales history, so the scorer can tell "unknown" from "not selling"
+function applySalesVelocity(summary, inventory, history, currentDate, dealership) {
+  const byLine = history
+    ? calculateSalesVelocity(inventory, history, {
+      asOfDate: currentDate,
+      agingThresholds: (vehicle) => projectedBucketStarts(dealership, vehicle)
+    })
+    : {};
+
+  Object.entries(summary.vehicle_lines).forEach(([line, lineData]) => {
+    Object.assign(lineData, byLine[line] || {
+      units_sold: null,
+      sales_per_day: null,
+      days_supply: null,
+      turn_rate: null,
+      aging_projection: null
+    });
+  });
+
+  summary.sales_velocity = history
+    ? {
+      source: history.source,
+      window_days: history.window_days,
+      from: history.from,
+      to: history.to,
+      units_sold: history.sales.length,
+      sales_per_day_by_line: salesPerDayByLine(history)
+    }
+    : null;
 }
 
-function calculateInventorySummary(inventory) {
+// DMS exports that only carry an age column: count back from the reference date
+function receivedFromDaysInStock(daysInStock, currentDate) {
+  if (!Number.isFinite(daysInStock)) return null;
+  return new Date(currentDate.getTime() - daysInStock * MS_PER_DAY);
+}
+
+function calculateInventorySummary(inventory, dealership) {
   const summary = {
     total_vehicles: inventory.length,
     by_make: {},
-    by_aging: { Fresh: 0, Aging: 0, Stale: 0, Critical: 0 },
+    by_aging: Object.fromEntries(dealership.aging_buckets.map(bucket => [bucket.name, 0])),
+    by_location: {},
     average_days_on_lot: 0,
     total_msrp_value: 0,
     vehicle_lines: {}
@@ -154,12 +412,14 @@ function calculateInventorySummary(inventory) {
     // Count by make
     summary.by_make[vehicle.make] = (summary.by_make[vehicle.make] || 0) + 1;
     
-    // Count by aging category
-    summary.by_aging[vehicle.aging_category]++;
+    // Count by aging category (absent when metrics were not calculated)
+    if (vehicle.aging_category) summary.by_aging[vehicle.aging_category]++;
     
-    // Calculate totals
-    totalDays += vehicle.days_on_lot;
-    summary.total_msrp_value += vehicle.msrp;
+    // Calculate totals; a missing MSRP or age counts as zero instead of turning the totals into NaN
+    const days = Number.isFinite(vehicle.days_on_lot) ? vehicle.days_on_lot : 0;
+    const msrp = Number.isFinite(vehicle.msrp) ? vehicle.msrp : 0;
+    totalDays += days;
+    summary.total_msrp_value += msrp;
     
     // Count by vehicle line
     const line = vehicle.vehicle_line;
@@ -172,17 +432,25 @@ function calculateInventorySummary(inventory) {
       };
     }
     summary.vehicle_lines[line].count++;
-    summary.vehicle_lines[line].total_days += vehicle.days_on_lot;
-    summary.vehicle_lines[line].total_value += vehicle.msrp;
+    summary.vehicle_lines[line].total_days += days;
+    summary.vehicle_lines[line].total_value += msrp;
+
+    // Count by lot / location within the store
+    const location = vehicle.location || 'Unassigned';
+    if (!summary.by_location[location]) {
+      summary.by_location[location] = { count: 0, total_days: 0, avg_days: 0, total_value: 0 };
+    }
+    summary.by_location[location].count++;
+    summary.by_location[location].total_days += days;
+    summary.by_location[location].total_value += msrp;
   });
 
   // Calculate averages
-  summary.average_days_on_lot = Math.round(totalDays / inventory.length);
+  summary.average_days_on_lot = inventory.length > 0 ? Math.round(totalDays / inventory.length) : 0;
   
   // Calculate vehicle line averages
-  Object.keys(summary.vehicle_lines).forEach(line => {
-    const lineData = summary.vehicle_lines[line];
-    lineData.avg_days = Math.round(lineData.total_days / lineData.count);
+  [...Object.values(summary.vehicle_lines), ...Object.values(summary.by_location)].forEach(group => {
+    group.avg_days = Math.round(group.total_days / group.count);
   });
 
   return summary;
@@ -0,0 +1,172 @@
+/**
+ * Payment Calculator Tool
+ * Quotes monthly finance and lease payments for each incentive option on a unit
+ */
+
+import logger from '../src/utils/logger.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../src/utils/error-handler.js';
+import { createResponse, handleError } from '../src/utils/common-utils.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { loadEligibilityInputs, evaluateIncentiveEligibility } from '../src/analysis/incentive-eligibility.js';
+import { calculateBestDeals } from '../src/analysis/incentive-stacking.js';
+import { comparePaymentOptions } from '../src/analysis/payment-calculator.js';
+
+export const paymentCalculatorDefinition = {
+  type: 'function',
+  function: {
+    name: 'calculate_payments',
+    description: 'Calculate monthly finance and lease payments for a stock unit under each valid incentive option (special APR, cash-back at the standard rate, lease specials), and compare special APR against taking cash at the standard rate.',
+    parameters: {
+      type: 'object',
+      properties: {
+        vehicle_id: {
+          type: 'string',
+          description: 'Stock number or VIN of the unit to quote'
+        },
+        customer_type: {
+          type: 'string',
+          description: 'Customer type (e.g. All, Military, Loyalty, Conquest)',
+          default: 'All'
+        },
+        selling_price: {
+          type: 'number',
+          description: 'Selling price before incentives. Defaults to MSRP.'
+        },
+        down_payment: {
+          type: 'number',
+          description: 'Cash down payment in dollars'
+        },
+        term_months: {
+          type: 'number',
+          description: 'Finance term in months'
+        },
+        standard_apr: {
+          type: 'number',
+          description: 'APR used when the customer takes cash instead of special financing'
+        },
+        tax_rate: {
+          type: 'number',
+          description: 'Sales tax rate as a decimal (e.g. 0.07)'
+        },
+        lease_term_months: {
+          type: 'number',
+          description: 'Lease term in months'
+        },
+        residual_percent: {
+          type: 'number',
+          description: 'Lease residual as a percentage of MSRP'
+        },
+        inventory_path: {
+          type: 'string',
+          description: 'Path to the inventory CSV file'
+        },
+        incentives_path: {
+          type: 'string',
+          description: 'Path to the incentive data file (JSON format)'
+        },
+        region: {
+          type: 'string',
+          description: 'Dealer region used for regional programs. Defaults to the configured dealership region.'
+        },
+        as_of_date: {
+          type: 'string',
+          description: 'Sale date (YYYY-MM-DD) to check program windows against. Defaults to today.'
+        }
+      },
+      required: ['vehicle_id']
+    }
+  }
+};
+
+const ASSUMPTION_KEYS = [
+  'selling_price',
+  'down_payment',
+  'term_months',
+  'standard_apr',
+  'tax_rate',
+  'lease_term_months',
+  'residual_percent'
+];
+
+// Every call is timed and counted in metrics
+export const calculate_payments = instrument('calculate_payments', calculatePayments, {
+  metric: MetricNames.PAYMENT_CALCULATION,
+  rows: result => result.options?.length
+});
+
+async function calculatePayments(params) {
+  const log = logger.child('payment-calculator');
+
+  const {
+    vehicle_id,
+    customer_type = 'All',
+    inventory_path = AGENT_CONFIG.data_sources.inventory_file,
+    incentives_path = AGENT_CONFIG.data_sources.incentives_file,
+    region = AGENT_CONFIG.dealership.region,
+    as_of_date = null
+  } = params;
+
+  try {
+    requireToolPermission('calculate_payments');
+
+    const assumptions = readAssumptions(params);
+
+    log.info(`Calculating payments for ${vehicle_id} (${customer_type})`);
+
+    const { vehicles: [vehicle], incentives } = await loadEligibilityInputs({
+      inventoryPath: inventory_path,
+      incentivesPath: incentives_path,
+      vehicleId: vehicle_id,
+      asOfDate: as_of_date
+    });
+
+    const eligible = incentives.filter(incentive =>
+      evaluateIncentiveEligibility(vehicle, incentive, { region, asOfDate: as_of_date || undefined }).eligible
+    );
+    const { combinations } = calculateBestDeals(vehicle, eligible, { customerType: customer_type });
+
+    const comparison = comparePaymentOptions(vehicle, combinations, assumptions);
+    log.info(`Quoted ${comparison.options.length} payment options for ${vehicle.stock_number}`);
+
+    return createResponse(true, {
+      ...comparison,
+      vehicle_line: vehicle.vehicle_line,
+      msrp: vehicle.msrp,
+      region,
+      customer_type
+    });
+  } catch (error) {
+    return handleError(error, 'Payment calculation', log);
+  }
+}
+
+// Only override the configured defaults with values the caller actually supplied.
+// Numeric strings (from the CLI) are accepted; flags without a value, blanks and NaN are not.
+function readAssumptions(params) {
+  return Object.fromEntries(
+    ASSUMPTION_KEYS
+      .filter(key => params[key] !== undefined && params[key] !== null)
+      .map(key => {
+        const value = params[key];
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          throw new AppError(
+            `${key} must be a number, got ${JSON.stringify(value)}`,
+            ErrorTypes.VALIDATION,
+            ErrorSeverity.LOW,
+            { field: key, value }
+          );
+        }
+        return [key, number];
+      })
+  );
+}
+
+// Export for OpenAI Agents SDK
+export default {
+  calculate_payments: calculate_payments,
+  paymentCalculatorDefinition: paymentCalculatorDefinition
+};
@@ -0,0 +1,264 @@
+/**
+ * Pricing Analyzer Tool
+ * Analyzes competitive pricing data and recommends optimal pricing strategies
+ */
+
+import fs from 'fs-extra';
+import csv from 'csv-parser';
+import logger from '../src/utils/logger.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../src/utils/error-handler.js';
+import { checkFileExists, createResponse, handleError, formatVehicleLine, parseNumberSafe } from '../src/utils/common-utils.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+
+export const pricingAnalyzerDefinition = {
+  type: 'function',
+  function: {
+    name: 'analyze_pricing',
+    description: 'Analyze competitive pricing data and recommend optimal pricing strategies. Returns price-to-market, gross to invoice and a suggested advertised price per VIN.',
+    parameters: {
+      type: 'object',
+      properties: {
+        vehicle_data: {
+          type: 'string',
+          description: 'JSON string containing vehicle data to analyze (array of vehicles with vin, year, make, model, trim, msrp and invoice)'
+        },
+        market_position: {
+          type: 'string',
+          enum: ['aggressive', 'balanced', 'premium'],
+          description: 'Desired market positioning strategy',
+          default: 'balanced'
+        },
+        comps_path: {
+          type: 'string',
+          description: 'Optional path to a local competitor comps CSV (Year, Make, Model, Trim, AdvertisedPrice)'
+        }
+      },
+      required: ['vehicle_data']
+    }
+  }
+};
+
+// Every call is timed and counted in metrics
+export const analyze_pricing = instrument('analyze_pricing', analyzePricing, {
+  metric: MetricNames.PRICING_ANALYSIS,
+  rows: result => result.recommendations?.length
+});
+
+/**
+ * @param {Object} params - Tool arguments, as the model sends them
+ * @param {Object} [options={}] - Caller-only settings the model cannot set
+ * @param {number} [options.minimumGross] - Minimum gross over invoice; defaults to pricing_rules.minimum_gross
+ */
+async function analyzePricing(params, options = {}) {
+  const log = logger.child('pricing-analyzer');
+
+  try {
+    requireToolPermission('analyze_pricing');
+
+    const {
+      vehicle_data,
+      market_position = 'balanced',
+      comps_path = null
+    } = params;
+
+    const vehicles = parseVehicleData(vehicle_data);
+    const comps = comps_path ? await loadCompetitorComps(comps_path) : [];
+
+    log.info(`Analyzing pricing for ${vehicles.length} vehicles (${market_position}, ${comps.length} comps)`);
+
+    const recommendations = analyzeVehiclePricing(vehicles, comps, {
+      marketPosition: market_position,
+      minimumGross: parseNumberSafe(options.minimumGross, AGENT_CONFIG.pricing_rules.minimum_gross)
+    });
+
+    return createResponse(true, {
+      recommendations,
+      market_analysis: summarizeMarket(recommendations, market_position, comps.length)
+    });
+  } catch (error) {
+    return handleError(error, 'Pricing analysis', log);
+  }
+}
+
+/**
+ * Price each vehicle against matching competitor comps
+ * @param {Array<Object>} vehicles - Vehicles with vin, year, make, model, trim, msrp, invoice
+ * @param {Array<Object>} comps - Competitor comps with year, make, model, trim, price
+ * @param {Object} [options={}] - Pricing options
+ * @param {'aggressive'|'balanced'|'premium'} [options.marketPosition='balanced'] - Positioning strategy
+ * @param {number} [options.minimumGross] - Minimum gross over invoice
+ * @param {Object} [options.pricingRules] - Overrides for AGENT_CONFIG.pricing_rules
+ * @returns {Array<Object>} One pricing recommendation per VIN
+ * @example
+ * analyzeVehiclePricing(inventory.data, comps, { marketPosition: 'aggressive' });
+ */
+export function analyzeVehiclePricing(vehicles, comps, options = {}) {
+  const rules = { ...AGENT_CONFIG.pricing_rules, ...(options.pricingRules || {}) };
+  const marketPosition = options.marketPosition || 'balanced';
+  const minimumGross = options.minimumGross ?? rules.minimum_gross;
+
+  if (!(marketPosition in rules.market_targets)) {
+    throw new AppError(
+      `Unknown market position: ${marketPosition}`,
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM,
+      { allowed: Object.keys(rules.market_targets) }
+    );
+  }
+
+  return vehicles.map(vehicle => {
+    const msrp = parseNumberSafe(vehicle.msrp);
+    const invoice = parseNumberSafe(vehicle.invoice);
+    const currentPrice = parseNumberSafe(vehicle.advertised_price || vehicle.internet_price, msrp) || msrp;
+    const market = findMarketPrice(vehicle, comps);
+
+    const target = market.market_price
+      ? market.market_price * rules.market_targets[marketPosition]
+      : msrp * rules.msrp_targets[marketPosition];
+    const floor = invoice + minimumGross;
+    const capped = msrp > 0 ? Math.min(target, msrp) : target;
+    const suggestedPrice = Math.round(Math.max(capped, floor));
+
+    return {
+      vin: vehicle.vin,
+      stock_number: vehicle.stock_number,
+      vehicle_line: vehicle.vehicle_line || formatVehicleLine(vehicle.year, vehicle.make, vehicle.model),
+      trim: vehicle.trim,
+      msrp,
+      invoice,
+      current_price: currentPrice,
+      market_price: market.market_price,
+      comp_count: market.comp_count,
+      comp_match: market.match_level,
+      price_to_market_pct: toPercent(currentPrice, market.market_price),
+      gross_to_invoice: currentPrice - invoice,
+      suggested_price: suggestedPrice,
+      suggested_price_to_market_pct: toPercent(suggestedPrice, market.market_price),
+      suggested_gross: suggestedPrice - invoice,
+      floor_applied: floor > capped,
+      market_position: marketPosition
+    };
+  });
+}
+
+function parseVehicleData(vehicleData) {
+  let vehicles = vehicleData;
+
+  if (typeof vehicleData === 'string') {
+    try {
+      vehicles = JSON.parse(vehicleData);
+    } catch (error) {
+      throw new AppError(
+        `vehicle_data is not valid JSON: ${error.message}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.MEDIUM
+      );
+    }
+  }
+
+  // Accept the full ingest_inventory_data response as well as a bare array
+  if (vehicles && Array.isArray(vehicles.data)) {
+    vehicles = vehicles.data;
+  }
+
+  if (!Array.isArray(vehicles)) {
+    throw new AppError(
+      'vehicle_data must be an array of vehicles',
+      ErrorTypes.VALIDATION,
+      ErrorSeverity.MEDIUM
+    );
+  }
+
+  return vehicles;
+}
+
+async function loadCompetitorComps(compsPath) {
+  await checkFileExists(compsPath, 'Competitor comps file');
+
+  return new Promise((resolve, reject) => {
+    const comps = [];
+
+    fs.createReadStream(compsPath)
+      .pipe(csv())
+      .on('data', (row) => {
+        const price = parseNumberSafe(row.AdvertisedPrice || row.Price || row.price, null);
+        if (price === null || price <= 0) return;
+
+        comps.push({
+          year: parseInt(row.Year || row.year, 10),
+          make: row.Make || row.make,
+          model: row.Model || row.model,
+          trim: row.Trim || row.trim,
+          price,
+          dealer: row.Dealer || row.dealer || null
+        });
+      })
+      .on('end', () => resolve(comps))
+      .on('error', (error) => {
+        reject(new AppError(
+          `Failed to parse competitor comps: ${error.message}`,
+          ErrorTypes.FILE_SYSTEM,
+          ErrorSeverity.MEDIUM,
+          { filePath: compsPath }
+        ));
+      });
+  });
+}
+
+// Prefer same-trim comps; fall back to the whole year/make/model
+function findMarketPrice(vehicle, comps) {
+  const sameModel = comps.filter(comp =>
+    comp.year === parseInt(vehicle.year, 10) &&
+    equalsIgnoreCase(comp.make, vehicle.make) &&
+    equalsIgnoreCase(comp.model, vehicle.model)
+  );
+  const sameTrim = sameModel.filter(comp => equalsIgnoreCase(comp.trim, vehicle.trim));
+
+  if (sameTrim.length > 0) {
+    return { market_price: median(sameTrim.map(c => c.price)), comp_count: sameTrim.length, match_level: 'trim' };
+  }
+  if (sameModel.length > 0) {
+    return { market_price: median(sameModel.map(c => c.price)), comp_count: sameModel.length, match_level: 'model' };
+  }
+  return { market_price: null, comp_count: 0, match_level: 'none' };
+}
+
+function summarizeMarket(recommendations, marketPosition, compsLoaded) {
+  const withComps = recommendations.filter(rec => rec.market_price !== null);
+  const average = (values) => (values.length > 0
+    ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10
+    : null);
+
+  return {
+    market_position: marketPosition,
+    comps_loaded: compsLoaded,
+    vehicles_analyzed: recommendations.length,
+    vehicles_with_comps: withComps.length,
+    average_price_to_market_pct: average(withComps.map(rec => rec.price_to_market_pct)),
+    average_gross_to_invoice: average(recommendations.map(rec => rec.gross_to_invoice)),
+    floor_applied_count: recommendations.filter(rec => rec.floor_applied).length
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function toPercent(price, marketPrice) {
+  if (!marketPrice) return null;
+  return Math.round(price / marketPrice * 1000) / 10;
+}
+
+function equalsIgnoreCase(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+// Export for OpenAI Agents SDK
+export default {
+  analyze_pricing: analyze_pricing,
+  pricingAnalyzerDefinition: pricingAnalyzerDefinition
+};
@@ -3,10 +3,24 @@
  * Generates structured reports with promotional recommendations
  */
 
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 import { createResponse, handleError, getISODate, consoleWithEmoji } from '../src/utils/common-utils.js';
 import logger from '../src/utils/logger.js';
+import { requireToolPermission } from '../src/utils/access-control.js';
+import { instrument, MetricNames } from '../src/utils/metrics.js';
+import { AGENT_CONFIG } from '../src/config/agent-config.js';
+import { AppError, ErrorTypes, ErrorSeverity } from '../src/utils/error-handler.js';
+import { renderHtmlReport } from '../src/reports/html-renderer.js';
+import { renderMarkdownReport } from '../src/reports/markdown-renderer.js';
+
+// Renderer and file extension for each supported output format
+const REPORT_FORMATS = {
+  json: { extension: 'json', render: (reportData) => JSON.stringify(reportData, null, 2) },
+  html: { extension: 'html', render: renderHtmlReport },
+  markdown: { extension: 'md', render: renderMarkdownReport }
+};
 
 export const reportFormatterDefinition = {
   type: 'function',
@@ -33,6 +47,10 @@ export const reportFormatterDefinition = {
           enum: ['json', 'html', 'markdown'],
           description: 'Output format for the report',
           default: 'json'
+        },
+        verification: {
+          type: 'object',
+          description: 'Claim verification result (summary and claims) from the verification pass'
         }
       },
       required: ['recommendations']
@@ -40,15 +58,31 @@ export const reportFormatterDefinition = {
   }
 };
 
-export async function generate_promotional_report({
+// Every call is timed and counted in metrics
+export const generate_promotional_report = instrument('generate_promotional_report', generatePromotionalReport, {
+  metric: MetricNames.REPORT_GENERATION,
+  rows: result => result.recommendations_count
+});
+
+/**
+ * @param {Object} params - Tool arguments, as the model sends them
+ * @param {Object} [options={}] - Caller-only settings the model cannot set
+ * @param {string} [options.outputDirectory] - Where to write the report (defaults to data_sources.output_directory)
+ * @param {string} [options.label] - Added to the file name, e.g. the dealer id
+ */
+async function generatePromotionalReport({
   recommendations,
   inventory_summary = null,
   incentive_summary = null,
-  output_format = 'json'
-}) {
+  output_format = 'json',
+  verification = null
+}, options = {}) {
+  const { outputDirectory: output_directory = AGENT_CONFIG.data_sources.output_directory, label = null } = options;
   const log = logger.child('report-formatter');
   
   try {
+    requireToolPermission('generate_promotional_report');
+
     log.info(`Generating promotional report in ${output_format} format`);
     
     const reportData = {
@@ -72,6 +106,7 @@ export async function generate_promotional_report({
         inventory_summary,
         incentive_summary
       },
+      verification,
       next_steps: [
         'Implement promotional campaigns for recommended vehicle lines',
         'Monitor sales performance and adjust strategies',
@@ -80,15 +115,25 @@ export async function generate_promotional_report({
     };
 
     // Format based on output type
-    let formattedReport = JSON.stringify(reportData, null, 2);
-    let filename = `promotional_report_${getDateString()}.json`;
+    const format = REPORT_FORMATS[output_format];
+    if (!format) {
+      throw new AppError(
+        `Unsupported report format: ${output_format}`,
+        ErrorTypes.VALIDATION,
+        ErrorSeverity.MEDIUM,
+        { supportedFormats: Object.keys(REPORT_FORMATS) }
+      );
+    }
+
+    const formattedReport = format.render(reportData);
+    const filename = `${reportBaseName(label)}.${format.extension}`;
     
     // Ensure output directory exists
-    const outputDir = './output';
-    await fs.ensureDir(outputDir);
+    await fs.ensureDir(output_directory);
     
-    const filePath = path.join(outputDir, filename);
-    await fs.writeFile(filePath, formattedReport, 'utf8');
+    // The audit trail records the report's hash, so an existing report is never overwritten
+    const filePath = path.join(output_directory, filename);
+    await fs.writeFile(filePath, formattedReport, { encoding: 'utf8', flag: 'wx' });
     log.info(`Report saved to: ${filePath}`);
 
     return createResponse(true, {
@@ -104,8 +149,12 @@ export async function generate_promotional_report({
   }
 }
 
-function getDateString() {
-  return getISODate(true);
+// promotional_report_<date>_<time>[_<label>]_<random>, unique per run even for the same dealer in the same millisecond
+function reportBaseName(label) {
+  const now = getISODate();
+  const time = now.slice(11, 23).replace(/[:.]/g, '');
+  const safeLabel = label ? `_${String(label).replace(/[^\w-]/g, '_')}` : '';
+  return `promotional_report_${now.slice(0, 10)}_${time}${safeLabel}_${crypto.randomBytes(3).toString('hex')}`;
 }
 
 // Export for OpenAI Agents SDK